@@ -0,0 +1,20 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Like auth, but lets anonymous requests through without req.user.
+// Used by public routes that show extra data to signed-in admins.
+module.exports = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId);
+      if (user) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Treat invalid tokens as anonymous
+  }
+  next();
+};
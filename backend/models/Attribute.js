@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// An admin-defined product attribute such as Brand, Material or Fit.
+// Products store their values under the attribute's code.
+const attributeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Key used on products and in filter query strings, e.g. 'material'
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    immutable: true,
+  },
+  type: {
+    type: String,
+    enum: ['text', 'enum', 'number'],
+    required: true,
+    default: 'text',
+  },
+  // Allowed values of an enum attribute, in display order
+  values: [{
+    type: String,
+    trim: true,
+  }],
+  // Shown after number values, e.g. 'cm'
+  unit: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Whether the storefront offers it as a filter
+  filterable: {
+    type: Boolean,
+    default: true,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+// Derive the code from the name unless one was given explicitly. Codes are
+// lowercase with underscores so they are safe as query string keys.
+attributeSchema.pre('validate', function(next) {
+  if (this.isNew && (this.code || this.name)) {
+    this.code = slugify(this.code || this.name).replace(/-/g, '_');
+  }
+  if (this.type === 'enum') {
+    this.values = [...new Set(this.values.filter(Boolean))];
+    if (!this.values.length) {
+      this.invalidate('values', 'An enum attribute needs at least one value');
+    }
+  } else {
+    this.values = [];
+  }
+  next();
+});
+
+// Turn a submitted value into the stored form for this attribute, or
+// return undefined when it is not allowed
+attributeSchema.methods.coerce = function(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+
+  if (this.type === 'number') {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : undefined;
+  }
+
+  const text = String(value).trim();
+  if (!text) return undefined;
+  if (this.type === 'enum' && !this.values.includes(text)) return undefined;
+  return text;
+};
+
+// All attributes in display order
+attributeSchema.statics.ordered = function(filter = {}) {
+  return this.find(filter).sort({ sortOrder: 1, name: 1 });
+};
+
+module.exports = mongoose.model('Attribute', attributeSchema);
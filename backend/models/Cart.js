@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Guest carts nobody has touched for this long are removed by MongoDB
+const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,  // _id of the product variant, if any
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+});
+
+// A shopping cart that belongs either to a signed-in user or, for guests,
+// to whoever holds its random token
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  token: {
+    type: String,
+  },
+  items: [cartItemSchema],
+}, { timestamps: true });
+
+cartSchema.index({ user: 1 }, { unique: true, sparse: true });
+cartSchema.index({ token: 1 }, { unique: true, sparse: true });
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_SECONDS, partialFilterExpression: { token: { $exists: true } } }
+);
+
+cartSchema.statics.newToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+const sameLine = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variant || '') === String(variantId || '');
+
+cartSchema.methods.findLine = function(productId, variantId) {
+  return this.items.find((item) => sameLine(item, productId, variantId));
+};
+
+// Add to the quantity of an existing line or start a new one
+cartSchema.methods.addItem = function(productId, variantId, quantity) {
+  const line = this.findLine(productId, variantId);
+  if (line) {
+    line.quantity += quantity;
+    return line;
+  }
+  this.items.push({ product: productId, variant: variantId || undefined, quantity });
+  return this.items[this.items.length - 1];
+};
+
+// Put back lines the cart once had, e.g. from a reminder email. Lines
+// still in the cart keep the larger of the two quantities.
+cartSchema.methods.restoreItems = function(items) {
+  for (const item of items) {
+    const line = this.findLine(item.product, item.variant);
+    if (line) {
+      line.quantity = Math.max(line.quantity, item.quantity);
+    } else {
+      this.addItem(item.product, item.variant, item.quantity);
+    }
+  }
+};
+
+// Move another cart's lines into this one, adding up quantities of
+// lines both carts have
+cartSchema.methods.mergeFrom = function(other) {
+  for (const item of other.items) {
+    this.addItem(item.product, item.variant, item.quantity);
+  }
+};
+
+// The cart with the current product details, price and stock of every
+// line. Lines are flagged rather than dropped when they can no longer be
+// bought as they are:
+// - unavailable: the product or variant was removed or unpublished
+// - out_of_stock: nothing left
+// - insufficient_stock: fewer left than the quantity in the cart
+// The total only counts what can be bought right now. Stock the shopper
+// holds at checkout is theirs, so it counts as available to them.
+cartSchema.methods.present = async function() {
+  const Product = mongoose.model('Product');
+  const StockReservation = mongoose.model('StockReservation');
+  const [products, hold] = await Promise.all([
+    Product.find({ _id: { $in: this.items.map((item) => item.product) } })
+      .presented()
+      .populate('category', 'name slug'),
+    this.user ? StockReservation.currentFor(this.user) : null,
+  ]);
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const items = this.items.map((item) => {
+    const product = byId.get(item.product.toString());
+    const variant = product && product.findVariant(item.variant);
+    const line = {
+      _id: item._id,
+      quantity: item.quantity,
+    };
+
+    // Nothing of a product shoppers cannot see is given away
+    const reason = Product.unavailableReason(product, item.variant, variant) ||
+      (product.hasVariants() && !variant ? 'variant_unavailable' : null);
+    if (reason) {
+      return { ...line, product: null, variant: null, price: 0, stock: 0, status: 'unavailable', reason };
+    }
+
+    const stock = product.availableFor(variant) +
+      (hold ? hold.quantityFor(product._id, variant?._id) : 0);
+    let status = 'available';
+    if (stock <= 0) status = 'out_of_stock';
+    else if (stock < item.quantity) status = 'insufficient_stock';
+    return { ...line, product, variant: variant || null, price: product.priceFor(variant), stock, status };
+  });
+
+  const total = items.reduce(
+    (sum, item) => sum + item.price * Math.min(item.quantity, item.stock),
+    0
+  );
+  const count = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  return { items, total, count };
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Orders placed this long after a reminder count as recovered by it
+const RECOVERY_WINDOW_DAYS = 7;
+
+const reminderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+}, { _id: false });
+
+// A reminder email sent about an abandoned cart. Step 1 is the first
+// reminder and step 2 the follow-up, which may carry a coupon. The items
+// are the cart as it was when the email went out, so the link in it can
+// put them back.
+const cartReminderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true,
+  },
+  step: {
+    type: Number,
+    enum: [1, 2],
+    required: true,
+  },
+  // Names the reminder in the restore link
+  token: {
+    type: String,
+    required: true,
+    default: () => crypto.randomBytes(24).toString('hex'),
+  },
+  items: [reminderItemSchema],
+  couponCode: String,
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  clickedAt: Date,
+  recoveredAt: Date,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+});
+
+cartReminderSchema.index({ token: 1 }, { unique: true });
+cartReminderSchema.index({ cart: 1, sentAt: -1 });
+cartReminderSchema.index({ user: 1, sentAt: -1 });
+cartReminderSchema.index({ sentAt: -1 });
+
+// Credit an order to the latest reminder the customer got before it, if
+// that was recent enough and has not been credited already
+cartReminderSchema.statics.recordRecovery = async function(order) {
+  const since = new Date(order.createdAt.getTime() - RECOVERY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const reminder = await this.findOne({
+    user: order.user,
+    sentAt: { $gte: since, $lte: order.createdAt },
+  }).sort({ sentAt: -1 });
+  if (!reminder || reminder.recoveredAt) return null;
+
+  reminder.recoveredAt = order.createdAt;
+  reminder.order = order._id;
+  await reminder.save();
+  return reminder;
+};
+
+module.exports = mongoose.model('CartReminder', cartReminderSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  bannerImage: {
+    url: String,
+    renditions: {
+      thumbnail: String,
+      card: String,
+      detail: String,
+    },
+    alt: {
+      type: String,
+      default: '',
+    },
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+// Derive the slug from the name unless one was given explicitly
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+const byDisplayOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Ids of a category and everything nested below it
+categorySchema.statics.descendantIds = async function(categoryId) {
+  const categories = await this.find({}, { parent: 1 }).lean();
+  const ids = [categoryId.toString()];
+
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (category.parent && category.parent.toString() === ids[i]) {
+        ids.push(category._id.toString());
+      }
+    }
+  }
+
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+// Parent chain from the root down to (but excluding) the given category
+categorySchema.statics.ancestorsOf = async function(category) {
+  const ancestors = [];
+  let parentId = category.parent;
+
+  while (parentId && ancestors.length < 20) {
+    const parent = await this.findById(parentId, { name: 1, slug: 1, parent: 1 }).lean();
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+
+  return ancestors;
+};
+
+// All categories as a nested tree of { ...category, children: [] }
+categorySchema.statics.tree = async function() {
+  const categories = await this.find().lean();
+  const byId = new Map(categories.map((category) => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  for (const category of byId.values()) {
+    const parent = category.parent && byId.get(category.parent.toString());
+    (parent ? parent.children : roots).push(category);
+  }
+
+  const sortTree = (nodes) => {
+    nodes.sort(byDisplayOrder);
+    nodes.forEach((node) => sortTree(node.children));
+    return nodes;
+  };
+
+  return sortTree(roots);
+};
+
+module.exports = mongoose.model('Category', categorySchema);
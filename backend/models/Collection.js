@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const MAX_PRODUCT_LIMIT = 48;
+
+const SORT_ORDERS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  name_asc: { name: 1, _id: 1 },
+};
+
+// A named set of products for merchandising, e.g. "Summer Edit".
+// Manual collections list their products in order; rule-based ones pick
+// every visible product matching all the rules that are set.
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  type: {
+    type: String,
+    enum: ['manual', 'rule'],
+    default: 'manual',
+  },
+  // Manual collections: products in display order
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+  }],
+  rules: {
+    // Includes the category's subcategories
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    // Products with any of these tags
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+    }],
+    minPrice: Number,
+    maxPrice: Number,
+    sort: {
+      type: String,
+      enum: Object.keys(SORT_ORDERS),
+      default: 'newest',
+    },
+  },
+  // Most products shown wherever the collection is displayed
+  productLimit: {
+    type: Number,
+    default: 12,
+    min: 1,
+    max: MAX_PRODUCT_LIMIT,
+  },
+}, { timestamps: true });
+
+// Derive the slug from the name unless one was given explicitly
+collectionSchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  const { minPrice, maxPrice } = this.rules || {};
+  if (minPrice != null && maxPrice != null && maxPrice < minPrice) {
+    this.invalidate('rules.maxPrice', 'Maximum price must not be below the minimum price');
+  }
+  next();
+});
+
+// Visible products of the collection in display order, at most productLimit
+collectionSchema.methods.resolveProducts = async function() {
+  const Product = mongoose.model('Product');
+
+  if (this.type === 'manual') {
+    const products = await Product.find({ _id: { $in: this.products }, ...Product.visibleFilter() })
+      .presented()
+      .populate('category', 'name slug');
+    const byId = new Map(products.map((product) => [product._id.toString(), product]));
+    return this.products
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .slice(0, this.productLimit);
+  }
+
+  const { category, tags, minPrice, maxPrice, sort } = this.rules;
+  const conditions = [Product.visibleFilter()];
+  if (category) {
+    const categoryIds = await mongoose.model('Category').descendantIds(category);
+    conditions.push({ category: { $in: categoryIds } });
+  }
+  if (tags.length) {
+    conditions.push({ tags: { $in: tags } });
+  }
+  if (minPrice != null) conditions.push({ price: { $gte: minPrice } });
+  if (maxPrice != null) conditions.push({ price: { $lte: maxPrice } });
+
+  return Product.find({ $and: conditions })
+    .presented()
+    .populate('category', 'name slug')
+    .sort(SORT_ORDERS[sort] || SORT_ORDERS.newest)
+    .limit(this.productLimit);
+};
+
+module.exports = mongoose.model('Collection', collectionSchema);
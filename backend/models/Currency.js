@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A currency shoppers can see prices in besides the store's base currency
+// (BASE_CURRENCY). Prices are converted at `rate`, unless a product sets
+// its own price in the currency.
+const currencySchema = new mongoose.Schema({
+  // ISO 4217 code, e.g. EUR
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency codes have three letters'],
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Units of this currency per unit of the base currency
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'The exchange rate must be above zero'],
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+currencySchema.index({ code: 1 }, { unique: true });
+
+// The currency product prices, promotions and shipping rates are entered in
+currencySchema.statics.baseCode = function() {
+  return (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+};
+
+currencySchema.pre('validate', function(next) {
+  const base = this.constructor.baseCode();
+  if (this.code === base) {
+    this.invalidate('code', `${base} is the base currency`);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Currency', currencySchema);
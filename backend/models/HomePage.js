@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// One block of the storefront Home page, rendered top to bottom:
+// - hero: large heading with optional background image and call to action
+// - collection: a row of products from a collection
+// - banner: a full-width image linking somewhere, e.g. a category
+const sectionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['hero', 'collection', 'banner'],
+    required: true,
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  subtitle: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  image: {
+    url: String,
+    renditions: {
+      thumbnail: String,
+      card: String,
+      detail: String,
+    },
+    alt: {
+      type: String,
+      default: '',
+    },
+  },
+  // Store path such as '/category/dresses' or an absolute URL
+  link: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  linkLabel: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Named so it does not shadow Document#collection
+  productCollection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+  },
+});
+
+// The Home page layout; there is only ever one document
+const homePageSchema = new mongoose.Schema({
+  sections: [sectionSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+homePageSchema.pre('validate', function(next) {
+  for (const section of this.sections) {
+    if (section.type === 'collection' && !section.productCollection) {
+      this.invalidate('sections', 'Collection rows need a collection');
+      break;
+    }
+    if (section.type === 'banner' && !section.image?.url) {
+      this.invalidate('sections', 'Banners need an image');
+      break;
+    }
+  }
+  next();
+});
+
+// Layout used until an admin saves one, matching the original Home page
+homePageSchema.statics.defaultSections = function() {
+  return [
+    {
+      type: 'hero',
+      title: 'Welcome to TAUTY',
+      subtitle: 'Discover the latest fashion trends',
+    },
+  ];
+};
+
+// The saved layout document, or null if none has been saved yet
+homePageSchema.statics.current = function() {
+  return this.findOne().sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('HomePage', homePageSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One change to the stock of a product or one of its variants
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,  // _id of the product variant, if any
+  },
+  sku: String,
+  change: {
+    type: Number,  // signed quantity, negative when stock goes down
+    required: true,
+  },
+  stockAfter: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ['sale', 'adjustment', 'return', 'restock'],
+    required: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+}, { timestamps: true });
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+// Stock levels of a product keyed by variant id ('' for products without variants)
+inventoryMovementSchema.statics.snapshot = function(product) {
+  if (!product.variants.length) {
+    return new Map([['', { stock: product.stock, sku: product.sku }]]);
+  }
+  return new Map(product.variants.map((variant) => [
+    variant._id.toString(),
+    { variant: variant._id, sku: variant.sku, stock: variant.stock }
+  ]));
+};
+
+// Log every difference between a snapshot taken before a change and the
+// product's current stock. Removed variants are logged as going to zero.
+inventoryMovementSchema.statics.recordChanges = function(before, product, details) {
+  const after = this.snapshot(product);
+  const keys = new Set([...before.keys(), ...after.keys()]);
+
+  const movements = [];
+  for (const key of keys) {
+    const previous = before.get(key);
+    const current = after.get(key);
+    const change = (current ? current.stock : 0) - (previous ? previous.stock : 0);
+    if (!change) continue;
+
+    const level = current || previous;
+    movements.push({
+      product: product._id,
+      variant: level.variant,
+      sku: level.sku || product.sku,
+      change,
+      stockAfter: current ? current.stock : 0,
+      ...details
+    });
+  }
+
+  return movements.length ? this.insertMany(movements) : Promise.resolve([]);
+};
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -6,12 +6,37 @@ const orderSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Every amount on the order is in `currency`. Dividing by exchangeRate
+  // (units of currency per unit of baseCurrency when the order was placed)
+  // gives the amount in the store's base currency.
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+  },
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true,
     },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,  // _id of the product variant, if any
+    },
+    sku: String,
+    options: {
+      type: Map,
+      of: String,
+    },
     quantity: {
       type: Number,
       required: true,
@@ -21,11 +46,94 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
     },
+    // Taken off this line by line-level promotions
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    // Tax charged on this line, at taxRate percent of what was paid for it
+    taxClass: String,
+    taxRate: {
+      type: Number,
+      default: 0,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+    },
   }],
+  // Item prices times quantities, before discounts
+  subtotal: {
+    type: Number,
+  },
+  // Every promotion applied. Line-level amounts are also on the items;
+  // order-level ones come off the order as a whole.
+  discounts: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion',
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String,
+    },
+    level: {
+      type: String,
+      enum: ['line', 'order'],
+    },
+    amount: Number,
+  }],
+  discountTotal: {
+    type: Number,
+    default: 0,
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false,
+  },
+  // The method chosen at checkout, copied so later changes to the
+  // shipping zones do not alter past orders
+  shippingMethod: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingZone',
+    },
+    method: mongoose.Schema.Types.ObjectId,
+    code: String,
+    name: String,
+    deliveryEstimate: String,
+  },
+  shippingCost: {
+    type: Number,
+    default: 0,
+  },
+  shippingTax: {
+    type: Number,
+    default: 0,
+  },
+  // Tax on the items and shipping, with the amount per rate for receipts
+  taxTotal: {
+    type: Number,
+    default: 0,
+  },
+  taxes: [{
+    name: String,
+    rate: Number,
+    amount: Number,
+  }],
+  // Discounted subtotal plus shipping and tax
   totalAmount: {
     type: Number,
     required: true,
   },
+  // How the customer pays. Both are settled outside the store: in cash
+  // to the courier, or by bank transfer before the order ships.
+  paymentMethod: {
+    type: String,
+    enum: ['cash_on_delivery', 'bank_transfer'],
+    default: 'cash_on_delivery',
+  },
   status: {
     type: String,
     enum: ['pending', 'processing', 'shipped', 'delivered'],
@@ -40,4 +148,6 @@ const orderSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+orderSchema.index({ user: 1, 'discounts.promotion': 1 });
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One change to a stored price of a product or one of its variants
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,  // _id of the product variant, if any
+  },
+  field: {
+    type: String,
+    enum: ['price', 'compareAtPrice', 'salePrice'],
+    required: true,
+  },
+  oldValue: Number,  // null when the price was not set before
+  newValue: Number,  // null when the price was cleared
+  // Sale window in effect after the change, for salePrice entries
+  startsAt: Date,
+  endsAt: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { timestamps: true });
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+const toTime = (date) => (date ? new Date(date).getTime() : null);
+
+// Stored prices of a product keyed by '<variant id>:<field>'
+// ('' as the variant id for product-level prices)
+priceHistorySchema.statics.snapshot = function(product) {
+  const prices = new Map([
+    [':price', { field: 'price', value: product.price }],
+    [':compareAtPrice', { field: 'compareAtPrice', value: product.compareAtPrice }],
+    [':salePrice', {
+      field: 'salePrice',
+      value: product.sale?.price,
+      startsAt: product.sale?.startsAt,
+      endsAt: product.sale?.endsAt,
+    }],
+  ]);
+
+  for (const variant of product.variants) {
+    prices.set(`${variant._id}:price`, { variant: variant._id, field: 'price', value: variant.price });
+    prices.set(`${variant._id}:salePrice`, { variant: variant._id, field: 'salePrice', value: variant.salePrice });
+  }
+  return prices;
+};
+
+// Log every price that differs between a snapshot taken before a change
+// and the product as it is now. A new sale window counts as a change.
+priceHistorySchema.statics.recordChanges = function(before, product, details = {}) {
+  const after = this.snapshot(product);
+
+  const entries = [];
+  for (const [key, current] of after) {
+    const previous = before.get(key) || {};
+    const oldValue = previous.value ?? null;
+    const newValue = current.value ?? null;
+    const windowChanged = current.field === 'salePrice' && newValue != null &&
+      (toTime(previous.startsAt) !== toTime(current.startsAt) ||
+        toTime(previous.endsAt) !== toTime(current.endsAt));
+    if (oldValue === newValue && !windowChanged) continue;
+
+    entries.push({
+      product: product._id,
+      variant: current.variant,
+      field: current.field,
+      oldValue,
+      newValue,
+      startsAt: current.field === 'salePrice' ? current.startsAt : undefined,
+      endsAt: current.field === 'salePrice' ? current.endsAt : undefined,
+      ...details
+    });
+  }
+
+  return entries.length ? this.insertMany(entries) : Promise.resolve([]);
+};
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
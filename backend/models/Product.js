@@ -1,42 +1,640 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const Attribute = require('./Attribute');
+const StockReservation = require('./StockReservation');
+const { convert, enabledCurrencies } = require('../utils/currency');
 
-const productSchema = new mongoose.Schema({
+// Stock level at or below which a product needs restocking, unless the
+// product sets its own lowStockThreshold. Read lazily because server.js
+// loads the environment after requiring the models.
+const defaultLowStockThreshold = () => {
+  const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD, 10);
+  return threshold >= 0 ? threshold : 5;
+};
+
+// One gallery image; the array order on the product is the display order
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,  // original upload, e.g. '/uploads/1700000000-123.png'
+    required: true
+  },
+  contentType: {
+    type: String,  // e.g., 'image/jpeg', 'image/png'
+  },
+  renditions: {
+    thumbnail: String,
+    card: String,
+    detail: String
+  },
+  alt: {
+    type: String,
+    default: ''
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// An option type such as Size or Colour and the values it can take
+const optionSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
+    trim: true,
   },
-  description: {
+  values: [{
+    type: String,
+    trim: true,
+  }],
+}, { _id: false });
+
+// Value of one admin-defined attribute; `code` refers to Attribute.code
+const attributeValueSchema = new mongoose.Schema({
+  code: {
     type: String,
     required: true,
+    trim: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,  // String for text/enum, Number for number
+    required: true,
+  },
+}, { _id: false });
+
+// One purchasable combination of option values, e.g. { Size: 'M', Colour: 'Black' }
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true,
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {},
   },
   price: {
+    type: Number,  // optional override of the product price
+    min: 0,
+  },
+  // Price while the product sale is running; variants without their own
+  // price follow the product sale price instead
+  salePrice: {
+    type: Number,
+    min: 0,
+  },
+  stock: {
     type: Number,
     required: true,
+    default: 0,
+    min: 0,
   },
-  category: {
+});
+
+// Fields the JSON prices and available stock are worked out from
+const PRICING_PATHS = ['price', 'compareAtPrice', 'sale', 'priceOverrides'];
+const VARIANT_PRICING_PATHS = ['variants.price', 'variants.salePrice'];
+const STOCK_PATHS = ['stock', 'variants.stock'];
+
+const productSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true,
+    set: (value) => value || undefined,  // blank SKUs stay out of the unique index
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  // URL name, e.g. 'linen-shirt'; generated from the name when left blank
+  slug: {
+    type: String,
+    trim: true,
+    set: (value) => (value ? slugify(value) : undefined),
+  },
+  // Slugs the product was reachable under before, kept so old links redirect
+  previousSlugs: [String],
+  description: {
     type: String,
-    enum: ['men', 'women'],
     required: true,
   },
-  image: {
-    data: {
-      type: String,  // base64 encoded image data
-      required: true
+  price: {
+    type: Number,
+    required: true,
+  },
+  // Original price shown struck through next to a lower price
+  compareAtPrice: {
+    type: Number,
+    min: 0,
+  },
+  // Regular price in other currencies by code, e.g. { EUR: 49 }, instead of
+  // converting at the exchange rate. Also used by variants without their
+  // own price; sale prices are always converted.
+  priceOverrides: {
+    type: Map,
+    of: {
+      type: Number,
+      min: 0,
     },
-    contentType: {
-      type: String,  // e.g., 'image/jpeg', 'image/png'
-      required: true
+    default: undefined,
+  },
+  // Time-boxed sale; either date may be left open
+  sale: {
+    price: {
+      type: Number,
+      min: 0,
     },
-    alt: {
-      type: String,
-      default: ''
+    startsAt: Date,
+    endsAt: Date,
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true,
+  },
+  // Extra search keywords, e.g. 'linen', 'summer'
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+  }],
+  // Structured attributes used for filtering, e.g. brand, material, fit
+  attributes: [attributeValueSchema],
+  images: {
+    type: [imageSchema],
+    validate: {
+      validator: (images) => images.length > 0,
+      message: 'At least one image is required'
     }
   },
   stock: {
     type: Number,
     required: true,
     default: 0,
+  },
+  // Shipping weight in kilograms, for weight-based shipping rates
+  weight: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Which tax rates apply, e.g. 'reduced' for apparel taxed at a lower
+  // rate; classes without a rate for an address fall back to 'standard'
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'standard',
+  },
+  // Applies to each variant; null uses the store-wide default
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  // Lifecycle: only active products (and scheduled ones whose publishAt
+  // has passed) are shown in the store; archived ones replace deletion
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'scheduled', 'archived'],
+    default: 'active',
+  },
+  publishAt: Date,
+  unpublishAt: Date,
+  options: [optionSchema],
+  variants: [variantSchema],
+  // Aggregates of approved reviews, maintained by Review.updateProductRating
+  ratingAverage: {
+    type: Number,
+    default: 0,
+  },
+  ratingCount: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    // Send the current effective prices along with the stored ones (in
+    // every enabled currency too), and
+    // report as `stock` what is left once checkout holds are taken off.
+    // Either is left out when the product was loaded without the fields
+    // it is worked out from, e.g. populated with a few fields.
+    transform(doc, ret) {
+      if (typeof doc.pricing !== 'function') return ret;
+      const selected = (paths) => paths.every((path) => doc.isSelected(path));
+      const priced = selected(PRICING_PATHS);
+      const stocked = selected(STOCK_PATHS);
+      if (priced) ret.pricing = doc.pricingWithCurrencies();
+      if (stocked) {
+        ret.stockOnHand = doc.stock;
+        ret.stockReserved = doc.reservedFor();
+        ret.stock = doc.availableFor();
+      }
+      (ret.variants || []).forEach((variant, index) => {
+        const stored = doc.variants[index];
+        if (priced && selected(VARIANT_PRICING_PATHS)) {
+          variant.pricing = doc.pricingWithCurrencies(stored);
+        }
+        if (stocked) {
+          variant.stockOnHand = stored.stock;
+          variant.stockReserved = doc.reservedFor(stored);
+          variant.stock = doc.availableFor(stored);
+        }
+      });
+      return ret;
+    },
+  },
+});
+
+// Indexes backing the catalog listing filters and sort orders
+productSchema.index({ category: 1, price: 1 });
+productSchema.index({ createdAt: -1 });
+productSchema.index({ status: 1, publishAt: 1 });
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ slug: 1 }, { unique: true, sparse: true });
+productSchema.index({ previousSlugs: 1 });
+productSchema.index({ 'variants.sku': 1 }, { sparse: true });
+productSchema.index({ 'attributes.code': 1, 'attributes.value': 1 });
+
+// Remember the stored slug so a rename can keep the old one for redirects
+productSchema.post('init', function() {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Load how much of each product checkout reservations are holding, so
+// the stock the API reports is what shoppers can still buy, and the
+// currencies prices are shown in. This costs two queries, so it is only
+// done for products that are presented or whose available stock is
+// needed: pass them to Product.present, or query with .presented().
+const loadReservations = async (docs) => {
+  if (!docs.length) return;
+  const [reserved, currencies] = await Promise.all([
+    StockReservation.reservedQuantities(docs.map((doc) => doc._id)),
+    enabledCurrencies(),
+  ]);
+  docs.forEach((doc) => {
+    doc.$locals.reserved = reserved;
+    doc.$locals.currencies = currencies.slice(1);
+  });
+};
+
+// Resolves to the product or products given, ready to present
+productSchema.statics.present = async function(docs) {
+  await loadReservations([].concat(docs || []));
+  return docs;
+};
+
+// Product.find(...).presented() loads what Product.present does along
+// with the results
+productSchema.query.presented = function() {
+  this.$presented = true;
+  return this;
+};
+
+productSchema.post('find', async function(docs) {
+  if (!this.$presented || this.mongooseOptions().lean) return;
+  await loadReservations(docs);
+});
+
+productSchema.post('findOne', async function(doc) {
+  if (!doc || !this.$presented || this.mongooseOptions().lean) return;
+  await loadReservations([doc]);
+});
+
+// Ids of products with stock on hand that checkout holds take all of,
+// leaving none to buy, e.g. to leave them out of in-stock listings
+productSchema.statics.fullyReservedIds = async function() {
+  const held = await StockReservation.distinct('items.product', StockReservation.activeFilter());
+  if (!held.length) return [];
+
+  const [reserved, products] = await Promise.all([
+    StockReservation.reservedQuantities(held),
+    this.find({ _id: { $in: held } }).select('stock variants').lean(),
+  ]);
+  const available = (product, variant) =>
+    (variant || product).stock - (reserved.get(StockReservation.lineKey(product._id, variant?._id)) || 0);
+
+  return products
+    .filter((product) => (product.variants.length
+      ? product.variants.every((variant) => available(product, variant) <= 0)
+      : available(product) <= 0))
+    .map((product) => product._id);
+};
+
+// Generate a slug from the name, numbering it if another product has it
+// already; a slug typed by the admin must be free as given
+productSchema.pre('validate', async function() {
+  const Product = this.constructor;
+  const taken = (slug) => Product.exists({ slug, _id: { $ne: this._id } });
+
+  if (!this.slug && this.name) {
+    const base = slugify(this.name) || 'product';
+    let slug = base;
+    for (let n = 2; await taken(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    this.slug = slug;
+  } else if (this.isModified('slug') && this.slug && await taken(this.slug)) {
+    this.invalidate('slug', 'Slug is already used by another product');
+  }
+
+  const storedSlug = this.$locals.storedSlug;
+  if (storedSlug && storedSlug !== this.slug) {
+    if (!this.previousSlugs.includes(storedSlug)) {
+      this.previousSlugs.push(storedSlug);
+    }
+    this.previousSlugs.pull(this.slug);
+  }
+});
+
+// Find a product by id, current slug or a previous slug
+productSchema.statics.findByIdOrSlug = async function(value) {
+  if (mongoose.isValidObjectId(value)) {
+    const product = await this.findById(value);
+    if (product) return product;
+  }
+  return (await this.findOne({ slug: value })) ||
+    this.findOne({ previousSlugs: value }).sort({ updatedAt: -1 });
+};
+
+// A scheduled product needs to know when to go live
+productSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Scheduled products need a publish date');
+  }
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'Unpublish date must be after the publish date');
+  }
+  next();
+});
+
+productSchema.pre('validate', function(next) {
+  if (this.sale?.startsAt && this.sale?.endsAt && this.sale.endsAt <= this.sale.startsAt) {
+    this.invalidate('sale.endsAt', 'Sale end date must be after the start date');
+  }
+  next();
+});
+
+// Attribute values must belong to a defined attribute and fit its type;
+// blank values are dropped
+productSchema.pre('validate', async function() {
+  if (!this.isModified('attributes') || !this.attributes.length) return;
+
+  const codes = this.attributes.map((attribute) => attribute.code);
+  const definitions = await Attribute.find({ code: { $in: codes } });
+  const byCode = new Map(definitions.map((definition) => [definition.code, definition]));
+
+  const seen = new Set();
+  const values = [];
+  for (const { code, value } of this.attributes) {
+    const definition = byCode.get(code);
+    if (!definition) {
+      this.invalidate('attributes', `Unknown attribute ${code}`);
+      return;
+    }
+    if (seen.has(code)) {
+      this.invalidate('attributes', `${definition.name} is set more than once`);
+      return;
+    }
+    seen.add(code);
+
+    if (value === null || value === undefined || value === '') continue;
+    const stored = definition.coerce(value);
+    if (stored === undefined) {
+      this.invalidate('attributes', `Invalid ${definition.name} value ${value}`);
+      return;
+    }
+    values.push({ code, value: stored });
+  }
+  this.attributes = values;
+});
+
+// Exactly one image is primary; default to the first one
+productSchema.pre('validate', function(next) {
+  if (!this.images.length) return next();
+
+  const primaryIndex = this.images.findIndex((image) => image.isPrimary);
+  this.images.forEach((image, index) => {
+    image.isPrimary = index === Math.max(primaryIndex, 0);
+  });
+  next();
+});
+
+// Every variant must pick exactly one declared value for each option,
+// and no two variants may share the same combination
+productSchema.pre('validate', function(next) {
+  if (!this.variants.length) return next();
+
+  const seen = new Set();
+  for (const variant of this.variants) {
+    for (const option of this.options) {
+      const value = variant.options.get(option.name);
+      if (!value || !option.values.includes(value)) {
+        this.invalidate('variants', `Variant is missing a valid ${option.name} value`);
+        return next();
+      }
+    }
+    if (variant.options.size !== this.options.length) {
+      this.invalidate('variants', 'Variant has options that are not defined on the product');
+      return next();
+    }
+
+    const key = this.options.map((option) => variant.options.get(option.name)).join('/');
+    if (seen.has(key)) {
+      this.invalidate('variants', `Duplicate variant ${key}`);
+      return next();
+    }
+    seen.add(key);
   }
-}, { timestamps: true });
+
+  // Product-level stock is the total across all variants
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  next();
+});
+
+// Mongo filter matching products customers can currently see.
+// Products created before the lifecycle existed have no status and count as active.
+productSchema.statics.visibleFilter = function(now = new Date()) {
+  return {
+    $and: [
+      {
+        $or: [
+          { status: 'active' },
+          { status: { $exists: false } },
+          { status: 'scheduled', publishAt: { $lte: now } }
+        ]
+      },
+      {
+        $or: [
+          { unpublishAt: null },
+          { unpublishAt: { $gt: now } }
+        ]
+      }
+    ]
+  };
+};
+
+// Why a cart or wishlist line for `product` (null once it is gone) and
+// the variant chosen for it cannot be bought, or null when it can:
+// 'removed', 'unpublished' or 'variant_unavailable'
+productSchema.statics.unavailableReason = function(product, variantId, variant) {
+  if (!product) return 'removed';
+  if (!product.isVisible()) return 'unpublished';
+  if (variantId && !variant) return 'variant_unavailable';
+  return null;
+};
+
+// Mongo filter matching non-archived products where the product, or any of
+// its variants, is at or below its low-stock threshold
+productSchema.statics.lowStockFilter = function() {
+  const threshold = { $ifNull: ['$lowStockThreshold', defaultLowStockThreshold()] };
+  const variants = { $ifNull: ['$variants', []] };
+  return {
+    status: { $ne: 'archived' },
+    $expr: {
+      $or: [
+        { $and: [{ $eq: [{ $size: variants }, 0] }, { $lte: ['$stock', threshold] }] },
+        {
+          $anyElementTrue: [{
+            $map: { input: variants, as: 'variant', in: { $lte: ['$$variant.stock', threshold] } }
+          }]
+        }
+      ]
+    }
+  };
+};
+
+productSchema.methods.isVisible = function(now = new Date()) {
+  const live = !this.status || this.status === 'active' ||
+    (this.status === 'scheduled' && this.publishAt && this.publishAt <= now);
+  return Boolean(live) && (!this.unpublishAt || this.unpublishAt > now);
+};
+
+productSchema.methods.primaryImage = function() {
+  return this.images.find((image) => image.isPrimary) || this.images[0];
+};
+
+productSchema.methods.hasVariants = function() {
+  return this.variants.length > 0;
+};
+
+productSchema.methods.findVariant = function(variantId) {
+  if (!variantId) return null;
+  return this.variants.id(variantId);
+};
+
+productSchema.methods.isSaleActive = function(now = new Date()) {
+  const sale = this.sale;
+  return Boolean(sale && sale.price != null &&
+    (!sale.startsAt || sale.startsAt <= now) &&
+    (!sale.endsAt || sale.endsAt > now));
+};
+
+// The single place prices are worked out. Resolves the price a customer pays
+// for the product (or one of its variants) right now, plus the higher price
+// to show struck through when there is one. Prices are in the base
+// currency, or in `currency` (see utils/currency) when given.
+productSchema.methods.pricing = function(variant, now = new Date(), currency = null) {
+  const ownPrice = variant && variant.price != null;
+  const override = currency ? this.priceOverrides?.get(currency.code) : null;
+  const basePrice = !ownPrice && override != null
+    ? override
+    : convert(ownPrice ? variant.price : this.price, currency);
+
+  let salePrice = null;
+  if (this.isSaleActive(now)) {
+    if (!variant) {
+      salePrice = this.sale.price;
+    } else if (variant.salePrice != null) {
+      salePrice = variant.salePrice;
+    } else if (variant.price == null) {
+      salePrice = this.sale.price;
+    }
+  }
+  salePrice = convert(salePrice, currency);
+
+  const saleApplied = salePrice != null && salePrice < basePrice;
+  const price = saleApplied ? salePrice : basePrice;
+  const compareAtPrice = Math.max(saleApplied ? basePrice : 0, convert(this.compareAtPrice, currency) || 0);
+  const onSale = compareAtPrice > price;
+
+  return {
+    price,
+    compareAtPrice: onSale ? compareAtPrice : null,
+    onSale,
+    saleEndsAt: saleApplied ? this.sale.endsAt || null : null,
+  };
+};
+
+productSchema.methods.priceFor = function(variant, currency = null) {
+  return this.pricing(variant, new Date(), currency).price;
+};
+
+// The base currency price pricing() resolves for a product, as an
+// aggregation expression, so listings can filter and sort on what
+// customers pay. Keep the two in step.
+productSchema.statics.priceExpression = function(now = new Date()) {
+  const saleActive = {
+    $and: [
+      { $ne: [{ $ifNull: ['$sale.price', null] }, null] },
+      { $lte: [{ $ifNull: ['$sale.startsAt', null] }, now] },
+      {
+        $or: [
+          { $eq: [{ $ifNull: ['$sale.endsAt', null] }, null] },
+          { $gt: ['$sale.endsAt', now] }
+        ]
+      }
+    ]
+  };
+  return {
+    $cond: [{ $and: [saleActive, { $lt: ['$sale.price', '$price'] }] }, '$sale.price', '$price']
+  };
+};
+
+// Base currency pricing plus `currencies`: the price and compare-at price
+// in each currency loaded with the product, by code
+productSchema.methods.pricingWithCurrencies = function(variant) {
+  const now = new Date();
+  const currencies = this.$locals.currencies || [];
+  return {
+    ...this.pricing(variant, now),
+    currencies: Object.fromEntries(currencies.map((currency) => {
+      const { price, compareAtPrice } = this.pricing(variant, now, currency);
+      return [currency.code, { price, compareAtPrice }];
+    })),
+  };
+};
+
+productSchema.methods.stockFor = function(variant) {
+  return variant ? variant.stock : this.stock;
+};
+
+// Quantity held by checkout reservations. For a product with variants and
+// no variant given, the total held across its variants.
+productSchema.methods.reservedFor = function(variant) {
+  const reserved = this.$locals.reserved;
+  if (!reserved) return 0;
+  if (!variant && this.hasVariants()) {
+    return this.variants.reduce((sum, each) => sum + this.reservedFor(each), 0);
+  }
+  return reserved.get(StockReservation.lineKey(this._id, variant?._id)) || 0;
+};
+
+// Stock shoppers can still buy: on hand minus what is held
+productSchema.methods.availableFor = function(variant) {
+  if (!variant && this.hasVariants()) {
+    return this.variants.reduce((sum, each) => sum + this.availableFor(each), 0);
+  }
+  return Math.max(this.stockFor(variant) - this.reservedFor(variant), 0);
+};
+
+productSchema.methods.lowStockLimit = function() {
+  return this.lowStockThreshold != null ? this.lowStockThreshold : defaultLowStockThreshold();
+};
+
+productSchema.methods.isLowStock = function(variant) {
+  return this.stockFor(variant) <= this.lowStockLimit();
+};
 
 module.exports = mongoose.model('Product', productSchema);
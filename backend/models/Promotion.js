@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+
+// A discount rule. Promotions with a code apply once a customer enters it
+// (one code per order); promotions without one apply automatically to
+// every order that meets the conditions.
+//
+// - percentage: `value` percent off the eligible items
+// - fixed: `value` off the eligible items, at most their total
+// - free_shipping: the order ships for free
+// - buy_x_get_y: for every `buyQuantity` eligible items bought, the
+//   cheapest `getQuantity` more are `value` percent off (100 = free)
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: true,
+  },
+  value: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1,
+  },
+  getQuantity: {
+    type: Number,
+    min: 1,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  startsAt: Date,
+  endsAt: Date,
+  // Order subtotal needed, before any discount
+  minSubtotal: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Only items in these categories (or below them) count and are discounted;
+  // empty means every item
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  }],
+  firstOrderOnly: {
+    type: Boolean,
+    default: false,
+  },
+  // Orders that may use the promotion in total and per customer; empty is unlimited
+  usageLimit: {
+    type: Number,
+    min: 1,
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: 1,
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+promotionSchema.index({ code: 1 }, { unique: true, sparse: true });
+promotionSchema.index({ active: 1, code: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.code === '') this.code = undefined;
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'A percentage cannot be over 100');
+  }
+  if (this.type === 'buy_x_get_y') {
+    if (!this.buyQuantity || !this.getQuantity) {
+      this.invalidate('buyQuantity', 'Buy X get Y needs both quantities');
+    }
+    if (this.value > 100) {
+      this.invalidate('value', 'A percentage cannot be over 100');
+    }
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The end date must be after the start date');
+  }
+  next();
+});
+
+// Promotions that could apply right now: active, inside their date window
+// and not used up. `code` adds the promotion with that code to the
+// automatic ones.
+promotionSchema.statics.liveFilter = function(now = new Date()) {
+  return {
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }] },
+    ],
+  };
+};
+
+promotionSchema.methods.isLive = function(now = new Date()) {
+  return this.active &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.endsAt || this.endsAt > now) &&
+    (this.usageLimit == null || this.usageCount < this.usageLimit);
+};
+
+// Count one use of a promotion, unless its usage limit was reached
+// meanwhile. Resolves to whether the use was counted.
+promotionSchema.statics.claimUse = async function(promotionId) {
+  const claimed = await this.findOneAndUpdate(
+    {
+      _id: promotionId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }],
+    },
+    { $inc: { usageCount: 1 } }
+  );
+  return Boolean(claimed);
+};
+
+// Give back a use counted for an order that was not placed after all
+promotionSchema.statics.releaseUse = function(promotionId) {
+  return this.updateOne({ _id: promotionId, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+  },
+  // New and edited reviews wait for an admin before they are shown
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'pending',
+  },
+}, { timestamps: true });
+
+// One review per customer per product
+reviewSchema.index({ user: 1, product: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recompute the average rating and review count stored on the product
+// from its approved reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+      ratingCount: stats ? stats.count : 0,
+    }
+  );
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// One bracket of a weight- or subtotal-based rate table: orders from `min`
+// up to (but excluding) `max` cost `price`. An empty max is open-ended.
+const rateSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  max: {
+    type: Number,
+    min: 0,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+// A way of shipping to the zone, e.g. Standard or Express.
+// - flat: every order costs flatRate
+// - weight: priced by total weight (kg) from the rate table
+// - subtotal: priced by order value after discounts from the rate table
+// Orders worth freeAbove or more ship free with any rate type.
+const shippingMethodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // Shown to customers, e.g. "3-5 business days"
+  deliveryEstimate: {
+    type: String,
+    default: '',
+  },
+  rateType: {
+    type: String,
+    enum: ['flat', 'weight', 'subtotal'],
+    default: 'flat',
+  },
+  flatRate: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  rates: [rateSchema],
+  freeAbove: {
+    type: Number,
+    min: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Price of a method for an order of the given weight and subtotal, or
+// null when no rate bracket covers the order
+shippingMethodSchema.methods.priceFor = function({ weight, subtotal }) {
+  if (this.freeAbove != null && subtotal >= this.freeAbove) return 0;
+  if (this.rateType === 'flat') return this.flatRate;
+
+  const measure = this.rateType === 'weight' ? weight : subtotal;
+  const rate = this.rates.find((bracket) =>
+    measure >= (bracket.min || 0) && (bracket.max == null || measure < bracket.max)
+  );
+  return rate ? rate.price : null;
+};
+
+// Where the store ships and how. A zone covers the listed countries (ISO
+// codes), optionally narrowed to some of their regions; a zone without
+// countries covers everywhere no other zone does.
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  countries: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+  }],
+  // State, province or region codes; empty means the whole of each country
+  regions: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+  }],
+  methods: [shippingMethodSchema],
+}, { timestamps: true });
+
+shippingZoneSchema.index({ countries: 1 });
+
+// Method codes must be unique within a zone, and rate tables need brackets
+shippingZoneSchema.pre('validate', function(next) {
+  const codes = new Set();
+  for (const method of this.methods) {
+    if (codes.has(method.code)) {
+      this.invalidate('methods', `Duplicate shipping method ${method.code}`);
+      return next();
+    }
+    codes.add(method.code);
+    if (method.rateType !== 'flat' && !method.rates.length) {
+      this.invalidate('methods', `${method.name} needs at least one rate`);
+      return next();
+    }
+  }
+  next();
+});
+
+// The zone shipping to an address: one naming its region beats one
+// covering the whole country, which beats the rest-of-world zone
+shippingZoneSchema.statics.forAddress = async function(address) {
+  const { country, state } = address || {};
+  const code = typeof country === 'string' ? country.trim().toUpperCase() : '';
+  const region = typeof state === 'string' ? state.trim().toUpperCase() : '';
+  if (!code) return null;
+
+  const zones = await this.find({ $or: [{ countries: code }, { countries: { $size: 0 } }] });
+  return zones.find((zone) => zone.countries.includes(code) && region && zone.regions.includes(region)) ||
+    zones.find((zone) => zone.countries.includes(code) && !zone.regions.length) ||
+    zones.find((zone) => !zone.countries.length) ||
+    null;
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
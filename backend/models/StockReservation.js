@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+// How long checkout holds stock. Read lazily because server.js loads the
+// environment after requiring the models.
+const holdMinutes = () => {
+  const minutes = parseInt(process.env.RESERVATION_MINUTES, 10);
+  return minutes > 0 ? minutes : 15;
+};
+
+const reservedItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,  // _id of the product variant, if any
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+}, { _id: false });
+
+// Stock set aside for one shopper while they check out. A hold counts
+// against available stock until it expires or its order is placed.
+const stockReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  items: [reservedItemSchema],
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: true });
+
+// MongoDB deletes holds about a minute after they expire; until then
+// every query skips them by expiresAt
+stockReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+stockReservationSchema.index({ 'items.product': 1, expiresAt: 1 });
+stockReservationSchema.index({ user: 1 });
+
+// Key of a product or product variant in reserved quantity maps
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+stockReservationSchema.statics.lineKey = lineKey;
+
+// Filter matching holds that have not expired yet
+stockReservationSchema.statics.activeFilter = function(now = new Date()) {
+  return { expiresAt: { $gt: now } };
+};
+
+// Quantities held by unexpired reservations of the given products, keyed
+// by lineKey. `exceptUser` leaves out that shopper's own hold.
+stockReservationSchema.statics.reservedQuantities = async function(productIds, { exceptUser } = {}) {
+  if (!productIds.length) return new Map();
+
+  const ids = productIds.map((id) => new mongoose.Types.ObjectId(id));
+  const match = { 'items.product': { $in: ids }, ...this.activeFilter() };
+  if (exceptUser) match.user = { $ne: new mongoose.Types.ObjectId(exceptUser) };
+
+  const rows = await this.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: ids } } },
+    {
+      $group: {
+        _id: { product: '$items.product', variant: '$items.variant' },
+        quantity: { $sum: '$items.quantity' },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [lineKey(row._id.product, row._id.variant), row.quantity]));
+};
+
+// The shopper's unexpired hold, if any
+stockReservationSchema.statics.currentFor = function(userId) {
+  return this.findOne({ user: userId, ...this.activeFilter() });
+};
+
+// Quantity of a product or product variant this hold covers
+stockReservationSchema.methods.quantityFor = function(productId, variantId) {
+  const key = lineKey(productId, variantId);
+  return this.items
+    .filter((item) => lineKey(item.product, item.variant) === key)
+    .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+// Whether this hold is for exactly the requested { productId, variantId,
+// quantity } items, repeats of an item added up
+stockReservationSchema.methods.coversExactly = function(items) {
+  if (!Array.isArray(items)) return false;
+  const requested = new Map();
+  for (const item of items) {
+    const key = lineKey(item.productId, item.variantId);
+    requested.set(key, (requested.get(key) || 0) + Number(item.quantity));
+  }
+  const held = new Map();
+  for (const item of this.items) {
+    const key = lineKey(item.product, item.variant);
+    held.set(key, (held.get(key) || 0) + item.quantity);
+  }
+  return requested.size === held.size &&
+    [...requested].every(([key, quantity]) => held.get(key) === quantity);
+};
+
+// Hold stock for `lines` ([{ product, variant, quantity }] with product and
+// variant documents) on behalf of a shopper, replacing any hold they had.
+// Either every line is held or none is: the hold is written first and
+// withdrawn if, counting every hold including this one, some line would
+// exceed the stock on hand. Of two shoppers racing for the last unit at
+// least one always sees the other's hold, so stock is never oversold.
+// Holds are read before stock because orders take stock before deleting
+// their hold; the other way round a placed order could be missed by both.
+// Rejects with an InsufficientStockError whose `lines` are the short lines,
+// each with the quantity still `available` and the `reason`.
+stockReservationSchema.statics.hold = async function(userId, lines) {
+  const Product = mongoose.model('Product');
+  await this.deleteMany({ user: userId });
+
+  const reservation = await this.create({
+    user: userId,
+    items: lines.map((line) => ({
+      product: line.product._id,
+      variant: line.variant?._id,
+      quantity: line.quantity,
+    })),
+    expiresAt: new Date(Date.now() + holdMinutes() * 60 * 1000),
+  });
+
+  const productIds = lines.map((line) => line.product._id);
+  const reserved = await this.reservedQuantities(productIds);
+  const onHand = new Map();
+  const products = await Product.find({ _id: { $in: productIds } }).select('stock variants').lean();
+  for (const product of products) {
+    onHand.set(lineKey(product._id), product.stock);
+    (product.variants || []).forEach((variant) => onHand.set(lineKey(product._id, variant._id), variant.stock));
+  }
+
+  const short = [];
+  for (const line of lines) {
+    const key = lineKey(line.product._id, line.variant?._id);
+    const stock = onHand.get(key) || 0;
+    if (reserved.get(key) > stock) {
+      const heldByOthers = reserved.get(key) - line.quantity;
+      const available = Math.max(stock - heldByOthers, 0);
+      short.push({ ...line, available, reason: available > 0 ? 'insufficient_stock' : 'out_of_stock' });
+    }
+  }
+
+  if (short.length) {
+    await reservation.deleteOne();
+    const error = new Error(short.map((line) => (line.available > 0
+      ? `Only ${line.available} left of ${line.product.name}`
+      : `${line.product.name} is out of stock`
+    )).join('. '));
+    error.name = 'InsufficientStockError';
+    error.lines = short;
+    throw error;
+  }
+
+  return reservation;
+};
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
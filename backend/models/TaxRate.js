@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const STANDARD_CLASS = 'standard';
+
+// A tax rate for one tax class in a country, optionally narrowed to a
+// region and to postal codes starting with a prefix. For each item the
+// most specific matching rate of its class applies; see `specificity`.
+const taxRateSchema = new mongoose.Schema({
+  // Shown to customers, e.g. "CA Sales Tax"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  // State, province or region code; empty means the whole country
+  region: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+  },
+  // Postal codes starting with this, e.g. "100" for New York City;
+  // empty means every postal code
+  postalPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+  },
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: STANDARD_CLASS,
+  },
+  // Percentage, e.g. 7.25
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  // Whether shipping is taxed too, at this rate. Only read on standard rates.
+  includeShipping: {
+    type: Boolean,
+    default: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, { timestamps: true });
+
+taxRateSchema.index({ country: 1, taxClass: 1 });
+
+// How closely a rate targets an address: a postal prefix beats a region,
+// which beats the whole country, and longer prefixes beat shorter ones
+taxRateSchema.methods.specificity = function() {
+  return (this.postalPrefix ? 100 + this.postalPrefix.length : 0) + (this.region ? 10 : 0);
+};
+
+// Active rates covering an address ({ country, state, zipCode }), most
+// specific first
+taxRateSchema.statics.forAddress = async function(address) {
+  const { country, state, zipCode } = address || {};
+  const code = typeof country === 'string' ? country.trim().toUpperCase() : '';
+  if (!code) return [];
+  const region = typeof state === 'string' ? state.trim().toUpperCase() : '';
+  const postalCode = typeof zipCode === 'string' ? zipCode.replace(/\s+/g, '').toUpperCase() : '';
+
+  const rates = await this.find({ active: true, country: code, region: { $in: ['', region] } });
+  return rates
+    .filter((rate) => !rate.postalPrefix || postalCode.startsWith(rate.postalPrefix.replace(/\s+/g, '')))
+    .sort((a, b) => b.specificity() - a.specificity());
+};
+
+taxRateSchema.statics.STANDARD_CLASS = STANDARD_CLASS;
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
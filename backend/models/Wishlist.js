@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,  // _id of the product variant, if one was chosen
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Products a signed-in customer has bookmarked or saved for later
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  items: [wishlistItemSchema],
+}, { timestamps: true });
+
+const sameItem = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variant || '') === String(variantId || '');
+
+wishlistSchema.methods.findItem = function(productId, variantId) {
+  return this.items.find((item) => sameItem(item, productId, variantId));
+};
+
+// Add a product (or variant) unless it is on the list already
+wishlistSchema.methods.addItem = function(productId, variantId, addedAt) {
+  const existing = this.findItem(productId, variantId);
+  if (existing) return existing;
+  this.items.push({ product: productId, variant: variantId || undefined, addedAt });
+  return this.items[this.items.length - 1];
+};
+
+// Wishlist items ({ _id?, product, variant, addedAt }) with the current
+// product details, price and stock, newest first. Items stay on the list
+// when they can no longer be bought and are flagged instead:
+// - unavailable: the product or variant was removed or unpublished
+// - out_of_stock: nothing left
+wishlistSchema.statics.presentItems = async function(items) {
+  const Product = mongoose.model('Product');
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } })
+    .presented()
+    .populate('category', 'name slug');
+  const byId = new Map(products.map((product) => [product._id.toString(), product]));
+
+  const presented = items.map((item) => {
+    const product = byId.get(item.product.toString());
+    const variant = product && product.findVariant(item.variant);
+    const line = {
+      _id: item._id,
+      productId: item.product,
+      variantId: item.variant || null,
+      addedAt: item.addedAt,
+    };
+
+    // Nothing of a product shoppers cannot see is given away, as the
+    // preview is open to anyone
+    const reason = Product.unavailableReason(product, item.variant, variant);
+    if (reason) {
+      return { ...line, product: null, variant: null, price: 0, stock: 0, status: 'unavailable', reason };
+    }
+
+    const stock = product.availableFor(variant);
+    return {
+      ...line,
+      product,
+      variant: variant || null,
+      price: product.priceFor(variant),
+      stock,
+      status: stock > 0 ? 'available' : 'out_of_stock',
+    };
+  });
+
+  presented.sort((a, b) => new Date(b.addedAt || 0) - new Date(a.addedAt || 0));
+  return { items: presented };
+};
+
+wishlistSchema.methods.present = function() {
+  return this.constructor.presentItems(this.items);
+};
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { sendCartReminders, abandonmentStats } = require('../utils/abandonedCarts');
+
+// Abandoned carts right now and how reminder emails performed (admin only)
+// Query: days? = 30
+router.get('/stats', [auth, admin], async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10);
+    res.json(await abandonmentStats({ days: days > 0 ? Math.min(days, 365) : 30 }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching abandoned cart stats' });
+  }
+});
+
+// Send the reminders that are due now instead of waiting for the schedule (admin only)
+router.post('/run', [auth, admin], async (req, res) => {
+  try {
+    res.json(await sendCartReminders());
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending cart reminders' });
+  }
+});
+
+module.exports = router;
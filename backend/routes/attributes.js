@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const Attribute = require('../models/Attribute');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// Pick the editable fields from a request body; the code is only
+// accepted when creating an attribute
+const attributeFields = (body, isNew) => {
+  const fields = {};
+  ['name', 'type', 'unit', 'filterable', 'sortOrder'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (Array.isArray(body.values)) fields.values = body.values;
+  if (isNew && body.code) fields.code = body.code;
+  return fields;
+};
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'An attribute with this code already exists' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Get all attribute definitions in display order
+router.get('/', async (req, res) => {
+  try {
+    res.json(await Attribute.ordered());
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching attributes' });
+  }
+});
+
+// Create attribute (admin only)
+router.post('/', [auth, admin], async (req, res) => {
+  try {
+    const attribute = new Attribute(attributeFields(req.body, true));
+    await attribute.save();
+    res.status(201).json(attribute);
+  } catch (error) {
+    handleSaveError(error, res, 'Error creating attribute');
+  }
+});
+
+// Update attribute (admin only)
+// Changing the type does not convert values already stored on products
+router.put('/:id', [auth, admin], async (req, res) => {
+  try {
+    const attribute = await Attribute.findById(req.params.id);
+    if (!attribute) {
+      return res.status(404).json({ message: 'Attribute not found' });
+    }
+
+    attribute.set(attributeFields(req.body, false));
+    await attribute.save();
+    res.json(attribute);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating attribute');
+  }
+});
+
+// Delete attribute (admin only); its values are removed from every product
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const attribute = await Attribute.findById(req.params.id);
+    if (!attribute) {
+      return res.status(404).json({ message: 'Attribute not found' });
+    }
+
+    const { modifiedCount } = await Product.updateMany(
+      { 'attributes.code': attribute.code },
+      { $pull: { attributes: { code: attribute.code } } }
+    );
+    await attribute.deleteOne();
+    res.json({ message: 'Attribute deleted', productsUpdated: modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting attribute' });
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,270 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
 const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const StockReservation = require('../models/StockReservation');
+const CartReminder = require('../models/CartReminder');
+const { applyPromotions } = require('../utils/promotions');
+const { quoteShipping } = require('../utils/shipping');
+const { calculateTax } = require('../utils/tax');
+const { resolveCurrency } = require('../utils/currency');
 
-// Get cart (from localStorage, we'll just validate products)
-router.post('/validate', auth, async (req, res) => {
+// Guests name their cart with the token returned when it was created
+const CART_TOKEN_HEADER = 'X-Cart-Token';
+
+// The signed-in user's cart or the guest cart named by the token header;
+// with `create`, an empty cart is started when there is none
+const findCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    return cart || (create ? new Cart({ user: req.user._id }) : null);
+  }
+
+  const token = req.header(CART_TOKEN_HEADER);
+  const cart = token ? await Cart.findOne({ token }) : null;
+  return cart || (create ? new Cart({ token: Cart.newToken() }) : null);
+};
+
+// Respond with the cart contents; guests also get their cart token
+const sendCart = async (res, cart, status = 200) => {
+  const contents = cart ? await cart.present() : { items: [], total: 0, count: 0 };
+  res.status(status).json({ token: cart?.token, ...contents });
+};
+
+// Stock the shopper can still have: what nobody holds at checkout plus
+// whatever they hold themselves
+const stockLeftFor = async (req, product, variant) => {
+  const hold = req.user && await StockReservation.currentFor(req.user._id);
+  return product.availableFor(variant) + (hold ? hold.quantityFor(product._id, variant?._id) : 0);
+};
+
+const parseQuantity = (value, min) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= min ? quantity : null;
+};
+
+// Get the current cart
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const cartItems = req.body.items;
-    const validatedItems = [];
+    await sendCart(res, await findCart(req));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching cart' });
+  }
+});
 
-    for (const item of cartItems) {
-      const product = await Product.findById(item.productId);
-      if (product && product.stock >= item.quantity) {
-        validatedItems.push({
-          product,
-          quantity: item.quantity,
-          total: product.price * item.quantity
+// Add a product (or one of its variants) to the cart
+// Body: { productId, variantId?, quantity? = 1 }
+router.post('/items', optionalAuth, async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const quantity = parseQuantity(req.body.quantity ?? 1, 1);
+    if (!quantity) {
+      return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+    }
+
+    const product = mongoose.isValidObjectId(productId) && await Product.findById(productId).presented();
+    const variant = product && product.findVariant(variantId);
+    if (!product || !product.isVisible() || (product.hasVariants() && !variant) || (variantId && !variant)) {
+      return res.status(400).json({ message: 'Invalid product or variant' });
+    }
+
+    const cart = await findCart(req, { create: true });
+    const inCart = cart.findLine(product._id, variant?._id)?.quantity || 0;
+    const stock = await stockLeftFor(req, product, variant);
+    if (inCart + quantity > stock) {
+      return res.status(400).json({
+        message: stock > 0 ? `Only ${stock} left in stock` : 'This item is out of stock'
+      });
+    }
+
+    const isNew = cart.isNew;
+    cart.addItem(product._id, variant?._id, quantity);
+    await cart.save();
+    await sendCart(res, cart, isNew ? 201 : 200);
+  } catch (error) {
+    res.status(500).json({ message: 'Error adding to cart' });
+  }
+});
+
+// Change the quantity of a cart line; lowering it is always allowed so
+// shoppers can bring a line back within the stock left
+router.patch('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    const quantity = parseQuantity(req.body.quantity, 1);
+    if (!quantity) {
+      return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+    }
+
+    if (quantity > item.quantity) {
+      const product = await Product.findById(item.product).presented();
+      const variant = product && product.findVariant(item.variant);
+      const stock = product ? await stockLeftFor(req, product, variant) : 0;
+      if (quantity > stock) {
+        return res.status(400).json({
+          message: stock > 0 ? `Only ${stock} left in stock` : 'This item is out of stock'
         });
       }
     }
 
-    const total = validatedItems.reduce((sum, item) => sum + item.total, 0);
-    res.json({ items: validatedItems, total });
+    item.quantity = quantity;
+    await cart.save();
+    await sendCart(res, cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating cart' });
+  }
+});
+
+// Remove a line from the cart
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (!cart || !cart.items.id(req.params.itemId)) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    cart.items.pull(req.params.itemId);
+    await cart.save();
+    await sendCart(res, cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating cart' });
+  }
+});
+
+// Empty the cart
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+    await sendCart(res, cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error clearing cart' });
+  }
+});
+
+// Move a guest cart into the signed-in user's cart, e.g. right after login
+// Body: { token }
+router.post('/merge', auth, async (req, res) => {
+  try {
+    const guestCart = typeof req.body.token === 'string' && req.body.token
+      ? await Cart.findOne({ token: req.body.token })
+      : null;
+    const cart = await findCart(req, { create: true });
+
+    if (guestCart) {
+      cart.mergeFrom(guestCart);
+      await cart.save();
+      await guestCart.deleteOne();
+    }
+    await sendCart(res, cart.isNew ? null : cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error merging carts' });
+  }
+});
+
+// Put back the items from a reminder email's link into the customer's cart
+// Body: { token }
+router.post('/restore', auth, async (req, res) => {
+  try {
+    const reminder = typeof req.body.token === 'string' && req.body.token
+      ? await CartReminder.findOne({ token: req.body.token })
+      : null;
+    if (!reminder) {
+      return res.status(404).json({ message: 'This link is no longer valid' });
+    }
+    if (!reminder.user.equals(req.user._id)) {
+      return res.status(403).json({ message: 'This link belongs to another account' });
+    }
+
+    const cart = await findCart(req, { create: true });
+    cart.restoreItems(reminder.items);
+    await cart.save();
+
+    if (!reminder.clickedAt) {
+      reminder.clickedAt = new Date();
+      await reminder.save();
+    }
+    await sendCart(res, cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error restoring cart' });
+  }
+});
+
+// Check a list of { productId, variantId, quantity } against current stock
+// and prices, and work out the promotions that apply. Items that cannot be
+// bought are left out. Guests see automatic promotions and codes, except
+// those tied to a customer's order history. Tax is worked out once an
+// address is given, on shipping too when a shipping method is chosen;
+// `taxCalculated` says whether it was. Amounts are in the requested
+// currency, the base currency by default.
+// Body: { items, couponCode?, currency?, address?: { country, state?, zipCode? }, shippingMethodId? }
+router.post('/validate', optionalAuth, async (req, res) => {
+  try {
+    const currency = await resolveCurrency(req.body.currency);
+    if (!currency) {
+      return res.status(400).json({ message: 'Currency not supported' });
+    }
+
+    const cartItems = Array.isArray(req.body.items) ? req.body.items : [];
+    const lines = [];
+
+    for (const item of cartItems) {
+      const product = mongoose.isValidObjectId(item.productId) && await Product.findById(item.productId).presented();
+      if (!product || !product.isVisible()) continue;
+
+      // Products with variants can only be bought as a specific variant,
+      // and a variant has to be one of the product's, as for POST /items
+      const variant = product.findVariant(item.variantId);
+      if ((product.hasVariants() && !variant) || (item.variantId && !variant)) continue;
+
+      const quantity = parseQuantity(item.quantity, 1);
+      if (quantity && await stockLeftFor(req, product, variant) >= quantity) {
+        lines.push({ product, variant, quantity });
+      }
+    }
+
+    const pricing = await applyPromotions(lines, { user: req.user, code: req.body.couponCode, currency });
+
+    const { address, shippingMethodId } = req.body;
+    let tax = { items: [], shippingTax: 0, taxTotal: 0, taxes: [] };
+    if (address?.country && lines.length) {
+      let shippingCost = 0;
+      if (shippingMethodId) {
+        const quote = await quoteShipping(lines, pricing, address, currency);
+        const shipping = quote.methods.find((method) => String(method._id) === String(shippingMethodId));
+        shippingCost = shipping ? shipping.price : 0;
+      }
+      tax = await calculateTax(pricing, address, { shippingCost });
+    }
+
+    res.json({
+      ...pricing,
+      currency: currency.code,
+      items: pricing.items.map(({ product, variant, quantity, price, discount, total }, index) => ({
+        product,
+        variant,
+        quantity,
+        price,
+        discount,
+        total,
+        tax: tax.items[index]?.tax || 0
+      })),
+      taxCalculated: Boolean(address?.country),
+      shippingTax: tax.shippingTax,
+      taxTotal: tax.taxTotal,
+      taxes: tax.taxes
+    });
   } catch (error) {
     res.status(500).json({ message: 'Error validating cart' });
   }
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const csv = require('../utils/csv');
+const { exportCatalog, importCatalog } = require('../utils/catalogImport');
+
+// CSV uploads are parsed in memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Export the whole catalog as CSV (admin only)
+router.get('/export', [auth, admin], async (req, res) => {
+  try {
+    const data = await exportCatalog();
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="tauty-products-${date}.csv"`);
+    res.send(data);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting products' });
+  }
+});
+
+// Import products from a CSV file (admin only)
+// Accepts multipart/form-data with a 'file' field; ?dryRun=true validates
+// every row and reports what would change without saving anything
+router.post('/import', [auth, admin], (req, res) => {
+  csvUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ message: uploadError.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'CSV file is required' });
+    }
+
+    try {
+      const rows = csv.parse(req.file.buffer.toString('utf8'));
+      if (!rows.length) {
+        return res.status(400).json({ message: 'The CSV file has no product rows' });
+      }
+
+      const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+      const result = await importCatalog(rows, { dryRun, user: req.user });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ message: 'Error importing products' });
+    }
+  });
+});
+
+module.exports = router;
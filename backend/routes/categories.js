@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const slugify = require('../utils/slugify');
+const { isStoredImage } = require('../utils/imageStorage');
+
+// Pick the editable fields from a request body
+const categoryFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'sortOrder'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.slug !== undefined) fields.slug = slugify(body.slug);
+  if (body.parent !== undefined) fields.parent = body.parent || null;
+  if (body.bannerImage !== undefined) {
+    fields.bannerImage = body.bannerImage
+      ? {
+          url: body.bannerImage.url,
+          renditions: body.bannerImage.renditions,
+          alt: body.bannerImage.alt || body.name || '',
+        }
+      : undefined;
+  }
+  return fields;
+};
+
+// Reject banner images we did not store and parents that would create a cycle
+const validateCategory = async (fields, categoryId) => {
+  if (fields.bannerImage && !isStoredImage(fields.bannerImage)) {
+    return 'Invalid banner image';
+  }
+  if (fields.parent) {
+    if (!mongoose.isValidObjectId(fields.parent) || !(await Category.exists({ _id: fields.parent }))) {
+      return 'Parent category not found';
+    }
+    if (categoryId) {
+      const descendants = await Category.descendantIds(categoryId);
+      if (descendants.some((id) => id.equals(fields.parent))) {
+        return 'A category cannot be nested inside itself';
+      }
+    }
+  }
+  return null;
+};
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A category with this slug already exists' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Get the full category tree
+router.get('/', async (req, res) => {
+  try {
+    const tree = await Category.tree();
+    res.json(tree);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching categories' });
+  }
+});
+
+// Get a single category by slug, with breadcrumbs and direct children
+router.get('/:slug', async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug }).lean();
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      Category.ancestorsOf(category),
+      Category.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 }).lean()
+    ]);
+
+    res.json({ ...category, ancestors, children });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching category' });
+  }
+});
+
+// Create category (admin only)
+router.post('/', [auth, admin], async (req, res) => {
+  try {
+    const fields = categoryFields(req.body);
+    const validationError = await validateCategory(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const category = new Category(fields);
+    await category.save();
+    res.status(201).json(category);
+  } catch (error) {
+    handleSaveError(error, res, 'Error creating category');
+  }
+});
+
+// Update category (admin only)
+router.put('/:id', [auth, admin], async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const fields = categoryFields(req.body);
+    const validationError = await validateCategory(fields, category._id);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    category.set(fields);
+    await category.save();
+    res.json(category);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating category');
+  }
+});
+
+// Delete category (admin only)
+// Only empty leaf categories can be removed, so products are never orphaned
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [hasChildren, hasProducts] = await Promise.all([
+      Category.exists({ parent: category._id }),
+      Product.exists({ category: category._id })
+    ]);
+    if (hasChildren) {
+      return res.status(400).json({ message: 'Move or delete the subcategories first' });
+    }
+    if (hasProducts) {
+      return res.status(400).json({ message: 'Move the products in this category first' });
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting category' });
+  }
+});
+
+module.exports = router;
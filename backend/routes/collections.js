@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Category = require('../models/Category');
+const HomePage = require('../models/HomePage');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const slugify = require('../utils/slugify');
+
+// Pick the editable fields from a request body
+const collectionFields = (body) => {
+  const fields = {};
+  ['name', 'description', 'type', 'productLimit'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.slug !== undefined) fields.slug = slugify(body.slug);
+  if (Array.isArray(body.products)) fields.products = body.products;
+  if (body.rules !== undefined) {
+    const rules = body.rules || {};
+    fields.rules = {
+      category: rules.category || null,
+      tags: Array.isArray(rules.tags) ? rules.tags : [],
+      minPrice: rules.minPrice ?? undefined,
+      maxPrice: rules.maxPrice ?? undefined,
+      sort: rules.sort || 'newest',
+    };
+  }
+  return fields;
+};
+
+// Reject unknown product ids and rule categories
+const validateCollection = async (fields) => {
+  if (fields.products && !fields.products.every((id) => mongoose.isValidObjectId(id))) {
+    return 'Invalid product in collection';
+  }
+  const category = fields.rules?.category;
+  if (category && (!mongoose.isValidObjectId(category) || !(await Category.exists({ _id: category })))) {
+    return 'Category not found';
+  }
+  return null;
+};
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A collection with this slug already exists' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Get all collections (admin only)
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const collections = await Collection.find()
+      .populate('products', 'name slug images price')
+      .sort({ name: 1 });
+    res.json(collections);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching collections' });
+  }
+});
+
+// Get a collection by slug with its visible products
+router.get('/:slug', async (req, res) => {
+  try {
+    const collection = await Collection.findOne({ slug: req.params.slug });
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const products = await collection.resolveProducts();
+    res.json({
+      _id: collection._id,
+      name: collection.name,
+      slug: collection.slug,
+      description: collection.description,
+      products
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching collection' });
+  }
+});
+
+// Create collection (admin only)
+router.post('/', [auth, admin], async (req, res) => {
+  try {
+    const fields = collectionFields(req.body);
+    const validationError = await validateCollection(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const collection = new Collection(fields);
+    await collection.save();
+    res.status(201).json(collection);
+  } catch (error) {
+    handleSaveError(error, res, 'Error creating collection');
+  }
+});
+
+// Update collection (admin only)
+router.put('/:id', [auth, admin], async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const fields = collectionFields(req.body);
+    const validationError = await validateCollection(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    collection.set(fields);
+    await collection.save();
+    res.json(collection);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating collection');
+  }
+});
+
+// Delete collection (admin only)
+// Collections shown on the Home page have to be taken off it first
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const collection = await Collection.findById(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    if (await HomePage.exists({ 'sections.productCollection': collection._id })) {
+      return res.status(400).json({ message: 'Remove this collection from the Home page first' });
+    }
+
+    await collection.deleteOne();
+    res.json({ message: 'Collection deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting collection' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Currency = require('../models/Currency');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// Pick the editable fields from a request body
+const currencyFields = (body) => {
+  const fields = {};
+  ['code', 'name', 'rate', 'enabled'].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'That currency has already been added' });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Currencies shoppers can choose, base currency first
+// Response: { base, currencies: [{ code, name, rate }] }
+router.get('/', async (req, res) => {
+  try {
+    const base = Currency.baseCode();
+    const currencies = await Currency.find({ enabled: true, code: { $ne: base } })
+      .select('code name rate')
+      .sort({ code: 1 })
+      .lean();
+    res.json({
+      base,
+      currencies: [
+        { code: base, name: '', rate: 1 },
+        ...currencies.map(({ code, name, rate }) => ({ code, name, rate }))
+      ]
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching currencies' });
+  }
+});
+
+// Get every currency, enabled or not (admin only)
+router.get('/all', [auth, admin], async (req, res) => {
+  try {
+    res.json(await Currency.find().sort({ code: 1 }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching currencies' });
+  }
+});
+
+// Add currency (admin only)
+router.post('/', [auth, admin], async (req, res) => {
+  try {
+    const currency = new Currency(currencyFields(req.body));
+    await currency.save();
+    res.status(201).json(currency);
+  } catch (error) {
+    handleSaveError(error, res, 'Error creating currency');
+  }
+});
+
+// Update currency, e.g. a new exchange rate (admin only)
+router.put('/:id', [auth, admin], async (req, res) => {
+  try {
+    const currency = mongoose.isValidObjectId(req.params.id) && await Currency.findById(req.params.id);
+    if (!currency) {
+      return res.status(404).json({ message: 'Currency not found' });
+    }
+
+    currency.set(currencyFields(req.body));
+    await currency.save();
+    res.json(currency);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating currency');
+  }
+});
+
+// Delete currency (admin only). Orders keep their currency and rate.
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const currency = mongoose.isValidObjectId(req.params.id) && await Currency.findByIdAndDelete(req.params.id);
+    if (!currency) {
+      return res.status(404).json({ message: 'Currency not found' });
+    }
+    res.json({ message: 'Currency deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting currency' });
+  }
+});
+
+module.exports = router;
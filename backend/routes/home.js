@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const HomePage = require('../models/HomePage');
+const Collection = require('../models/Collection');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const { isStoredImage } = require('../utils/imageStorage');
+
+// Shown below the default hero until an admin saves a layout
+const FALLBACK_ROW_TITLE = 'Our Products';
+
+// Pick the stored fields of each submitted section
+const toSections = (sections) =>
+  sections.map((section) => ({
+    type: section.type,
+    title: section.title || '',
+    subtitle: section.subtitle || '',
+    image: section.image?.url
+      ? {
+          url: section.image.url,
+          renditions: section.image.renditions,
+          alt: section.image.alt || section.title || '',
+        }
+      : undefined,
+    link: section.link || '',
+    linkLabel: section.linkLabel || '',
+    productCollection: section.type === 'collection' ? section.productCollection : undefined,
+  }));
+
+// Reject images we did not store and unknown collections
+const validateSections = async (sections) => {
+  for (const section of sections) {
+    if (section.image && !isStoredImage(section.image)) {
+      return 'Invalid section image';
+    }
+    if (section.productCollection) {
+      if (!mongoose.isValidObjectId(section.productCollection) ||
+          !(await Collection.exists({ _id: section.productCollection }))) {
+        return 'Collection not found';
+      }
+    }
+  }
+  return null;
+};
+
+// A collection section with the products to show in it
+const resolveCollectionRow = async (section, collection) => {
+  const products = await collection.resolveProducts();
+  return {
+    ...section,
+    productCollection: collection.isNew
+      ? undefined
+      : { _id: collection._id, name: collection.name, slug: collection.slug },
+    products
+  };
+};
+
+// Get the Home page, with the products of every collection row
+router.get('/', async (req, res) => {
+  try {
+    const page = await HomePage.current().populate('sections.productCollection');
+
+    if (!page) {
+      const newest = new Collection({ name: FALLBACK_ROW_TITLE, type: 'rule' });
+      return res.json({
+        sections: [
+          ...HomePage.defaultSections(),
+          await resolveCollectionRow({ type: 'collection', title: FALLBACK_ROW_TITLE }, newest)
+        ]
+      });
+    }
+
+    const sections = await Promise.all(page.sections.map((section) => {
+      const data = section.toObject();
+      if (section.type !== 'collection') return data;
+      if (!section.productCollection) return null;
+      return resolveCollectionRow(data, section.productCollection);
+    }));
+
+    // Rows whose collection is gone or has no visible products are skipped
+    res.json({
+      sections: sections.filter((section) =>
+        section && (section.type !== 'collection' || section.products.length))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching home page' });
+  }
+});
+
+// Get the stored layout for editing (admin only)
+router.get('/layout', [auth, admin], async (req, res) => {
+  try {
+    const page = await HomePage.current();
+    res.json({ sections: page ? page.sections : HomePage.defaultSections() });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching home page layout' });
+  }
+});
+
+// Replace the layout (admin only)
+router.put('/layout', [auth, admin], async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.sections)) {
+      return res.status(400).json({ message: 'Sections are required' });
+    }
+
+    const sections = toSections(req.body.sections);
+    const validationError = await validateSections(sections);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const page = (await HomePage.current()) || new HomePage();
+    page.sections = sections;
+    page.updatedBy = req.user._id;
+    await page.save();
+    res.json({ sections: page.sections });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error saving home page layout' });
+  }
+});
+
+module.exports = router;
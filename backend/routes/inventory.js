@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const InventoryMovement = require('../models/InventoryMovement');
+const { adjustStock } = require('../utils/stock');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sales are only recorded by checkout; admins log the other reasons
+const MANUAL_REASONS = ['adjustment', 'return', 'restock'];
+
+// Every inventory route is admin only
+router.use(auth, admin);
+
+// Products that need restocking, lowest stock first. Each entry lists the
+// variants that are at or below the product's threshold.
+router.get('/low-stock', async (req, res) => {
+  try {
+    const products = await Product.find(Product.lowStockFilter())
+      .presented()
+      .populate('category', 'name slug')
+      .sort('stock');
+
+    res.json(products.map((product) => ({
+      product,
+      threshold: product.lowStockLimit(),
+      lowVariants: product.variants.filter((variant) => product.isLowStock(variant))
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching low-stock products' });
+  }
+});
+
+// Stock history of a product, newest first
+router.get('/products/:productId/movements', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const filter = { product: req.params.productId };
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .populate('user', 'name email')
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InventoryMovement.countDocuments(filter)
+    ]);
+
+    const pages = Math.ceil(total / limit);
+    res.json({
+      movements,
+      total,
+      page,
+      limit,
+      pages,
+      hasNextPage: page < pages,
+      nextPage: page < pages ? page + 1 : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching stock history' });
+  }
+});
+
+// Record a manual stock change such as a restock delivery or a customer return
+// Body: { change, reason, variantId?, note?, orderId? } where change is signed
+router.post('/products/:productId/adjustments', async (req, res) => {
+  try {
+    const { variantId, reason, note, orderId } = req.body;
+    const change = Number(req.body.change);
+
+    if (!Number.isInteger(change) || change === 0) {
+      return res.status(400).json({ message: 'Change must be a non-zero whole number' });
+    }
+    if (!MANUAL_REASONS.includes(reason)) {
+      return res.status(400).json({ message: 'Invalid reason' });
+    }
+    if (orderId && !(mongoose.isValidObjectId(orderId) && await Order.exists({ _id: orderId }))) {
+      return res.status(400).json({ message: 'Order not found' });
+    }
+
+    const product = mongoose.isValidObjectId(req.params.productId) &&
+      await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variant = product.findVariant(variantId);
+    if (product.hasVariants() && !variant) {
+      return res.status(400).json({ message: 'Choose a variant to adjust' });
+    }
+
+    // One atomic update, so a sale made meanwhile is never lost; it only
+    // applies while the stock cannot go below zero
+    const movements = await adjustStock(product._id, variant?._id, change, {
+      reason,
+      note,
+      user: req.user._id,
+      order: orderId || undefined
+    });
+    if (!movements) {
+      return res.status(400).json({ message: 'Stock cannot go below zero' });
+    }
+    res.status(201).json({ product: await Product.findById(product._id).presented(), movement: movements[0] });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error adjusting stock' });
+  }
+});
+
+module.exports = router;
@@ -1,48 +1,202 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const Promotion = require('../models/Promotion');
+const CartReminder = require('../models/CartReminder');
+const { loadLines, describeShortLines, takeStock, putBackStock, recordStockTaken } = require('../utils/stock');
+const { applyPromotions } = require('../utils/promotions');
+const { quoteShipping } = require('../utils/shipping');
+const { calculateTax } = require('../utils/tax');
+const { baseCurrency, resolveCurrency } = require('../utils/currency');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
 
-// Create order
+// Run undo steps newest first. Each is tried even if one before it fails,
+// which is logged since there is nothing more to be done about it.
+const rollBack = async (undo) => {
+  for (const step of undo.reverse()) {
+    try {
+      await step();
+    } catch (error) {
+      console.error('Error rolling back order:', error);
+    }
+  }
+};
+
+// Create order. Stock held by the shopper's reservation is turned into the
+// sale, provided `items` (when given) are exactly what it holds; without
+// one, the items are reserved on the spot, all or nothing.
+// Promotions are worked out again here rather than trusted from the cart.
+// Shipping is priced again too, for the method chosen from the quote, and
+// tax is worked out for the shipping address. The order is priced in the
+// shopper's currency at the current exchange rate, and records both.
+// Placing the order is all or nothing: promotion uses and stock are
+// written first, each along with a step that undoes it, and the order
+// last. When any write fails the ones before it are undone, so a failed
+// order changes nothing, without needing transactions (and so a replica
+// set). Lines that cannot be had are listed in the response as `lines`,
+// see describeShortLines.
+// Body: { items, shippingAddress, shippingMethodId, reservationId?, couponCode?,
+// currency?, paymentMethod? }
 router.post('/', auth, async (req, res) => {
   try {
-    const { items, shippingAddress } = req.body;
-    
-    // Validate products and calculate total
-    let totalAmount = 0;
-    const orderItems = [];
+    const { items, shippingAddress, shippingMethodId, reservationId, couponCode, paymentMethod } = req.body;
 
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      if (!product || product.stock < item.quantity) {
-        return res.status(400).json({ message: 'Invalid product or insufficient stock' });
+    const currency = await resolveCurrency(req.body.currency);
+    if (!currency) {
+      return res.status(400).json({ message: 'Currency not supported' });
+    }
+
+    let reservation = null;
+    if (reservationId) {
+      reservation = mongoose.isValidObjectId(reservationId) && await StockReservation.findOne({
+        _id: reservationId,
+        user: req.user._id,
+        ...StockReservation.activeFilter()
+      });
+      if (!reservation) {
+        return res.status(409).json({
+          message: 'Your reservation has expired. Please review your cart and try again.'
+        });
       }
-      
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        price: product.price
+      // The order is for what is held, so it has to be what the shopper saw
+      if (items !== undefined && !reservation.coversExactly(items)) {
+        return res.status(409).json({
+          message: 'Your cart has changed since your items were reserved. Please review your order.'
+        });
+      }
+    }
+
+    // Validate products and calculate total
+    const { lines, error, issues } = await loadLines(reservation
+      ? reservation.items.map((item) => ({
+          productId: item.product,
+          variantId: item.variant,
+          quantity: item.quantity
+        }))
+      : items);
+    if (error) {
+      return res.status(400).json({ message: error, lines: issues });
+    }
+
+    const pricing = await applyPromotions(lines, { user: req.user, code: couponCode, currency });
+    if (pricing.coupon && !pricing.coupon.applied) {
+      return res.status(400).json({ message: pricing.coupon.message });
+    }
+
+    const quote = await quoteShipping(lines, pricing, shippingAddress, currency);
+    const shipping = quote.methods.find((method) => String(method._id) === String(shippingMethodId));
+    if (!shipping) {
+      return res.status(400).json({
+        message: quote.methods.length
+          ? 'Please choose a shipping method for your address'
+          : 'We do not ship to this address yet'
       });
-      
-      totalAmount += product.price * item.quantity;
-      
-      // Update stock
-      product.stock -= item.quantity;
-      await product.save();
     }
 
+    const tax = await calculateTax(pricing, shippingAddress, { shippingCost: shipping.price });
+
+    const orderItems = pricing.items.map(({ product, variant, quantity, price, discount }, index) => ({
+      product: product._id,
+      ...(variant && {
+        variant: variant._id,
+        sku: variant.sku,
+        options: Object.fromEntries(variant.options)
+      }),
+      quantity,
+      price,
+      discount,
+      ...tax.items[index]
+    }));
+
     const order = new Order({
       user: req.user._id,
+      currency: currency.code,
+      baseCurrency: baseCurrency(),
+      exchangeRate: currency.rate,
       items: orderItems,
-      totalAmount,
+      subtotal: pricing.subtotal,
+      discounts: pricing.discounts,
+      discountTotal: pricing.discountTotal,
+      freeShipping: pricing.freeShipping,
+      shippingMethod: {
+        zone: quote.zone._id,
+        method: shipping._id,
+        code: shipping.code,
+        name: shipping.name,
+        deliveryEstimate: shipping.deliveryEstimate
+      },
+      shippingCost: shipping.price,
+      shippingTax: tax.shippingTax,
+      taxTotal: tax.taxTotal,
+      taxes: tax.taxes,
+      totalAmount: Math.round((pricing.total + shipping.price + tax.taxTotal) * 100) / 100,
+      paymentMethod,
       shippingAddress
     });
+    await order.validate();
+
+    // Steps that undo what has been written so far, latest last
+    const undo = [];
+    try {
+      // Count a use of every promotion applied; one used up meanwhile
+      // fails the order
+      for (const discount of pricing.discounts) {
+        if (!await Promotion.claimUse(discount.promotion)) {
+          await rollBack(undo);
+          return res.status(409).json({
+            message: `${discount.code || discount.name} is no longer available. Please review your order.`
+          });
+        }
+        undo.push(() => Promotion.releaseUse(discount.promotion));
+      }
+
+      // Without a reservation, hold the stock now so that what others are
+      // holding is respected. A reservation the shopper brought stays put
+      // if the order fails, so they can try again.
+      if (!reservation) {
+        reservation = await StockReservation.hold(req.user._id, lines);
+        undo.push(() => reservation.deleteOne());
+      }
+
+      const taken = await takeStock(reservation.items);
+      undo.push(() => putBackStock(taken));
+
+      await order.save();
+
+      // The stock is sold now, so the hold on it can go. Stock is taken
+      // before the hold is deleted so the units are never counted as free
+      // in between.
+      await reservation.deleteOne().catch((error) => {
+        console.error('Error releasing reservation:', error);
+      });
+      await recordStockTaken(taken, {
+        reason: 'sale',
+        user: req.user._id,
+        order: order._id
+      }).catch((error) => {
+        console.error('Error recording inventory movements:', error);
+      });
+    } catch (error) {
+      await rollBack(undo);
+      throw error;
+    }
+
+    // Credit a reminder email with the sale; the order stands either way
+    await CartReminder.recordRecovery(order).catch((error) => {
+      console.error('Error recording cart recovery:', error);
+    });
 
-    await order.save();
     res.status(201).json(order);
   } catch (error) {
+    if (error.name === 'InsufficientStockError') {
+      return res.status(409).json({ message: error.message, lines: describeShortLines(error.lines) });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error creating order' });
   }
 });
@@ -59,6 +213,20 @@ router.get('/my-orders', auth, async (req, res) => {
   }
 });
 
+// Get one order, for the customer who placed it or an admin
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const order = mongoose.isValidObjectId(req.params.id) &&
+      await Order.findById(req.params.id).populate('items.product', 'name slug images');
+    if (!order || (!order.user.equals(req.user._id) && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.json(order);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching order' });
+  }
+});
+
 // Get all orders (admin only)
 router.get('/', [auth, admin], async (req, res) => {
   try {
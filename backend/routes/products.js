@@ -1,115 +1,431 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Attribute = require('../models/Attribute');
+const InventoryMovement = require('../models/InventoryMovement');
+const PriceHistory = require('../models/PriceHistory');
 const auth = require('../middleware/auth');
 const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+const upload = require('../middleware/upload');
+const { processUpload, isStoredImage } = require('../utils/imageStorage');
+const { searchProducts } = require('../utils/search');
+const { recommendFor } = require('../utils/recommendations');
+const { guardStock } = require('../utils/stock');
+const { parseAttributeQuery, withSelections, facetCounts } = require('../utils/facets');
 const fs = require('fs');
 const path = require('path');
 
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+const MAX_IMAGES = 8;
+const MAX_SUGGESTIONS = 6;
+const MAX_CATEGORY_SUGGESTIONS = 3;
+const DEFAULT_RECOMMENDATIONS = 8;
+const MAX_RECOMMENDATIONS = 24;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { effectivePrice: 1, _id: 1 },
+  price_desc: { effectivePrice: -1, _id: 1 },
+  name_asc: { name: 1, _id: 1 },
+  name_desc: { name: -1, _id: 1 },
+};
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const PRODUCT_STATUSES = ['draft', 'active', 'scheduled', 'archived'];
+
+const isAdmin = (user) => user?.role === 'admin';
+
+// Build a Mongo filter from the listing query string.
+// `categoryIds` restricts results to a category and its subcategories.
+const buildProductFilter = async (query, categoryIds, user) => {
+  const filter = {};
+
+  // Customers only see published products; admins may pass ?status=all
+  // or a single lifecycle status to see the rest
+  if (isAdmin(user) && query.status === 'all') {
+    // no lifecycle restriction
+  } else if (isAdmin(user) && PRODUCT_STATUSES.includes(query.status)) {
+    filter.status = query.status;
+  } else {
+    Object.assign(filter, Product.visibleFilter());
+  }
+
+  if (typeof query.q === 'string' && query.q.trim()) {
+    const pattern = new RegExp(escapeRegex(query.q.trim()), 'i');
+    filter.$or = [{ name: pattern }, { description: pattern }];
+  }
+
+  if (categoryIds) {
+    filter.category = { $in: categoryIds };
+  }
+
+  // On the price customers pay, sale included
+  const minPrice = parseFloat(query.minPrice);
+  const maxPrice = parseFloat(query.maxPrice);
+  const bounds = [];
+  if (!isNaN(minPrice)) bounds.push({ $gte: [Product.priceExpression(), minPrice] });
+  if (!isNaN(maxPrice)) bounds.push({ $lte: [Product.priceExpression(), maxPrice] });
+  if (bounds.length) {
+    filter.$expr = { $and: bounds };
+  }
+
+  // In stock means some can still be bought: stock that checkout holds
+  // take all of does not count, as the stock reported does not
+  if (query.inStock === 'true' || query.inStock === '1') {
+    filter.stock = { $gt: 0 };
+    const heldIds = await Product.fullyReservedIds();
+    if (heldIds.length) filter._id = { $nin: heldIds };
+  }
+
+  return filter;
+};
+
+// Run a paginated listing query and shape the response
+const listProducts = async (filter, query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const sort = SORT_OPTIONS[query.sort] || SORT_OPTIONS.newest;
+  // Price sorts are on the price customers pay, which is worked out here
+  const byPrice = 'effectivePrice' in sort;
+
+  const [rows, total] = await Promise.all([
+    Product.aggregate([
+      { $match: filter },
+      ...(byPrice ? [{ $addFields: { effectivePrice: Product.priceExpression() } }] : []),
+      { $sort: sort },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      ...(byPrice ? [{ $unset: 'effectivePrice' }] : [])
+    ]),
+    Product.countDocuments(filter)
+  ]);
+  const products = rows.map((row) => Product.hydrate(row));
+  await Product.populate(products, { path: 'category', select: 'name slug' });
+  await Product.present(products);
+
+  const pages = Math.ceil(total / limit);
+  const hasNextPage = page < pages;
+
+  return {
+    products,
+    total,
+    page,
+    limit,
+    pages,
+    hasNextPage,
+    nextPage: hasNextPage ? page + 1 : null
+  };
+};
+
+// List the products matching the query string and its attribute filters,
+// with facet counts for the result set when ?facets=true
+const listCatalog = async (query, categoryIds, user) => {
+  const definitions = await Attribute.ordered();
+  const selections = parseAttributeQuery(query, definitions);
+  const filter = await buildProductFilter(query, categoryIds, user);
+
+  const [result, facets] = await Promise.all([
+    listProducts(withSelections(filter, selections), query),
+    query.facets === 'true' ? facetCounts(filter, definitions, selections) : undefined
+  ]);
+  return facets ? { ...result, facets } : result;
+};
+
+// Resolve a category slug to the ids of it and all its subcategories
+const categoryScope = async (slug) => {
+  const category = await Category.findOne({ slug }, { _id: 1 });
+  return category ? Category.descendantIds(category._id) : null;
+};
+
 // Get all products
-router.get('/', async (req, res) => {
+// Supports ?q=&category=&minPrice=&maxPrice=&inStock=&sort=&page=&limit=&facets=
+// where `category` is a category slug, plus ?attr_<code>= attribute filters
+// (and ?status= for admins)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    let categoryIds;
+    if (typeof req.query.category === 'string' && req.query.category) {
+      categoryIds = (await categoryScope(req.query.category)) || [];
+    }
+
+    res.json(await listCatalog(req.query, categoryIds, req.user));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching products' });
   }
 });
 
-// Get products by category
-router.get('/category/:category', async (req, res) => {
+// Get products in a category, including its subcategories
+router.get('/category/:slug', optionalAuth, async (req, res) => {
   try {
-    const products = await Product.find({ category: req.params.category });
-    res.json(products);
+    const categoryIds = await categoryScope(req.params.slug);
+    if (!categoryIds) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.json(await listCatalog(req.query, categoryIds, req.user));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching products' });
   }
 });
 
+// Search products by name, description, category and tags, best match first
+// Supports ?q=&page=&limit=
+router.get('/search', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const { products: ranked } = await searchProducts(q);
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const total = ranked.length;
+    const pages = Math.ceil(total / limit);
+    const hasNextPage = page < pages;
+
+    res.json({
+      products: await Product.present(ranked.slice((page - 1) * limit, page * limit)),
+      total,
+      page,
+      limit,
+      pages,
+      hasNextPage,
+      nextPage: hasNextPage ? page + 1 : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error searching products' });
+  }
+});
+
+// Type-ahead suggestions for the search box: a few matching products
+// (name, price and primary image only) and categories
+router.get('/suggestions', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2) {
+      return res.json({ products: [], categories: [] });
+    }
+
+    const { products, categories } = await searchProducts(q);
+    res.json({
+      products: products.slice(0, MAX_SUGGESTIONS).map((product) => ({
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        price: product.priceFor(),
+        image: product.images.find((image) => image.isPrimary) || product.images[0]
+      })),
+      categories: categories.slice(0, MAX_CATEGORY_SUGGESTIONS).map((category) => ({
+        _id: category._id,
+        name: category.name,
+        slug: category.slug
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching suggestions' });
+  }
+});
+
+// "Customers also bought" recommendations for one or more products
+// Supports ?ids=<id>,<id>&limit=, e.g. the product being viewed or the cart contents
+router.get('/recommendations', async (req, res) => {
+  try {
+    const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',') : [];
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_RECOMMENDATIONS, 1),
+      MAX_RECOMMENDATIONS
+    );
+
+    res.json(await recommendFor(ids, { limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching recommendations' });
+  }
+});
+
 // Get single product
-router.get('/:id', async (req, res) => {
+// Unpublished products are only returned to admins, e.g. for previews
+// `:id` may also be the product's slug or one it had before; clients
+// should redirect to the current slug when it differs
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
+    const product = await Product.findByIdOrSlug(req.params.id);
+    if (!product || (!product.isVisible() && !isAdmin(req.user))) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json(product);
+    await product.populate('category', 'name slug');
+    res.json(await Product.present(product));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching product' });
   }
 });
 
+const validImages = (images) =>
+  Array.isArray(images) && images.length <= MAX_IMAGES && images.every(isStoredImage);
+
+// Keep only the fields we store, in the order the admin arranged them
+const toGalleryImages = (images, productName) =>
+  images.map((image) => ({
+    url: image.url,
+    contentType: image.contentType,
+    renditions: image.renditions,
+    alt: image.alt || productName || '',
+    isPrimary: Boolean(image.isPrimary)
+  }));
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'DocumentNotFoundError') {
+    return res.status(409).json({ message: 'Stock changed while saving. Please reload the product and try again.' });
+  }
+  if (error.code === 11000) {
+    const field = error.keyPattern?.slug ? 'Slug' : 'SKU';
+    return res.status(400).json({ message: `${field} is already used by another product` });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+const categoryExists = (categoryId) =>
+  mongoose.isValidObjectId(categoryId) && Category.exists({ _id: categoryId });
+
+// Upload a product image (admin only)
+// Accepts multipart/form-data with an 'image' file field and returns the
+// image reference to include in `images` when creating or updating a product
+router.post('/images', [auth, admin], (req, res) => {
+  upload.single('image')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ message: uploadError.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Image file is required' });
+    }
+
+    try {
+      const image = await processUpload(req.file, req.body.alt || '');
+      res.status(201).json(image);
+    } catch (error) {
+      res.status(500).json({ message: 'Error processing image' });
+    }
+  });
+});
+
 // Create product (admin only)
 router.post('/', [auth, admin], async (req, res) => {
   try {
-    const { image, ...rest } = req.body;
-    
-    // Validate image data
-    if (!image || !image.data || !image.contentType) {
-      return res.status(400).json({ message: 'Image data is required' });
+    const { images, ...rest } = req.body;
+
+    // Validate image references returned by POST /images
+    if (!validImages(images) || !images.length) {
+      return res.status(400).json({ message: 'At least one valid image is required' });
+    }
+
+    if (!(await categoryExists(rest.category))) {
+      return res.status(400).json({ message: 'Category not found' });
     }
 
     // Create product with validated data
     const product = new Product({
       ...rest,
-      image: {
-        data: image.data,
-        contentType: image.contentType,
-        alt: rest.name || ''
-      }
+      images: toGalleryImages(images, rest.name)
     });
     await product.save();
-    res.status(201).json(product);
+    await InventoryMovement.recordChanges(new Map(), product, {
+      reason: 'restock',
+      note: 'Initial stock',
+      user: req.user._id
+    });
+    await PriceHistory.recordChanges(new Map(), product, { user: req.user._id });
+    res.status(201).json(await Product.present(product));
   } catch (error) {
-    res.status(500).json({ message: 'Error creating product' });
+    handleSaveError(error, res, 'Error creating product');
   }
 });
 
 // Update product (admin only)
 router.put('/:id', [auth, admin], async (req, res) => {
   try {
-    const { image, ...rest } = req.body;
+    const { images, ...rest } = req.body;
+
+    // Validate image references if provided
+    if (images !== undefined && (!validImages(images) || !images.length)) {
+      return res.status(400).json({ message: 'Invalid images' });
+    }
 
-    // Validate image data if provided
-    if (image && (!image.data || !image.contentType)) {
-      return res.status(400).json({ message: 'Invalid image data' });
+    if (rest.category !== undefined && !(await categoryExists(rest.category))) {
+      return res.status(400).json({ message: 'Category not found' });
     }
 
     const updateData = {
       ...rest,
-      ...(image && {
-        image: {
-          data: image.data,
-          contentType: image.contentType,
-          alt: rest.name || ''
-        }
-      })
+      ...(images && { images: toGalleryImages(images, rest.name) })
     };
 
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+    const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json(product);
+
+    // Load and save so variant validation and stock totals run on update.
+    // The save only goes through while the stock is as loaded, so it cannot
+    // undo a sale made meanwhile.
+    guardStock(product);
+    const before = InventoryMovement.snapshot(product);
+    const pricesBefore = PriceHistory.snapshot(product);
+    product.set(updateData);
+    await product.save();
+    await InventoryMovement.recordChanges(before, product, {
+      reason: 'adjustment',
+      user: req.user._id
+    });
+    await PriceHistory.recordChanges(pricesBefore, product, { user: req.user._id });
+    res.json(await Product.present(product));
   } catch (error) {
-    res.status(500).json({ message: 'Error updating product' });
+    handleSaveError(error, res, 'Error updating product');
   }
 });
 
-// Delete product (admin only)
+// Price changes of a product, newest first (admin only)
+router.get('/:id/price-history', [auth, admin], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    const history = await PriceHistory.find({ product: req.params.id })
+      .populate('user', 'name email')
+      .sort('-createdAt')
+      .limit(200);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching price history' });
+  }
+});
+
+// Archive product (admin only)
+// Products are never hard-deleted so order history keeps resolving them
 router.delete('/:id', [auth, admin], async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await Product.findByIdAndUpdate(
+      req.params.id,
+      { status: 'archived' },
+      { new: true }
+    );
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json({ message: 'Product deleted' });
+    res.json({ message: 'Product archived', product });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting product' });
+    res.status(500).json({ message: 'Error archiving product' });
   }
 });
 
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const Category = require('../models/Category');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// Every promotion route is admin only; customers use codes through the cart
+router.use(auth, admin);
+
+// Pick the editable fields from a request body. Empty optional numbers
+// and dates clear the setting.
+const promotionFields = (body) => {
+  const fields = {};
+  ['name', 'code', 'description', 'type', 'value', 'active', 'minSubtotal', 'firstOrderOnly'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  ['buyQuantity', 'getQuantity', 'usageLimit', 'perCustomerLimit', 'startsAt', 'endsAt'].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key] === '' ? null : body[key];
+  });
+  if (Array.isArray(body.categories)) fields.categories = body.categories;
+  return fields;
+};
+
+// Reject unknown categories
+const validatePromotion = async (fields) => {
+  if (fields.categories) {
+    if (!fields.categories.every((id) => mongoose.isValidObjectId(id))) {
+      return 'Category not found';
+    }
+    const found = await Category.countDocuments({ _id: { $in: fields.categories } });
+    if (found !== new Set(fields.categories.map(String)).size) {
+      return 'Category not found';
+    }
+  }
+  return null;
+};
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'A promotion with this code already exists' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Get all promotions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const promotions = await Promotion.find()
+      .populate('categories', 'name slug')
+      .sort('-createdAt');
+    res.json(promotions);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching promotions' });
+  }
+});
+
+// Create promotion
+router.post('/', async (req, res) => {
+  try {
+    const fields = promotionFields(req.body);
+    const validationError = await validatePromotion(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const promotion = new Promotion(fields);
+    await promotion.save();
+    res.status(201).json(promotion);
+  } catch (error) {
+    handleSaveError(error, res, 'Error creating promotion');
+  }
+});
+
+// Update promotion; its usage count is kept
+router.put('/:id', async (req, res) => {
+  try {
+    const promotion = mongoose.isValidObjectId(req.params.id) &&
+      await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const fields = promotionFields(req.body);
+    const validationError = await validatePromotion(fields);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    promotion.set(fields);
+    await promotion.save();
+    res.json(promotion);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating promotion');
+  }
+});
+
+// Delete promotion. Orders keep the name and code of promotions they used.
+router.delete('/:id', async (req, res) => {
+  try {
+    const promotion = mongoose.isValidObjectId(req.params.id) &&
+      await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+    res.json({ message: 'Promotion deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting promotion' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Cart = require('../models/Cart');
+const StockReservation = require('../models/StockReservation');
+const { loadLines, describeShortLines } = require('../utils/stock');
+
+const presentReservation = (reservation) => ({
+  _id: reservation._id,
+  expiresAt: reservation.expiresAt,
+  items: reservation.items,
+});
+
+// Hold stock while the shopper checks out, replacing any earlier hold
+// Body: { items?: [{ productId, variantId?, quantity }] }, defaulting to the cart
+router.post('/', auth, async (req, res) => {
+  try {
+    let items = req.body.items;
+    if (!items) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      items = (cart ? cart.items : []).map((item) => ({
+        productId: item.product,
+        variantId: item.variant,
+        quantity: item.quantity,
+      }));
+    }
+
+    const { lines, error } = await loadLines(items);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const reservation = await StockReservation.hold(req.user._id, lines);
+    res.status(201).json(presentReservation(reservation));
+  } catch (error) {
+    if (error.name === 'InsufficientStockError') {
+      return res.status(409).json({ message: error.message, lines: describeShortLines(error.lines) });
+    }
+    res.status(500).json({ message: 'Error reserving stock' });
+  }
+});
+
+// The shopper's current hold
+router.get('/current', auth, async (req, res) => {
+  try {
+    const reservation = await StockReservation.currentFor(req.user._id);
+    if (!reservation) {
+      return res.status(404).json({ message: 'No active reservation' });
+    }
+    res.json(presentReservation(reservation));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching reservation' });
+  }
+});
+
+// Give held stock back, e.g. when the shopper leaves checkout
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (mongoose.isValidObjectId(req.params.id)) {
+      await StockReservation.deleteOne({ _id: req.params.id, user: req.user._id });
+    }
+    res.json({ message: 'Reservation released' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error releasing reservation' });
+  }
+});
+
+module.exports = router;
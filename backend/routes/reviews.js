@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, limit };
+};
+
+// Run a paginated review query and shape the response
+const listReviews = async (filter, query, populate) => {
+  const { page, limit } = parsePagination(query);
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .populate(populate)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Review.countDocuments(filter)
+  ]);
+
+  const pages = Math.ceil(total / limit);
+  return {
+    reviews,
+    total,
+    page,
+    limit,
+    pages,
+    hasNextPage: page < pages,
+    nextPage: page < pages ? page + 1 : null
+  };
+};
+
+// Answer 400 for invalid fields and 404 for a malformed review or product id
+const handleSaveError = (error, res, fallbackMessage, notFoundMessage = 'Review not found') => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ message: notFoundMessage });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Only customers with a delivered order containing the product may review it
+const hasPurchased = (userId, productId) =>
+  Order.exists({
+    user: userId,
+    status: 'delivered',
+    'items.product': productId
+  });
+
+// Validate the rating/title/body fields of a review request
+const reviewFields = (body) => {
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return { error: 'Rating must be a whole number from 1 to 5' };
+  }
+  return {
+    fields: {
+      rating,
+      title: body.title || '',
+      body: body.body || ''
+    }
+  };
+};
+
+// Get approved reviews for a product
+router.get('/product/:productId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    const result = await listReviews(
+      { product: req.params.productId, status: 'approved' },
+      req.query,
+      { path: 'user', select: 'name' }
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+});
+
+// Whether the current user may review a product, and their existing review
+router.get('/product/:productId/mine', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    const [review, purchased] = await Promise.all([
+      Review.findOne({ user: req.user._id, product: req.params.productId }),
+      hasPurchased(req.user._id, req.params.productId)
+    ]);
+    res.json({ canReview: Boolean(purchased), review });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching review' });
+  }
+});
+
+// Create a review for a purchased product
+router.post('/product/:productId', auth, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (!mongoose.isValidObjectId(productId) || !(await Product.exists({ _id: productId }))) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { fields, error } = reviewFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (!(await hasPurchased(req.user._id, productId))) {
+      return res.status(403).json({ message: 'Only customers who received this product can review it' });
+    }
+
+    const review = new Review({
+      ...fields,
+      user: req.user._id,
+      product: productId
+    });
+    await review.save();
+    res.status(201).json(review);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You have already reviewed this product' });
+    }
+    handleSaveError(error, res, 'Error creating review', 'Product not found');
+  }
+});
+
+// Edit own review; edits go back through moderation
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, user: req.user._id });
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    const { fields, error } = reviewFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const wasApproved = review.status === 'approved';
+    review.set({ ...fields, status: 'pending' });
+    await review.save();
+    if (wasApproved) {
+      await Review.updateProductRating(review.product);
+    }
+    res.json(review);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating review');
+  }
+});
+
+// Delete own review (admins may delete any review)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const filter = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      filter.user = req.user._id;
+    }
+
+    const review = await Review.findOneAndDelete(filter);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await Review.updateProductRating(review.product);
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    handleSaveError(error, res, 'Error deleting review');
+  }
+});
+
+// Get all reviews for moderation (admin only)
+// Supports ?status=pending|approved|hidden&page=&limit=
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const filter = {};
+    if (['pending', 'approved', 'hidden'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    const result = await listReviews(filter, req.query, [
+      { path: 'user', select: 'name email' },
+      { path: 'product', select: 'name' }
+    ]);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+});
+
+// Approve or hide a review (admin only)
+router.patch('/:id/status', [auth, admin], async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['pending', 'approved', 'hidden'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid review status' });
+    }
+
+    const review = await Review.findByIdAndUpdate(
+      req.params.id,
+      { status },
+      { new: true }
+    );
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await Review.updateProductRating(review.product);
+    res.json(review);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating review status');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ShippingZone = require('../models/ShippingZone');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+const optionalAuth = require('../middleware/optionalAuth');
+const { loadLines } = require('../utils/stock');
+const { applyPromotions } = require('../utils/promotions');
+const { quoteShipping } = require('../utils/shipping');
+const { resolveCurrency } = require('../utils/currency');
+
+// Pick the editable fields from a request body
+const zoneFields = (body) => {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name;
+  if (Array.isArray(body.countries)) fields.countries = body.countries;
+  if (Array.isArray(body.regions)) fields.regions = body.regions;
+  if (Array.isArray(body.methods)) fields.methods = body.methods;
+  return fields;
+};
+
+// Methods updated in place keep their ids, so the ones open checkouts
+// hold still match: a method sent without its _id is matched by code, and
+// one whose _id is not in the zone is added as a new method
+const keepMethodIds = (zone, methods) => methods.map((method) => {
+  if (!method || typeof method !== 'object') return method;
+  const { _id, ...fields } = method;
+  const existing = (mongoose.isValidObjectId(_id) && zone.methods.id(_id)) ||
+    zone.methods.find((current) => current.code === String(fields.code || '').trim().toLowerCase());
+  return existing ? { ...fields, _id: existing._id } : fields;
+});
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Shipping options and prices for a cart going to an address, in the
+// requested currency
+// Body: { items: [{ productId, variantId?, quantity }], address: { country, state? }, couponCode?, currency? }
+router.post('/quote', optionalAuth, async (req, res) => {
+  try {
+    const currency = await resolveCurrency(req.body.currency);
+    if (!currency) {
+      return res.status(400).json({ message: 'Currency not supported' });
+    }
+
+    const { lines, error } = await loadLines(req.body.items);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const pricing = await applyPromotions(lines, { user: req.user, code: req.body.couponCode, currency });
+    const quote = await quoteShipping(lines, pricing, req.body.address, currency);
+    if (!quote.methods.length) {
+      return res.status(400).json({ message: 'We do not ship to this address yet' });
+    }
+    res.json({ ...quote, currency: currency.code });
+  } catch (error) {
+    res.status(500).json({ message: 'Error quoting shipping' });
+  }
+});
+
+// What shipping starts at and the lowest free shipping threshold across
+// every zone, for product pages. Either may be null.
+router.get('/summary', async (req, res) => {
+  try {
+    const zones = await ShippingZone.find({}, { methods: 1 }).lean();
+    const methods = zones.flatMap((zone) => zone.methods).filter((method) => method.active);
+
+    const prices = methods.flatMap((method) => (method.rateType === 'flat'
+      ? [method.flatRate]
+      : (method.rates || []).map((rate) => rate.price)));
+    const thresholds = methods.map((method) => method.freeAbove).filter((value) => value != null);
+
+    res.json({
+      lowestPrice: prices.length ? Math.min(...prices) : null,
+      freeAbove: thresholds.length ? Math.min(...thresholds) : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching shipping summary' });
+  }
+});
+
+// Get all shipping zones (admin only)
+router.get('/zones', [auth, admin], async (req, res) => {
+  try {
+    res.json(await ShippingZone.find().sort({ name: 1 }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching shipping zones' });
+  }
+});
+
+// Create shipping zone (admin only)
+router.post('/zones', [auth, admin], async (req, res) => {
+  try {
+    const zone = new ShippingZone(zoneFields(req.body));
+    await zone.save();
+    res.status(201).json(zone);
+  } catch (error) {
+    handleSaveError(error, res, 'Error creating shipping zone');
+  }
+});
+
+// Update shipping zone (admin only)
+router.put('/zones/:id', [auth, admin], async (req, res) => {
+  try {
+    const zone = mongoose.isValidObjectId(req.params.id) &&
+      await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+
+    const fields = zoneFields(req.body);
+    if (fields.methods) fields.methods = keepMethodIds(zone, fields.methods);
+    zone.set(fields);
+    await zone.save();
+    res.json(zone);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating shipping zone');
+  }
+});
+
+// Delete shipping zone (admin only). Orders keep the method name and cost.
+router.delete('/zones/:id', [auth, admin], async (req, res) => {
+  try {
+    const zone = mongoose.isValidObjectId(req.params.id) &&
+      await ShippingZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({ message: 'Shipping zone not found' });
+    }
+    res.json({ message: 'Shipping zone deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting shipping zone' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const TaxRate = require('../models/TaxRate');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const admin = require('../middleware/admin');
+
+// Pick the editable fields from a request body
+const rateFields = (body) => {
+  const fields = {};
+  ['name', 'country', 'region', 'postalPrefix', 'taxClass', 'rate', 'includeShipping', 'active']
+    .forEach((field) => {
+      if (body[field] !== undefined) fields[field] = body[field];
+    });
+  return fields;
+};
+
+const handleSaveError = (error, res, fallbackMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: fallbackMessage });
+};
+
+// Tax classes in use by rates or products, standard first (admin only)
+router.get('/classes', [auth, admin], async (req, res) => {
+  try {
+    const [rateClasses, productClasses] = await Promise.all([
+      TaxRate.distinct('taxClass'),
+      Product.distinct('taxClass')
+    ]);
+    const others = [...new Set([...rateClasses, ...productClasses])]
+      .filter((taxClass) => taxClass && taxClass !== TaxRate.STANDARD_CLASS)
+      .sort();
+    res.json([TaxRate.STANDARD_CLASS, ...others]);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tax classes' });
+  }
+});
+
+// Get all tax rates (admin only)
+router.get('/rates', [auth, admin], async (req, res) => {
+  try {
+    res.json(await TaxRate.find().sort({ country: 1, region: 1, postalPrefix: 1, taxClass: 1 }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching tax rates' });
+  }
+});
+
+// Create tax rate (admin only)
+router.post('/rates', [auth, admin], async (req, res) => {
+  try {
+    const rate = new TaxRate(rateFields(req.body));
+    await rate.save();
+    res.status(201).json(rate);
+  } catch (error) {
+    handleSaveError(error, res, 'Error creating tax rate');
+  }
+});
+
+// Update tax rate (admin only)
+router.put('/rates/:id', [auth, admin], async (req, res) => {
+  try {
+    const rate = mongoose.isValidObjectId(req.params.id) && await TaxRate.findById(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    rate.set(rateFields(req.body));
+    await rate.save();
+    res.json(rate);
+  } catch (error) {
+    handleSaveError(error, res, 'Error updating tax rate');
+  }
+});
+
+// Delete tax rate (admin only). Orders keep the tax they were charged.
+router.delete('/rates/:id', [auth, admin], async (req, res) => {
+  try {
+    const rate = mongoose.isValidObjectId(req.params.id) && await TaxRate.findByIdAndDelete(req.params.id);
+    if (!rate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+    res.json({ message: 'Tax rate deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting tax rate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+
+// Most items one request may send, for guest lists and merges
+const MAX_ITEMS = 200;
+
+const sendWishlist = async (res, wishlist, status = 200) => {
+  res.status(status).json(wishlist ? await wishlist.present() : { items: [] });
+};
+
+// Requested { productId, variantId?, addedAt? } items with valid ids
+const parseItems = (items) =>
+  (Array.isArray(items) ? items : [])
+    .slice(0, MAX_ITEMS)
+    .filter((item) => item && mongoose.isValidObjectId(item.productId) &&
+      (!item.variantId || mongoose.isValidObjectId(item.variantId)))
+    .map((item) => ({
+      product: item.productId,
+      variant: item.variantId || undefined,
+      addedAt: item.addedAt && !isNaN(new Date(item.addedAt)) ? new Date(item.addedAt) : undefined,
+    }));
+
+// Details of a guest's local wishlist
+// Body: { items: [{ productId, variantId?, addedAt? }] }
+router.post('/preview', async (req, res) => {
+  try {
+    res.json(await Wishlist.presentItems(parseItems(req.body.items)));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching wishlist' });
+  }
+});
+
+// Get the signed-in user's wishlist
+router.get('/', auth, async (req, res) => {
+  try {
+    await sendWishlist(res, await Wishlist.findOne({ user: req.user._id }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching wishlist' });
+  }
+});
+
+// Add a product, or one of its variants, to the wishlist
+// Body: { productId, variantId? }
+router.post('/items', auth, async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+    const product = mongoose.isValidObjectId(productId) && await Product.findById(productId);
+    const variant = product && product.findVariant(variantId);
+    if (!product || !product.isVisible() || (variantId && !variant)) {
+      return res.status(400).json({ message: 'Invalid product or variant' });
+    }
+
+    const wishlist = await Wishlist.findOne({ user: req.user._id }) ||
+      new Wishlist({ user: req.user._id });
+    wishlist.addItem(product._id, variant?._id);
+    await wishlist.save();
+    await sendWishlist(res, wishlist, 201);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating wishlist' });
+  }
+});
+
+// Remove an item from the wishlist
+router.delete('/items/:itemId', auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    if (!wishlist || !wishlist.items.id(req.params.itemId)) {
+      return res.status(404).json({ message: 'Wishlist item not found' });
+    }
+
+    wishlist.items.pull(req.params.itemId);
+    await wishlist.save();
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating wishlist' });
+  }
+});
+
+// Add a guest's local wishlist to the signed-in user's, e.g. right after login
+// Body: { items: [{ productId, variantId?, addedAt? }] }
+router.post('/merge', auth, async (req, res) => {
+  try {
+    const items = parseItems(req.body.items);
+    const wishlist = await Wishlist.findOne({ user: req.user._id }) ||
+      new Wishlist({ user: req.user._id });
+
+    // Only products that still exist are kept; the list shows unpublished ones as unavailable
+    const existing = new Set((await Product.find({ _id: { $in: items.map((item) => item.product) } })
+      .select('_id').lean()).map((product) => product._id.toString()));
+    for (const item of items) {
+      if (existing.has(item.product.toString())) {
+        wishlist.addItem(item.product, item.variant, item.addedAt);
+      }
+    }
+
+    if (wishlist.isNew && !wishlist.items.length) {
+      return sendWishlist(res, null);
+    }
+    await wishlist.save();
+    await sendWishlist(res, wishlist);
+  } catch (error) {
+    res.status(500).json({ message: 'Error merging wishlists' });
+  }
+});
+
+module.exports = router;
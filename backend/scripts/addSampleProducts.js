@@ -1,39 +1,51 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { importCatalog } = require('../utils/catalogImport');
 
+const sampleCategories = [
+    { name: 'Men', slug: 'men', sortOrder: 0 },
+    { name: 'Women', slug: 'women', sortOrder: 1 }
+];
+
+// Same shape as a catalog CSV row; images are downloaded and stored like an import
 const sampleProducts = [
     {
+        sku: 'M-TSHIRT-CLASSIC',
         name: "Men's Classic T-Shirt",
         description: "Comfortable cotton t-shirt for everyday wear",
-        price: 29.99,
-        category: "men",
-        image: "https://via.placeholder.com/300",
-        stock: 100
+        price: '29.99',
+        category: 'men',
+        images: 'https://placehold.co/600x800/png?text=T-Shirt',
+        stock: '100'
     },
     {
+        sku: 'M-JEANS-DENIM',
         name: "Men's Denim Jeans",
         description: "Classic fit denim jeans",
-        price: 59.99,
-        category: "men",
-        image: "https://via.placeholder.com/300",
-        stock: 50
+        price: '59.99',
+        category: 'men',
+        images: 'https://placehold.co/600x800/png?text=Jeans',
+        stock: '50'
     },
     {
+        sku: 'W-DRESS-SUMMER',
         name: "Women's Summer Dress",
         description: "Light and flowy summer dress",
-        price: 49.99,
-        category: "women",
-        image: "https://via.placeholder.com/300",
-        stock: 75
+        price: '49.99',
+        category: 'women',
+        images: 'https://placehold.co/600x800/png?text=Dress',
+        stock: '75'
     },
     {
+        sku: 'W-BLOUSE',
         name: "Women's Blouse",
         description: "Elegant blouse for any occasion",
-        price: 39.99,
-        category: "women",
-        image: "https://via.placeholder.com/300",
-        stock: 60
+        price: '39.99',
+        category: 'women',
+        images: 'https://placehold.co/600x800/png?text=Blouse',
+        stock: '60'
     }
 ];
 
@@ -41,14 +53,26 @@ async function addSampleProducts() {
     try {
         await mongoose.connect(process.env.MONGODB_URI);
         
+        // Make sure the sample categories exist
+        for (const category of sampleCategories) {
+            await Category.updateOne(
+                { slug: category.slug },
+                { $setOnInsert: category },
+                { upsert: true }
+            );
+        }
+
         // Clear existing products
         await Product.deleteMany({});
         
         // Add new products
-        await Product.insertMany(sampleProducts);
-        
-        console.log('Sample products added successfully');
-        process.exit(0);
+        const result = await importCatalog(sampleProducts);
+        result.rows
+            .filter((row) => row.action === 'error')
+            .forEach((row) => console.error(`${row.name}: ${row.errors.join(', ')}`));
+
+        console.log(`Sample products added: ${result.summary.create} created, ${result.summary.error} failed`);
+        process.exit(result.summary.error ? 1 : 0);
     } catch (error) {
         console.error('Error adding sample products:', error);
         process.exit(1);
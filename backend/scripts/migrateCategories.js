@@ -0,0 +1,41 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+// The fixed categories products used before the taxonomy existed
+const legacyCategories = [
+    { name: 'Men', slug: 'men', sortOrder: 0 },
+    { name: 'Women', slug: 'women', sortOrder: 1 }
+];
+
+// Creates the Men/Women root categories and points products that still
+// store the old 'men'/'women' strings at them. Safe to run more than once.
+async function migrateCategories() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        for (const legacy of legacyCategories) {
+            let category = await Category.findOne({ slug: legacy.slug });
+            if (!category) {
+                category = await Category.create(legacy);
+                console.log(`Created category ${legacy.name}`);
+            }
+
+            // Raw collection update since the schema now expects an ObjectId
+            const result = await Product.collection.updateMany(
+                { category: legacy.slug },
+                { $set: { category: category._id } }
+            );
+            console.log(`Moved ${result.modifiedCount} products to ${legacy.name}`);
+        }
+
+        console.log('Category migration finished');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating categories:', error);
+        process.exit(1);
+    }
+}
+
+migrateCategories();
@@ -0,0 +1,53 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { saveBuffer } = require('../utils/imageStorage');
+
+// Moves the legacy single `image` of each product into the `images` gallery.
+// Base64 images stored in `image.data` are written to files under uploads/
+// with resized renditions; images already stored as files are moved as-is.
+// Safe to run more than once: products without `image` are skipped.
+async function migrateImagesToFiles() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        // Read through the raw collection since `image` is no longer in the schema
+        const cursor = Product.collection.find({ image: { $exists: true } });
+        let migrated = 0;
+        let failed = 0;
+
+        for await (const doc of cursor) {
+            try {
+                const alt = doc.image.alt || doc.name;
+                const image = doc.image.data
+                    ? await saveBuffer(
+                        Buffer.from(doc.image.data, 'base64'),
+                        doc.image.contentType || 'image/jpeg',
+                        alt
+                    )
+                    : { ...doc.image, alt };
+
+                await Product.collection.updateOne(
+                    { _id: doc._id },
+                    {
+                        $set: { images: [{ ...image, _id: new mongoose.Types.ObjectId(), isPrimary: true }] },
+                        $unset: { image: '' }
+                    }
+                );
+                migrated++;
+                console.log(`Migrated image for ${doc.name}`);
+            } catch (error) {
+                failed++;
+                console.error(`Failed to migrate image for ${doc.name}:`, error.message);
+            }
+        }
+
+        console.log(`Image migration finished: ${migrated} migrated, ${failed} failed`);
+        process.exit(failed ? 1 : 0);
+    } catch (error) {
+        console.error('Error migrating images:', error);
+        process.exit(1);
+    }
+}
+
+migrateImagesToFiles();
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+// Gives every product created before slugs existed a slug generated from
+// its name. Safe to run more than once: products with a slug are skipped.
+async function migrateProductSlugs() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const products = await Product.find({ slug: { $exists: false } }).sort({ createdAt: 1 });
+        for (const product of products) {
+            // Validation runs the slug generator; skip the rest of the document
+            await product.validate(['slug']);
+            await Product.updateOne({ _id: product._id }, { $set: { slug: product.slug } });
+            console.log(`${product.name} -> ${product.slug}`);
+        }
+
+        console.log(`Added slugs to ${products.length} products`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating product slugs:', error);
+        process.exit(1);
+    }
+}
+
+migrateProductSlugs();
@@ -0,0 +1,25 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+// Registers the models carts are populated and priced with
+require('../models/User');
+require('../models/Category');
+require('../models/Product');
+require('../models/StockReservation');
+const { sendCartReminders } = require('../utils/abandonedCarts');
+
+// Sends the abandoned cart reminders that are due, once. For running from
+// cron instead of (or as well as) the schedule in the API server.
+async function run() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const { checked, sent, failed } = await sendCartReminders();
+        console.log(`Checked ${checked} abandoned carts: ${sent} reminders sent, ${failed} failed`);
+        process.exit(failed ? 1 : 0);
+    } catch (error) {
+        console.error('Error sending cart reminders:', error);
+        process.exit(1);
+    }
+}
+
+run();
@@ -5,8 +5,24 @@ const dotenv = require('dotenv');
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
+const attributeRoutes = require('./routes/attributes');
+const collectionRoutes = require('./routes/collections');
+const homeRoutes = require('./routes/home');
+const catalogRoutes = require('./routes/catalog');
+const inventoryRoutes = require('./routes/inventory');
 const cartRoutes = require('./routes/cart');
+const reservationRoutes = require('./routes/reservations');
+const wishlistRoutes = require('./routes/wishlist');
+const promotionRoutes = require('./routes/promotions');
+const shippingRoutes = require('./routes/shipping');
+const taxRoutes = require('./routes/tax');
+const currencyRoutes = require('./routes/currencies');
 const orderRoutes = require('./routes/orders');
+const abandonedCartRoutes = require('./routes/abandonedCarts');
+const reviewRoutes = require('./routes/reviews');
+const { uploadsDir } = require('./utils/imageStorage');
+const { scheduleCartReminders } = require('./utils/abandonedCarts');
 
 dotenv.config();
 
@@ -15,20 +31,43 @@ const app = express();
 // Middleware
 app.use(cors());
 
-// Increase payload size limit for base64 images
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Uploaded product images and their renditions; filenames are unique per
+// upload, so browsers and CDNs may cache them indefinitely
+app.use('/uploads', express.static(uploadsDir, {
+  maxAge: '365d',
+  immutable: true,
+}));
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    scheduleCartReminders();
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/attributes', attributeRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/home', homeRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/inventory', inventoryRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/currencies', currencyRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/abandoned-carts', abandonedCartRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
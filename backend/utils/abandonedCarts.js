@@ -0,0 +1,180 @@
+const Cart = require('../models/Cart');
+const CartReminder = require('../models/CartReminder');
+const Order = require('../models/Order');
+const Promotion = require('../models/Promotion');
+const { sendMail } = require('./mailer');
+const { cartReminderEmail } = require('./emailTemplates');
+const { normalizeCode } = require('./promotions');
+const { baseCurrency, formatMoney } = require('./currency');
+
+const HOUR = 60 * 60 * 1000;
+
+const numberSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return value >= 0 ? value : fallback;
+};
+
+// Read lazily because server.js loads the environment after requiring the
+// routes.
+// - ABANDONED_CART_HOURS: idle time before the first reminder
+// - ABANDONED_CART_FOLLOW_UP_HOURS: time after it before the follow-up;
+//   0 sends no follow-up
+// - ABANDONED_CART_COUPON: code of a promotion offered in the follow-up
+// - STORE_URL: where the storefront is, for the links in the emails
+const settings = () => ({
+  firstAfterHours: numberSetting('ABANDONED_CART_HOURS', 24),
+  followUpAfterHours: numberSetting('ABANDONED_CART_FOLLOW_UP_HOURS', 48),
+  couponCode: normalizeCode(process.env.ABANDONED_CART_COUPON),
+  storeUrl: (process.env.STORE_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+});
+
+// Carts of signed-in customers with items that nobody has changed since `idleSince`
+const abandonedFilter = (idleSince) => ({
+  user: { $ne: null },
+  'items.0': { $exists: true },
+  updatedAt: { $lte: idleSince },
+});
+
+// The coupon for the follow-up, if one is set up and can be used right now
+const followUpCoupon = async (code) => {
+  if (!code) return null;
+  const promotion = await Promotion.findOne({ code });
+  if (!promotion || !promotion.isLive()) return null;
+  return { code: promotion.code, description: promotion.description || promotion.name };
+};
+
+// Which reminder a cart is due, or null. The sequence starts over whenever
+// the cart changes, since reminders sent before that are ignored.
+const dueStep = (reminders, { followUpAfterHours }, now) => {
+  if (!reminders.length) return 1;
+  if (reminders.length === 1 && followUpAfterHours > 0 &&
+      reminders[0].sentAt <= new Date(now - followUpAfterHours * HOUR)) {
+    return 2;
+  }
+  return null;
+};
+
+// Send the reminder a cart is due, if any. Resolves to whether one was sent.
+const remindCart = async (cart, config, now) => {
+  if (!cart.user?.email) return false;
+
+  const reminders = await CartReminder.find({ cart: cart._id, sentAt: { $gte: cart.updatedAt } })
+    .sort({ step: 1 });
+  const step = dueStep(reminders, config, now);
+  if (!step) return false;
+
+  // Bought since: the cart was not abandoned after all
+  if (await Order.exists({ user: cart.user._id, createdAt: { $gte: cart.updatedAt } })) return false;
+
+  const { items } = await cart.present();
+  const available = items.filter((item) => item.status === 'available');
+  if (!available.length) return false;
+
+  const coupon = step === 2 ? await followUpCoupon(config.couponCode) : null;
+  const reminder = new CartReminder({
+    user: cart.user._id,
+    cart: cart._id,
+    step,
+    items: cart.items.map(({ product, variant, quantity }) => ({ product, variant, quantity })),
+    couponCode: coupon?.code,
+    sentAt: now,
+  });
+
+  const email = cartReminderEmail({
+    name: cart.user.name,
+    items: available.map((item) => ({
+      name: item.product.name,
+      options: item.variant ? [...item.variant.options.values()].join(' / ') : '',
+      quantity: item.quantity,
+      price: formatMoney(item.price * item.quantity),
+    })),
+    restoreUrl: `${config.storeUrl}/cart/restore/${reminder.token}`,
+    coupon,
+    step,
+  });
+  await sendMail({ to: cart.user.email, ...email });
+  await reminder.save();
+  return true;
+};
+
+// Email customers about carts they left behind: a first reminder once a
+// cart has been idle long enough, then a follow-up (with the coupon, if
+// any) unless the cart changed meanwhile. Safe to run as often as wanted.
+// Resolves to { checked, sent, failed }.
+const sendCartReminders = async (now = new Date()) => {
+  const config = settings();
+  const carts = await Cart.find(abandonedFilter(new Date(now - config.firstAfterHours * HOUR)))
+    .populate('user', 'name email');
+
+  const result = { checked: carts.length, sent: 0, failed: 0 };
+  for (const cart of carts) {
+    try {
+      if (await remindCart(cart, config, now)) result.sent += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Error sending reminder for cart ${cart._id}:`, error);
+    }
+  }
+  return result;
+};
+
+// Run sendCartReminders every ABANDONED_CART_INTERVAL_MINUTES (default
+// 60; 0 turns the job off), never two runs at once
+const scheduleCartReminders = () => {
+  const minutes = numberSetting('ABANDONED_CART_INTERVAL_MINUTES', 60);
+  if (!minutes) return null;
+
+  let running = false;
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { sent, failed } = await sendCartReminders();
+      if (sent || failed) console.log(`Cart reminders: ${sent} sent, ${failed} failed`);
+    } catch (error) {
+      console.error('Error sending cart reminders:', error);
+    } finally {
+      running = false;
+    }
+  }, minutes * 60 * 1000);
+};
+
+// How many carts are abandoned right now, and what the reminders sent in
+// the last `days` days achieved. Recovered revenue is in the base currency.
+const abandonmentStats = async ({ days = 30, now = new Date() } = {}) => {
+  const config = settings();
+  const [abandonedCarts, reminders] = await Promise.all([
+    Cart.countDocuments(abandonedFilter(new Date(now - config.firstAfterHours * HOUR))),
+    CartReminder.find({ sentAt: { $gte: new Date(now - days * 24 * HOUR) } })
+      .select('cart step clickedAt recoveredAt order')
+      .populate('order', 'totalAmount exchangeRate')
+      .lean(),
+  ]);
+
+  const remindedCarts = new Set(reminders.map((reminder) => reminder.cart.toString()));
+  const recovered = reminders.filter((reminder) => reminder.recoveredAt);
+  const recoveredRevenue = recovered.reduce((sum, reminder) =>
+    sum + (reminder.order ? reminder.order.totalAmount / (reminder.order.exchangeRate || 1) : 0), 0);
+
+  return {
+    days,
+    idleHours: config.firstAfterHours,
+    abandonedCarts,
+    remindedCarts: remindedCarts.size,
+    remindersSent: {
+      first: reminders.filter((reminder) => reminder.step === 1).length,
+      followUp: reminders.filter((reminder) => reminder.step === 2).length,
+    },
+    clicked: reminders.filter((reminder) => reminder.clickedAt).length,
+    recovered: recovered.length,
+    recoveryRate: remindedCarts.size ? recovered.length / remindedCarts.size : 0,
+    recoveredRevenue: Math.round(recoveredRevenue * 100) / 100,
+    currency: baseCurrency(),
+  };
+};
+
+module.exports = {
+  sendCartReminders,
+  scheduleCartReminders,
+  abandonmentStats,
+};
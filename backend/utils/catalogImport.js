@@ -0,0 +1,241 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const InventoryMovement = require('../models/InventoryMovement');
+const PriceHistory = require('../models/PriceHistory');
+const csv = require('./csv');
+const { checkImageReference, importImage } = require('./imageStorage');
+const { guardStock } = require('./stock');
+
+// Column order used for exports; imports accept the same headers
+const CATALOG_COLUMNS = ['sku', 'name', 'slug', 'description', 'price', 'compareAtPrice', 'category', 'tags', 'stock', 'status', 'images'];
+
+const STATUSES = Product.schema.path('status').enumValues;
+
+// Multiple images or tags in one cell are separated by '|'
+const LIST_SEPARATOR = '|';
+
+// Export every product as CSV
+const exportCatalog = async () => {
+  const products = await Product.find()
+    .populate('category', 'slug')
+    .sort({ name: 1 })
+    .lean();
+
+  return csv.stringify(CATALOG_COLUMNS, products.map((product) => ({
+    sku: product.sku,
+    name: product.name,
+    slug: product.slug,
+    description: product.description,
+    price: product.price,
+    compareAtPrice: product.compareAtPrice,
+    category: product.category?.slug,
+    tags: (product.tags || []).join(LIST_SEPARATOR),
+    stock: product.stock,
+    status: product.status || 'active',
+    images: product.images.map((image) => image.url).join(LIST_SEPARATOR),
+  })));
+};
+
+// Validate one CSV row against the catalog. Blank cells on existing
+// products mean "leave unchanged"; new products need every column.
+const validateRow = async (row, existing, categoryIds) => {
+  const errors = [];
+  const warnings = [];
+  const fields = {};
+  const isNew = !existing;
+
+  if (row.sku) fields.sku = row.sku;
+
+  // A blank slug is generated from the name for new products
+  if (row.slug) fields.slug = row.slug;
+
+  ['name', 'description'].forEach((column) => {
+    if (row[column]) {
+      fields[column] = row[column];
+    } else if (isNew) {
+      errors.push(`${column} is required`);
+    }
+  });
+
+  if (row.price) {
+    const price = Number(row.price);
+    if (isNaN(price) || price <= 0) {
+      errors.push(`Invalid price "${row.price}"`);
+    } else {
+      fields.price = price;
+    }
+  } else if (isNew) {
+    errors.push('price is required');
+  }
+
+  if (row.compareAtPrice) {
+    const compareAtPrice = Number(row.compareAtPrice);
+    if (isNaN(compareAtPrice) || compareAtPrice <= 0) {
+      errors.push(`Invalid compareAtPrice "${row.compareAtPrice}"`);
+    } else {
+      fields.compareAtPrice = compareAtPrice;
+    }
+  }
+
+  if (row.category) {
+    const categoryId = categoryIds.get(row.category.toLowerCase());
+    if (!categoryId) {
+      errors.push(`Unknown category "${row.category}"`);
+    } else {
+      fields.category = categoryId;
+    }
+  } else if (isNew) {
+    errors.push('category is required');
+  }
+
+  if (row.tags) {
+    fields.tags = row.tags.split(LIST_SEPARATOR).map((tag) => tag.trim()).filter(Boolean);
+  }
+
+  if (row.stock) {
+    const stock = Number(row.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push(`Invalid stock "${row.stock}"`);
+    } else if (existing && existing.variants.length) {
+      warnings.push('stock is ignored for products with variants');
+    } else {
+      fields.stock = stock;
+    }
+  }
+
+  if (row.status) {
+    const status = row.status.toLowerCase();
+    if (!STATUSES.includes(status)) {
+      errors.push(`Invalid status "${row.status}"`);
+    } else if (status === 'scheduled' && !existing?.publishAt) {
+      errors.push('Scheduled products need a publish date; set it in the product form');
+    } else {
+      fields.status = status;
+    }
+  }
+
+  const imageReferences = (row.images || '')
+    .split(LIST_SEPARATOR)
+    .map((reference) => reference.trim())
+    .filter(Boolean);
+  if (imageReferences.length) {
+    for (const reference of imageReferences) {
+      const imageError = await checkImageReference(reference);
+      if (imageError) errors.push(imageError);
+    }
+  } else if (isNew) {
+    errors.push('At least one image is required');
+  }
+
+  return { fields, imageReferences, errors, warnings };
+};
+
+// csv.parse lower-cases header names; key rows by the catalog's column
+// names again, e.g. compareatprice back to compareAtPrice
+const COLUMN_NAMES = new Map(CATALOG_COLUMNS.map((column) => [column.toLowerCase(), column]));
+const normalizeRow = (row) => Object.fromEntries(
+  Object.entries(row).map(([key, value]) => [COLUMN_NAMES.get(key.toLowerCase()) || key, value])
+);
+
+// Import parsed CSV rows, creating or updating products matched by SKU
+// (falling back to name). With `dryRun` nothing is written and the result
+// previews what would happen to each row. Stock changes are logged
+// against `user`, the admin running the import.
+const importCatalog = async (rows, { dryRun = false, user } = {}) => {
+  const [products, categories] = await Promise.all([
+    Product.find({}, { sku: 1, name: 1, variants: 1, publishAt: 1 }).lean(),
+    Category.find({}, { slug: 1 }).lean()
+  ]);
+  const bySku = new Map(products.filter((p) => p.sku).map((p) => [p.sku, p]));
+  const byName = new Map(products.map((p) => [p.name.toLowerCase(), p]));
+  const categoryIds = new Map(categories.map((c) => [c.slug, c._id]));
+  const seen = new Set();
+
+  const results = [];
+  for (const [index, parsed] of rows.entries()) {
+    const row = normalizeRow(parsed);
+    // Row 1 is the header
+    const result = { row: index + 2, sku: row.sku, name: row.name, errors: [], warnings: [] };
+    results.push(result);
+
+    const existing = (row.sku && bySku.get(row.sku)) ||
+      (row.name && byName.get(row.name.toLowerCase())) ||
+      null;
+    if (existing && !result.name) result.name = existing.name;
+    const key = existing ? existing._id.toString() : (row.sku || row.name || '').toLowerCase();
+
+    if (key && seen.has(key)) {
+      result.action = 'error';
+      result.errors.push('Duplicate of an earlier row');
+      continue;
+    }
+    seen.add(key);
+
+    if (existing && row.sku && existing.sku && existing.sku !== row.sku) {
+      result.action = 'error';
+      result.errors.push(`"${row.name}" already has SKU ${existing.sku}`);
+      continue;
+    }
+
+    const { fields, imageReferences, errors, warnings } = await validateRow(row, existing, categoryIds);
+    result.errors.push(...errors);
+    result.warnings.push(...warnings);
+    if (errors.length) {
+      result.action = 'error';
+      continue;
+    }
+
+    result.action = existing ? 'update' : 'create';
+    if (dryRun) continue;
+
+    try {
+      if (imageReferences.length) {
+        const alt = fields.name || existing?.name || '';
+        fields.images = [];
+        for (const reference of imageReferences) {
+          fields.images.push(await importImage(reference, alt));
+        }
+      }
+
+      const product = existing ? guardStock(await Product.findById(existing._id)) : new Product();
+      const before = existing ? InventoryMovement.snapshot(product) : new Map();
+      const pricesBefore = existing ? PriceHistory.snapshot(product) : new Map();
+      product.set(fields);
+      await product.save();
+      await InventoryMovement.recordChanges(before, product, {
+        reason: existing ? 'adjustment' : 'restock',
+        note: existing ? 'CSV import' : 'Initial stock (CSV import)',
+        user: user?._id
+      });
+      await PriceHistory.recordChanges(pricesBefore, product, { user: user?._id });
+      result.productId = product._id;
+    } catch (error) {
+      result.action = 'error';
+      if (error.code === 11000) {
+        result.errors.push(`${error.keyPattern?.slug ? 'Slug' : 'SKU'} is already used by another product`);
+      } else if (error.name === 'DocumentNotFoundError') {
+        result.errors.push('Stock changed during the import. Please import this row again.');
+      } else {
+        result.errors.push(error.message);
+      }
+    }
+  }
+
+  const count = (action) => results.filter((result) => result.action === action).length;
+  return {
+    dryRun,
+    summary: {
+      total: results.length,
+      create: count('create'),
+      update: count('update'),
+      error: count('error'),
+    },
+    rows: results,
+  };
+};
+
+module.exports = {
+  CATALOG_COLUMNS,
+  exportCatalog,
+  importCatalog,
+};
@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reading and writing for catalog import/export
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+};
+
+// Parse CSV text with a header row into objects keyed by lower-cased header
+const parse = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim().toLowerCase());
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()]))
+  );
+};
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize objects to CSV using the given column order
+const stringify = (columns, records) =>
+  [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((cells) => cells.map(escapeField).join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = { parse, stringify };
@@ -0,0 +1,56 @@
+const Currency = require('../models/Currency');
+
+const baseCurrency = () => Currency.baseCode();
+
+// Minor units, e.g. 2 for EUR and 0 for JPY
+const fractionDigits = (code) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+
+// A currency prices can be worked out in: { code, rate, digits }. The base
+// currency has a rate of 1.
+const toCurrency = (code, rate) => ({ code, rate, digits: fractionDigits(code) });
+
+// A base currency amount in another currency, rounded to its minor units
+const convert = (amount, currency) => {
+  if (amount == null || !currency || currency.rate === 1) return amount;
+  const factor = 10 ** currency.digits;
+  return Math.round(amount * currency.rate * factor) / factor;
+};
+
+// An amount in the currency back in the base currency, unrounded, for
+// comparing with thresholds entered in the base currency
+const toBase = (amount, currency) => (currency ? amount / currency.rate : amount);
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency?.code || baseCurrency() })
+    .format(amount);
+
+// The currency for a requested code: the base currency when none is given,
+// null when the code is not enabled
+const resolveCurrency = async (code) => {
+  const base = baseCurrency();
+  const requested = typeof code === 'string' ? code.trim().toUpperCase() : '';
+  if (!requested || requested === base) return toCurrency(base, 1);
+
+  const currency = await Currency.findOne({ code: requested, enabled: true });
+  return currency ? toCurrency(currency.code, currency.rate) : null;
+};
+
+// Every currency shoppers can choose, base currency first
+const enabledCurrencies = async () => {
+  const base = baseCurrency();
+  const currencies = await Currency.find({ enabled: true, code: { $ne: base } }).sort({ code: 1 });
+  return [
+    toCurrency(base, 1),
+    ...currencies.map((currency) => toCurrency(currency.code, currency.rate)),
+  ];
+};
+
+module.exports = {
+  baseCurrency,
+  convert,
+  toBase,
+  formatMoney,
+  resolveCurrency,
+  enabledCurrencies,
+};
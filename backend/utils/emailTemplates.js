@@ -0,0 +1,67 @@
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The store's plain email frame around some HTML
+const layout = (body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f5;font-family:Helvetica,Arial,sans-serif;color:#222;">
+    <div style="max-width:560px;margin:0 auto;background:#fff;padding:32px;">
+      <p style="letter-spacing:0.2em;font-weight:300;margin:0 0 24px;">TAUTY</p>
+      ${body}
+    </div>
+  </body>
+</html>`;
+
+const button = (href, label) =>
+  `<a href="${escapeHtml(href)}" style="display:inline-block;padding:12px 28px;background:#000;color:#fff;text-decoration:none;letter-spacing:0.1em;">${escapeHtml(label)}</a>`;
+
+// Reminder about a cart left behind. `items` are [{ name, options,
+// quantity, price }] with prices already formatted; `coupon` is
+// { code, description } on the follow-up when there is one.
+// Resolves to { subject, text, html }.
+const cartReminderEmail = ({ name, items, restoreUrl, coupon = null, step = 1 }) => {
+  const subject = step === 1
+    ? 'You left something in your cart'
+    : coupon
+      ? `Your cart is waiting, with ${coupon.code} for you`
+      : 'Your cart is still waiting';
+  const intro = step === 1
+    ? 'You left these in your cart. They are still here when you are ready.'
+    : 'Your cart is still waiting, but we cannot hold these for ever.';
+  const describe = (item) => [
+    `${item.quantity} × ${item.name}`,
+    item.options,
+  ].filter(Boolean).join(' · ');
+
+  const text = [
+    `Hi ${name},`,
+    '',
+    intro,
+    '',
+    ...items.map((item) => `- ${describe(item)}: ${item.price}`),
+    '',
+    ...(coupon ? [`Use code ${coupon.code} at checkout: ${coupon.description}`, ''] : []),
+    `Return to your cart: ${restoreUrl}`,
+  ].join('\n');
+
+  const html = layout(`
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>${escapeHtml(intro)}</p>
+      <table style="width:100%;border-collapse:collapse;margin:16px 0;">
+        ${items.map((item) => `<tr>
+          <td style="padding:8px 0;border-bottom:1px solid #eee;">${escapeHtml(describe(item))}</td>
+          <td style="padding:8px 0;border-bottom:1px solid #eee;text-align:right;">${escapeHtml(item.price)}</td>
+        </tr>`).join('')}
+      </table>
+      ${coupon ? `<p>Use code <strong>${escapeHtml(coupon.code)}</strong> at checkout: ${escapeHtml(coupon.description)}</p>` : ''}
+      <p style="margin-top:24px;">${button(restoreUrl, 'RETURN TO YOUR CART')}</p>`);
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  cartReminderEmail,
+};
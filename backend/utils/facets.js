@@ -0,0 +1,137 @@
+const Product = require('../models/Product');
+
+// Attribute filters are passed as ?attr_<code>=..., e.g.
+// ?attr_material=linen,cotton or ?attr_width=10..20 (either bound optional)
+const QUERY_PREFIX = 'attr_';
+const VALUE_SEPARATOR = ',';
+const RANGE_SEPARATOR = '..';
+
+// Selected attribute filters from the query string, keyed by attribute code:
+// { values: [...] } for text/enum attributes, { min, max } for numbers
+const parseAttributeQuery = (query, definitions) => {
+  const selections = new Map();
+
+  for (const definition of definitions) {
+    const raw = query[QUERY_PREFIX + definition.code];
+    if (typeof raw !== 'string' || !raw.trim()) continue;
+
+    if (definition.type === 'number') {
+      const [min, max] = raw.split(RANGE_SEPARATOR).map((bound) => parseFloat(bound));
+      if (isNaN(min) && isNaN(max)) continue;
+      selections.set(definition.code, {
+        min: isNaN(min) ? null : min,
+        max: isNaN(max) ? null : max,
+      });
+    } else {
+      const values = raw.split(VALUE_SEPARATOR).map((value) => value.trim()).filter(Boolean);
+      if (values.length) selections.set(definition.code, { values });
+    }
+  }
+
+  return selections;
+};
+
+// Mongo condition for one selected attribute filter
+const selectionCondition = (code, selection) => {
+  let value;
+  if (selection.values) {
+    value = { $in: selection.values };
+  } else {
+    value = {};
+    if (selection.min !== null) value.$gte = selection.min;
+    if (selection.max !== null) value.$lte = selection.max;
+  }
+  return { attributes: { $elemMatch: { code, value } } };
+};
+
+// Narrow a product filter by the selected attributes, optionally leaving
+// one out (a facet's counts ignore its own selection so shoppers can
+// widen it again)
+const withSelections = (filter, selections, exceptCode) => {
+  const conditions = [...selections]
+    .filter(([code]) => code !== exceptCode)
+    .map(([code, selection]) => selectionCondition(code, selection));
+  return conditions.length ? { $and: [filter, ...conditions] } : filter;
+};
+
+// Values and product counts of every filterable attribute among the
+// products matching `filter` and the selections on the other attributes.
+// Number attributes report the min/max range instead of single values.
+const facetCounts = async (filter, definitions, selections) => {
+  const filterable = definitions.filter((definition) => definition.filterable);
+  if (!filterable.length) return [];
+
+  const pipelines = {};
+  for (const definition of filterable) {
+    const others = withSelections({}, selections, definition.code);
+    pipelines[definition.code] = [
+      { $match: others },
+      { $unwind: '$attributes' },
+      { $match: { 'attributes.code': definition.code } },
+      definition.type === 'number'
+        ? {
+            $group: {
+              _id: null,
+              min: { $min: '$attributes.value' },
+              max: { $max: '$attributes.value' },
+              count: { $sum: 1 },
+            },
+          }
+        : { $group: { _id: '$attributes.value', count: { $sum: 1 } } },
+    ];
+  }
+
+  const [counts] = await Product.aggregate([
+    { $match: filter },
+    { $facet: pipelines },
+  ]);
+
+  return filterable
+    .map((definition) => {
+      const groups = counts[definition.code];
+      const selection = selections.get(definition.code) || null;
+      const facet = {
+        code: definition.code,
+        name: definition.name,
+        type: definition.type,
+        unit: definition.unit,
+      };
+
+      if (definition.type === 'number') {
+        if (!groups.length) return null;
+        return {
+          ...facet,
+          min: groups[0].min,
+          max: groups[0].max,
+          count: groups[0].count,
+          selected: selection,
+        };
+      }
+
+      const selected = selection ? selection.values : [];
+      const countByValue = new Map(groups.map((group) => [String(group._id), group.count]));
+      // Selected values stay listed even when nothing matches them any more
+      selected.forEach((value) => {
+        if (!countByValue.has(value)) countByValue.set(value, 0);
+      });
+      if (!countByValue.size) return null;
+
+      let values = [...countByValue].map(([value, count]) => ({
+        value,
+        count,
+        selected: selected.includes(value),
+      }));
+      values = definition.type === 'enum'
+        ? values.sort((a, b) => definition.values.indexOf(a.value) - definition.values.indexOf(b.value))
+        : values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+      return { ...facet, values };
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  parseAttributeQuery,
+  withSelections,
+  facetCounts,
+};
@@ -0,0 +1,191 @@
+const sharp = require('sharp');
+const path = require('path');
+const fs = require('fs');
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+const PUBLIC_PREFIX = '/uploads';
+
+// Local image files referenced by relative path in catalog imports live here
+const importsDir = path.join(__dirname, '..', 'imports');
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// A remote image still not downloaded by then fails its row, so a host
+// that never answers cannot hold up the rest of the import
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+// Resized copies generated for every uploaded product image
+const RENDITIONS = {
+  thumbnail: { width: 150, height: 200 },
+  card: { width: 450, height: 600 },
+  detail: { width: 900, height: 1125 },
+};
+
+const publicUrl = (filename) => `${PUBLIC_PREFIX}/${filename}`;
+
+// Write the thumbnail/card/detail JPEGs next to the original file
+const generateRenditions = async (sourcePath) => {
+  const baseName = path.basename(sourcePath, path.extname(sourcePath));
+  const renditions = {};
+
+  for (const [name, size] of Object.entries(RENDITIONS)) {
+    const filename = `${baseName}-${name}.jpg`;
+    await sharp(sourcePath)
+      .rotate()
+      .resize(size.width, size.height, { fit: 'cover', position: 'attention' })
+      .jpeg({ quality: 80 })
+      .toFile(path.join(uploadsDir, filename));
+    renditions[name] = publicUrl(filename);
+  }
+
+  return renditions;
+};
+
+// Turn a file stored by middleware/upload into the image subdocument saved on a Product
+const processUpload = async (file, alt = '') => {
+  try {
+    const renditions = await generateRenditions(file.path);
+    return {
+      url: publicUrl(file.filename),
+      contentType: file.mimetype,
+      renditions,
+      alt,
+    };
+  } catch (error) {
+    fs.promises.unlink(file.path).catch(() => {});
+    throw error;
+  }
+};
+
+// Store raw image bytes (e.g. a legacy base64 image) and generate its renditions
+const saveBuffer = async (buffer, contentType, alt = '') => {
+  const extension = contentType.split('/')[1] || 'jpg';
+  const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.${extension}`;
+  const filePath = path.join(uploadsDir, filename);
+
+  await fs.promises.mkdir(uploadsDir, { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+  return processUpload({ path: filePath, filename, mimetype: contentType }, alt);
+};
+
+const isRemoteReference = (reference) => /^https?:\/\//i.test(reference);
+
+// Resolve a relative import path, refusing anything outside the imports directory
+const resolveImportPath = (reference) => {
+  const filePath = path.resolve(importsDir, reference);
+  return filePath.startsWith(importsDir + path.sep) ? filePath : null;
+};
+
+// Check an image reference from a catalog import without storing anything.
+// Returns an error message, or null if the reference looks usable.
+const checkImageReference = async (reference) => {
+  if (isRemoteReference(reference)) {
+    try {
+      new URL(reference);
+      return null;
+    } catch (error) {
+      return `Invalid image URL: ${reference}`;
+    }
+  }
+
+  const filePath = reference.startsWith(`${PUBLIC_PREFIX}/`)
+    ? path.join(uploadsDir, path.basename(reference))
+    : resolveImportPath(reference);
+  if (!filePath || !CONTENT_TYPES[path.extname(filePath).toLowerCase()]) {
+    return `Unsupported image path: ${reference}`;
+  }
+  try {
+    await fs.promises.access(filePath);
+    return null;
+  } catch (error) {
+    return `Image file not found: ${reference}`;
+  }
+};
+
+// Download a remote image, giving up as soon as it turns out to be over
+// the size limit: by its declared length, or else once that much has come
+// in, or when it takes too long. Resolves to { buffer, contentType }.
+const downloadImage = async (reference) => {
+  const controller = new AbortController();
+  const signal = AbortSignal.any([controller.signal, AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT_MS)]);
+  try {
+    const response = await fetch(reference, { signal });
+    const contentType = (response.headers.get('content-type') || '').split(';')[0];
+    const tooLarge = () => new Error(`Image is larger than 5MB: ${reference}`);
+    if (!response.ok || !contentType.startsWith('image/') || !response.body) {
+      controller.abort();
+      throw new Error(`Could not download image: ${reference}`);
+    }
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+      controller.abort();
+      throw tooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > MAX_IMAGE_BYTES) {
+        controller.abort();
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+    return { buffer: Buffer.concat(chunks), contentType };
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Image download timed out: ${reference}`);
+    }
+    throw error;
+  }
+};
+
+// Store the image behind a catalog import reference and return its image subdocument.
+// References may be http(s) URLs, files already under /uploads, or paths
+// relative to the imports directory.
+const importImage = async (reference, alt = '') => {
+  if (isRemoteReference(reference)) {
+    const { buffer, contentType } = await downloadImage(reference);
+    return saveBuffer(buffer, contentType, alt);
+  }
+
+  if (reference.startsWith(`${PUBLIC_PREFIX}/`)) {
+    const filename = path.basename(reference);
+    const filePath = path.join(uploadsDir, filename);
+    return {
+      url: publicUrl(filename),
+      contentType: CONTENT_TYPES[path.extname(filename).toLowerCase()],
+      renditions: await generateRenditions(filePath),
+      alt,
+    };
+  }
+
+  const filePath = resolveImportPath(reference);
+  const contentType = filePath && CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+  if (!contentType) {
+    throw new Error(`Unsupported image path: ${reference}`);
+  }
+  return saveBuffer(await fs.promises.readFile(filePath), contentType, alt);
+};
+
+// Only accept image references that point at files we stored ourselves
+const isStoredImage = (image) =>
+  Boolean(image && typeof image.url === 'string' && image.url.startsWith(`${PUBLIC_PREFIX}/`));
+
+module.exports = {
+  uploadsDir,
+  PUBLIC_PREFIX,
+  importsDir,
+  RENDITIONS,
+  processUpload,
+  saveBuffer,
+  checkImageReference,
+  importImage,
+  isStoredImage,
+};
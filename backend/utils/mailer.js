@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+
+// How email leaves the store, chosen with MAIL_TRANSPORT:
+// - console (default): print messages instead of sending them
+// - smtp: send through SMTP_HOST:SMTP_PORT, e.g. a local catcher such as
+//   Mailpit or MailHog on port 1025 in development
+// Other transports can be added with registerTransport; each factory
+// returns an object with sendMail(message), as nodemailer transports do.
+const transports = {
+  console: () => ({
+    async sendMail(message) {
+      console.log(`[mail] To: ${message.to} | ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    },
+  }),
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+    }),
+  }),
+};
+
+let transport = null;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = null;
+};
+
+// Created on first use, since server.js loads the environment after
+// requiring the routes
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) throw new Error(`Unknown mail transport: ${name}`);
+    transport = factory();
+  }
+  return transport;
+};
+
+// Send { to, subject, text, html } from MAIL_FROM
+const sendMail = (message) => getTransport().sendMail({
+  from: process.env.MAIL_FROM || 'TAUTY <no-reply@tauty.local>',
+  ...message,
+});
+
+module.exports = {
+  registerTransport,
+  sendMail,
+};
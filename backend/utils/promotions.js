@@ -0,0 +1,214 @@
+const Promotion = require('../models/Promotion');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const { convert, formatMoney } = require('./currency');
+
+// Promotion types discounted on the items they cover rather than on the
+// order as a whole. Percentage and fixed promotions limited to categories
+// are line-level too.
+const LINE_LEVEL_TYPES = ['buy_x_get_y'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const isLineLevel = (promotion) =>
+  LINE_LEVEL_TYPES.includes(promotion.type) ||
+  (['percentage', 'fixed'].includes(promotion.type) && promotion.categories.length > 0);
+
+// The promotions to try: every live automatic one, plus the one with the
+// entered code. Resolves to { promotions, couponError }.
+const findPromotions = async (code, now) => {
+  const promotions = await Promotion.find({ ...Promotion.liveFilter(now), code: null });
+  if (!code) return { promotions, couponError: null };
+
+  const coupon = await Promotion.findOne({ code });
+  if (!coupon || !coupon.active) {
+    return { promotions, couponError: `${code} is not a valid code` };
+  }
+  if (!coupon.isLive(now)) {
+    const ended = coupon.endsAt && coupon.endsAt <= now;
+    const upcoming = coupon.startsAt && coupon.startsAt > now;
+    return {
+      promotions,
+      couponError: ended ? `${code} has expired`
+        : upcoming ? `${code} is not valid yet`
+        : `${code} is no longer available`,
+    };
+  }
+  return { promotions: [...promotions, coupon], couponError: null };
+};
+
+// Why the customer cannot use the promotion on these lines, or null
+const ineligibility = async (promotion, { lines, subtotal, user, currency }) => {
+  const minSubtotal = convert(promotion.minSubtotal, currency);
+  if (subtotal < minSubtotal) {
+    return `Spend ${formatMoney(minSubtotal, currency)} to use ${promotion.code || promotion.name}`;
+  }
+  if (promotion.firstOrderOnly || promotion.perCustomerLimit) {
+    if (!user) return `Sign in to use ${promotion.code || promotion.name}`;
+  }
+  if (promotion.firstOrderOnly && await Order.exists({ user: user._id })) {
+    return `${promotion.code || promotion.name} is for first orders only`;
+  }
+  if (promotion.perCustomerLimit) {
+    const used = await Order.countDocuments({ user: user._id, 'discounts.promotion': promotion._id });
+    if (used >= promotion.perCustomerLimit) {
+      return `You have already used ${promotion.code || promotion.name}`;
+    }
+  }
+  if (!lines.length) {
+    return `${promotion.code || promotion.name} does not apply to the items in your cart`;
+  }
+  return null;
+};
+
+// Lines in the promotion's categories (or below them); all lines when it has none
+const eligibleLines = async (promotion, lines) => {
+  if (!promotion.categories.length) return lines;
+
+  const categoryIds = new Set();
+  for (const categoryId of promotion.categories) {
+    (await Category.descendantIds(categoryId)).forEach((id) => categoryIds.add(id.toString()));
+  }
+  return lines.filter((line) => {
+    const category = line.product.category?._id || line.product.category;
+    return category && categoryIds.has(category.toString());
+  });
+};
+
+// Spread an amount over lines in proportion to what is left to pay on
+// each; the last line takes the rounding remainder
+const allocate = (lines, amount) => {
+  const remaining = lines.map((line) => line.subtotal - line.discount);
+  const base = remaining.reduce((sum, value) => sum + value, 0);
+  if (base <= 0) return 0;
+
+  const total = roundMoney(Math.min(amount, base));
+  let allocated = 0;
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? roundMoney(total - allocated)
+      : roundMoney(total * remaining[index] / base);
+    line.discount = roundMoney(line.discount + share);
+    allocated = roundMoney(allocated + share);
+  });
+  return total;
+};
+
+// Buy X get Y: every group of buyQuantity + getQuantity units earns
+// getQuantity discounted units, always the cheapest ones
+const applyBuyXGetY = (promotion, lines) => {
+  const units = lines
+    .flatMap((line) => Array.from({ length: line.quantity }, () => line))
+    .sort((a, b) => a.price - b.price);
+  const groupSize = promotion.buyQuantity + promotion.getQuantity;
+  const discounted = Math.floor(units.length / groupSize) * promotion.getQuantity;
+  const percent = promotion.value || 100;
+
+  let total = 0;
+  units.slice(0, discounted).forEach((line) => {
+    const amount = roundMoney(Math.min(line.price * percent / 100, line.subtotal - line.discount));
+    line.discount = roundMoney(line.discount + amount);
+    total = roundMoney(total + amount);
+  });
+  return total;
+};
+
+// Price checkout lines ([{ product, variant, quantity }] with documents)
+// and work out every promotion that applies. Line-level promotions are
+// applied first, then order-level ones on what is left. Amounts are in
+// `currency` (see utils/currency), the base currency by default. Resolves to:
+// {
+//   items: [{ product, variant, quantity, price, subtotal, discount, total }],
+//   subtotal, discounts: [{ promotion, code, name, type, level, amount }],
+//   discountTotal, freeShipping, total,
+//   coupon: { code, applied, message } when a code was entered
+// }
+const applyPromotions = async (lines, { user = null, code: enteredCode, now = new Date(), currency = null } = {}) => {
+  const code = normalizeCode(enteredCode);
+  const items = lines.map((line) => {
+    const price = line.product.priceFor(line.variant, currency);
+    return { ...line, price, subtotal: roundMoney(price * line.quantity), discount: 0 };
+  });
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.subtotal, 0));
+
+  const { promotions, couponError } = await findPromotions(code, now);
+  const ordered = [
+    ...promotions.filter(isLineLevel),
+    ...promotions.filter((promotion) => !isLineLevel(promotion)),
+  ];
+
+  const discounts = [];
+  let orderDiscount = 0;
+  let freeShipping = false;
+  let couponMessage = couponError;
+
+  for (const promotion of ordered) {
+    const eligible = await eligibleLines(promotion, items);
+    const reason = await ineligibility(promotion, { lines: eligible, subtotal, user, currency });
+    if (reason) {
+      if (promotion.code) couponMessage = reason;
+      continue;
+    }
+
+    let amount = 0;
+    if (promotion.type === 'free_shipping') {
+      freeShipping = true;
+    } else if (promotion.type === 'buy_x_get_y') {
+      amount = applyBuyXGetY(promotion, eligible);
+    } else if (isLineLevel(promotion)) {
+      const base = eligible.reduce((sum, item) => sum + item.subtotal - item.discount, 0);
+      const wanted = promotion.type === 'percentage'
+        ? base * promotion.value / 100
+        : convert(promotion.value, currency);
+      amount = allocate(eligible, wanted);
+    } else {
+      const remaining = subtotal - orderDiscount -
+        items.reduce((sum, item) => sum + item.discount, 0);
+      const wanted = promotion.type === 'percentage'
+        ? remaining * promotion.value / 100
+        : convert(promotion.value, currency);
+      amount = roundMoney(Math.max(Math.min(wanted, remaining), 0));
+      orderDiscount = roundMoney(orderDiscount + amount);
+    }
+
+    // A code that ends up taking nothing off is still reported as applied
+    if (amount > 0 || promotion.type === 'free_shipping' || promotion.code) {
+      discounts.push({
+        promotion: promotion._id,
+        code: promotion.code,
+        name: promotion.name,
+        type: promotion.type,
+        level: isLineLevel(promotion) ? 'line' : 'order',
+        amount,
+      });
+    }
+  }
+
+  items.forEach((item) => {
+    item.total = roundMoney(item.subtotal - item.discount);
+  });
+  const discountTotal = roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+  return {
+    items,
+    subtotal,
+    discounts,
+    discountTotal,
+    freeShipping,
+    total: roundMoney(subtotal - discountTotal),
+    coupon: code
+      ? {
+          code,
+          applied: discounts.some((discount) => discount.code === code),
+          message: couponMessage,
+        }
+      : null,
+  };
+};
+
+module.exports = {
+  applyPromotions,
+  normalizeCode,
+};
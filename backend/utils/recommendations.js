@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+// Only recent orders are scanned so the aggregation stays cheap
+const MAX_ORDERS_SCANNED = 2000;
+
+// Fallback products are priced within this fraction of the source price
+const PRICE_BAND = 0.3;
+
+// Products bought in the same orders as `productIds`, most frequent first.
+// Resolves to product ids.
+const boughtTogether = async (productIds, limit) => {
+  const rows = await Order.aggregate([
+    { $match: { 'items.product': { $in: productIds } } },
+    { $sort: { createdAt: -1 } },
+    { $limit: MAX_ORDERS_SCANNED },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $nin: productIds } } },
+    { $group: { _id: '$items.product', orders: { $addToSet: '$_id' } } },
+    { $project: { count: { $size: '$orders' } } },
+    { $sort: { count: -1, _id: 1 } },
+    // Some of these may no longer be visible, so fetch extra
+    { $limit: limit * 3 }
+  ]);
+  return rows.map((row) => row._id);
+};
+
+// Products customers might buy alongside `productIds`: items frequently
+// bought in the same orders first, then products from the same categories
+// in a similar price band, then anything else from those categories.
+const recommendFor = async (ids, { limit = 8 } = {}) => {
+  const productIds = ids
+    .filter((id) => mongoose.isValidObjectId(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+  if (!productIds.length) return [];
+
+  const sources = await Product.find({ _id: { $in: productIds } }, { category: 1, price: 1 }).lean();
+  if (!sources.length) return [];
+
+  const visible = Product.visibleFilter();
+  const chosen = [];
+  const excluded = () => [...productIds, ...chosen.map((product) => product._id)];
+  const addFrom = async (filter, sort) => {
+    if (chosen.length >= limit) return;
+    const products = await Product.find({ $and: [visible, filter, { _id: { $nin: excluded() } }] })
+      .presented()
+      .populate('category', 'name slug')
+      .sort(sort)
+      .limit(limit - chosen.length);
+    chosen.push(...products);
+  };
+
+  // Keep the co-purchase ranking order, which a find() would lose
+  const related = await boughtTogether(productIds, limit);
+  if (related.length) {
+    const products = await Product.find({ $and: [visible, { _id: { $in: related }, stock: { $gt: 0 } }] })
+      .presented()
+      .populate('category', 'name slug');
+    const byId = new Map(products.map((product) => [product._id.toString(), product]));
+    chosen.push(...related
+      .map((id) => byId.get(id.toString()))
+      .filter(Boolean)
+      .slice(0, limit));
+  }
+
+  const categoryIds = [...new Set(sources.map((source) => source.category.toString()))];
+  const averagePrice = sources.reduce((sum, source) => sum + source.price, 0) / sources.length;
+  const bestFirst = { ratingAverage: -1, ratingCount: -1, createdAt: -1 };
+
+  await addFrom({
+    category: { $in: categoryIds },
+    price: { $gte: averagePrice * (1 - PRICE_BAND), $lte: averagePrice * (1 + PRICE_BAND) },
+    stock: { $gt: 0 }
+  }, bestFirst);
+  await addFrom({ category: { $in: categoryIds }, stock: { $gt: 0 } }, bestFirst);
+
+  return chosen;
+};
+
+module.exports = {
+  recommendFor,
+};
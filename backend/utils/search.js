@@ -0,0 +1,193 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// Product search: candidates are fetched from Mongo with word-prefix
+// regexes (allowing one typo in longer words) and ranked here by how well
+// each query word matches the name, tags, category and description.
+
+// Field weights used when ranking a product
+const FIELD_WEIGHTS = {
+  name: 10,
+  tags: 6,
+  category: 4,
+  description: 1,
+};
+
+// Words shorter than this must be typed exactly (as a prefix)
+const MIN_FUZZY_LENGTH = 4;
+
+// Upper bounds that keep a single search cheap
+const MAX_QUERY_WORDS = 8;
+const MAX_CANDIDATES = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase words with accents stripped, e.g. 'Café Noir' -> ['cafe', 'noir']
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// True when `a` can be turned into `b` with at most one insertion,
+// deletion or substitution
+const withinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) {
+      i++;
+    } else if (a.length < b.length) {
+      j++;
+    } else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+// How well a query word matches a word from the product:
+// 1 for the same word, 0.7 for a prefix, 0.4 for a one-letter typo
+const wordScore = (queryWord, word) => {
+  if (word === queryWord) return 1;
+  if (word.startsWith(queryWord)) return 0.7;
+  if (queryWord.length >= MIN_FUZZY_LENGTH &&
+    (withinOneEdit(queryWord, word) ||
+      withinOneEdit(queryWord, word.slice(0, queryWord.length)))) {
+    return 0.4;
+  }
+  return 0;
+};
+
+const bestWordScore = (queryWord, words) =>
+  words.reduce((best, word) => Math.max(best, wordScore(queryWord, word)), 0);
+
+// Regex source matching a query word at the start of a word in a field.
+// Longer words also match with one letter missing, changed or added.
+const wordPattern = (queryWord) => {
+  if (queryWord.length < MIN_FUZZY_LENGTH) {
+    return `\\b${escapeRegex(queryWord)}`;
+  }
+
+  const alternatives = [escapeRegex(queryWord)];
+  for (let i = 0; i < queryWord.length; i++) {
+    const before = escapeRegex(queryWord.slice(0, i));
+    alternatives.push(`${before}.?${escapeRegex(queryWord.slice(i + 1))}`);
+    alternatives.push(`${before}.${escapeRegex(queryWord.slice(i))}`);
+  }
+  return `\\b(?:${alternatives.join('|')})`;
+};
+
+// Mongo conditions matching products where any query word may match
+const candidateFilter = (queryWords, categoryIds = []) => {
+  const conditions = queryWords.flatMap((queryWord) => {
+    const pattern = new RegExp(wordPattern(queryWord), 'i');
+    return [{ name: pattern }, { tags: pattern }, { description: pattern }];
+  });
+  if (categoryIds.length) {
+    conditions.push({ category: { $in: categoryIds } });
+  }
+  return { $or: conditions };
+};
+
+// Relevance of a product for the query words. `categoryName` is the name of
+// the product's category. Products missing some query words are scaled down
+// so that results matching every word come first.
+const scoreProduct = (product, queryWords, categoryName) => {
+  const fields = {
+    name: tokenize(product.name),
+    tags: (product.tags || []).flatMap(tokenize),
+    category: tokenize(categoryName),
+    description: tokenize(product.description),
+  };
+
+  let score = 0;
+  let matched = 0;
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const [field, words] of Object.entries(fields)) {
+      best = Math.max(best, FIELD_WEIGHTS[field] * bestWordScore(queryWord, words));
+    }
+    if (best > 0) matched++;
+    score += best;
+  }
+
+  return score * (matched / queryWords.length);
+};
+
+// How well a category name matches the query; used to pull in products
+// from categories such as "Dresses" when searching for "dress"
+const scoreCategory = (category, queryWords) => {
+  const words = tokenize(category.name);
+  return queryWords.reduce((sum, queryWord) => sum + bestWordScore(queryWord, words), 0) /
+    queryWords.length;
+};
+
+// Ids of the given categories and all their subcategories
+const withDescendants = (categories, ids) => {
+  const result = new Set(ids.map(String));
+  let added = true;
+  while (added) {
+    added = false;
+    for (const category of categories) {
+      if (category.parent && result.has(String(category.parent)) && !result.has(String(category._id))) {
+        result.add(String(category._id));
+        added = true;
+      }
+    }
+  }
+  return categories.filter((category) => result.has(String(category._id))).map((category) => category._id);
+};
+
+// Search products customers can see. Resolves to { products, categories },
+// both sorted by relevance; products have their category populated.
+const searchProducts = async (query) => {
+  const queryWords = tokenize(query).slice(0, MAX_QUERY_WORDS);
+  if (!queryWords.length) return { products: [], categories: [] };
+
+  const allCategories = await Category.find({}, { name: 1, slug: 1, parent: 1 }).lean();
+  const categories = allCategories
+    .map((category) => ({ category, score: scoreCategory(category, queryWords) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ category }) => category);
+
+  const candidates = await Product.find({
+    $and: [
+      Product.visibleFilter(),
+      candidateFilter(queryWords, withDescendants(allCategories, categories.map((c) => c._id)))
+    ]
+  })
+    .populate('category', 'name slug')
+    .limit(MAX_CANDIDATES);
+
+  const products = candidates
+    .map((product) => ({ product, score: scoreProduct(product, queryWords, product.category?.name) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.product.ratingCount - a.product.ratingCount)
+    .map(({ product }) => product);
+
+  return { products, categories };
+};
+
+module.exports = {
+  searchProducts,
+  tokenize,
+  withinOneEdit,
+  wordPattern,
+  candidateFilter,
+  scoreProduct,
+  scoreCategory,
+};
@@ -0,0 +1,41 @@
+const ShippingZone = require('../models/ShippingZone');
+const { convert, toBase } = require('./currency');
+
+const byDisplayOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Shipping methods available for checkout lines ([{ product, variant,
+// quantity }]) going to an address, priced for the order. `pricing` is the
+// result of applyPromotions: rates use the discounted total, and a free
+// shipping promotion makes every method free. Methods with no rate
+// covering the order are left out. Rates are entered in the base currency;
+// prices come back in `currency`, like `pricing`. Resolves to:
+// { zone: { _id, name } | null, weight, methods: [{ _id, code, name,
+//   description, deliveryEstimate, price }] }
+const quoteShipping = async (lines, pricing, address, currency = null) => {
+  const zone = await ShippingZone.forAddress(address);
+  const weight = lines.reduce((sum, line) => sum + (line.product.weight || 0) * line.quantity, 0);
+  if (!zone) return { zone: null, weight, methods: [] };
+
+  const methods = zone.methods
+    .filter((method) => method.active)
+    .sort(byDisplayOrder)
+    .map((method) => {
+      const price = convert(method.priceFor({ weight, subtotal: toBase(pricing.total, currency) }), currency);
+      if (price == null) return null;
+      return {
+        _id: method._id,
+        code: method.code,
+        name: method.name,
+        description: method.description,
+        deliveryEstimate: method.deliveryEstimate,
+        price: pricing.freeShipping ? 0 : price,
+      };
+    })
+    .filter(Boolean);
+
+  return { zone: { _id: zone._id, name: zone.name }, weight, methods };
+};
+
+module.exports = {
+  quoteShipping,
+};
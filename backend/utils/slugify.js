@@ -0,0 +1,11 @@
+// Turn a display name into a URL-safe slug, e.g. "Men's Shirts" -> "mens-shirts"
+const slugify = (value) =>
+  String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+module.exports = slugify;
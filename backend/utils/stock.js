@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+
+// Why a line cannot be had, in words for the shopper. `reason` is
+// 'invalid_quantity', 'unavailable', 'out_of_stock' or 'insufficient_stock'.
+const shortLineMessage = ({ product, reason, available }) => {
+  switch (reason) {
+    case 'invalid_quantity':
+      return 'Quantity must be a positive whole number';
+    case 'unavailable':
+      return product ? `${product.name} is no longer available` : 'Invalid product or variant';
+    case 'out_of_stock':
+      return `${product.name} is out of stock`;
+    default:
+      return `Only ${available} left of ${product.name}`;
+  }
+};
+
+// Lines that could not be had, as { productId, variantId, name, quantity,
+// available, reason, message } for a response. Each line is { product,
+// variant, quantity, available, reason }, with `productId` and `variantId`
+// standing in when the product could not be found.
+const describeShortLines = (lines) => lines.map((line) => ({
+  productId: line.product?._id || line.productId,
+  variantId: line.variant?._id || line.variantId,
+  name: line.product?.name,
+  quantity: line.quantity,
+  available: line.available || 0,
+  reason: line.reason,
+  message: shortLineMessage(line),
+}));
+
+// Turn requested { productId, variantId, quantity } items into lines of
+// product and variant documents, adding up repeats of the same item.
+// Resolves to { lines } or, when some items cannot be bought, to { error,
+// issues } with every such item described as by describeShortLines.
+const loadLines = async (items) => {
+  if (!Array.isArray(items) || !items.length) {
+    return { error: 'There is nothing to check out', issues: [] };
+  }
+
+  const lines = [];
+  const short = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    const requested = { productId: item.productId, variantId: item.variantId, quantity: item.quantity };
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      short.push({ ...requested, reason: 'invalid_quantity' });
+      continue;
+    }
+
+    const product = mongoose.isValidObjectId(item.productId) && await Product.findById(item.productId);
+    const variant = product && product.findVariant(item.variantId);
+    if (!product || !product.isVisible() || (product.hasVariants() && !variant) ||
+        (item.variantId && !variant)) {
+      short.push({ ...requested, product: product || null, reason: 'unavailable' });
+      continue;
+    }
+
+    const existing = lines.find((line) =>
+      line.product._id.equals(product._id) && String(line.variant?._id || '') === String(variant?._id || '')
+    );
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.push({ product, variant, quantity });
+    }
+  }
+
+  if (short.length) {
+    const issues = describeShortLines(short);
+    return { error: [...new Set(issues.map((issue) => issue.message))].join('. '), issues };
+  }
+  return { lines };
+};
+
+// The filter and update that change the stock of a product, or of one of
+// its variants along with the product's total, by `change` in one atomic
+// step. A decrease only matches while enough stock is left.
+const stockChange = (productId, variantId, change) => {
+  const enough = change < 0 ? { stock: { $gte: -change } } : {};
+  return variantId
+    ? {
+        filter: { _id: productId, variants: { $elemMatch: { _id: variantId, ...enough } } },
+        update: { $inc: { 'variants.$.stock': change, stock: change } },
+      }
+    : {
+        filter: { _id: productId, ...enough },
+        update: { $inc: { stock: change } },
+      };
+};
+
+// Log the inventory movement for a stock change made by a stockChange
+// update, against `before`, the product as it was just before
+const recordChange = (before, variantId, change, details) => {
+  const product = Product.hydrate(before);
+  const snapshot = InventoryMovement.snapshot(product);
+  const variant = product.findVariant(variantId);
+  if (variant) variant.stock += change;
+  product.stock += change;
+  return InventoryMovement.recordChanges(snapshot, product, details);
+};
+
+// Change the stock of a product, or of one of its variants, by `change`
+// and log the movement. Unlike loading and saving the product this cannot
+// undo a sale made meanwhile, or take stock below zero. Resolves to the
+// movements recorded, or to null when the product or variant is gone or
+// has too little stock.
+const adjustStock = async (productId, variantId, change, details) => {
+  const { filter, update } = stockChange(productId, variantId, change);
+  const before = await Product.findOneAndUpdate(filter, update).lean();
+  return before ? recordChange(before, variantId, change, details) : null;
+};
+
+// Let a save of `product`, which writes the stock levels it was loaded
+// with, through only while they are still current, so it cannot undo a
+// stock change made meanwhile. Call before changing the product; a save
+// that loses the race rejects with a DocumentNotFoundError.
+const guardStock = (product) => {
+  product.$where = {
+    stock: product.stock,
+    ...(product.variants.length && {
+      variants: {
+        $all: product.variants.map((variant) => ({ $elemMatch: { _id: variant._id, stock: variant.stock } })),
+      },
+    }),
+  };
+  return product;
+};
+
+// What is left of a line that could not be taken, to say why
+const shortOf = async (item) => {
+  const product = await Product.findById(item.product).select('name stock variants').lean();
+  const variant = product && item.variant &&
+    product.variants.find((candidate) => candidate._id.equals(item.variant));
+  if (!product || (item.variant && !variant)) {
+    return {
+      product,
+      productId: item.product,
+      variantId: item.variant,
+      quantity: item.quantity,
+      available: 0,
+      reason: 'unavailable',
+    };
+  }
+
+  const available = Math.max((variant || product).stock, 0);
+  return {
+    product,
+    variant,
+    quantity: item.quantity,
+    available,
+    reason: available > 0 ? 'insufficient_stock' : 'out_of_stock',
+  };
+};
+
+// Take `items` ([{ product, variant, quantity }] of ids, e.g. a
+// reservation's) off the shelf, all or nothing. Each decrement is a single
+// atomic update that only applies while enough stock is left, so orders
+// placed at the same time can never sell more than there is. Every line is
+// tried; if any could not be taken, the ones that were are put back and
+// this rejects with an InsufficientStockError whose `lines` say which could
+// not and why. Resolves to what was taken, for putBackStock and
+// recordStockTaken.
+const takeStock = async (items) => {
+  const taken = [];
+  const failed = [];
+
+  for (const item of items) {
+    const { filter, update } = stockChange(item.product, item.variant, -item.quantity);
+    // The product as it was just before the update
+    const before = await Product.findOneAndUpdate(filter, update).lean();
+    if (before) {
+      taken.push({ item, before });
+    } else {
+      failed.push(item);
+    }
+  }
+
+  if (failed.length) {
+    await putBackStock(taken);
+    const lines = await Promise.all(failed.map(shortOf));
+    const error = new Error(describeShortLines(lines).map((line) => line.message).join('. '));
+    error.name = 'InsufficientStockError';
+    error.lines = lines;
+    throw error;
+  }
+  return taken;
+};
+
+// Return stock taken by takeStock to the shelf
+const putBackStock = async (taken) => {
+  for (const { item } of taken) {
+    const { filter, update } = stockChange(item.product, item.variant, item.quantity);
+    await Product.updateOne(filter, update);
+  }
+};
+
+// Log the inventory movements for stock taken by takeStock, against the
+// stock as it was just before. Resolves to the movements recorded.
+const recordStockTaken = async (taken, details) => {
+  const movements = [];
+  for (const { item, before } of taken) {
+    movements.push(...await recordChange(before, item.variant, -item.quantity, details));
+  }
+  return movements;
+};
+
+module.exports = {
+  loadLines,
+  describeShortLines,
+  adjustStock,
+  guardStock,
+  takeStock,
+  putBackStock,
+  recordStockTaken,
+};
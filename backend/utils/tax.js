@@ -0,0 +1,76 @@
+const TaxRate = require('../models/TaxRate');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// The rate for a tax class among rates sorted most specific first. A class
+// with no rate of its own at the address is taxed at the standard rate.
+const rateFor = (rates, taxClass) =>
+  rates.find((rate) => rate.taxClass === taxClass) ||
+  rates.find((rate) => rate.taxClass === TaxRate.STANDARD_CLASS) ||
+  null;
+
+// What each line is taxed on: its total after line-level discounts, less
+// its share of the order-level discounts (spread like promotions are)
+const taxableAmounts = (pricing) => {
+  const lineDiscounts = pricing.items.reduce((sum, item) => sum + item.discount, 0);
+  const orderDiscount = roundMoney(pricing.discountTotal - lineDiscounts);
+  const base = pricing.items.reduce((sum, item) => sum + item.total, 0);
+  if (orderDiscount <= 0 || base <= 0) return pricing.items.map((item) => item.total);
+
+  let allocated = 0;
+  return pricing.items.map((item, index) => {
+    const share = index === pricing.items.length - 1
+      ? roundMoney(orderDiscount - allocated)
+      : roundMoney(orderDiscount * item.total / base);
+    allocated = roundMoney(allocated + share);
+    return Math.max(roundMoney(item.total - share), 0);
+  });
+};
+
+// Tax on priced lines (the result of applyPromotions) shipped to an
+// address ({ country, state, zipCode }), with shipping taxed when the
+// standard rate says so. Resolves to:
+// {
+//   items: [{ taxClass, taxRate, tax }] in the order of pricing.items,
+//   shippingTax, taxTotal,
+//   taxes: [{ name, rate, amount }] totals per rate, for display
+// }
+const calculateTax = async (pricing, address, { shippingCost = 0 } = {}) => {
+  const rates = await TaxRate.forAddress(address);
+  const totals = new Map();
+  const addToTotals = (rate, amount) => {
+    const key = rate._id.toString();
+    const entry = totals.get(key) || { name: rate.name, rate: rate.rate, amount: 0 };
+    entry.amount = roundMoney(entry.amount + amount);
+    totals.set(key, entry);
+  };
+
+  const taxable = taxableAmounts(pricing);
+  const items = pricing.items.map((item, index) => {
+    const taxClass = item.product.taxClass || TaxRate.STANDARD_CLASS;
+    const rate = rateFor(rates, taxClass);
+    if (!rate) return { taxClass, taxRate: 0, tax: 0 };
+
+    const tax = roundMoney(taxable[index] * rate.rate / 100);
+    addToTotals(rate, tax);
+    return { taxClass, taxRate: rate.rate, tax };
+  });
+
+  let shippingTax = 0;
+  const shippingRate = rateFor(rates, TaxRate.STANDARD_CLASS);
+  if (shippingRate?.includeShipping && shippingCost > 0) {
+    shippingTax = roundMoney(shippingCost * shippingRate.rate / 100);
+    addToTotals(shippingRate, shippingTax);
+  }
+
+  return {
+    items,
+    shippingTax,
+    taxTotal: roundMoney(items.reduce((sum, item) => sum + item.tax, 0) + shippingTax),
+    taxes: [...totals.values()].filter((entry) => entry.amount > 0),
+  };
+};
+
+module.exports = {
+  calculateTax,
+};
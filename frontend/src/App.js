@@ -5,13 +5,22 @@ import { Box } from '@mui/material';
 import CssBaseline from '@mui/material/CssBaseline';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { CartProvider } from './contexts/CartContext';
+import { CurrencyProvider } from './contexts/CurrencyContext';
+import { WishlistProvider } from './contexts/WishlistContext';
 import Navbar from './components/layout/Navbar';
 import Home from './pages/Home';
 import Auth from './pages/Auth';
 import Admin from './pages/Admin';
 import CategoryPage from './pages/CategoryPage';
+import CollectionPage from './pages/CollectionPage';
+import SearchResults from './pages/SearchResults';
 import ProductDetail from './pages/ProductDetail';
 import Cart from './pages/Cart';
+import Wishlist from './pages/Wishlist';
+import CartRestore from './pages/CartRestore';
+import Checkout from './pages/Checkout';
+import OrderConfirmation from './pages/OrderConfirmation';
+import NotFound from './pages/NotFound';
 import ProtectedRoute from './components/ProtectedRoute';
 
 // Create a theme instance
@@ -117,8 +126,10 @@ function App() {
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
+      <CurrencyProvider>
       <AuthProvider>
         <CartProvider>
+          <WishlistProvider>
           <Router>
             <Navbar />
             <Box sx={{ mt: `${NAVBAR_HEIGHT}px` }}>
@@ -130,15 +141,36 @@ function App() {
                 <Admin />
               </ProtectedRoute>
             } />
-            <Route path="/:category" element={<CategoryPage />} />
-            <Route path="/product/:id" element={<ProductDetail />} />
+            <Route path="/category/:slug" element={<CategoryPage />} />
+            <Route path="/collection/:slug" element={<CollectionPage />} />
+            <Route path="/search" element={<SearchResults />} />
+            <Route path="/product/:slug" element={<ProductDetail />} />
             <Route path="/cart" element={<Cart />} />
+            <Route path="/cart/restore/:token" element={
+              <ProtectedRoute>
+                <CartRestore />
+              </ProtectedRoute>
+            } />
+            <Route path="/checkout" element={
+              <ProtectedRoute>
+                <Checkout />
+              </ProtectedRoute>
+            } />
+            <Route path="/orders/:id" element={
+              <ProtectedRoute>
+                <OrderConfirmation />
+              </ProtectedRoute>
+            } />
+            <Route path="/wishlist" element={<Wishlist />} />
               {/* Add more routes as we create the components */}
+            <Route path="*" element={<NotFound />} />
               </Routes>
             </Box>
           </Router>
+          </WishlistProvider>
         </CartProvider>
       </AuthProvider>
+      </CurrencyProvider>
     </ThemeProvider>
   );
 }
@@ -1,12 +1,14 @@
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 const ProtectedRoute = ({ children, adminOnly = false }) => {
     const { user } = useAuth();
+    const location = useLocation();
 
+    // Come back here after signing in
     if (!user) {
-        return <Navigate to="/auth" />;
+        return <Navigate to="/auth" state={{ from: location }} />;
     }
 
     if (adminOnly && user.role !== 'admin') {
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    Paper,
+    Select,
+    MenuItem,
+} from '@mui/material';
+import { abandonedCartService } from '../../services/abandonedCartService';
+
+const PERIODS = [7, 30, 90];
+
+const formatBaseMoney = (amount, currency) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+
+const StatTile = ({ label, value, detail }) => (
+    <Paper variant="outlined" sx={{ p: 3, borderRadius: 0, flex: '1 1 180px' }}>
+        <Typography variant="body2" color="text.secondary" sx={{ letterSpacing: '0.05em', mb: 1 }}>
+            {label}
+        </Typography>
+        <Typography variant="h5" sx={{ fontWeight: 300 }}>
+            {value}
+        </Typography>
+        {detail && (
+            <Typography variant="caption" color="text.secondary">
+                {detail}
+            </Typography>
+        )}
+    </Paper>
+);
+
+// Abandoned carts and how the reminder emails about them perform
+const AbandonedCartStats = () => {
+    const [days, setDays] = useState(30);
+    const [stats, setStats] = useState(null);
+    const [error, setError] = useState(null);
+    const [runResult, setRunResult] = useState(null);
+    const [running, setRunning] = useState(false);
+
+    const fetchStats = async (period = days) => {
+        try {
+            setStats(await abandonedCartService.getStats(period));
+            setError(null);
+        } catch (err) {
+            setError('Failed to load abandoned cart stats');
+            console.error('Error fetching abandoned cart stats:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchStats(days);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [days]);
+
+    const handleSendReminders = async () => {
+        setRunning(true);
+        try {
+            setRunResult(await abandonedCartService.sendReminders());
+            fetchStats();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to send reminders');
+            console.error('Error sending cart reminders:', err);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3, gap: 2 }}>
+                <Typography variant="h6" sx={{ fontWeight: 300, letterSpacing: '0.05em' }}>
+                    ABANDONED CARTS
+                </Typography>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                    <Select size="small" value={days} onChange={(e) => setDays(e.target.value)}>
+                        {PERIODS.map((period) => (
+                            <MenuItem key={period} value={period}>
+                                Last {period} days
+                            </MenuItem>
+                        ))}
+                    </Select>
+                    <Button
+                        variant="outlined"
+                        onClick={handleSendReminders}
+                        disabled={running}
+                        sx={{ letterSpacing: '0.1em' }}
+                    >
+                        {running ? 'SENDING...' : 'SEND DUE REMINDERS'}
+                    </Button>
+                </Box>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            {runResult && (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    Checked {runResult.checked} carts: {runResult.sent} reminders sent
+                    {runResult.failed > 0 && `, ${runResult.failed} failed`}
+                </Typography>
+            )}
+
+            {stats && (
+                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2 }}>
+                    <StatTile
+                        label="Abandoned now"
+                        value={stats.abandonedCarts}
+                        detail={`Idle for ${stats.idleHours}+ hours`}
+                    />
+                    <StatTile
+                        label="Carts reminded"
+                        value={stats.remindedCarts}
+                        detail={`${stats.remindersSent.first} first, ${stats.remindersSent.followUp} follow-up emails`}
+                    />
+                    <StatTile
+                        label="Links clicked"
+                        value={stats.clicked}
+                    />
+                    <StatTile
+                        label="Recovered"
+                        value={stats.recovered}
+                        detail={`${Math.round(stats.recoveryRate * 100)}% of reminded carts`}
+                    />
+                    <StatTile
+                        label="Recovered revenue"
+                        value={formatBaseMoney(stats.recoveredRevenue, stats.currency)}
+                    />
+                </Box>
+            )}
+        </Box>
+    );
+};
+
+export default AbandonedCartStats;
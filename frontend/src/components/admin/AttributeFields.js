@@ -0,0 +1,79 @@
+import React from 'react';
+import {
+    Box,
+    Typography,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    InputLabel,
+    InputAdornment,
+} from '@mui/material';
+
+// Inputs for a product's attribute values, one per attribute definition.
+// `values` maps attribute codes to the entered value ('' when unset).
+const AttributeFields = ({ definitions, values, onChange }) => {
+    if (!definitions.length) return null;
+
+    const setValue = (code, value) => onChange({ ...values, [code]: value });
+
+    return (
+        <Box>
+            <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                Attributes
+            </Typography>
+            <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                {definitions.map((definition) => {
+                    const value = values[definition.code] ?? '';
+
+                    if (definition.type === 'enum') {
+                        return (
+                            <FormControl key={definition.code} fullWidth>
+                                <InputLabel>{definition.name}</InputLabel>
+                                <Select
+                                    value={value}
+                                    label={definition.name}
+                                    onChange={(e) => setValue(definition.code, e.target.value)}
+                                >
+                                    <MenuItem value="">
+                                        <em>Not set</em>
+                                    </MenuItem>
+                                    {definition.values.map((option) => (
+                                        <MenuItem key={option} value={option}>
+                                            {option}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        );
+                    }
+
+                    return (
+                        <TextField
+                            key={definition.code}
+                            label={definition.name}
+                            type={definition.type === 'number' ? 'number' : 'text'}
+                            value={value}
+                            onChange={(e) => setValue(definition.code, e.target.value)}
+                            InputProps={definition.unit ? {
+                                endAdornment: <InputAdornment position="end">{definition.unit}</InputAdornment>,
+                            } : undefined}
+                            fullWidth
+                        />
+                    );
+                })}
+            </Box>
+        </Box>
+    );
+};
+
+// Product attributes as stored ([{ code, value }]) to form values and back
+export const toAttributeValues = (attributes = []) =>
+    Object.fromEntries(attributes.map(({ code, value }) => [code, String(value)]));
+
+export const fromAttributeValues = (values) =>
+    Object.entries(values)
+        .filter(([, value]) => String(value).trim() !== '')
+        .map(([code, value]) => ({ code, value }));
+
+export default AttributeFields;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    FormControlLabel,
+    InputLabel,
+    Switch,
+    IconButton,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { Delete as DeleteIcon, Edit as EditIcon } from '@mui/icons-material';
+import { attributeService } from '../../services/attributeService';
+
+const ATTRIBUTE_TYPES = [
+    { value: 'text', label: 'Text' },
+    { value: 'enum', label: 'List of values' },
+    { value: 'number', label: 'Number' },
+];
+
+const EMPTY_FORM = {
+    name: '',
+    code: '',
+    type: 'text',
+    values: '',
+    unit: '',
+    filterable: true,
+    sortOrder: 0,
+};
+
+const AttributeManager = ({ onChange }) => {
+    const [attributes, setAttributes] = useState([]);
+    const [error, setError] = useState(null);
+    const [openDialog, setOpenDialog] = useState(false);
+    const [editingAttribute, setEditingAttribute] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    const fetchAttributes = async () => {
+        try {
+            setAttributes(await attributeService.getAttributes());
+        } catch (err) {
+            setError('Failed to load attributes');
+            console.error('Error fetching attributes:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchAttributes();
+    }, []);
+
+    const closeDialog = () => {
+        setOpenDialog(false);
+        setEditingAttribute(null);
+        setFormData(EMPTY_FORM);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleEdit = (attribute) => {
+        setEditingAttribute(attribute);
+        setFormData({
+            name: attribute.name,
+            code: attribute.code,
+            type: attribute.type,
+            values: attribute.values.join(', '),
+            unit: attribute.unit || '',
+            filterable: attribute.filterable,
+            sortOrder: attribute.sortOrder || 0,
+        });
+        setOpenDialog(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.name) {
+            setError('Please enter an attribute name');
+            return;
+        }
+
+        try {
+            const dataToSend = {
+                ...formData,
+                values: formData.values.split(',').map((value) => value.trim()).filter(Boolean),
+                sortOrder: parseInt(formData.sortOrder, 10) || 0,
+            };
+
+            if (editingAttribute) {
+                await attributeService.updateAttribute(editingAttribute._id, dataToSend);
+            } else {
+                await attributeService.createAttribute(dataToSend);
+            }
+
+            setError(null);
+            closeDialog();
+            fetchAttributes();
+            onChange?.();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save attribute');
+            console.error('Error saving attribute:', err);
+        }
+    };
+
+    const handleDelete = async (attribute) => {
+        if (window.confirm(`Delete ${attribute.name}? It will be removed from every product.`)) {
+            try {
+                await attributeService.deleteAttribute(attribute._id);
+                fetchAttributes();
+                onChange?.();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete attribute');
+                console.error('Error deleting attribute:', err);
+            }
+        }
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <Button
+                    variant="contained"
+                    onClick={() => setOpenDialog(true)}
+                    sx={{
+                        minWidth: '250px',
+                        py: 2,
+                        letterSpacing: '0.1em',
+                        fontSize: '0.9rem',
+                        fontWeight: 400
+                    }}
+                >
+                    + Add New Attribute
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Code</TableCell>
+                        <TableCell>Type</TableCell>
+                        <TableCell>Filter</TableCell>
+                        <TableCell align="right" />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {attributes.map((attribute) => (
+                        <TableRow key={attribute._id}>
+                            <TableCell>{attribute.name}</TableCell>
+                            <TableCell>{attribute.code}</TableCell>
+                            <TableCell>
+                                {attribute.type === 'enum'
+                                    ? attribute.values.join(', ')
+                                    : ATTRIBUTE_TYPES.find((type) => type.value === attribute.type)?.label}
+                                {attribute.unit && ` (${attribute.unit})`}
+                            </TableCell>
+                            <TableCell>{attribute.filterable ? 'Yes' : 'No'}</TableCell>
+                            <TableCell align="right">
+                                <IconButton size="small" onClick={() => handleEdit(attribute)}>
+                                    <EditIcon />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDelete(attribute)}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            <Dialog
+                open={openDialog}
+                maxWidth="sm"
+                fullWidth
+                PaperProps={{
+                    sx: {
+                        borderRadius: 0
+                    }
+                }}
+                onClose={closeDialog}
+            >
+                <form onSubmit={handleSubmit}>
+                    <DialogTitle sx={{
+                        pb: 1,
+                        '& .MuiTypography-root': {
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }
+                    }}>
+                        {editingAttribute ? 'Edit Attribute' : 'Add New Attribute'}
+                    </DialogTitle>
+                    <DialogContent sx={{ py: 4 }}>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+                            <TextField
+                                name="name"
+                                label="Name"
+                                value={formData.name}
+                                onChange={handleInputChange}
+                                required
+                                fullWidth
+                            />
+                            <TextField
+                                name="code"
+                                label="Code"
+                                value={formData.code}
+                                onChange={handleInputChange}
+                                disabled={Boolean(editingAttribute)}
+                                helperText={editingAttribute
+                                    ? 'The code cannot be changed'
+                                    : 'Leave empty to generate from the name'}
+                                fullWidth
+                            />
+                            <FormControl fullWidth>
+                                <InputLabel>Type</InputLabel>
+                                <Select
+                                    name="type"
+                                    value={formData.type}
+                                    onChange={handleInputChange}
+                                    label="Type"
+                                >
+                                    {ATTRIBUTE_TYPES.map((type) => (
+                                        <MenuItem key={type.value} value={type.value}>
+                                            {type.label}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            {formData.type === 'enum' && (
+                                <TextField
+                                    name="values"
+                                    label="Values"
+                                    value={formData.values}
+                                    onChange={handleInputChange}
+                                    helperText="Comma separated, in display order"
+                                    required
+                                    fullWidth
+                                />
+                            )}
+                            {formData.type === 'number' && (
+                                <TextField
+                                    name="unit"
+                                    label="Unit"
+                                    value={formData.unit}
+                                    onChange={handleInputChange}
+                                    helperText="e.g. cm"
+                                    fullWidth
+                                />
+                            )}
+                            <TextField
+                                name="sortOrder"
+                                label="Sort Order"
+                                type="number"
+                                value={formData.sortOrder}
+                                onChange={handleInputChange}
+                                fullWidth
+                            />
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        checked={formData.filterable}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, filterable: e.target.checked }))}
+                                    />
+                                }
+                                label="Show as a filter in the store"
+                            />
+                        </Box>
+                    </DialogContent>
+                    <DialogActions sx={{ px: 3, py: 3 }}>
+                        <Button onClick={closeDialog}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            sx={{
+                                px: 4,
+                                py: 1,
+                                letterSpacing: '0.1em'
+                            }}
+                        >
+                            {editingAttribute ? 'Update' : 'Add'} Attribute
+                        </Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default AttributeManager;
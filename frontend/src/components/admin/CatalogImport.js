@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    Alert,
+    Chip,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { productService } from '../../services/productService';
+
+const ACTION_COLORS = {
+    create: 'success',
+    update: 'info',
+    error: 'error',
+};
+
+const CatalogImport = ({ onImported }) => {
+    const [file, setFile] = useState(null);
+    const [result, setResult] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleExport = async () => {
+        try {
+            const blob = await productService.exportCatalog();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `tauty-products-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setError('Failed to export products');
+            console.error('Error exporting products:', err);
+        }
+    };
+
+    const handleFileChange = (e) => {
+        setFile(e.target.files[0] || null);
+        setResult(null);
+        setError(null);
+        e.target.value = '';
+    };
+
+    const runImport = async (dryRun) => {
+        try {
+            setBusy(true);
+            setError(null);
+            const data = await productService.importCatalog(file, { dryRun });
+            setResult(data);
+            if (!dryRun) {
+                onImported?.();
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to import products');
+            console.error('Error importing products:', err);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <Box sx={{ maxWidth: 1000, mx: 'auto' }}>
+            <Typography variant="h6" sx={{ fontWeight: 300, letterSpacing: '0.05em', mb: 2 }}>
+                EXPORT
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Download every product as a CSV spreadsheet.
+            </Typography>
+            <Button variant="outlined" onClick={handleExport} sx={{ mb: 6 }}>
+                Export CSV
+            </Button>
+
+            <Typography variant="h6" sx={{ fontWeight: 300, letterSpacing: '0.05em', mb: 2 }}>
+                IMPORT
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Columns: sku, name, slug, description, price, compareAtPrice, category (slug), tags, stock, status, images.
+                Products are matched by SKU, then by name; blank cells leave existing values unchanged.
+                Separate multiple tags, image URLs or paths with "|".
+            </Typography>
+
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+                <Button component="label" variant="outlined">
+                    Choose CSV
+                    <input accept=".csv,text/csv" type="file" hidden onChange={handleFileChange} />
+                </Button>
+                <Typography variant="body2">{file ? file.name : 'No file selected'}</Typography>
+                <Button
+                    variant="outlined"
+                    disabled={!file || busy}
+                    onClick={() => runImport(true)}
+                >
+                    Preview
+                </Button>
+                <Button
+                    variant="contained"
+                    disabled={!file || busy || !result?.dryRun || result.summary.create + result.summary.update === 0}
+                    onClick={() => runImport(false)}
+                >
+                    {busy ? 'Working...' : 'Import'}
+                </Button>
+            </Box>
+
+            {error && (
+                <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+            )}
+
+            {result && (
+                <>
+                    <Alert severity={result.summary.error ? 'warning' : 'success'} sx={{ mb: 3 }}>
+                        {result.dryRun ? 'Preview: ' : 'Imported: '}
+                        {result.summary.create} to create, {result.summary.update} to update,
+                        {' '}{result.summary.error} with errors
+                        {result.dryRun && result.summary.error > 0 && ' (rows with errors will be skipped)'}
+                    </Alert>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Row</TableCell>
+                                <TableCell>SKU</TableCell>
+                                <TableCell>Name</TableCell>
+                                <TableCell>Action</TableCell>
+                                <TableCell>Details</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {result.rows.map((row) => (
+                                <TableRow key={row.row}>
+                                    <TableCell>{row.row}</TableCell>
+                                    <TableCell>{row.sku}</TableCell>
+                                    <TableCell>{row.name}</TableCell>
+                                    <TableCell>
+                                        <Chip label={row.action} color={ACTION_COLORS[row.action]} size="small" />
+                                    </TableCell>
+                                    <TableCell>
+                                        {row.errors.map((message) => (
+                                            <Typography key={message} variant="body2" color="error">
+                                                {message}
+                                            </Typography>
+                                        ))}
+                                        {row.warnings.map((message) => (
+                                            <Typography key={message} variant="body2" color="text.secondary">
+                                                {message}
+                                            </Typography>
+                                        ))}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </>
+            )}
+        </Box>
+    );
+};
+
+export default CatalogImport;
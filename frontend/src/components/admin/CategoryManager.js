@@ -0,0 +1,334 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    InputLabel,
+    IconButton,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { Delete as DeleteIcon, Edit as EditIcon } from '@mui/icons-material';
+import { config } from '../../services/config';
+import { productService } from '../../services/productService';
+import { categoryService, flattenCategoryTree } from '../../services/categoryService';
+
+const EMPTY_FORM = {
+    name: '',
+    slug: '',
+    description: '',
+    parent: '',
+    sortOrder: 0,
+    bannerImage: null,
+};
+
+const CategoryManager = ({ onChange }) => {
+    const [categories, setCategories] = useState([]);
+    const [error, setError] = useState(null);
+    const [openDialog, setOpenDialog] = useState(false);
+    const [editingCategory, setEditingCategory] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    const fetchCategories = async () => {
+        try {
+            const tree = await categoryService.getCategoryTree();
+            setCategories(flattenCategoryTree(tree));
+        } catch (err) {
+            setError('Failed to load categories');
+            console.error('Error fetching categories:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchCategories();
+    }, []);
+
+    const closeDialog = () => {
+        setOpenDialog(false);
+        setEditingCategory(null);
+        setFormData(EMPTY_FORM);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleBannerChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const image = await productService.uploadImage(file, formData.name);
+            setFormData(prev => ({ ...prev, bannerImage: image }));
+            setError(null);
+        } catch (err) {
+            setError('Error uploading the banner image');
+            console.error('Banner upload error:', err);
+        }
+    };
+
+    const handleEdit = (category) => {
+        setEditingCategory(category);
+        setFormData({
+            name: category.name,
+            slug: category.slug,
+            description: category.description || '',
+            parent: category.parent || '',
+            sortOrder: category.sortOrder || 0,
+            bannerImage: category.bannerImage?.url ? category.bannerImage : null,
+        });
+        setOpenDialog(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.name) {
+            setError('Please enter a category name');
+            return;
+        }
+
+        try {
+            const dataToSend = {
+                ...formData,
+                parent: formData.parent || null,
+                sortOrder: parseInt(formData.sortOrder, 10) || 0,
+            };
+
+            if (editingCategory) {
+                await categoryService.updateCategory(editingCategory._id, dataToSend);
+            } else {
+                await categoryService.createCategory(dataToSend);
+            }
+
+            setError(null);
+            closeDialog();
+            fetchCategories();
+            onChange?.();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save category');
+            console.error('Error saving category:', err);
+        }
+    };
+
+    const handleDelete = async (category) => {
+        if (window.confirm(`Are you sure you want to delete ${category.name}?`)) {
+            try {
+                await categoryService.deleteCategory(category._id);
+                fetchCategories();
+                onChange?.();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete category');
+                console.error('Error deleting category:', err);
+            }
+        }
+    };
+
+    // A category cannot be moved under itself or one of its descendants
+    const parentOptions = editingCategory
+        ? categories.filter((category) => {
+            const editingIndex = categories.findIndex((c) => c._id === editingCategory._id);
+            const index = categories.findIndex((c) => c._id === category._id);
+            const subtreeEnd = categories.findIndex(
+                (c, i) => i > editingIndex && c.depth <= editingCategory.depth
+            );
+            return index < editingIndex || (subtreeEnd !== -1 && index >= subtreeEnd);
+        })
+        : categories;
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <Button
+                    variant="contained"
+                    onClick={() => setOpenDialog(true)}
+                    sx={{
+                        minWidth: '250px',
+                        py: 2,
+                        letterSpacing: '0.1em',
+                        fontSize: '0.9rem',
+                        fontWeight: 400
+                    }}
+                >
+                    + Add New Category
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Slug</TableCell>
+                        <TableCell>Sort Order</TableCell>
+                        <TableCell align="right" />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {categories.map((category) => (
+                        <TableRow key={category._id}>
+                            <TableCell sx={{ pl: 2 + category.depth * 3 }}>
+                                {category.name}
+                            </TableCell>
+                            <TableCell>{category.slug}</TableCell>
+                            <TableCell>{category.sortOrder}</TableCell>
+                            <TableCell align="right">
+                                <IconButton size="small" onClick={() => handleEdit(category)}>
+                                    <EditIcon />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDelete(category)}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            <Dialog
+                open={openDialog}
+                maxWidth="sm"
+                fullWidth
+                PaperProps={{
+                    sx: {
+                        borderRadius: 0
+                    }
+                }}
+                onClose={closeDialog}
+            >
+                <form onSubmit={handleSubmit}>
+                    <DialogTitle sx={{
+                        pb: 1,
+                        '& .MuiTypography-root': {
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }
+                    }}>
+                        {editingCategory ? 'Edit Category' : 'Add New Category'}
+                    </DialogTitle>
+                    <DialogContent sx={{ py: 4 }}>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+                            <TextField
+                                name="name"
+                                label="Name"
+                                value={formData.name}
+                                onChange={handleInputChange}
+                                required
+                                fullWidth
+                            />
+                            <TextField
+                                name="slug"
+                                label="Slug"
+                                value={formData.slug}
+                                onChange={handleInputChange}
+                                helperText="Leave empty to generate from the name"
+                                fullWidth
+                            />
+                            <TextField
+                                name="description"
+                                label="Description"
+                                value={formData.description}
+                                onChange={handleInputChange}
+                                fullWidth
+                                multiline
+                                rows={2}
+                            />
+                            <FormControl fullWidth>
+                                <InputLabel>Parent Category</InputLabel>
+                                <Select
+                                    name="parent"
+                                    value={formData.parent}
+                                    onChange={handleInputChange}
+                                    label="Parent Category"
+                                >
+                                    <MenuItem value="">None (top level)</MenuItem>
+                                    {parentOptions.map((category) => (
+                                        <MenuItem
+                                            key={category._id}
+                                            value={category._id}
+                                            sx={{ pl: 2 + category.depth * 2 }}
+                                        >
+                                            {category.name}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <TextField
+                                name="sortOrder"
+                                label="Sort Order"
+                                type="number"
+                                value={formData.sortOrder}
+                                onChange={handleInputChange}
+                                fullWidth
+                            />
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                                {formData.bannerImage && (
+                                    <Box
+                                        component="img"
+                                        src={config.imageUrl(formData.bannerImage, 'thumbnail')}
+                                        alt={formData.name}
+                                        sx={{ width: 75, height: 100, objectFit: 'cover', bgcolor: '#f5f5f5' }}
+                                    />
+                                )}
+                                <Button component="label" size="small">
+                                    {formData.bannerImage ? 'Replace Banner' : '+ Add Banner Image'}
+                                    <input
+                                        accept="image/*"
+                                        type="file"
+                                        hidden
+                                        onChange={handleBannerChange}
+                                    />
+                                </Button>
+                                {formData.bannerImage && (
+                                    <Button
+                                        size="small"
+                                        onClick={() => setFormData(prev => ({ ...prev, bannerImage: null }))}
+                                    >
+                                        Remove
+                                    </Button>
+                                )}
+                            </Box>
+                        </Box>
+                    </DialogContent>
+                    <DialogActions sx={{ px: 3, py: 3 }}>
+                        <Button onClick={closeDialog}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            sx={{
+                                px: 4,
+                                py: 1,
+                                letterSpacing: '0.1em'
+                            }}
+                        >
+                            {editingCategory ? 'Update' : 'Add'} Category
+                        </Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default CategoryManager;
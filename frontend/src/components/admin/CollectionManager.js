@@ -0,0 +1,482 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    InputLabel,
+    IconButton,
+    Autocomplete,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    List,
+    ListItem,
+    ListItemText,
+} from '@mui/material';
+import {
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+    ArrowUpward as MoveUpIcon,
+    ArrowDownward as MoveDownIcon,
+    Close as RemoveIcon,
+} from '@mui/icons-material';
+import { productService } from '../../services/productService';
+import { collectionService } from '../../services/collectionService';
+
+const RULE_SORTS = [
+    { value: 'newest', label: 'Newest' },
+    { value: 'price_asc', label: 'Price: Low to High' },
+    { value: 'price_desc', label: 'Price: High to Low' },
+    { value: 'name_asc', label: 'Name: A to Z' },
+];
+
+// Wait for a pause in typing before searching products
+const PRODUCT_SEARCH_DELAY = 300;
+
+const EMPTY_FORM = {
+    name: '',
+    slug: '',
+    description: '',
+    type: 'manual',
+    productLimit: 12,
+    products: [],
+    category: '',
+    tags: '',
+    minPrice: '',
+    maxPrice: '',
+    sort: 'newest',
+};
+
+const toNumberOrNull = (value) => (value === '' ? null : parseFloat(value));
+
+// `categories` is the flattened category tree, as used by the product form
+const CollectionManager = ({ categories, onChange }) => {
+    const [collections, setCollections] = useState([]);
+    const [error, setError] = useState(null);
+    const [openDialog, setOpenDialog] = useState(false);
+    const [editingCollection, setEditingCollection] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [productQuery, setProductQuery] = useState('');
+    const [productOptions, setProductOptions] = useState([]);
+
+    const fetchCollections = async () => {
+        try {
+            setCollections(await collectionService.getCollections());
+        } catch (err) {
+            setError('Failed to load collections');
+            console.error('Error fetching collections:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchCollections();
+    }, []);
+
+    useEffect(() => {
+        const q = productQuery.trim();
+        if (!q) {
+            setProductOptions([]);
+            return undefined;
+        }
+
+        const timer = setTimeout(async () => {
+            try {
+                const data = await productService.getProducts({ q, status: 'all', limit: 20 });
+                setProductOptions(data.products);
+            } catch (err) {
+                console.error('Error searching products:', err);
+            }
+        }, PRODUCT_SEARCH_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [productQuery]);
+
+    const closeDialog = () => {
+        setOpenDialog(false);
+        setEditingCollection(null);
+        setFormData(EMPTY_FORM);
+        setProductQuery('');
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleEdit = (collection) => {
+        setEditingCollection(collection);
+        setFormData({
+            name: collection.name,
+            slug: collection.slug,
+            description: collection.description || '',
+            type: collection.type,
+            productLimit: collection.productLimit,
+            products: collection.products.filter(Boolean),
+            category: collection.rules?.category || '',
+            tags: (collection.rules?.tags || []).join(', '),
+            minPrice: collection.rules?.minPrice ?? '',
+            maxPrice: collection.rules?.maxPrice ?? '',
+            sort: collection.rules?.sort || 'newest',
+        });
+        setOpenDialog(true);
+    };
+
+    const addProduct = (product) => {
+        if (!product || formData.products.some((item) => item._id === product._id)) return;
+        setFormData(prev => ({ ...prev, products: [...prev.products, product] }));
+    };
+
+    const moveProduct = (index, direction) => {
+        setFormData(prev => {
+            const products = [...prev.products];
+            const target = index + direction;
+            if (target < 0 || target >= products.length) return prev;
+            [products[index], products[target]] = [products[target], products[index]];
+            return { ...prev, products };
+        });
+    };
+
+    const removeProduct = (index) => {
+        setFormData(prev => ({
+            ...prev,
+            products: prev.products.filter((_, i) => i !== index)
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.name) {
+            setError('Please enter a collection name');
+            return;
+        }
+
+        try {
+            const dataToSend = {
+                name: formData.name,
+                slug: formData.slug,
+                description: formData.description,
+                type: formData.type,
+                productLimit: parseInt(formData.productLimit, 10) || 12,
+                products: formData.products.map((product) => product._id),
+                rules: {
+                    category: formData.category || null,
+                    tags: formData.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+                    minPrice: toNumberOrNull(formData.minPrice),
+                    maxPrice: toNumberOrNull(formData.maxPrice),
+                    sort: formData.sort,
+                },
+            };
+
+            if (editingCollection) {
+                await collectionService.updateCollection(editingCollection._id, dataToSend);
+            } else {
+                await collectionService.createCollection(dataToSend);
+            }
+
+            setError(null);
+            closeDialog();
+            fetchCollections();
+            onChange?.();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save collection');
+            console.error('Error saving collection:', err);
+        }
+    };
+
+    const handleDelete = async (collection) => {
+        if (window.confirm(`Are you sure you want to delete ${collection.name}?`)) {
+            try {
+                await collectionService.deleteCollection(collection._id);
+                fetchCollections();
+                onChange?.();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete collection');
+                console.error('Error deleting collection:', err);
+            }
+        }
+    };
+
+    const describeRules = (collection) => {
+        if (collection.type === 'manual') {
+            return `${collection.products.length} selected products`;
+        }
+        const { category, tags = [], minPrice, maxPrice, sort } = collection.rules || {};
+        const parts = [];
+        if (category) parts.push(categories.find((c) => c._id === category)?.name || 'Category');
+        if (tags.length) parts.push(`tagged ${tags.join(', ')}`);
+        if (minPrice != null) parts.push(`from $${minPrice}`);
+        if (maxPrice != null) parts.push(`up to $${maxPrice}`);
+        parts.push(RULE_SORTS.find((option) => option.value === sort)?.label.toLowerCase() || 'newest');
+        return parts.join(' · ');
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <Button
+                    variant="contained"
+                    onClick={() => setOpenDialog(true)}
+                    sx={{
+                        minWidth: '250px',
+                        py: 2,
+                        letterSpacing: '0.1em',
+                        fontSize: '0.9rem',
+                        fontWeight: 400
+                    }}
+                >
+                    + Add New Collection
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Slug</TableCell>
+                        <TableCell>Products</TableCell>
+                        <TableCell align="right" />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {collections.map((collection) => (
+                        <TableRow key={collection._id}>
+                            <TableCell>{collection.name}</TableCell>
+                            <TableCell>{collection.slug}</TableCell>
+                            <TableCell>{describeRules(collection)}</TableCell>
+                            <TableCell align="right">
+                                <IconButton size="small" onClick={() => handleEdit(collection)}>
+                                    <EditIcon />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDelete(collection)}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            <Dialog
+                open={openDialog}
+                maxWidth="sm"
+                fullWidth
+                PaperProps={{
+                    sx: {
+                        borderRadius: 0
+                    }
+                }}
+                onClose={closeDialog}
+            >
+                <form onSubmit={handleSubmit}>
+                    <DialogTitle sx={{
+                        pb: 1,
+                        '& .MuiTypography-root': {
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }
+                    }}>
+                        {editingCollection ? 'Edit Collection' : 'Add New Collection'}
+                    </DialogTitle>
+                    <DialogContent sx={{ py: 4 }}>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+                            <TextField
+                                name="name"
+                                label="Name"
+                                value={formData.name}
+                                onChange={handleInputChange}
+                                required
+                                fullWidth
+                            />
+                            <TextField
+                                name="slug"
+                                label="Slug"
+                                value={formData.slug}
+                                onChange={handleInputChange}
+                                helperText="Leave empty to generate from the name"
+                                fullWidth
+                            />
+                            <TextField
+                                name="description"
+                                label="Description"
+                                value={formData.description}
+                                onChange={handleInputChange}
+                                fullWidth
+                                multiline
+                                rows={2}
+                            />
+                            <Box sx={{ display: 'flex', gap: 2 }}>
+                                <FormControl fullWidth>
+                                    <InputLabel>Products</InputLabel>
+                                    <Select
+                                        name="type"
+                                        value={formData.type}
+                                        onChange={handleInputChange}
+                                        label="Products"
+                                    >
+                                        <MenuItem value="manual">Picked by hand</MenuItem>
+                                        <MenuItem value="rule">Matching rules</MenuItem>
+                                    </Select>
+                                </FormControl>
+                                <TextField
+                                    name="productLimit"
+                                    label="Show at most"
+                                    type="number"
+                                    value={formData.productLimit}
+                                    onChange={handleInputChange}
+                                    inputProps={{ min: 1, max: 48 }}
+                                    fullWidth
+                                />
+                            </Box>
+
+                            {formData.type === 'manual' ? (
+                                <Box>
+                                    <Autocomplete
+                                        options={productOptions}
+                                        filterOptions={(x) => x}
+                                        getOptionLabel={(option) => option.name}
+                                        inputValue={productQuery}
+                                        onInputChange={(e, value) => setProductQuery(value)}
+                                        onChange={(e, value) => addProduct(value)}
+                                        value={null}
+                                        blurOnSelect
+                                        renderInput={(params) => (
+                                            <TextField {...params} label="Add a product" placeholder="Search by name" />
+                                        )}
+                                    />
+                                    <List dense>
+                                        {formData.products.map((product, index) => (
+                                            <ListItem
+                                                key={product._id}
+                                                secondaryAction={
+                                                    <>
+                                                        <IconButton size="small" onClick={() => moveProduct(index, -1)} disabled={index === 0}>
+                                                            <MoveUpIcon fontSize="small" />
+                                                        </IconButton>
+                                                        <IconButton
+                                                            size="small"
+                                                            onClick={() => moveProduct(index, 1)}
+                                                            disabled={index === formData.products.length - 1}
+                                                        >
+                                                            <MoveDownIcon fontSize="small" />
+                                                        </IconButton>
+                                                        <IconButton size="small" onClick={() => removeProduct(index)}>
+                                                            <RemoveIcon fontSize="small" />
+                                                        </IconButton>
+                                                    </>
+                                                }
+                                            >
+                                                <ListItemText primary={`${index + 1}. ${product.name}`} />
+                                            </ListItem>
+                                        ))}
+                                    </List>
+                                </Box>
+                            ) : (
+                                <>
+                                    <FormControl fullWidth>
+                                        <InputLabel>Category</InputLabel>
+                                        <Select
+                                            name="category"
+                                            value={formData.category}
+                                            onChange={handleInputChange}
+                                            label="Category"
+                                        >
+                                            <MenuItem value="">Any category</MenuItem>
+                                            {categories.map((category) => (
+                                                <MenuItem
+                                                    key={category._id}
+                                                    value={category._id}
+                                                    sx={{ pl: 2 + category.depth * 2 }}
+                                                >
+                                                    {category.name}
+                                                </MenuItem>
+                                            ))}
+                                        </Select>
+                                    </FormControl>
+                                    <TextField
+                                        name="tags"
+                                        label="Tags"
+                                        value={formData.tags}
+                                        onChange={handleInputChange}
+                                        helperText="Products with any of these tags, comma separated"
+                                        fullWidth
+                                    />
+                                    <Box sx={{ display: 'flex', gap: 2 }}>
+                                        <TextField
+                                            name="minPrice"
+                                            label="Min Price"
+                                            type="number"
+                                            value={formData.minPrice}
+                                            onChange={handleInputChange}
+                                            fullWidth
+                                        />
+                                        <TextField
+                                            name="maxPrice"
+                                            label="Max Price"
+                                            type="number"
+                                            value={formData.maxPrice}
+                                            onChange={handleInputChange}
+                                            fullWidth
+                                        />
+                                    </Box>
+                                    <FormControl fullWidth>
+                                        <InputLabel>Order</InputLabel>
+                                        <Select
+                                            name="sort"
+                                            value={formData.sort}
+                                            onChange={handleInputChange}
+                                            label="Order"
+                                        >
+                                            {RULE_SORTS.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </Select>
+                                    </FormControl>
+                                </>
+                            )}
+                        </Box>
+                    </DialogContent>
+                    <DialogActions sx={{ px: 3, py: 3 }}>
+                        <Button onClick={closeDialog}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            sx={{
+                                px: 4,
+                                py: 1,
+                                letterSpacing: '0.1em'
+                            }}
+                        >
+                            {editingCollection ? 'Update' : 'Add'} Collection
+                        </Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default CollectionManager;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    FormControlLabel,
+    IconButton,
+    Switch,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import {
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+} from '@mui/icons-material';
+import { currencyService } from '../../services/currencyService';
+import { useCurrency } from '../../contexts/CurrencyContext';
+
+const EMPTY_FORM = {
+    code: '',
+    name: '',
+    rate: '',
+    enabled: true,
+};
+
+// Display currencies and their exchange rates against the base currency
+const CurrencyManager = () => {
+    const { baseCurrency, refreshCurrencies } = useCurrency();
+    const [currencies, setCurrencies] = useState([]);
+    const [error, setError] = useState(null);
+    const [openDialog, setOpenDialog] = useState(false);
+    const [editingCurrency, setEditingCurrency] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    const fetchCurrencies = async () => {
+        try {
+            setCurrencies(await currencyService.getAllCurrencies());
+        } catch (err) {
+            setError('Failed to load currencies');
+            console.error('Error fetching currencies:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchCurrencies();
+    }, []);
+
+    // Reload both this list and the ones shoppers and the product form use
+    const reload = () => {
+        fetchCurrencies();
+        refreshCurrencies();
+    };
+
+    const closeDialog = () => {
+        setOpenDialog(false);
+        setEditingCurrency(null);
+        setFormData(EMPTY_FORM);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value, checked, type } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value
+        }));
+    };
+
+    const handleEdit = (currency) => {
+        setEditingCurrency(currency);
+        setFormData({
+            code: currency.code,
+            name: currency.name,
+            rate: currency.rate,
+            enabled: currency.enabled,
+        });
+        setOpenDialog(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.code || formData.rate === '') {
+            setError('Please fill in the code and exchange rate');
+            return;
+        }
+
+        try {
+            const dataToSend = {
+                ...formData,
+                code: formData.code.trim().toUpperCase(),
+                rate: parseFloat(formData.rate),
+            };
+
+            if (editingCurrency) {
+                await currencyService.updateCurrency(editingCurrency._id, dataToSend);
+            } else {
+                await currencyService.createCurrency(dataToSend);
+            }
+
+            setError(null);
+            closeDialog();
+            reload();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save currency');
+            console.error('Error saving currency:', err);
+        }
+    };
+
+    const handleDelete = async (currency) => {
+        if (window.confirm(`Are you sure you want to delete ${currency.code}?`)) {
+            try {
+                await currencyService.deleteCurrency(currency._id);
+                reload();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete currency');
+                console.error('Error deleting currency:', err);
+            }
+        }
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <Button
+                    variant="contained"
+                    onClick={() => setOpenDialog(true)}
+                    sx={{
+                        minWidth: '250px',
+                        py: 2,
+                        letterSpacing: '0.1em',
+                        fontSize: '0.9rem',
+                        fontWeight: 400
+                    }}
+                >
+                    + Add New Currency
+                </Button>
+            </Box>
+
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Prices, promotions and shipping rates are entered in {baseCurrency}, the base currency.
+                Rates are units of each currency per 1 {baseCurrency}.
+            </Typography>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Code</TableCell>
+                        <TableCell>Name</TableCell>
+                        <TableCell align="right">Rate</TableCell>
+                        <TableCell>Status</TableCell>
+                        <TableCell align="right" />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {currencies.map((currency) => (
+                        <TableRow key={currency._id}>
+                            <TableCell>{currency.code}</TableCell>
+                            <TableCell>{currency.name}</TableCell>
+                            <TableCell align="right">{currency.rate}</TableCell>
+                            <TableCell>{currency.enabled ? 'Enabled' : 'Disabled'}</TableCell>
+                            <TableCell align="right">
+                                <IconButton size="small" onClick={() => handleEdit(currency)}>
+                                    <EditIcon />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDelete(currency)}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            <Dialog
+                open={openDialog}
+                maxWidth="sm"
+                fullWidth
+                PaperProps={{
+                    sx: {
+                        borderRadius: 0
+                    }
+                }}
+                onClose={closeDialog}
+            >
+                <form onSubmit={handleSubmit}>
+                    <DialogTitle sx={{
+                        pb: 1,
+                        '& .MuiTypography-root': {
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }
+                    }}>
+                        {editingCurrency ? 'Edit Currency' : 'Add New Currency'}
+                    </DialogTitle>
+                    <DialogContent sx={{ py: 4 }}>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+                            <Box sx={{ display: 'flex', gap: 2 }}>
+                                <TextField
+                                    name="code"
+                                    label="Code"
+                                    value={formData.code}
+                                    onChange={handleInputChange}
+                                    helperText="Three letters, e.g. EUR"
+                                    inputProps={{ maxLength: 3, style: { textTransform: 'uppercase' } }}
+                                    required
+                                    fullWidth
+                                />
+                                <TextField
+                                    name="name"
+                                    label="Name"
+                                    value={formData.name}
+                                    onChange={handleInputChange}
+                                    fullWidth
+                                />
+                            </Box>
+                            <TextField
+                                name="rate"
+                                label={`Exchange Rate (per 1 ${baseCurrency})`}
+                                type="number"
+                                value={formData.rate}
+                                onChange={handleInputChange}
+                                inputProps={{ min: 0, step: 'any' }}
+                                required
+                                fullWidth
+                            />
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        name="enabled"
+                                        checked={formData.enabled}
+                                        onChange={handleInputChange}
+                                    />
+                                }
+                                label="Offered to shoppers"
+                            />
+                        </Box>
+                    </DialogContent>
+                    <DialogActions sx={{ px: 3, py: 3 }}>
+                        <Button onClick={closeDialog}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            sx={{
+                                px: 4,
+                                py: 1,
+                                letterSpacing: '0.1em'
+                            }}
+                        >
+                            {editingCurrency ? 'Update' : 'Add'} Currency
+                        </Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default CurrencyManager;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    InputLabel,
+    IconButton,
+    Paper,
+} from '@mui/material';
+import {
+    ArrowUpward as MoveUpIcon,
+    ArrowDownward as MoveDownIcon,
+    Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { config } from '../../services/config';
+import { productService } from '../../services/productService';
+import { collectionService } from '../../services/collectionService';
+
+const SECTION_LABELS = {
+    hero: 'Hero',
+    collection: 'Collection Row',
+    banner: 'Banner',
+};
+
+const newSection = (type) => ({
+    type,
+    title: '',
+    subtitle: '',
+    image: null,
+    link: '',
+    linkLabel: '',
+    productCollection: '',
+});
+
+// A stored section with every form field present
+const toEditableSection = (section) => ({
+    ...newSection(section.type),
+    ...section,
+    image: section.image?.url ? section.image : null,
+    productCollection: section.productCollection || '',
+});
+
+// Arrange the storefront Home page from hero, collection row and banner sections
+const HomeLayoutEditor = () => {
+    const [sections, setSections] = useState([]);
+    const [collections, setCollections] = useState([]);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        const fetchLayout = async () => {
+            try {
+                const [layout, allCollections] = await Promise.all([
+                    collectionService.getHomeLayout(),
+                    collectionService.getCollections(),
+                ]);
+                setSections(layout.sections.map(toEditableSection));
+                setCollections(allCollections);
+            } catch (err) {
+                setError('Failed to load the home page layout');
+                console.error('Error fetching home page layout:', err);
+            }
+        };
+
+        fetchLayout();
+    }, []);
+
+    const updateSection = (index, changes) => {
+        setSections(prev => prev.map((section, i) => (i === index ? { ...section, ...changes } : section)));
+        setMessage(null);
+    };
+
+    const moveSection = (index, direction) => {
+        setSections(prev => {
+            const next = [...prev];
+            const target = index + direction;
+            if (target < 0 || target >= next.length) return prev;
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+        setMessage(null);
+    };
+
+    const removeSection = (index) => {
+        setSections(prev => prev.filter((_, i) => i !== index));
+        setMessage(null);
+    };
+
+    const handleImageChange = async (index, e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const image = await productService.uploadImage(file, sections[index].title);
+            updateSection(index, { image });
+            setError(null);
+        } catch (err) {
+            setError('Error uploading the image');
+            console.error('Section image upload error:', err);
+        }
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            const data = await collectionService.updateHomeLayout(sections.map((section) => ({
+                ...section,
+                productCollection: section.productCollection || undefined,
+            })));
+            setSections(data.sections.map(toEditableSection));
+            setError(null);
+            setMessage('Home page saved');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save the home page');
+            console.error('Error saving home page layout:', err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2, mb: 4, flexWrap: 'wrap' }}>
+                {Object.entries(SECTION_LABELS).map(([type, label]) => (
+                    <Button
+                        key={type}
+                        variant="outlined"
+                        onClick={() => setSections(prev => [...prev, newSection(type)])}
+                    >
+                        + {label}
+                    </Button>
+                ))}
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            {sections.length === 0 && (
+                <Typography color="text.secondary" sx={{ mb: 2, textAlign: 'center' }}>
+                    The Home page is empty. Add a section to get started.
+                </Typography>
+            )}
+
+            {sections.map((section, index) => (
+                <Paper key={section._id || index} variant="outlined" sx={{ p: 3, mb: 2, borderRadius: 0 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+                        <Typography variant="subtitle2" sx={{ letterSpacing: '0.1em' }}>
+                            {index + 1}. {SECTION_LABELS[section.type].toUpperCase()}
+                        </Typography>
+                        <Box>
+                            <IconButton size="small" onClick={() => moveSection(index, -1)} disabled={index === 0}>
+                                <MoveUpIcon />
+                            </IconButton>
+                            <IconButton
+                                size="small"
+                                onClick={() => moveSection(index, 1)}
+                                disabled={index === sections.length - 1}
+                            >
+                                <MoveDownIcon />
+                            </IconButton>
+                            <IconButton size="small" onClick={() => removeSection(index)}>
+                                <DeleteIcon />
+                            </IconButton>
+                        </Box>
+                    </Box>
+
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                        {section.type === 'collection' && (
+                            <FormControl fullWidth required>
+                                <InputLabel>Collection</InputLabel>
+                                <Select
+                                    value={section.productCollection}
+                                    label="Collection"
+                                    onChange={(e) => updateSection(index, { productCollection: e.target.value })}
+                                >
+                                    {collections.map((collection) => (
+                                        <MenuItem key={collection._id} value={collection._id}>
+                                            {collection.name}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        )}
+                        <TextField
+                            label="Title"
+                            value={section.title}
+                            onChange={(e) => updateSection(index, { title: e.target.value })}
+                            helperText={section.type === 'collection' ? 'Leave empty to use the collection name' : ''}
+                            fullWidth
+                        />
+                        {section.type !== 'collection' && (
+                            <>
+                                <TextField
+                                    label="Subtitle"
+                                    value={section.subtitle}
+                                    onChange={(e) => updateSection(index, { subtitle: e.target.value })}
+                                    fullWidth
+                                />
+                                <Box sx={{ display: 'flex', gap: 2 }}>
+                                    <TextField
+                                        label="Link"
+                                        value={section.link}
+                                        onChange={(e) => updateSection(index, { link: e.target.value })}
+                                        helperText="e.g. /category/dresses or /collection/summer-edit"
+                                        fullWidth
+                                    />
+                                    {section.type === 'hero' && (
+                                        <TextField
+                                            label="Button Text"
+                                            value={section.linkLabel}
+                                            onChange={(e) => updateSection(index, { linkLabel: e.target.value })}
+                                            helperText="Defaults to Shop now"
+                                            fullWidth
+                                        />
+                                    )}
+                                </Box>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                                    {section.image && (
+                                        <Box
+                                            component="img"
+                                            src={config.imageUrl(section.image, 'thumbnail')}
+                                            alt={section.title}
+                                            sx={{ width: 120, height: 80, objectFit: 'cover', bgcolor: '#f5f5f5' }}
+                                        />
+                                    )}
+                                    <Button component="label" size="small">
+                                        {section.image ? 'Replace Image' : '+ Add Image'}
+                                        <input
+                                            accept="image/*"
+                                            type="file"
+                                            hidden
+                                            onChange={(e) => handleImageChange(index, e)}
+                                        />
+                                    </Button>
+                                    {section.image && (
+                                        <Button size="small" onClick={() => updateSection(index, { image: null })}>
+                                            Remove
+                                        </Button>
+                                    )}
+                                </Box>
+                            </>
+                        )}
+                    </Box>
+                </Paper>
+            ))}
+
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: 2, mt: 4 }}>
+                {message && (
+                    <Typography variant="body2" color="text.secondary">
+                        {message}
+                    </Typography>
+                )}
+                <Button
+                    variant="contained"
+                    onClick={handleSave}
+                    disabled={saving}
+                    sx={{ px: 4, py: 1, letterSpacing: '0.1em' }}
+                >
+                    {saving ? 'Saving...' : 'Save Home Page'}
+                </Button>
+            </Box>
+        </Box>
+    );
+};
+
+export default HomeLayoutEditor;
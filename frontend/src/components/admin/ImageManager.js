@@ -0,0 +1,89 @@
+import React from 'react';
+import {
+    Box,
+    Typography,
+    TextField,
+    IconButton,
+    Tooltip,
+} from '@mui/material';
+import {
+    Delete as DeleteIcon,
+    ArrowUpward as MoveUpIcon,
+    ArrowDownward as MoveDownIcon,
+    Star as PrimaryIcon,
+    StarBorder as MakePrimaryIcon,
+} from '@mui/icons-material';
+import { config } from '../../services/config';
+
+const ImageManager = ({ images, onChange }) => {
+    const moveImage = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= images.length) return;
+        const nextImages = [...images];
+        [nextImages[index], nextImages[target]] = [nextImages[target], nextImages[index]];
+        onChange(nextImages);
+    };
+
+    const removeImage = (index) => {
+        const nextImages = images.filter((_, i) => i !== index);
+        // Hand the primary flag to the first remaining image
+        if (images[index].isPrimary && nextImages.length) {
+            nextImages[0] = { ...nextImages[0], isPrimary: true };
+        }
+        onChange(nextImages);
+    };
+
+    const makePrimary = (index) => {
+        onChange(images.map((image, i) => ({ ...image, isPrimary: i === index })));
+    };
+
+    const updateAlt = (index, alt) => {
+        onChange(images.map((image, i) => (i === index ? { ...image, alt } : image)));
+    };
+
+    if (!images.length) {
+        return (
+            <Typography variant="body2" color="text.secondary">
+                No images yet
+            </Typography>
+        );
+    }
+
+    return (
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            {images.map((image, index) => (
+                <Box key={image._id || image.url} sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                    <Box
+                        component="img"
+                        src={config.imageUrl(image, 'thumbnail')}
+                        alt={image.alt}
+                        sx={{ width: 60, height: 80, objectFit: 'cover', bgcolor: '#f5f5f5', flexShrink: 0 }}
+                    />
+                    <TextField
+                        label="Alt text"
+                        size="small"
+                        value={image.alt || ''}
+                        onChange={(e) => updateAlt(index, e.target.value)}
+                        sx={{ flex: 1 }}
+                    />
+                    <Tooltip title={image.isPrimary ? 'Primary image' : 'Make primary'}>
+                        <IconButton size="small" onClick={() => makePrimary(index)}>
+                            {image.isPrimary ? <PrimaryIcon /> : <MakePrimaryIcon />}
+                        </IconButton>
+                    </Tooltip>
+                    <IconButton size="small" onClick={() => moveImage(index, -1)} disabled={index === 0}>
+                        <MoveUpIcon />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => moveImage(index, 1)} disabled={index === images.length - 1}>
+                        <MoveDownIcon />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => removeImage(index)}>
+                        <DeleteIcon />
+                    </IconButton>
+                </Box>
+            ))}
+        </Box>
+    );
+};
+
+export default ImageManager;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { inventoryService } from '../../services/inventoryService';
+import StockHistory, { variantLabel } from './StockHistory';
+
+// "Needs restock" list of products at or below their low-stock threshold
+const InventoryManager = ({ onChange }) => {
+    const [items, setItems] = useState([]);
+    const [historyProduct, setHistoryProduct] = useState(null);
+    const [error, setError] = useState(null);
+
+    const fetchLowStock = async () => {
+        try {
+            setItems(await inventoryService.getLowStock());
+        } catch (err) {
+            setError('Failed to load low-stock products');
+            console.error('Error fetching low-stock products:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchLowStock();
+    }, []);
+
+    return (
+        <Box>
+            <Typography variant="h6" sx={{ fontWeight: 300, letterSpacing: '0.05em', mb: 2 }}>
+                NEEDS RESTOCK
+            </Typography>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            {items.length === 0 ? (
+                <Typography color="text.secondary">
+                    Every product is above its low-stock threshold.
+                </Typography>
+            ) : (
+                <Table>
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Product</TableCell>
+                            <TableCell>Variant</TableCell>
+                            <TableCell align="right">Stock</TableCell>
+                            <TableCell align="right">Threshold</TableCell>
+                            <TableCell align="right" />
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {items.flatMap(({ product, threshold, lowVariants }) => {
+                            const rows = lowVariants.length
+                                ? lowVariants.map((variant) => ({
+                                    key: variant._id,
+                                    label: variantLabel(product, variant._id),
+                                    stock: variant.stock,
+                                }))
+                                : [{ key: product._id, label: '—', stock: product.stockOnHand ?? product.stock }];
+
+                            return rows.map((row) => (
+                                <TableRow key={row.key}>
+                                    <TableCell>
+                                        {product.name}
+                                        <Typography variant="body2" color="text.secondary">
+                                            {product.sku}
+                                        </Typography>
+                                    </TableCell>
+                                    <TableCell>{row.label}</TableCell>
+                                    <TableCell
+                                        align="right"
+                                        sx={{ color: row.stock === 0 ? 'error.main' : 'inherit' }}
+                                    >
+                                        {row.stock}
+                                    </TableCell>
+                                    <TableCell align="right">{threshold}</TableCell>
+                                    <TableCell align="right">
+                                        <Button size="small" onClick={() => setHistoryProduct(product)}>
+                                            Stock History
+                                        </Button>
+                                    </TableCell>
+                                </TableRow>
+                            ));
+                        })}
+                    </TableBody>
+                </Table>
+            )}
+
+            <StockHistory
+                product={historyProduct}
+                open={Boolean(historyProduct)}
+                onClose={() => setHistoryProduct(null)}
+                onAdjusted={(product) => {
+                    setHistoryProduct(product);
+                    fetchLowStock();
+                    onChange?.();
+                }}
+            />
+        </Box>
+    );
+};
+
+export default InventoryManager;
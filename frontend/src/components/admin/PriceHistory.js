@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { productService } from '../../services/productService';
+import { variantLabel } from './StockHistory';
+
+const FIELD_LABELS = {
+    price: 'Price',
+    compareAtPrice: 'Compare-at price',
+    salePrice: 'Sale price',
+};
+
+const formatPrice = (value) => (value == null ? '—' : `$${value}`);
+
+const formatWindow = (entry) => {
+    if (entry.field !== 'salePrice' || entry.newValue == null) return '';
+    const from = entry.startsAt ? new Date(entry.startsAt).toLocaleDateString() : 'now';
+    const until = entry.endsAt ? new Date(entry.endsAt).toLocaleDateString() : 'further notice';
+    return `${from} until ${until}`;
+};
+
+// Read-only log of price changes shown in the product edit dialog
+const PriceHistory = ({ product }) => {
+    const [history, setHistory] = useState([]);
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            try {
+                setHistory(await productService.getPriceHistory(product._id));
+            } catch (err) {
+                console.error('Error fetching price history:', err);
+            }
+        };
+
+        fetchHistory();
+    }, [product._id]);
+
+    return (
+        <Box>
+            <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                Price History
+            </Typography>
+            {history.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                    No price changes recorded yet.
+                </Typography>
+            ) : (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Date</TableCell>
+                            <TableCell>Change</TableCell>
+                            <TableCell>By</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {history.map((entry) => (
+                            <TableRow key={entry._id}>
+                                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                    {new Date(entry.createdAt).toLocaleDateString()}
+                                </TableCell>
+                                <TableCell>
+                                    {FIELD_LABELS[entry.field]}
+                                    {entry.variant && ` (${variantLabel(product, entry.variant) || 'removed variant'})`}
+                                    : {formatPrice(entry.oldValue)} → {formatPrice(entry.newValue)}
+                                    {formatWindow(entry) && (
+                                        <Typography variant="body2" color="text.secondary">
+                                            {formatWindow(entry)}
+                                        </Typography>
+                                    )}
+                                </TableCell>
+                                <TableCell>{entry.user?.name || '—'}</TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+        </Box>
+    );
+};
+
+export default PriceHistory;
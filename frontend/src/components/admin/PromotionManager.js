@@ -0,0 +1,479 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    FormControlLabel,
+    InputLabel,
+    IconButton,
+    Checkbox,
+    Switch,
+    Chip,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { Delete as DeleteIcon, Edit as EditIcon } from '@mui/icons-material';
+import { promotionService } from '../../services/promotionService';
+import { toDateTimeInput } from '../../utils/dates';
+
+const PROMOTION_TYPES = [
+    { value: 'percentage', label: 'Percentage off' },
+    { value: 'fixed', label: 'Amount off' },
+    { value: 'free_shipping', label: 'Free shipping' },
+    { value: 'buy_x_get_y', label: 'Buy X get Y' },
+];
+
+const EMPTY_FORM = {
+    name: '',
+    code: '',
+    description: '',
+    type: 'percentage',
+    value: '',
+    buyQuantity: '',
+    getQuantity: '',
+    active: true,
+    startsAt: '',
+    endsAt: '',
+    minSubtotal: '',
+    categories: [],
+    firstOrderOnly: false,
+    usageLimit: '',
+    perCustomerLimit: '',
+};
+
+const toNumberOrNull = (value) => (value === '' ? null : parseFloat(value));
+
+const describeValue = (promotion) => {
+    switch (promotion.type) {
+        case 'percentage':
+            return `${promotion.value}% off`;
+        case 'fixed':
+            return `$${promotion.value} off`;
+        case 'free_shipping':
+            return 'Free shipping';
+        case 'buy_x_get_y':
+            return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity}` +
+                (promotion.value && promotion.value < 100 ? ` ${promotion.value}% off` : ' free');
+        default:
+            return promotion.type;
+    }
+};
+
+// `categories` is the flattened category tree, as used by the product form
+const PromotionManager = ({ categories }) => {
+    const [promotions, setPromotions] = useState([]);
+    const [error, setError] = useState(null);
+    const [openDialog, setOpenDialog] = useState(false);
+    const [editingPromotion, setEditingPromotion] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    const fetchPromotions = async () => {
+        try {
+            setPromotions(await promotionService.getPromotions());
+        } catch (err) {
+            setError('Failed to load promotions');
+            console.error('Error fetching promotions:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchPromotions();
+    }, []);
+
+    const closeDialog = () => {
+        setOpenDialog(false);
+        setEditingPromotion(null);
+        setFormData(EMPTY_FORM);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value
+        }));
+    };
+
+    const handleEdit = (promotion) => {
+        setEditingPromotion(promotion);
+        setFormData({
+            name: promotion.name,
+            code: promotion.code || '',
+            description: promotion.description || '',
+            type: promotion.type,
+            value: promotion.value ?? '',
+            buyQuantity: promotion.buyQuantity ?? '',
+            getQuantity: promotion.getQuantity ?? '',
+            active: promotion.active,
+            startsAt: toDateTimeInput(promotion.startsAt),
+            endsAt: toDateTimeInput(promotion.endsAt),
+            minSubtotal: promotion.minSubtotal || '',
+            categories: (promotion.categories || []).map((category) => category._id || category),
+            firstOrderOnly: promotion.firstOrderOnly,
+            usageLimit: promotion.usageLimit ?? '',
+            perCustomerLimit: promotion.perCustomerLimit ?? '',
+        });
+        setOpenDialog(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.name) {
+            setError('Please enter a promotion name');
+            return;
+        }
+
+        try {
+            const dataToSend = {
+                name: formData.name,
+                code: formData.code.trim(),
+                description: formData.description,
+                type: formData.type,
+                value: toNumberOrNull(formData.value) ?? 0,
+                buyQuantity: toNumberOrNull(formData.buyQuantity),
+                getQuantity: toNumberOrNull(formData.getQuantity),
+                active: formData.active,
+                startsAt: formData.startsAt ? new Date(formData.startsAt).toISOString() : null,
+                endsAt: formData.endsAt ? new Date(formData.endsAt).toISOString() : null,
+                minSubtotal: toNumberOrNull(formData.minSubtotal) ?? 0,
+                categories: formData.categories,
+                firstOrderOnly: formData.firstOrderOnly,
+                usageLimit: toNumberOrNull(formData.usageLimit),
+                perCustomerLimit: toNumberOrNull(formData.perCustomerLimit),
+            };
+
+            if (editingPromotion) {
+                await promotionService.updatePromotion(editingPromotion._id, dataToSend);
+            } else {
+                await promotionService.createPromotion(dataToSend);
+            }
+
+            setError(null);
+            closeDialog();
+            fetchPromotions();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save promotion');
+            console.error('Error saving promotion:', err);
+        }
+    };
+
+    const handleDelete = async (promotion) => {
+        if (window.confirm(`Are you sure you want to delete ${promotion.name}?`)) {
+            try {
+                await promotionService.deletePromotion(promotion._id);
+                fetchPromotions();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete promotion');
+                console.error('Error deleting promotion:', err);
+            }
+        }
+    };
+
+    const showValue = formData.type !== 'free_shipping';
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <Button
+                    variant="contained"
+                    onClick={() => setOpenDialog(true)}
+                    sx={{
+                        minWidth: '250px',
+                        py: 2,
+                        letterSpacing: '0.1em',
+                        fontSize: '0.9rem',
+                        fontWeight: 400
+                    }}
+                >
+                    + Add New Promotion
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Code</TableCell>
+                        <TableCell>Discount</TableCell>
+                        <TableCell align="right">Used</TableCell>
+                        <TableCell>Status</TableCell>
+                        <TableCell align="right" />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {promotions.map((promotion) => (
+                        <TableRow key={promotion._id}>
+                            <TableCell>{promotion.name}</TableCell>
+                            <TableCell>{promotion.code || 'Automatic'}</TableCell>
+                            <TableCell>{describeValue(promotion)}</TableCell>
+                            <TableCell align="right">
+                                {promotion.usageCount}
+                                {promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}
+                            </TableCell>
+                            <TableCell>
+                                <Chip
+                                    size="small"
+                                    label={promotion.active ? 'ACTIVE' : 'PAUSED'}
+                                    color={promotion.active ? 'success' : 'default'}
+                                    sx={{ borderRadius: 0 }}
+                                />
+                            </TableCell>
+                            <TableCell align="right">
+                                <IconButton size="small" onClick={() => handleEdit(promotion)}>
+                                    <EditIcon />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDelete(promotion)}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            <Dialog
+                open={openDialog}
+                maxWidth="sm"
+                fullWidth
+                PaperProps={{
+                    sx: {
+                        borderRadius: 0
+                    }
+                }}
+                onClose={closeDialog}
+            >
+                <form onSubmit={handleSubmit}>
+                    <DialogTitle sx={{
+                        pb: 1,
+                        '& .MuiTypography-root': {
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }
+                    }}>
+                        {editingPromotion ? 'Edit Promotion' : 'Add New Promotion'}
+                    </DialogTitle>
+                    <DialogContent sx={{ py: 4 }}>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+                            <TextField
+                                name="name"
+                                label="Name"
+                                value={formData.name}
+                                onChange={handleInputChange}
+                                required
+                                fullWidth
+                            />
+                            <TextField
+                                name="code"
+                                label="Coupon Code"
+                                value={formData.code}
+                                onChange={handleInputChange}
+                                helperText="Leave empty to apply automatically to every qualifying order"
+                                inputProps={{ style: { textTransform: 'uppercase' } }}
+                                fullWidth
+                            />
+                            <TextField
+                                name="description"
+                                label="Description"
+                                value={formData.description}
+                                onChange={handleInputChange}
+                                fullWidth
+                                multiline
+                                rows={2}
+                            />
+                            <Box sx={{ display: 'flex', gap: 2 }}>
+                                <FormControl fullWidth>
+                                    <InputLabel>Type</InputLabel>
+                                    <Select
+                                        name="type"
+                                        value={formData.type}
+                                        onChange={handleInputChange}
+                                        label="Type"
+                                    >
+                                        {PROMOTION_TYPES.map((type) => (
+                                            <MenuItem key={type.value} value={type.value}>
+                                                {type.label}
+                                            </MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                {showValue && (
+                                    <TextField
+                                        name="value"
+                                        label={formData.type === 'fixed' ? 'Amount Off' : 'Percent Off'}
+                                        type="number"
+                                        value={formData.value}
+                                        onChange={handleInputChange}
+                                        helperText={formData.type === 'buy_x_get_y' ? 'Leave empty for free items' : ''}
+                                        inputProps={{ min: 0, step: '0.01' }}
+                                        required={formData.type !== 'buy_x_get_y'}
+                                        fullWidth
+                                    />
+                                )}
+                            </Box>
+                            {formData.type === 'buy_x_get_y' && (
+                                <Box sx={{ display: 'flex', gap: 2 }}>
+                                    <TextField
+                                        name="buyQuantity"
+                                        label="Buy"
+                                        type="number"
+                                        value={formData.buyQuantity}
+                                        onChange={handleInputChange}
+                                        inputProps={{ min: 1 }}
+                                        required
+                                        fullWidth
+                                    />
+                                    <TextField
+                                        name="getQuantity"
+                                        label="Get"
+                                        type="number"
+                                        value={formData.getQuantity}
+                                        onChange={handleInputChange}
+                                        helperText="The cheapest items are discounted"
+                                        inputProps={{ min: 1 }}
+                                        required
+                                        fullWidth
+                                    />
+                                </Box>
+                            )}
+
+                            <Typography variant="subtitle2" sx={{ letterSpacing: '0.1em', mt: 1 }}>
+                                CONDITIONS
+                            </Typography>
+                            <TextField
+                                name="minSubtotal"
+                                label="Minimum Subtotal"
+                                type="number"
+                                value={formData.minSubtotal}
+                                onChange={handleInputChange}
+                                inputProps={{ min: 0, step: '0.01' }}
+                                fullWidth
+                            />
+                            <FormControl fullWidth>
+                                <InputLabel>Categories</InputLabel>
+                                <Select
+                                    multiple
+                                    name="categories"
+                                    value={formData.categories}
+                                    onChange={handleInputChange}
+                                    label="Categories"
+                                    renderValue={(selected) => selected
+                                        .map((id) => categories.find((category) => category._id === id)?.name)
+                                        .filter(Boolean)
+                                        .join(', ')}
+                                >
+                                    {categories.map((category) => (
+                                        <MenuItem
+                                            key={category._id}
+                                            value={category._id}
+                                            sx={{ pl: 2 + category.depth * 2 }}
+                                        >
+                                            {category.name}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <Box sx={{ display: 'flex', gap: 2 }}>
+                                <TextField
+                                    name="startsAt"
+                                    label="Starts"
+                                    type="datetime-local"
+                                    value={formData.startsAt}
+                                    onChange={handleInputChange}
+                                    InputLabelProps={{ shrink: true }}
+                                    fullWidth
+                                />
+                                <TextField
+                                    name="endsAt"
+                                    label="Ends"
+                                    type="datetime-local"
+                                    value={formData.endsAt}
+                                    onChange={handleInputChange}
+                                    InputLabelProps={{ shrink: true }}
+                                    fullWidth
+                                />
+                            </Box>
+                            <Box sx={{ display: 'flex', gap: 2 }}>
+                                <TextField
+                                    name="usageLimit"
+                                    label="Total Uses"
+                                    type="number"
+                                    value={formData.usageLimit}
+                                    onChange={handleInputChange}
+                                    helperText="Leave empty for unlimited"
+                                    inputProps={{ min: 1 }}
+                                    fullWidth
+                                />
+                                <TextField
+                                    name="perCustomerLimit"
+                                    label="Uses per Customer"
+                                    type="number"
+                                    value={formData.perCustomerLimit}
+                                    onChange={handleInputChange}
+                                    helperText="Leave empty for unlimited"
+                                    inputProps={{ min: 1 }}
+                                    fullWidth
+                                />
+                            </Box>
+                            <FormControlLabel
+                                control={
+                                    <Checkbox
+                                        name="firstOrderOnly"
+                                        checked={formData.firstOrderOnly}
+                                        onChange={handleInputChange}
+                                    />
+                                }
+                                label="First order only"
+                            />
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        name="active"
+                                        checked={formData.active}
+                                        onChange={handleInputChange}
+                                    />
+                                }
+                                label="Active"
+                            />
+                        </Box>
+                    </DialogContent>
+                    <DialogActions sx={{ px: 3, py: 3 }}>
+                        <Button onClick={closeDialog}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            sx={{
+                                px: 4,
+                                py: 1,
+                                letterSpacing: '0.1em'
+                            }}
+                        >
+                            {editingPromotion ? 'Update' : 'Add'} Promotion
+                        </Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default PromotionManager;
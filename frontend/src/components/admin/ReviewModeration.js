@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    Rating,
+    Chip,
+    ToggleButton,
+    ToggleButtonGroup,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Pagination,
+} from '@mui/material';
+import { reviewService } from '../../services/reviewService';
+
+const PAGE_SIZE = 20;
+
+const STATUS_COLORS = {
+    pending: 'warning',
+    approved: 'success',
+    hidden: 'default',
+};
+
+const ReviewModeration = () => {
+    const [reviews, setReviews] = useState([]);
+    const [status, setStatus] = useState('pending');
+    const [page, setPage] = useState(1);
+    const [pageCount, setPageCount] = useState(1);
+    const [error, setError] = useState(null);
+
+    const fetchReviews = async () => {
+        try {
+            const data = await reviewService.getAllReviews({
+                status: status === 'all' ? undefined : status,
+                page,
+                limit: PAGE_SIZE,
+            });
+            setReviews(data.reviews);
+            setPageCount(Math.max(data.pages, 1));
+        } catch (err) {
+            setError('Failed to load reviews');
+            console.error('Error fetching reviews:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchReviews();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [status, page]);
+
+    const handleStatusChange = async (review, nextStatus) => {
+        try {
+            await reviewService.updateReviewStatus(review._id, nextStatus);
+            fetchReviews();
+        } catch (err) {
+            setError('Failed to update review');
+            console.error('Error updating review:', err);
+        }
+    };
+
+    const handleDelete = async (review) => {
+        if (window.confirm('Are you sure you want to delete this review?')) {
+            try {
+                await reviewService.deleteReview(review._id);
+                fetchReviews();
+            } catch (err) {
+                setError('Failed to delete review');
+                console.error('Error deleting review:', err);
+            }
+        }
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <ToggleButtonGroup
+                    exclusive
+                    size="small"
+                    value={status}
+                    onChange={(e, value) => {
+                        if (value) {
+                            setStatus(value);
+                            setPage(1);
+                        }
+                    }}
+                >
+                    <ToggleButton value="pending">Pending</ToggleButton>
+                    <ToggleButton value="approved">Approved</ToggleButton>
+                    <ToggleButton value="hidden">Hidden</ToggleButton>
+                    <ToggleButton value="all">All</ToggleButton>
+                </ToggleButtonGroup>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            {reviews.length === 0 ? (
+                <Typography color="text.secondary" sx={{ textAlign: 'center' }}>
+                    No reviews to show
+                </Typography>
+            ) : (
+                <Table>
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Product</TableCell>
+                            <TableCell>Customer</TableCell>
+                            <TableCell>Review</TableCell>
+                            <TableCell>Status</TableCell>
+                            <TableCell align="right" />
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {reviews.map((review) => (
+                            <TableRow key={review._id}>
+                                <TableCell>{review.product?.name || 'Deleted product'}</TableCell>
+                                <TableCell>
+                                    {review.user?.name}
+                                    <Typography variant="body2" color="text.secondary">
+                                        {review.user?.email}
+                                    </Typography>
+                                </TableCell>
+                                <TableCell sx={{ maxWidth: 400 }}>
+                                    <Rating value={review.rating} readOnly size="small" />
+                                    {review.title && (
+                                        <Typography variant="subtitle2">{review.title}</Typography>
+                                    )}
+                                    <Typography variant="body2" color="text.secondary">
+                                        {review.body}
+                                    </Typography>
+                                </TableCell>
+                                <TableCell>
+                                    <Chip
+                                        label={review.status}
+                                        color={STATUS_COLORS[review.status]}
+                                        size="small"
+                                    />
+                                </TableCell>
+                                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                                    {review.status !== 'approved' && (
+                                        <Button size="small" onClick={() => handleStatusChange(review, 'approved')}>
+                                            Approve
+                                        </Button>
+                                    )}
+                                    {review.status !== 'hidden' && (
+                                        <Button size="small" onClick={() => handleStatusChange(review, 'hidden')}>
+                                            Hide
+                                        </Button>
+                                    )}
+                                    <Button size="small" color="error" onClick={() => handleDelete(review)}>
+                                        Delete
+                                    </Button>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+
+            {pageCount > 1 && (
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 6 }}>
+                    <Pagination
+                        count={pageCount}
+                        page={page}
+                        onChange={(e, value) => setPage(value)}
+                    />
+                </Box>
+            )}
+        </Box>
+    );
+};
+
+export default ReviewModeration;
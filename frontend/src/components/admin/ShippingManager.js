@@ -0,0 +1,458 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    FormControlLabel,
+    InputLabel,
+    IconButton,
+    Switch,
+    Paper,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import {
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+    Close as RemoveIcon,
+} from '@mui/icons-material';
+import { shippingService } from '../../services/shippingService';
+
+const RATE_TYPES = [
+    { value: 'flat', label: 'Flat fee' },
+    { value: 'weight', label: 'By weight (kg)' },
+    { value: 'subtotal', label: 'By order value' },
+];
+
+const EMPTY_FORM = {
+    name: '',
+    countries: '',
+    regions: '',
+    methods: [],
+};
+
+const newMethod = () => ({
+    name: '',
+    code: '',
+    deliveryEstimate: '',
+    rateType: 'flat',
+    flatRate: '',
+    rates: [],
+    freeAbove: '',
+    active: true,
+});
+
+const newRate = () => ({ min: '', max: '', price: '' });
+
+const toNumberOrNull = (value) => (value === '' || value == null ? null : parseFloat(value));
+
+const splitCodes = (value) =>
+    value.split(',').map((code) => code.trim().toUpperCase()).filter(Boolean);
+
+// A stored method with every form field present
+const toEditableMethod = (method) => ({
+    ...newMethod(),
+    ...method,
+    flatRate: method.flatRate ?? '',
+    freeAbove: method.freeAbove ?? '',
+    rates: (method.rates || []).map((rate) => ({
+        min: rate.min ?? '',
+        max: rate.max ?? '',
+        price: rate.price ?? '',
+    })),
+});
+
+// Shipping zones by country and region, each with its own methods and rates
+const ShippingManager = () => {
+    const [zones, setZones] = useState([]);
+    const [error, setError] = useState(null);
+    const [openDialog, setOpenDialog] = useState(false);
+    const [editingZone, setEditingZone] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    const fetchZones = async () => {
+        try {
+            setZones(await shippingService.getZones());
+        } catch (err) {
+            setError('Failed to load shipping zones');
+            console.error('Error fetching shipping zones:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchZones();
+    }, []);
+
+    const closeDialog = () => {
+        setOpenDialog(false);
+        setEditingZone(null);
+        setFormData(EMPTY_FORM);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const updateMethod = (index, changes) => {
+        setFormData(prev => ({
+            ...prev,
+            methods: prev.methods.map((method, i) => (i === index ? { ...method, ...changes } : method))
+        }));
+    };
+
+    const removeMethod = (index) => {
+        setFormData(prev => ({
+            ...prev,
+            methods: prev.methods.filter((_, i) => i !== index)
+        }));
+    };
+
+    const updateRate = (methodIndex, rateIndex, changes) => {
+        const method = formData.methods[methodIndex];
+        updateMethod(methodIndex, {
+            rates: method.rates.map((rate, i) => (i === rateIndex ? { ...rate, ...changes } : rate))
+        });
+    };
+
+    const handleEdit = (zone) => {
+        setEditingZone(zone);
+        setFormData({
+            name: zone.name,
+            countries: zone.countries.join(', '),
+            regions: zone.regions.join(', '),
+            methods: zone.methods.map(toEditableMethod),
+        });
+        setOpenDialog(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.name) {
+            setError('Please enter a zone name');
+            return;
+        }
+
+        try {
+            const dataToSend = {
+                name: formData.name,
+                countries: splitCodes(formData.countries),
+                regions: splitCodes(formData.regions),
+                methods: formData.methods.map((method, index) => ({
+                    ...(method._id && { _id: method._id }),
+                    name: method.name,
+                    code: method.code || method.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+                    description: method.description || '',
+                    deliveryEstimate: method.deliveryEstimate,
+                    rateType: method.rateType,
+                    flatRate: toNumberOrNull(method.flatRate) ?? 0,
+                    rates: method.rateType === 'flat' ? [] : method.rates.map((rate) => ({
+                        min: toNumberOrNull(rate.min) ?? 0,
+                        max: toNumberOrNull(rate.max),
+                        price: toNumberOrNull(rate.price) ?? 0,
+                    })),
+                    freeAbove: toNumberOrNull(method.freeAbove),
+                    active: method.active,
+                    sortOrder: index,
+                })),
+            };
+
+            if (editingZone) {
+                await shippingService.updateZone(editingZone._id, dataToSend);
+            } else {
+                await shippingService.createZone(dataToSend);
+            }
+
+            setError(null);
+            closeDialog();
+            fetchZones();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save shipping zone');
+            console.error('Error saving shipping zone:', err);
+        }
+    };
+
+    const handleDelete = async (zone) => {
+        if (window.confirm(`Are you sure you want to delete ${zone.name}?`)) {
+            try {
+                await shippingService.deleteZone(zone._id);
+                fetchZones();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete shipping zone');
+                console.error('Error deleting shipping zone:', err);
+            }
+        }
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <Button
+                    variant="contained"
+                    onClick={() => setOpenDialog(true)}
+                    sx={{
+                        minWidth: '250px',
+                        py: 2,
+                        letterSpacing: '0.1em',
+                        fontSize: '0.9rem',
+                        fontWeight: 400
+                    }}
+                >
+                    + Add New Shipping Zone
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Zone</TableCell>
+                        <TableCell>Ships To</TableCell>
+                        <TableCell>Methods</TableCell>
+                        <TableCell align="right" />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {zones.map((zone) => (
+                        <TableRow key={zone._id}>
+                            <TableCell>{zone.name}</TableCell>
+                            <TableCell>
+                                {zone.countries.length ? zone.countries.join(', ') : 'Rest of world'}
+                                {zone.regions.length > 0 && ` (${zone.regions.join(', ')})`}
+                            </TableCell>
+                            <TableCell>{zone.methods.map((method) => method.name).join(', ')}</TableCell>
+                            <TableCell align="right">
+                                <IconButton size="small" onClick={() => handleEdit(zone)}>
+                                    <EditIcon />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDelete(zone)}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            <Dialog
+                open={openDialog}
+                maxWidth="md"
+                fullWidth
+                PaperProps={{
+                    sx: {
+                        borderRadius: 0
+                    }
+                }}
+                onClose={closeDialog}
+            >
+                <form onSubmit={handleSubmit}>
+                    <DialogTitle sx={{
+                        pb: 1,
+                        '& .MuiTypography-root': {
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }
+                    }}>
+                        {editingZone ? 'Edit Shipping Zone' : 'Add New Shipping Zone'}
+                    </DialogTitle>
+                    <DialogContent sx={{ py: 4 }}>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+                            <TextField
+                                name="name"
+                                label="Name"
+                                value={formData.name}
+                                onChange={handleInputChange}
+                                required
+                                fullWidth
+                            />
+                            <TextField
+                                name="countries"
+                                label="Countries"
+                                value={formData.countries}
+                                onChange={handleInputChange}
+                                helperText="Two-letter country codes, comma separated. Leave empty for the rest of the world."
+                                fullWidth
+                            />
+                            <TextField
+                                name="regions"
+                                label="Regions"
+                                value={formData.regions}
+                                onChange={handleInputChange}
+                                helperText="State or region codes, comma separated. Leave empty for whole countries."
+                                fullWidth
+                            />
+
+                            <Typography variant="subtitle2" sx={{ letterSpacing: '0.1em', mt: 1 }}>
+                                METHODS
+                            </Typography>
+                            {formData.methods.map((method, index) => (
+                                <Paper key={method._id || index} variant="outlined" sx={{ p: 2, borderRadius: 0 }}>
+                                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                                        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                                            <TextField
+                                                label="Method Name"
+                                                value={method.name}
+                                                onChange={(e) => updateMethod(index, { name: e.target.value })}
+                                                placeholder="Standard"
+                                                required
+                                                fullWidth
+                                            />
+                                            <TextField
+                                                label="Delivery Estimate"
+                                                value={method.deliveryEstimate}
+                                                onChange={(e) => updateMethod(index, { deliveryEstimate: e.target.value })}
+                                                placeholder="3-5 business days"
+                                                fullWidth
+                                            />
+                                            <IconButton size="small" onClick={() => removeMethod(index)}>
+                                                <DeleteIcon />
+                                            </IconButton>
+                                        </Box>
+                                        <Box sx={{ display: 'flex', gap: 2 }}>
+                                            <FormControl fullWidth>
+                                                <InputLabel>Rate</InputLabel>
+                                                <Select
+                                                    value={method.rateType}
+                                                    label="Rate"
+                                                    onChange={(e) => updateMethod(index, { rateType: e.target.value })}
+                                                >
+                                                    {RATE_TYPES.map((type) => (
+                                                        <MenuItem key={type.value} value={type.value}>
+                                                            {type.label}
+                                                        </MenuItem>
+                                                    ))}
+                                                </Select>
+                                            </FormControl>
+                                            {method.rateType === 'flat' && (
+                                                <TextField
+                                                    label="Price"
+                                                    type="number"
+                                                    value={method.flatRate}
+                                                    onChange={(e) => updateMethod(index, { flatRate: e.target.value })}
+                                                    inputProps={{ min: 0, step: '0.01' }}
+                                                    fullWidth
+                                                />
+                                            )}
+                                            <TextField
+                                                label="Free Above"
+                                                type="number"
+                                                value={method.freeAbove}
+                                                onChange={(e) => updateMethod(index, { freeAbove: e.target.value })}
+                                                helperText="Order value that ships free"
+                                                inputProps={{ min: 0, step: '0.01' }}
+                                                fullWidth
+                                            />
+                                        </Box>
+                                        {method.rateType !== 'flat' && (
+                                            <Box>
+                                                {method.rates.map((rate, rateIndex) => (
+                                                    <Box key={rateIndex} sx={{ display: 'flex', gap: 2, mb: 1, alignItems: 'center' }}>
+                                                        <TextField
+                                                            size="small"
+                                                            label={method.rateType === 'weight' ? 'From (kg)' : 'From ($)'}
+                                                            type="number"
+                                                            value={rate.min}
+                                                            onChange={(e) => updateRate(index, rateIndex, { min: e.target.value })}
+                                                            inputProps={{ min: 0, step: '0.01' }}
+                                                        />
+                                                        <TextField
+                                                            size="small"
+                                                            label={method.rateType === 'weight' ? 'Up to (kg)' : 'Up to ($)'}
+                                                            type="number"
+                                                            value={rate.max}
+                                                            onChange={(e) => updateRate(index, rateIndex, { max: e.target.value })}
+                                                            placeholder="No limit"
+                                                            inputProps={{ min: 0, step: '0.01' }}
+                                                        />
+                                                        <TextField
+                                                            size="small"
+                                                            label="Price"
+                                                            type="number"
+                                                            value={rate.price}
+                                                            onChange={(e) => updateRate(index, rateIndex, { price: e.target.value })}
+                                                            inputProps={{ min: 0, step: '0.01' }}
+                                                            required
+                                                        />
+                                                        <IconButton
+                                                            size="small"
+                                                            onClick={() => updateMethod(index, {
+                                                                rates: method.rates.filter((_, i) => i !== rateIndex)
+                                                            })}
+                                                        >
+                                                            <RemoveIcon fontSize="small" />
+                                                        </IconButton>
+                                                    </Box>
+                                                ))}
+                                                <Button
+                                                    size="small"
+                                                    onClick={() => updateMethod(index, { rates: [...method.rates, newRate()] })}
+                                                >
+                                                    + Add Rate
+                                                </Button>
+                                            </Box>
+                                        )}
+                                        <FormControlLabel
+                                            control={
+                                                <Switch
+                                                    checked={method.active}
+                                                    onChange={(e) => updateMethod(index, { active: e.target.checked })}
+                                                />
+                                            }
+                                            label="Offered at checkout"
+                                        />
+                                    </Box>
+                                </Paper>
+                            ))}
+                            <Box>
+                                <Button
+                                    variant="outlined"
+                                    onClick={() => setFormData(prev => ({ ...prev, methods: [...prev.methods, newMethod()] }))}
+                                >
+                                    + Add Method
+                                </Button>
+                            </Box>
+                        </Box>
+                    </DialogContent>
+                    <DialogActions sx={{ px: 3, py: 3 }}>
+                        <Button onClick={closeDialog}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            sx={{
+                                px: 4,
+                                py: 1,
+                                letterSpacing: '0.1em'
+                            }}
+                        >
+                            {editingZone ? 'Update' : 'Add'} Shipping Zone
+                        </Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default ShippingManager;
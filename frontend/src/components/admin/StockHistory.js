@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    InputLabel,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Alert,
+    Chip,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { inventoryService } from '../../services/inventoryService';
+
+const PAGE_SIZE = 20;
+
+const REASON_COLORS = {
+    sale: 'primary',
+    adjustment: 'default',
+    return: 'info',
+    restock: 'success',
+};
+
+const EMPTY_ADJUSTMENT = { variantId: '', change: '', reason: 'restock', note: '' };
+
+export const variantLabel = (product, variantId) => {
+    const variant = product.variants?.find((v) => v._id === variantId);
+    return variant ? Object.values(variant.options).join(' / ') : '';
+};
+
+// Stock movements of one product, with a form to log restocks, returns
+// and manual corrections
+const StockHistory = ({ product, open, onClose, onAdjusted }) => {
+    const [movements, setMovements] = useState([]);
+    const [nextPage, setNextPage] = useState(null);
+    const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+    const [error, setError] = useState(null);
+
+    const fetchMovements = async () => {
+        try {
+            const data = await inventoryService.getMovements(product._id, { limit: PAGE_SIZE });
+            setMovements(data.movements);
+            setNextPage(data.nextPage);
+        } catch (err) {
+            setError('Failed to load stock history');
+            console.error('Error fetching stock history:', err);
+        }
+    };
+
+    useEffect(() => {
+        if (open && product) {
+            setAdjustment(EMPTY_ADJUSTMENT);
+            setError(null);
+            fetchMovements();
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [open, product?._id]);
+
+    const handleLoadMore = async () => {
+        try {
+            const data = await inventoryService.getMovements(product._id, {
+                limit: PAGE_SIZE,
+                page: nextPage,
+            });
+            setMovements(prev => [...prev, ...data.movements]);
+            setNextPage(data.nextPage);
+        } catch (err) {
+            console.error('Error fetching stock history:', err);
+        }
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setAdjustment(prev => ({
+            ...prev,
+            [name]: value
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const change = parseInt(adjustment.change, 10);
+        if (!change) {
+            setError('Enter a positive or negative quantity');
+            return;
+        }
+
+        try {
+            const data = await inventoryService.adjustStock(product._id, {
+                ...adjustment,
+                change,
+                variantId: adjustment.variantId || undefined,
+            });
+            setAdjustment(EMPTY_ADJUSTMENT);
+            setError(null);
+            fetchMovements();
+            onAdjusted?.(data.product);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to adjust stock');
+            console.error('Error adjusting stock:', err);
+        }
+    };
+
+    if (!product) return null;
+
+    const hasVariants = product.variants?.length > 0;
+
+    return (
+        <Dialog
+            open={open}
+            maxWidth="md"
+            fullWidth
+            PaperProps={{
+                sx: {
+                    borderRadius: 0
+                }
+            }}
+            onClose={onClose}
+        >
+            <DialogTitle sx={{
+                pb: 1,
+                '& .MuiTypography-root': {
+                    fontWeight: 300,
+                    letterSpacing: '0.1em'
+                }
+            }}>
+                Stock History · {product.name}
+            </DialogTitle>
+            <DialogContent sx={{ py: 4 }}>
+                <Box
+                    component="form"
+                    onSubmit={handleSubmit}
+                    sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center', pt: 1, mb: 4 }}
+                >
+                    {hasVariants && (
+                        <FormControl size="small" sx={{ minWidth: 160 }} required>
+                            <InputLabel>Variant</InputLabel>
+                            <Select
+                                name="variantId"
+                                value={adjustment.variantId}
+                                onChange={handleInputChange}
+                                label="Variant"
+                            >
+                                {product.variants.map((variant) => (
+                                    <MenuItem key={variant._id} value={variant._id}>
+                                        {variantLabel(product, variant._id)} ({variant.stockOnHand ?? variant.stock})
+                                    </MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                    )}
+                    <FormControl size="small" sx={{ minWidth: 140 }}>
+                        <InputLabel>Reason</InputLabel>
+                        <Select
+                            name="reason"
+                            value={adjustment.reason}
+                            onChange={handleInputChange}
+                            label="Reason"
+                        >
+                            <MenuItem value="restock">Restock</MenuItem>
+                            <MenuItem value="return">Return</MenuItem>
+                            <MenuItem value="adjustment">Adjustment</MenuItem>
+                        </Select>
+                    </FormControl>
+                    <TextField
+                        name="change"
+                        label="Quantity (+/-)"
+                        type="number"
+                        size="small"
+                        value={adjustment.change}
+                        onChange={handleInputChange}
+                        required
+                        sx={{ width: 140 }}
+                    />
+                    <TextField
+                        name="note"
+                        label="Note"
+                        size="small"
+                        value={adjustment.note}
+                        onChange={handleInputChange}
+                        sx={{ flex: 1, minWidth: 160 }}
+                    />
+                    <Button type="submit" variant="outlined">
+                        Log Change
+                    </Button>
+                </Box>
+
+                {error && (
+                    <Alert severity="error" sx={{ mb: 3 }}>{error}</Alert>
+                )}
+
+                {movements.length === 0 ? (
+                    <Typography color="text.secondary">
+                        No stock changes recorded yet.
+                    </Typography>
+                ) : (
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Date</TableCell>
+                                {hasVariants && <TableCell>Variant</TableCell>}
+                                <TableCell>Reason</TableCell>
+                                <TableCell align="right">Change</TableCell>
+                                <TableCell align="right">Stock After</TableCell>
+                                <TableCell>By</TableCell>
+                                <TableCell>Details</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {movements.map((movement) => (
+                                <TableRow key={movement._id}>
+                                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                                        {new Date(movement.createdAt).toLocaleString()}
+                                    </TableCell>
+                                    {hasVariants && (
+                                        <TableCell>
+                                            {variantLabel(product, movement.variant) || movement.sku || 'Removed variant'}
+                                        </TableCell>
+                                    )}
+                                    <TableCell>
+                                        <Chip
+                                            label={movement.reason}
+                                            color={REASON_COLORS[movement.reason]}
+                                            size="small"
+                                        />
+                                    </TableCell>
+                                    <TableCell align="right">
+                                        {movement.change > 0 ? `+${movement.change}` : movement.change}
+                                    </TableCell>
+                                    <TableCell align="right">{movement.stockAfter}</TableCell>
+                                    <TableCell>{movement.user?.name || '—'}</TableCell>
+                                    <TableCell>
+                                        {movement.note}
+                                        {movement.order && (
+                                            <Typography variant="body2" color="text.secondary">
+                                                Order #{movement.order.slice(-8).toUpperCase()}
+                                            </Typography>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                )}
+
+                {nextPage && (
+                    <Button variant="outlined" onClick={handleLoadMore} sx={{ mt: 3 }}>
+                        Load More
+                    </Button>
+                )}
+            </DialogContent>
+            <DialogActions sx={{ px: 3, py: 3 }}>
+                <Button onClick={onClose}>
+                    Close
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default StockHistory;
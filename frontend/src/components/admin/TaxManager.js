@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    FormControlLabel,
+    IconButton,
+    Switch,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import {
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+} from '@mui/icons-material';
+import { taxService } from '../../services/taxService';
+
+const EMPTY_FORM = {
+    name: '',
+    country: '',
+    region: '',
+    postalPrefix: '',
+    taxClass: 'standard',
+    rate: '',
+    includeShipping: false,
+    active: true,
+};
+
+// Where a rate applies, most specific part last
+const describeArea = (rate) =>
+    [rate.country, rate.region, rate.postalPrefix && `${rate.postalPrefix}*`].filter(Boolean).join(' / ');
+
+// Tax rates by country, region and postal prefix for each tax class.
+// `onChange` is called after rates change, since they define the classes
+// products can use.
+const TaxManager = ({ onChange }) => {
+    const [rates, setRates] = useState([]);
+    const [error, setError] = useState(null);
+    const [openDialog, setOpenDialog] = useState(false);
+    const [editingRate, setEditingRate] = useState(null);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+
+    const fetchRates = async () => {
+        try {
+            setRates(await taxService.getRates());
+        } catch (err) {
+            setError('Failed to load tax rates');
+            console.error('Error fetching tax rates:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchRates();
+    }, []);
+
+    const closeDialog = () => {
+        setOpenDialog(false);
+        setEditingRate(null);
+        setFormData(EMPTY_FORM);
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value, checked, type } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value
+        }));
+    };
+
+    const handleEdit = (rate) => {
+        setEditingRate(rate);
+        setFormData({
+            name: rate.name,
+            country: rate.country,
+            region: rate.region,
+            postalPrefix: rate.postalPrefix,
+            taxClass: rate.taxClass,
+            rate: rate.rate,
+            includeShipping: rate.includeShipping,
+            active: rate.active,
+        });
+        setOpenDialog(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.name || !formData.country || formData.rate === '') {
+            setError('Please fill in the name, country and rate');
+            return;
+        }
+
+        try {
+            const dataToSend = {
+                ...formData,
+                taxClass: formData.taxClass.trim() || 'standard',
+                rate: parseFloat(formData.rate),
+            };
+
+            if (editingRate) {
+                await taxService.updateRate(editingRate._id, dataToSend);
+            } else {
+                await taxService.createRate(dataToSend);
+            }
+
+            setError(null);
+            closeDialog();
+            fetchRates();
+            onChange?.();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save tax rate');
+            console.error('Error saving tax rate:', err);
+        }
+    };
+
+    const handleDelete = async (rate) => {
+        if (window.confirm(`Are you sure you want to delete ${rate.name}?`)) {
+            try {
+                await taxService.deleteRate(rate._id);
+                fetchRates();
+                onChange?.();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete tax rate');
+                console.error('Error deleting tax rate:', err);
+            }
+        }
+    };
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <Button
+                    variant="contained"
+                    onClick={() => setOpenDialog(true)}
+                    sx={{
+                        minWidth: '250px',
+                        py: 2,
+                        letterSpacing: '0.1em',
+                        fontSize: '0.9rem',
+                        fontWeight: 400
+                    }}
+                >
+                    + Add New Tax Rate
+                </Button>
+            </Box>
+
+            {error && (
+                <Typography color="error" sx={{ mb: 2 }}>
+                    {error}
+                </Typography>
+            )}
+
+            <Table>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Name</TableCell>
+                        <TableCell>Applies To</TableCell>
+                        <TableCell>Tax Class</TableCell>
+                        <TableCell align="right">Rate</TableCell>
+                        <TableCell>Shipping</TableCell>
+                        <TableCell>Status</TableCell>
+                        <TableCell align="right" />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {rates.map((rate) => (
+                        <TableRow key={rate._id}>
+                            <TableCell>{rate.name}</TableCell>
+                            <TableCell>{describeArea(rate)}</TableCell>
+                            <TableCell>{rate.taxClass}</TableCell>
+                            <TableCell align="right">{rate.rate}%</TableCell>
+                            <TableCell>{rate.includeShipping ? 'Taxed' : '-'}</TableCell>
+                            <TableCell>{rate.active ? 'Active' : 'Inactive'}</TableCell>
+                            <TableCell align="right">
+                                <IconButton size="small" onClick={() => handleEdit(rate)}>
+                                    <EditIcon />
+                                </IconButton>
+                                <IconButton size="small" onClick={() => handleDelete(rate)}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            <Dialog
+                open={openDialog}
+                maxWidth="sm"
+                fullWidth
+                PaperProps={{
+                    sx: {
+                        borderRadius: 0
+                    }
+                }}
+                onClose={closeDialog}
+            >
+                <form onSubmit={handleSubmit}>
+                    <DialogTitle sx={{
+                        pb: 1,
+                        '& .MuiTypography-root': {
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }
+                    }}>
+                        {editingRate ? 'Edit Tax Rate' : 'Add New Tax Rate'}
+                    </DialogTitle>
+                    <DialogContent sx={{ py: 4 }}>
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, pt: 1 }}>
+                            <TextField
+                                name="name"
+                                label="Name"
+                                value={formData.name}
+                                onChange={handleInputChange}
+                                helperText="Shown to customers, e.g. CA Sales Tax"
+                                required
+                                fullWidth
+                            />
+                            <Box sx={{ display: 'flex', gap: 2 }}>
+                                <TextField
+                                    name="country"
+                                    label="Country"
+                                    value={formData.country}
+                                    onChange={handleInputChange}
+                                    helperText="Two-letter code"
+                                    inputProps={{ maxLength: 2, style: { textTransform: 'uppercase' } }}
+                                    required
+                                    fullWidth
+                                />
+                                <TextField
+                                    name="region"
+                                    label="Region"
+                                    value={formData.region}
+                                    onChange={handleInputChange}
+                                    helperText="Empty for the whole country"
+                                    inputProps={{ style: { textTransform: 'uppercase' } }}
+                                    fullWidth
+                                />
+                                <TextField
+                                    name="postalPrefix"
+                                    label="Postal Code Prefix"
+                                    value={formData.postalPrefix}
+                                    onChange={handleInputChange}
+                                    helperText="Empty for every postal code"
+                                    fullWidth
+                                />
+                            </Box>
+                            <Box sx={{ display: 'flex', gap: 2 }}>
+                                <TextField
+                                    name="taxClass"
+                                    label="Tax Class"
+                                    value={formData.taxClass}
+                                    onChange={handleInputChange}
+                                    helperText="standard, or a class such as reduced"
+                                    fullWidth
+                                />
+                                <TextField
+                                    name="rate"
+                                    label="Rate (%)"
+                                    type="number"
+                                    value={formData.rate}
+                                    onChange={handleInputChange}
+                                    inputProps={{ min: 0, max: 100, step: '0.001' }}
+                                    required
+                                    fullWidth
+                                />
+                            </Box>
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        name="includeShipping"
+                                        checked={formData.includeShipping}
+                                        onChange={handleInputChange}
+                                    />
+                                }
+                                label="Tax shipping at this rate (standard class only)"
+                            />
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        name="active"
+                                        checked={formData.active}
+                                        onChange={handleInputChange}
+                                    />
+                                }
+                                label="Active"
+                            />
+                        </Box>
+                    </DialogContent>
+                    <DialogActions sx={{ px: 3, py: 3 }}>
+                        <Button onClick={closeDialog}>
+                            Cancel
+                        </Button>
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            sx={{
+                                px: 4,
+                                py: 1,
+                                letterSpacing: '0.1em'
+                            }}
+                        >
+                            {editingRate ? 'Update' : 'Add'} Tax Rate
+                        </Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default TaxManager;
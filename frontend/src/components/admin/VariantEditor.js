@@ -0,0 +1,187 @@
+import React from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    IconButton,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+
+const MAX_OPTIONS = 3;
+
+// Clean up option names and comma separated values typed by the admin
+export const normalizeOptions = (options) =>
+    options
+        .map((option) => ({
+            name: option.name.trim(),
+            values: option.values.map((value) => value.trim()).filter(Boolean),
+        }))
+        .filter((option) => option.name && option.values.length);
+
+// Every combination of option values, e.g. Size x Colour
+const cartesian = (options) =>
+    options.reduce(
+        (combos, option) =>
+            combos.flatMap((combo) =>
+                option.values.map((value) => ({ ...combo, [option.name]: value }))
+            ),
+        [{}]
+    );
+
+const sameCombination = (a, b, options) =>
+    options.every((option) => a?.[option.name] === b?.[option.name]);
+
+const VariantEditor = ({ options, variants, onChange }) => {
+    const updateOption = (index, changes) => {
+        const nextOptions = options.map((option, i) =>
+            i === index ? { ...option, ...changes } : option
+        );
+        onChange({ options: nextOptions, variants });
+    };
+
+    const addOption = () => {
+        onChange({ options: [...options, { name: '', values: [] }], variants });
+    };
+
+    const removeOption = (index) => {
+        onChange({ options: options.filter((_, i) => i !== index), variants: [] });
+    };
+
+    // Rebuild the variant list, keeping SKU/stock/prices of combinations that still exist
+    const generateVariants = () => {
+        const cleanOptions = normalizeOptions(options);
+        const nextVariants = cleanOptions.length
+            ? cartesian(cleanOptions).map((combo) => {
+                const existing = variants.find((variant) =>
+                    sameCombination(variant.options, combo, cleanOptions)
+                );
+                return existing
+                    ? { ...existing, options: combo }
+                    : { sku: '', options: combo, price: '', salePrice: '', stock: 0 };
+            })
+            : [];
+        onChange({ options: cleanOptions, variants: nextVariants });
+    };
+
+    const updateVariant = (index, field, value) => {
+        const nextVariants = variants.map((variant, i) =>
+            i === index ? { ...variant, [field]: value } : variant
+        );
+        onChange({ options, variants: nextVariants });
+    };
+
+    return (
+        <Box>
+            <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                Variants
+            </Typography>
+
+            {options.map((option, index) => (
+                <Box key={index} sx={{ display: 'flex', gap: 2, mb: 2, alignItems: 'center' }}>
+                    <TextField
+                        label="Option"
+                        placeholder="Size"
+                        size="small"
+                        value={option.name}
+                        onChange={(e) => updateOption(index, { name: e.target.value })}
+                        sx={{ flex: 1 }}
+                    />
+                    <TextField
+                        label="Values (comma separated)"
+                        placeholder="S, M, L"
+                        size="small"
+                        value={option.values.join(',')}
+                        onChange={(e) => updateOption(index, { values: e.target.value.split(',') })}
+                        sx={{ flex: 2 }}
+                    />
+                    <IconButton size="small" onClick={() => removeOption(index)}>
+                        <DeleteIcon />
+                    </IconButton>
+                </Box>
+            ))}
+
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+                <Button
+                    size="small"
+                    onClick={addOption}
+                    disabled={options.length >= MAX_OPTIONS}
+                >
+                    + Add Option
+                </Button>
+                {options.length > 0 && (
+                    <Button size="small" variant="outlined" onClick={generateVariants}>
+                        Generate Variants
+                    </Button>
+                )}
+            </Box>
+
+            {variants.length > 0 && (
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Variant</TableCell>
+                            <TableCell>SKU</TableCell>
+                            <TableCell>Price</TableCell>
+                            <TableCell>Sale Price</TableCell>
+                            <TableCell>Stock</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {variants.map((variant, index) => (
+                            <TableRow key={variant._id || index}>
+                                <TableCell>
+                                    {Object.values(variant.options || {}).join(' / ')}
+                                </TableCell>
+                                <TableCell>
+                                    <TextField
+                                        size="small"
+                                        variant="standard"
+                                        value={variant.sku || ''}
+                                        onChange={(e) => updateVariant(index, 'sku', e.target.value)}
+                                    />
+                                </TableCell>
+                                <TableCell>
+                                    <TextField
+                                        size="small"
+                                        variant="standard"
+                                        type="number"
+                                        placeholder="Default"
+                                        value={variant.price ?? ''}
+                                        onChange={(e) => updateVariant(index, 'price', e.target.value)}
+                                    />
+                                </TableCell>
+                                <TableCell>
+                                    <TextField
+                                        size="small"
+                                        variant="standard"
+                                        type="number"
+                                        placeholder="Default"
+                                        value={variant.salePrice ?? ''}
+                                        onChange={(e) => updateVariant(index, 'salePrice', e.target.value)}
+                                    />
+                                </TableCell>
+                                <TableCell>
+                                    <TextField
+                                        size="small"
+                                        variant="standard"
+                                        type="number"
+                                        value={variant.stock}
+                                        onChange={(e) => updateVariant(index, 'stock', e.target.value)}
+                                    />
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            )}
+        </Box>
+    );
+};
+
+export default VariantEditor;
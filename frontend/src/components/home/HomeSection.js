@@ -0,0 +1,135 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Box, Container, Typography, Button } from '@mui/material';
+import ProductCarousel from '../product/ProductCarousel';
+import { config } from '../../services/config';
+
+// Store paths use the router; anything else is an ordinary link
+const linkProps = (link) =>
+    link.startsWith('/') ? { component: RouterLink, to: link } : { component: 'a', href: link };
+
+const HeroSection = ({ section, isFirst }) => {
+    const imageUrl = config.imageUrl(section.image, 'detail');
+
+    return (
+        <Box
+            sx={{
+                bgcolor: 'primary.main',
+                color: 'white',
+                py: 8,
+                mb: 4,
+                textAlign: 'center',
+                ...(imageUrl && {
+                    backgroundImage: `linear-gradient(rgba(0, 0, 0, 0.4), rgba(0, 0, 0, 0.4)), url(${imageUrl})`,
+                    backgroundSize: 'cover',
+                    backgroundPosition: 'center',
+                    py: 14,
+                }),
+            }}
+        >
+            <Container>
+                {section.title && (
+                    <Typography variant="h2" component={isFirst ? 'h1' : 'h2'} gutterBottom>
+                        {section.title}
+                    </Typography>
+                )}
+                {section.subtitle && (
+                    <Typography variant="h5">
+                        {section.subtitle}
+                    </Typography>
+                )}
+                {section.link && (
+                    <Button
+                        {...linkProps(section.link)}
+                        variant="outlined"
+                        color="inherit"
+                        sx={{ mt: 4 }}
+                    >
+                        {section.linkLabel || 'Shop now'}
+                    </Button>
+                )}
+            </Container>
+        </Box>
+    );
+};
+
+const CollectionRow = ({ section }) => {
+    const collection = section.productCollection;
+
+    return (
+        <Container maxWidth="xl" sx={{ mb: 4 }}>
+            <ProductCarousel
+                title={(section.title || collection?.name || '').toUpperCase()}
+                products={section.products}
+                action={collection?.slug && (
+                    <Button component={RouterLink} to={`/collection/${collection.slug}`} size="small">
+                        View all
+                    </Button>
+                )}
+            />
+        </Container>
+    );
+};
+
+const BannerSection = ({ section }) => {
+    const content = (
+        <Box sx={{ position: 'relative' }}>
+            <Box
+                component="img"
+                src={config.imageUrl(section.image, 'detail')}
+                alt={section.image?.alt || section.title}
+                sx={{ display: 'block', width: '100%', maxHeight: 480, objectFit: 'cover' }}
+            />
+            {(section.title || section.subtitle) && (
+                <Box
+                    sx={{
+                        position: 'absolute',
+                        inset: 0,
+                        display: 'flex',
+                        flexDirection: 'column',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        color: 'white',
+                        bgcolor: 'rgba(0, 0, 0, 0.25)',
+                        textAlign: 'center',
+                    }}
+                >
+                    <Typography variant="h3" component="h2">
+                        {section.title}
+                    </Typography>
+                    {section.subtitle && (
+                        <Typography variant="h6">
+                            {section.subtitle}
+                        </Typography>
+                    )}
+                </Box>
+            )}
+        </Box>
+    );
+
+    return (
+        <Box sx={{ my: 6 }}>
+            {section.link ? (
+                <Box {...linkProps(section.link)} sx={{ display: 'block', color: 'inherit' }}>
+                    {content}
+                </Box>
+            ) : content}
+        </Box>
+    );
+};
+
+// One block of the Home page layout
+const HomeSection = ({ section, isFirst }) => {
+    switch (section.type) {
+        case 'hero':
+            return <HeroSection section={section} isFirst={isFirst} />;
+        case 'collection':
+            return <CollectionRow section={section} />;
+        case 'banner':
+            return <BannerSection section={section} />;
+        default:
+            return null;
+    }
+};
+
+export default HomeSection;
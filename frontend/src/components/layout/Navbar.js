@@ -10,16 +10,44 @@ import {
     Badge,
     Box,
     Container,
+    Menu,
+    MenuItem,
 } from '@mui/material';
 import {
     ShoppingCart as CartIcon,
+    FavoriteBorder as WishlistIcon,
     Person as PersonIcon,
+    KeyboardArrowDown as ArrowDownIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import { useCart } from '../../contexts/CartContext';
+import { useWishlist } from '../../contexts/WishlistContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { categoryService, flattenCategoryTree } from '../../services/categoryService';
+import SearchBox from './SearchBox';
 
 const Navbar = () => {
     const [isScrolled, setIsScrolled] = useState(false);
+    const [categories, setCategories] = useState([]);
+    const [menuAnchor, setMenuAnchor] = useState(null);
+    const [openCategory, setOpenCategory] = useState(null);
+    const [currencyAnchor, setCurrencyAnchor] = useState(null);
+
+    useEffect(() => {
+        categoryService.getCategoryTree()
+            .then(setCategories)
+            .catch((err) => console.error('Error fetching categories:', err));
+    }, []);
+
+    const openMenu = (event, category) => {
+        setMenuAnchor(event.currentTarget);
+        setOpenCategory(category);
+    };
+
+    const closeMenu = () => {
+        setMenuAnchor(null);
+        setOpenCategory(null);
+    };
 
     useEffect(() => {
         const handleScroll = () => {
@@ -31,6 +59,13 @@ const Navbar = () => {
     }, []);
     const { user, logout } = useAuth();
     const { getCartCount } = useCart();
+    const { wishlistItems } = useWishlist();
+    const { currency, currencies, setCurrency } = useCurrency();
+
+    const chooseCurrency = (code) => {
+        setCurrency(code);
+        setCurrencyAnchor(null);
+    };
 
     return (
         <AppBar 
@@ -76,20 +111,58 @@ const Navbar = () => {
                         >
                             Home
                         </Button>
-                        <Button
-                            color="inherit"
-                            component={RouterLink}
-                            to="/men"
-                        >
-                            Men
-                        </Button>
-                        <Button
-                            color="inherit"
-                            component={RouterLink}
-                            to="/women"
+                        {categories.map((category) => (
+                            category.children.length ? (
+                                <Button
+                                    key={category._id}
+                                    color="inherit"
+                                    endIcon={<ArrowDownIcon />}
+                                    onClick={(e) => openMenu(e, category)}
+                                >
+                                    {category.name}
+                                </Button>
+                            ) : (
+                                <Button
+                                    key={category._id}
+                                    color="inherit"
+                                    component={RouterLink}
+                                    to={`/category/${category.slug}`}
+                                >
+                                    {category.name}
+                                </Button>
+                            )
+                        ))}
+
+                        <Menu
+                            anchorEl={menuAnchor}
+                            open={Boolean(menuAnchor)}
+                            onClose={closeMenu}
                         >
-                            Women
-                        </Button>
+                            {openCategory && [
+                                <MenuItem
+                                    key={openCategory._id}
+                                    component={RouterLink}
+                                    to={`/category/${openCategory.slug}`}
+                                    onClick={closeMenu}
+                                    sx={{ fontWeight: 500 }}
+                                >
+                                    All {openCategory.name}
+                                </MenuItem>,
+                                ...flattenCategoryTree(openCategory.children).map((child) => (
+                                    <MenuItem
+                                        key={child._id}
+                                        component={RouterLink}
+                                        to={`/category/${child.slug}`}
+                                        onClick={closeMenu}
+                                        sx={{ pl: 2 + child.depth * 2 }}
+                                    >
+                                        {child.name}
+                                    </MenuItem>
+                                ))
+                            ]}
+                        </Menu>
+
+                        <SearchBox />
 
                         {user && user.role === 'admin' && (
                             <Button
@@ -101,6 +174,44 @@ const Navbar = () => {
                             </Button>
                         )}
 
+                        {currencies.length > 1 && (
+                            <>
+                                <Button
+                                    color="inherit"
+                                    onClick={(e) => setCurrencyAnchor(e.currentTarget)}
+                                    endIcon={<ArrowDownIcon />}
+                                    sx={{ letterSpacing: '0.1em', fontWeight: 400 }}
+                                >
+                                    {currency}
+                                </Button>
+                                <Menu
+                                    anchorEl={currencyAnchor}
+                                    open={Boolean(currencyAnchor)}
+                                    onClose={() => setCurrencyAnchor(null)}
+                                >
+                                    {currencies.map((option) => (
+                                        <MenuItem
+                                            key={option.code}
+                                            selected={option.code === currency}
+                                            onClick={() => chooseCurrency(option.code)}
+                                        >
+                                            {option.name ? `${option.code} · ${option.name}` : option.code}
+                                        </MenuItem>
+                                    ))}
+                                </Menu>
+                            </>
+                        )}
+
+                        <IconButton
+                            color="inherit"
+                            component={RouterLink}
+                            to="/wishlist"
+                        >
+                            <Badge badgeContent={wishlistItems.length} color="error">
+                                <WishlistIcon />
+                            </Badge>
+                        </IconButton>
+
                         <IconButton
                             color="inherit"
                             component={RouterLink}
@@ -0,0 +1,59 @@
+import { useEffect } from 'react';
+
+export const SITE_NAME = 'TAUTY';
+
+const DEFAULT_DESCRIPTION = 'Discover the latest fashion trends at TAUTY.';
+
+// Search engines and link previews cut descriptions off at about this length
+const MAX_DESCRIPTION_LENGTH = 160;
+
+const truncate = (text) =>
+    text.length > MAX_DESCRIPTION_LENGTH
+        ? `${text.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…`
+        : text;
+
+// Create or update a <meta> or <link> tag in the document head
+const setHeadTag = (tagName, keyAttribute, key, valueAttribute, value) => {
+    let element = document.head.querySelector(`${tagName}[${keyAttribute}="${key}"]`);
+    if (!value) {
+        element?.remove();
+        return;
+    }
+    if (!element) {
+        element = document.createElement(tagName);
+        element.setAttribute(keyAttribute, key);
+        document.head.appendChild(element);
+    }
+    element.setAttribute(valueAttribute, value);
+};
+
+// Sets the document title, meta description, canonical link and Open Graph /
+// Twitter card tags for the current page. `path` is the canonical path, e.g.
+// '/product/linen-shirt'; `image` is an absolute image URL.
+const PageMeta = ({ title, description, path, image, type = 'website' }) => {
+    useEffect(() => {
+        const fullTitle = title ? `${title} | ${SITE_NAME}` : SITE_NAME;
+        const summary = truncate((description || DEFAULT_DESCRIPTION).replace(/\s+/g, ' ').trim());
+        const url = `${window.location.origin}${path ?? window.location.pathname}`;
+
+        document.title = fullTitle;
+        setHeadTag('meta', 'name', 'description', 'content', summary);
+        setHeadTag('link', 'rel', 'canonical', 'href', url);
+
+        setHeadTag('meta', 'property', 'og:site_name', 'content', SITE_NAME);
+        setHeadTag('meta', 'property', 'og:type', 'content', type);
+        setHeadTag('meta', 'property', 'og:title', 'content', fullTitle);
+        setHeadTag('meta', 'property', 'og:description', 'content', summary);
+        setHeadTag('meta', 'property', 'og:url', 'content', url);
+        setHeadTag('meta', 'property', 'og:image', 'content', image);
+
+        setHeadTag('meta', 'name', 'twitter:card', 'content', image ? 'summary_large_image' : 'summary');
+        setHeadTag('meta', 'name', 'twitter:title', 'content', fullTitle);
+        setHeadTag('meta', 'name', 'twitter:description', 'content', summary);
+        setHeadTag('meta', 'name', 'twitter:image', 'content', image);
+    }, [title, description, path, image, type]);
+
+    return null;
+};
+
+export default PageMeta;
@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    Autocomplete,
+    TextField,
+    InputAdornment,
+    Box,
+    Typography,
+} from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+import { productService } from '../../services/productService';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { config } from '../../services/config';
+import { productPath } from '../../utils/productPath';
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGESTION_DELAY = 200;
+
+const SearchBox = () => {
+    const navigate = useNavigate();
+    const { formatPrice } = useCurrency();
+    const [inputValue, setInputValue] = useState('');
+    const [options, setOptions] = useState([]);
+
+    useEffect(() => {
+        const q = inputValue.trim();
+        if (q.length < 2) {
+            setOptions([]);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            try {
+                const data = await productService.getSuggestions(q, { signal: controller.signal });
+                setOptions([
+                    ...data.categories.map((category) => ({ ...category, type: 'category' })),
+                    ...data.products.map((product) => ({ ...product, type: 'product' })),
+                ]);
+            } catch (err) {
+                if (err.name !== 'CanceledError') {
+                    console.error('Error fetching suggestions:', err);
+                }
+            }
+        }, SUGGESTION_DELAY);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [inputValue]);
+
+    // A string value means the user pressed Enter on their own text
+    const handleChange = (e, value) => {
+        if (!value) return;
+        if (typeof value === 'string') {
+            if (value.trim()) {
+                navigate(`/search?q=${encodeURIComponent(value.trim())}`);
+            }
+        } else if (value.type === 'category') {
+            navigate(`/category/${value.slug}`);
+        } else {
+            navigate(productPath(value));
+        }
+        setOptions([]);
+    };
+
+    return (
+        <Autocomplete
+            freeSolo
+            size="small"
+            options={options}
+            filterOptions={(x) => x}
+            groupBy={(option) => (option.type === 'category' ? 'Categories' : 'Products')}
+            getOptionLabel={(option) => (typeof option === 'string' ? option : option.name)}
+            inputValue={inputValue}
+            onInputChange={(e, value) => setInputValue(value)}
+            onChange={handleChange}
+            value={null}
+            blurOnSelect
+            sx={{ width: 260 }}
+            renderOption={(props, option) => {
+                const { key, ...optionProps } = props;
+                return (
+                    <Box component="li" key={key} {...optionProps} sx={{ display: 'flex', gap: 1.5 }}>
+                        {option.type === 'product' && option.image && (
+                            <Box
+                                component="img"
+                                src={config.imageUrl(option.image, 'thumbnail')}
+                                alt={option.image.alt || option.name}
+                                sx={{ width: 30, height: 40, objectFit: 'cover', bgcolor: '#f5f5f5' }}
+                            />
+                        )}
+                        <Box sx={{ flex: 1 }}>
+                            <Typography variant="body2">{option.name}</Typography>
+                        </Box>
+                        {option.type === 'product' && (
+                            <Typography variant="body2" color="text.secondary">
+                                {formatPrice(option.price)}
+                            </Typography>
+                        )}
+                    </Box>
+                );
+            }}
+            renderInput={(params) => (
+                <TextField
+                    {...params}
+                    placeholder="Search"
+                    InputProps={{
+                        ...params.InputProps,
+                        startAdornment: (
+                            <InputAdornment position="start">
+                                <SearchIcon fontSize="small" />
+                            </InputAdornment>
+                        ),
+                    }}
+                />
+            )}
+        />
+    );
+};
+
+export default SearchBox;
@@ -0,0 +1,124 @@
+import React from 'react';
+import {
+    Box,
+    Typography,
+    Checkbox,
+    FormControlLabel,
+    FormGroup,
+    Slider,
+    Button,
+    Divider,
+} from '@mui/material';
+
+// Attribute filters travel in the query string as attr_<code>=<value>,<value>
+// or attr_<code>=<min>..<max> for number attributes, matching the API
+export const ATTRIBUTE_PARAM_PREFIX = 'attr_';
+
+// The attribute filter params of a URLSearchParams as a plain object
+export const attributeParams = (searchParams) =>
+    Object.fromEntries(
+        [...searchParams].filter(([key]) => key.startsWith(ATTRIBUTE_PARAM_PREFIX))
+    );
+
+const ValueFacet = ({ facet, onChange }) => {
+    const toggle = (value) => {
+        const selected = facet.values.filter((option) => option.selected).map((option) => option.value);
+        const next = selected.includes(value)
+            ? selected.filter((item) => item !== value)
+            : [...selected, value];
+        onChange(next.join(','));
+    };
+
+    return (
+        <FormGroup>
+            {facet.values.map((option) => (
+                <FormControlLabel
+                    key={option.value}
+                    control={
+                        <Checkbox
+                            size="small"
+                            checked={option.selected}
+                            onChange={() => toggle(option.value)}
+                        />
+                    }
+                    label={
+                        <Typography variant="body2">
+                            {option.value}{' '}
+                            <Box component="span" sx={{ color: 'text.secondary' }}>
+                                ({option.count})
+                            </Box>
+                        </Typography>
+                    }
+                    disabled={option.count === 0 && !option.selected}
+                />
+            ))}
+        </FormGroup>
+    );
+};
+
+const RangeFacet = ({ facet, onChange }) => {
+    const low = facet.selected?.min ?? facet.min;
+    const high = facet.selected?.max ?? facet.max;
+    const unit = facet.unit ? ` ${facet.unit}` : '';
+
+    return (
+        <Box sx={{ px: 1 }}>
+            <Slider
+                key={`${low}-${high}`}
+                defaultValue={[low, high]}
+                min={facet.min}
+                max={facet.max}
+                step={facet.max - facet.min > 10 ? 1 : 0.1}
+                valueLabelDisplay="auto"
+                disabled={facet.min === facet.max}
+                onChangeCommitted={(e, [min, max]) => onChange(
+                    min === facet.min && max === facet.max ? '' : `${min}..${max}`
+                )}
+            />
+            <Typography variant="body2" color="text.secondary">
+                {low}{unit} – {high}{unit}
+            </Typography>
+        </Box>
+    );
+};
+
+// Sidebar of attribute filters built from the facet counts of a listing.
+// `onChange(code, value)` receives the new query string value for one
+// attribute ('' to clear it); `onClear` removes every attribute filter.
+const FacetFilters = ({ facets, onChange, onClear }) => {
+    if (!facets?.length) return null;
+
+    const hasSelection = facets.some((facet) =>
+        facet.type === 'number' ? facet.selected : facet.values.some((option) => option.selected)
+    );
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                <Typography variant="subtitle2" sx={{ letterSpacing: '0.1em' }}>
+                    FILTER
+                </Typography>
+                {hasSelection && (
+                    <Button size="small" onClick={onClear}>
+                        Clear all
+                    </Button>
+                )}
+            </Box>
+            {facets.map((facet) => (
+                <Box key={facet.code} sx={{ py: 2 }}>
+                    <Divider sx={{ mb: 2 }} />
+                    <Typography variant="body2" sx={{ fontWeight: 500, mb: 1 }}>
+                        {facet.name}
+                    </Typography>
+                    {facet.type === 'number' ? (
+                        <RangeFacet facet={facet} onChange={(value) => onChange(facet.code, value)} />
+                    ) : (
+                        <ValueFacet facet={facet} onChange={(value) => onChange(facet.code, value)} />
+                    )}
+                </Box>
+            ))}
+        </Box>
+    );
+};
+
+export default FacetFilters;
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { useCart } from '../../contexts/CartContext';
+import { useWishlist } from '../../contexts/WishlistContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import { useNavigate } from 'react-router-dom';
 import {
     Card,
@@ -8,9 +10,17 @@ import {
     Typography,
     Button,
     Box,
+    Chip,
+    IconButton,
 } from '@mui/material';
-import { AddShoppingCart as AddToCartIcon } from '@mui/icons-material';
+import {
+    AddShoppingCart as AddToCartIcon,
+    Favorite as FavoriteIcon,
+    FavoriteBorder as FavoriteBorderIcon,
+} from '@mui/icons-material';
 import { config } from '../../services/config';
+import { getPrimaryImage, getSecondaryImage } from '../../utils/productImages';
+import { productPath } from '../../utils/productPath';
 
 const DEFAULT_IMAGE = 'https://via.placeholder.com/400x600/f5f5f5/666666?text=No+Image';
 
@@ -18,18 +28,20 @@ const DEFAULT_IMAGE = 'https://via.placeholder.com/400x600/f5f5f5/666666?text=No
 const IMAGE_HEIGHT = 400;
 const IMAGE_ASPECT_RATIO = 3/4; // 4:3 aspect ratio
 
-const getImageUrl = (image) => {
-    if (!image || !image.data || !image.contentType) {
-        return DEFAULT_IMAGE;
-    }
-    return `data:${image.contentType};base64,${image.data}`;
-};
+const getImageUrl = (image) => config.imageUrl(image, 'card') || DEFAULT_IMAGE;
 
 const ProductCard = ({ product }) => {
     const [isHovered, setIsHovered] = useState(false);
     const navigate = useNavigate();
 
     const { addToCart } = useCart();
+    const { isInWishlist, toggleWishlist } = useWishlist();
+    const { priceFor, formatMoney } = useCurrency();
+    const wishlisted = isInWishlist(product._id);
+    const hasVariants = product.variants?.length > 0;
+    const primaryImage = getPrimaryImage(product);
+    const secondaryImage = getSecondaryImage(product);
+    const pricing = priceFor(product);
 
     const handleAddToCart = (e) => {
         e.stopPropagation();
@@ -46,13 +58,13 @@ const ProductCard = ({ product }) => {
             }}
             onMouseEnter={() => setIsHovered(true)}
             onMouseLeave={() => setIsHovered(false)}
-            onClick={() => navigate(`/product/${product._id}`)}
+            onClick={() => navigate(productPath(product))}
         >
             <Box sx={{ position: 'relative', overflow: 'hidden' }}>
                 <CardMedia
                     component="img"
-                    image={getImageUrl(product.image)}
-                    alt={product.image?.alt || product.name}
+                    image={getImageUrl(primaryImage)}
+                    alt={primaryImage?.alt || product.name}
                     sx={{
                         transition: 'transform 0.6s ease',
                         transform: isHovered ? 'scale(1.1)' : 'scale(1)',
@@ -63,6 +75,49 @@ const ProductCard = ({ product }) => {
                         backgroundColor: '#f5f5f5'
                     }}
                 />
+                {/* Secondary image fades in over the primary on hover */}
+                {secondaryImage && (
+                    <CardMedia
+                        component="img"
+                        image={getImageUrl(secondaryImage)}
+                        alt={secondaryImage.alt || product.name}
+                        sx={{
+                            position: 'absolute',
+                            top: 0,
+                            left: 0,
+                            width: '100%',
+                            height: IMAGE_HEIGHT,
+                            objectFit: 'cover',
+                            objectPosition: 'center',
+                            opacity: isHovered ? 1 : 0,
+                            transition: 'opacity 0.4s ease',
+                        }}
+                    />
+                )}
+                {pricing.onSale && (
+                    <Chip
+                        label="SALE"
+                        color="error"
+                        size="small"
+                        sx={{ position: 'absolute', top: 12, left: 12, borderRadius: 0, letterSpacing: '0.1em' }}
+                    />
+                )}
+                <IconButton
+                    aria-label={wishlisted ? 'Remove from wishlist' : 'Add to wishlist'}
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        toggleWishlist(product);
+                    }}
+                    sx={{
+                        position: 'absolute',
+                        top: 8,
+                        right: 8,
+                        backgroundColor: 'rgba(255, 255, 255, 0.8)',
+                        '&:hover': { backgroundColor: 'rgba(255, 255, 255, 0.95)' },
+                    }}
+                >
+                    {wishlisted ? <FavoriteIcon color="error" /> : <FavoriteBorderIcon />}
+                </IconButton>
                 <Box
                     sx={{
                         position: 'absolute',
@@ -82,6 +137,11 @@ const ProductCard = ({ product }) => {
                         color="primary"
                         onClick={(e) => {
                             e.stopPropagation();
+                            // Size/colour has to be picked on the detail page
+                            if (hasVariants) {
+                                navigate(productPath(product));
+                                return;
+                            }
                             addToCart(product);
                         }}
                         sx={{
@@ -92,7 +152,7 @@ const ProductCard = ({ product }) => {
                             },
                         }}
                     >
-                        ADD TO CART
+                        {hasVariants ? 'SELECT OPTIONS' : 'ADD TO CART'}
                     </Button>
                 </Box>
             </Box>
@@ -114,7 +174,20 @@ const ProductCard = ({ product }) => {
                         fontWeight: 300
                     }}
                 >
-                    ${product.price}
+                    {pricing.onSale && (
+                        <Box
+                            component="span"
+                            sx={{ textDecoration: 'line-through', mr: 1 }}
+                        >
+                            {formatMoney(pricing.compareAtPrice)}
+                        </Box>
+                    )}
+                    <Box
+                        component="span"
+                        sx={{ color: pricing.onSale ? 'error.main' : 'inherit' }}
+                    >
+                        {formatMoney(pricing.price)}
+                    </Box>
                 </Typography>
             </CardContent>
         </Card>
@@ -0,0 +1,64 @@
+import React, { useRef } from 'react';
+import { Box, Typography, IconButton } from '@mui/material';
+import {
+    ChevronLeft as PrevIcon,
+    ChevronRight as NextIcon,
+} from '@mui/icons-material';
+import ProductCard from './ProductCard';
+
+const CARD_WIDTH = 280;
+
+// Horizontally scrolling row of product cards with a heading and
+// previous/next buttons; `action` is shown next to the buttons
+const ProductCarousel = ({ title, products, action }) => {
+    const trackRef = useRef(null);
+
+    const scroll = (direction) => {
+        const track = trackRef.current;
+        track?.scrollBy({ left: direction * track.clientWidth, behavior: 'smooth' });
+    };
+
+    return (
+        <Box sx={{ mt: 6 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+                <Typography
+                    variant="h5"
+                    sx={{ fontWeight: 300, letterSpacing: '0.05em' }}
+                >
+                    {title}
+                </Typography>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                    {action}
+                    <IconButton onClick={() => scroll(-1)} aria-label="Previous">
+                        <PrevIcon />
+                    </IconButton>
+                    <IconButton onClick={() => scroll(1)} aria-label="Next">
+                        <NextIcon />
+                    </IconButton>
+                </Box>
+            </Box>
+            <Box
+                ref={trackRef}
+                sx={{
+                    display: 'flex',
+                    gap: 2,
+                    overflowX: 'auto',
+                    scrollSnapType: 'x mandatory',
+                    scrollbarWidth: 'none',
+                    '&::-webkit-scrollbar': { display: 'none' },
+                }}
+            >
+                {products.map((product) => (
+                    <Box
+                        key={product._id}
+                        sx={{ flex: `0 0 ${CARD_WIDTH}px`, scrollSnapAlign: 'start' }}
+                    >
+                        <ProductCard product={product} />
+                    </Box>
+                ))}
+            </Box>
+        </Box>
+    );
+};
+
+export default ProductCarousel;
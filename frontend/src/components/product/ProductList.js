@@ -2,7 +2,7 @@ import React from 'react';
 import { Grid, Container, Typography } from '@mui/material';
 import ProductCard from './ProductCard';
 
-const ProductList = ({ title, products }) => {
+const ProductList = ({ title, products, columns = 4 }) => {
     return (
         <Container maxWidth="xl" sx={{ py: 4 }}>
             {title && (
@@ -18,7 +18,7 @@ const ProductList = ({ title, products }) => {
                     gridTemplateColumns: {
                         xs: '1fr',
                         sm: 'repeat(2, 1fr)',
-                        md: 'repeat(4, 1fr)'
+                        md: `repeat(${columns}, 1fr)`
                     },
                     gap: 2
                 }}
@@ -0,0 +1,32 @@
+import React, { useState, useEffect } from 'react';
+import ProductCarousel from './ProductCarousel';
+import { productService } from '../../services/productService';
+
+// Horizontally scrolling "customers also bought" row for the given products
+const RecommendationCarousel = ({ productIds, title = 'CUSTOMERS ALSO BOUGHT' }) => {
+    const [products, setProducts] = useState([]);
+    const idsKey = productIds.join(',');
+
+    useEffect(() => {
+        if (!idsKey) {
+            setProducts([]);
+            return;
+        }
+
+        const fetchRecommendations = async () => {
+            try {
+                setProducts(await productService.getRecommendations(idsKey.split(',')));
+            } catch (err) {
+                console.error('Error fetching recommendations:', err);
+            }
+        };
+
+        fetchRecommendations();
+    }, [idsKey]);
+
+    if (!products.length) return null;
+
+    return <ProductCarousel title={title} products={products} />;
+};
+
+export default RecommendationCarousel;
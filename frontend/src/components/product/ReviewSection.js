@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    TextField,
+    Rating,
+    Divider,
+    Alert,
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { reviewService } from '../../services/reviewService';
+
+const PAGE_SIZE = 5;
+
+const EMPTY_FORM = { rating: 0, title: '', body: '' };
+
+const ReviewSection = ({ product }) => {
+    const { user } = useAuth();
+    const [reviews, setReviews] = useState([]);
+    const [nextPage, setNextPage] = useState(null);
+    const [myReview, setMyReview] = useState(null);
+    const [canReview, setCanReview] = useState(false);
+    const [editing, setEditing] = useState(false);
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    useEffect(() => {
+        const fetchReviews = async () => {
+            try {
+                const data = await reviewService.getProductReviews(product._id, { limit: PAGE_SIZE });
+                setReviews(data.reviews);
+                setNextPage(data.nextPage);
+            } catch (err) {
+                console.error('Error fetching reviews:', err);
+            }
+        };
+
+        fetchReviews();
+    }, [product._id]);
+
+    useEffect(() => {
+        if (!user) {
+            setCanReview(false);
+            setMyReview(null);
+            return;
+        }
+
+        const fetchMyReview = async () => {
+            try {
+                const data = await reviewService.getMyReview(product._id);
+                setCanReview(data.canReview);
+                setMyReview(data.review);
+            } catch (err) {
+                console.error('Error fetching review eligibility:', err);
+            }
+        };
+
+        fetchMyReview();
+    }, [user, product._id]);
+
+    const handleLoadMore = async () => {
+        try {
+            const data = await reviewService.getProductReviews(product._id, {
+                limit: PAGE_SIZE,
+                page: nextPage,
+            });
+            setReviews(prev => [...prev, ...data.reviews]);
+            setNextPage(data.nextPage);
+        } catch (err) {
+            console.error('Error fetching reviews:', err);
+        }
+    };
+
+    const startEditing = () => {
+        setFormData(myReview
+            ? { rating: myReview.rating, title: myReview.title || '', body: myReview.body || '' }
+            : EMPTY_FORM);
+        setError(null);
+        setEditing(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.rating) {
+            setError('Please choose a star rating');
+            return;
+        }
+
+        try {
+            const saved = myReview
+                ? await reviewService.updateReview(myReview._id, formData)
+                : await reviewService.createReview(product._id, formData);
+            setMyReview(saved);
+            setEditing(false);
+            setError(null);
+            setNotice('Thanks! Your review will appear once it has been approved.');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save review');
+            console.error('Error saving review:', err);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm('Are you sure you want to delete your review?')) return;
+        try {
+            await reviewService.deleteReview(myReview._id);
+            setReviews(prev => prev.filter(review => review._id !== myReview._id));
+            setMyReview(null);
+            setNotice(null);
+        } catch (err) {
+            setError('Failed to delete review');
+            console.error('Error deleting review:', err);
+        }
+    };
+
+    return (
+        <Box sx={{ mt: 6 }}>
+            <Divider sx={{ mb: 4 }} />
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+                <Typography
+                    variant="h5"
+                    sx={{ fontWeight: 300, letterSpacing: '0.05em' }}
+                >
+                    CUSTOMER REVIEWS
+                </Typography>
+                {product.ratingCount > 0 && (
+                    <>
+                        <Rating value={product.ratingAverage} readOnly precision={0.1} size="small" />
+                        <Typography variant="body2" color="text.secondary">
+                            {product.ratingAverage.toFixed(1)} ({product.ratingCount})
+                        </Typography>
+                    </>
+                )}
+            </Box>
+
+            {notice && (
+                <Alert severity="success" sx={{ mb: 3 }} onClose={() => setNotice(null)}>
+                    {notice}
+                </Alert>
+            )}
+
+            {canReview && !editing && (
+                <Box sx={{ display: 'flex', gap: 2, mb: 4 }}>
+                    <Button variant="outlined" onClick={startEditing}>
+                        {myReview ? 'Edit Your Review' : 'Write a Review'}
+                    </Button>
+                    {myReview && (
+                        <Button onClick={handleDelete}>
+                            Delete Review
+                        </Button>
+                    )}
+                </Box>
+            )}
+
+            {editing && (
+                <Box
+                    component="form"
+                    onSubmit={handleSubmit}
+                    sx={{ display: 'flex', flexDirection: 'column', gap: 2, mb: 4, maxWidth: 600 }}
+                >
+                    {error && <Alert severity="error">{error}</Alert>}
+                    <Rating
+                        value={formData.rating}
+                        onChange={(e, value) => setFormData(prev => ({ ...prev, rating: value || 0 }))}
+                    />
+                    <TextField
+                        label="Title"
+                        value={formData.title}
+                        onChange={(e) => setFormData(prev => ({ ...prev, title: e.target.value }))}
+                        inputProps={{ maxLength: 120 }}
+                        fullWidth
+                    />
+                    <TextField
+                        label="Review"
+                        value={formData.body}
+                        onChange={(e) => setFormData(prev => ({ ...prev, body: e.target.value }))}
+                        multiline
+                        rows={4}
+                        fullWidth
+                    />
+                    <Box sx={{ display: 'flex', gap: 2 }}>
+                        <Button type="submit" variant="contained">
+                            Submit Review
+                        </Button>
+                        <Button onClick={() => setEditing(false)}>
+                            Cancel
+                        </Button>
+                    </Box>
+                </Box>
+            )}
+
+            {reviews.length === 0 ? (
+                <Typography color="text.secondary">
+                    No reviews yet.
+                </Typography>
+            ) : (
+                reviews.map((review) => (
+                    <Box key={review._id} sx={{ mb: 3 }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+                            <Rating value={review.rating} readOnly size="small" />
+                            {review.title && (
+                                <Typography variant="subtitle1" sx={{ fontWeight: 500 }}>
+                                    {review.title}
+                                </Typography>
+                            )}
+                        </Box>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                            {review.user?.name || 'Customer'} · {new Date(review.createdAt).toLocaleDateString()}
+                        </Typography>
+                        {review.body && (
+                            <Typography variant="body1" sx={{ lineHeight: 1.8 }}>
+                                {review.body}
+                            </Typography>
+                        )}
+                    </Box>
+                ))
+            )}
+
+            {nextPage && (
+                <Button variant="outlined" onClick={handleLoadMore}>
+                    More Reviews
+                </Button>
+            )}
+        </Box>
+    );
+};
+
+export default ReviewSection;
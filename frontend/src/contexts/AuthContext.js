@@ -1,37 +1,52 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext } from 'react';
 import { jwtDecode } from 'jwt-decode';
+import { cartService } from '../services/cartService';
+import { wishlistService } from '../services/wishlistService';
 
 const AuthContext = createContext(null);
 
+const userFromToken = (token) => {
+    const decoded = jwtDecode(token);
+    const userRole = decoded.role || 'user';
+    return {
+        id: decoded.userId,
+        role: userRole,
+        isAdmin: userRole === 'admin'
+    };
+};
+
+// The signed-in user, read from the stored token while rendering for the
+// first time so that protected pages opened directly (a link in an email,
+// a refresh) do not send a signed-in user to the login form
+const storedUser = () => {
+    const token = localStorage.getItem('token');
+    if (!token) return null;
+    try {
+        return userFromToken(token);
+    } catch (error) {
+        localStorage.removeItem('token');
+        return null;
+    }
+};
+
 export const AuthProvider = ({ children }) => {
-    const [user, setUser] = useState(null);
-
-    useEffect(() => {
-        const token = localStorage.getItem('token');
-        if (token) {
-            try {
-                const decoded = jwtDecode(token);
-                const userRole = decoded.role || 'user';
-                setUser({
-                    id: decoded.userId,
-                    role: userRole,
-                    isAdmin: userRole === 'admin'
-                });
-            } catch (error) {
-                localStorage.removeItem('token');
-            }
-        }
-    }, []);
+    const [user, setUser] = useState(storedUser);
 
-    const login = (token) => {
+    // Any guest cart and wishlist are merged into the account before the
+    // user is set, so both reload with the merged contents
+    const login = async (token) => {
         localStorage.setItem('token', token);
-        const decoded = jwtDecode(token);
-        const userRole = decoded.role || 'user';
-        setUser({
-            id: decoded.userId,
-            role: userRole,
-            isAdmin: userRole === 'admin'
-        });
+        try {
+            await cartService.mergeGuestCart();
+        } catch (error) {
+            console.error('Error merging guest cart:', error);
+        }
+        try {
+            await wishlistService.mergeGuestWishlist();
+        } catch (error) {
+            console.error('Error merging guest wishlist:', error);
+        }
+        setUser(userFromToken(token));
     };
 
     const logout = () => {
@@ -1,62 +1,270 @@
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { cartService } from '../services/cartService';
+import { shippingService } from '../services/shippingService';
+import { orderService } from '../services/orderService';
+import { useCurrency } from './CurrencyContext';
 
 const CartContext = createContext(null);
 
+// Shown for lines whose product has since been removed from the store
+const MISSING_PRODUCT = { _id: null, name: 'Product no longer available', images: [] };
+
+// Server cart lines flattened into the product fields the cart pages show.
+// `status` is 'available', 'insufficient_stock', 'out_of_stock' or 'unavailable'.
+const toCartItems = (items) =>
+    items.map((item) => ({
+        ...(item.product || MISSING_PRODUCT),
+        lineId: item._id,
+        variant: item.variant,
+        price: item.price,
+        stock: item.stock,
+        quantity: item.quantity,
+        status: item.status,
+    }));
+
+// Lines that can be bought, as the { productId, variantId, quantity } items
+// the pricing endpoints take
+const toCheckoutItems = (cartItems) =>
+    cartItems
+        .filter((item) => item.status === 'available')
+        .map((item) => ({ productId: item._id, variantId: item.variant?._id, quantity: item.quantity }));
+
+// The cart lives on the server: in the user's account when signed in,
+// otherwise in a guest cart that is merged into the account on login
 export const CartProvider = ({ children }) => {
+    const { user } = useAuth();
+    const { currency, convert } = useCurrency();
     const [cartItems, setCartItems] = useState([]);
+    const [cartTotal, setCartTotal] = useState(0);
+    const [cartCount, setCartCount] = useState(0);
+    const [error, setError] = useState(null);
+    // Stock held for the signed-in user while they check out
+    const [reservation, setReservation] = useState(null);
+    // Coupon code entered in the order summary, and the discounted totals
+    const [couponCode, setCouponCode] = useState('');
+    const [summary, setSummary] = useState(null);
+    const latestSummary = useRef(0);
+    // Where the order ships ({ country, state, zipCode }), the methods
+    // available there and the one chosen
+    const [shippingAddress, setShippingAddress] = useState(null);
+    const [shippingQuote, setShippingQuote] = useState(null);
+    const [shippingError, setShippingError] = useState(null);
+    const [shippingMethodId, setShippingMethodId] = useState(null);
+    const latestQuote = useRef(0);
+    // Only the newest response is applied, so a slow guest cart request
+    // cannot overwrite the account cart loaded after login.
+    // Resolves to whether the request succeeded; failures end up in `cartError`.
+    const latestRequest = useRef(0);
 
-    const addToCart = (product) => {
-        setCartItems((prevItems) => {
-            const existingItem = prevItems.find(item => item._id === product._id);
-            if (existingItem) {
-                return prevItems.map(item =>
-                    item._id === product._id
-                        ? { ...item, quantity: item.quantity + 1 }
-                        : item
-                );
+    const applyCart = useCallback(async (request) => {
+        const requestId = ++latestRequest.current;
+        try {
+            const data = await request();
+            if (requestId !== latestRequest.current) return true;
+            setCartItems(toCartItems(data.items));
+            setCartTotal(data.total);
+            setCartCount(data.count);
+            setError(null);
+            return true;
+        } catch (err) {
+            if (requestId === latestRequest.current) {
+                setError(err.response?.data?.message || 'Could not update your cart');
             }
-            return [...prevItems, { ...product, quantity: 1 }];
-        });
+            console.error('Cart error:', err);
+            return false;
+        }
+    }, []);
+
+    const refreshCart = useCallback(() => applyCart(() => cartService.getCart()), [applyCart]);
+
+    useEffect(() => {
+        setReservation(null);
+        refreshCart();
+    }, [user, refreshCart]);
+
+    // Work out discounts, and tax once the destination is known, on the
+    // server whenever the cart, the code or the shipping changes. Lines that
+    // cannot be bought are left out, as they are of the total.
+    useEffect(() => {
+        const requestId = ++latestSummary.current;
+        const items = toCheckoutItems(cartItems);
+        if (!items.length) {
+            setSummary(null);
+            return;
+        }
+
+        cartService.validateCart(items, couponCode, { currency, address: shippingAddress, shippingMethodId })
+            .then((data) => {
+                if (requestId === latestSummary.current) setSummary(data);
+            })
+            .catch((err) => {
+                if (requestId === latestSummary.current) setSummary(null);
+                console.error('Cart summary error:', err);
+            });
+    }, [cartItems, couponCode, user, currency, shippingAddress, shippingMethodId]);
+
+    // Quote shipping once an address is known, keeping the chosen method
+    // when it is still offered and otherwise picking the first one
+    useEffect(() => {
+        const requestId = ++latestQuote.current;
+        const items = toCheckoutItems(cartItems);
+        if (!shippingAddress?.country || !items.length) {
+            setShippingQuote(null);
+            setShippingError(null);
+            return;
+        }
+
+        shippingService.getQuote(items, shippingAddress, couponCode, currency)
+            .then((quote) => {
+                if (requestId !== latestQuote.current) return;
+                setShippingQuote(quote);
+                setShippingError(null);
+                setShippingMethodId((current) => (
+                    quote.methods.some((method) => method._id === current) ? current : quote.methods[0]?._id || null
+                ));
+            })
+            .catch((err) => {
+                if (requestId !== latestQuote.current) return;
+                setShippingQuote(null);
+                setShippingError(err.response?.data?.message || 'Could not work out shipping');
+                console.error('Shipping quote error:', err);
+            });
+    }, [cartItems, couponCode, user, currency, shippingAddress]);
+
+    const shippingMethod = shippingQuote?.methods.find((method) => method._id === shippingMethodId) || null;
+
+    const applyCoupon = (code) => setCouponCode(code.trim().toUpperCase());
+
+    const removeCoupon = () => setCouponCode('');
+
+    const releaseReservation = async () => {
+        if (!reservation) return;
+        setReservation(null);
+        try {
+            await cartService.releaseReservation(reservation._id);
+        } catch (err) {
+            console.error('Reservation error:', err);
+        }
     };
 
-    const removeFromCart = (productId) => {
-        setCartItems((prevItems) => prevItems.filter(item => item._id !== productId));
+    // A hold covers the cart as it was when it was made, so any change to
+    // the cart gives it up; checkout holds the stock again before ordering
+    const changeCart = (request) => {
+        releaseReservation();
+        return applyCart(request);
     };
 
-    const updateQuantity = (productId, quantity) => {
+    const addToCart = (product, variant = null, quantity = 1) =>
+        changeCart(() => cartService.addItem(product._id, variant?._id, quantity));
+
+    const removeFromCart = (lineId) =>
+        changeCart(() => cartService.removeItem(lineId));
+
+    const updateQuantity = (lineId, quantity) => {
         if (quantity < 1) {
-            removeFromCart(productId);
-            return;
+            return removeFromCart(lineId);
         }
-        setCartItems((prevItems) =>
-            prevItems.map(item =>
-                item._id === productId
-                    ? { ...item, quantity }
-                    : item
-            )
-        );
+        return changeCart(() => cartService.updateItem(lineId, quantity));
     };
 
-    const clearCart = () => {
-        setCartItems([]);
-    };
+    const clearCart = () => changeCart(() => cartService.clearCart());
+
+    const restoreCart = (token) => changeCart(() => cartService.restoreCart(token));
 
-    const getCartTotal = () => {
-        return cartItems.reduce((total, item) => total + (item.price * item.quantity), 0);
+    // Hold the cart's stock for checkout. Resolves to the reservation, or to
+    // null with the reason in `cartError` when something can no longer be
+    // had, in which case the cart is reloaded to show what changed.
+    const reserveStock = async () => {
+        try {
+            const held = await cartService.reserveStock();
+            setReservation(held);
+            setError(null);
+            return held;
+        } catch (err) {
+            console.error('Reservation error:', err);
+            await refreshCart();
+            setError(err.response?.data?.message || 'Could not reserve your items');
+            return null;
+        }
     };
 
-    const getCartCount = () => {
-        return cartItems.reduce((count, item) => count + item.quantity, 0);
+    // Place the order for what can be bought, with the held stock, the
+    // coupon and the chosen shipping method, in the shopper's currency.
+    // The stock is held again first if the hold was given up, so the order
+    // is for the lines on show. `details` is { shippingAddress,
+    // paymentMethod }. Resolves to the order and empties the cart, or to
+    // null with the reason in `cartError`: the cart is then reloaded to show
+    // any stock that ran out, and the hold is dropped.
+    const placeOrder = async ({ shippingAddress: address, paymentMethod }) => {
+        const held = reservation || await reserveStock();
+        if (!held) return null;
+
+        try {
+            const order = await orderService.createOrder({
+                items: toCheckoutItems(cartItems),
+                reservationId: held._id,
+                couponCode: couponCode || undefined,
+                shippingMethodId,
+                shippingAddress: address,
+                paymentMethod,
+                currency,
+            });
+            setReservation(null);
+            setCouponCode('');
+            setShippingMethodId(null);
+            // The hold went with the order, so there is none to give up
+            await applyCart(() => cartService.clearCart());
+            return order;
+        } catch (err) {
+            console.error('Order error:', err);
+            setReservation(null);
+            await refreshCart();
+            setError(err.response?.data?.message || 'Could not place your order');
+            return null;
+        }
     };
 
+    // Only counts what can be bought right now, after discounts and with
+    // shipping and tax once they are known. In the shopper's currency; the
+    // server's cart total is in the base currency until the summary arrives.
+    const getCartTotal = () =>
+        (summary ? summary.total + summary.taxTotal : convert(cartTotal)) + (shippingMethod?.price || 0);
+
+    const getCartSubtotal = () => (summary ? summary.subtotal : convert(cartTotal));
+
+    const getCartCount = () => cartCount;
+
+    // Lines that have to be fixed before checking out
+    const hasCartIssues = cartItems.some((item) => item.status !== 'available');
+
     return (
         <CartContext.Provider value={{
             cartItems,
+            cartError: error,
+            hasCartIssues,
             addToCart,
             removeFromCart,
             updateQuantity,
             clearCart,
+            restoreCart,
+            refreshCart,
+            cartSummary: summary,
+            couponCode,
+            applyCoupon,
+            removeCoupon,
+            shippingAddress,
+            setShippingAddress,
+            shippingQuote,
+            shippingError,
+            shippingMethod,
+            setShippingMethodId,
+            reservation,
+            reserveStock,
+            releaseReservation,
+            placeOrder,
             getCartTotal,
+            getCartSubtotal,
             getCartCount,
         }}>
             {children}
@@ -0,0 +1,100 @@
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
+import { currencyService } from '../services/currencyService';
+import { getPricing } from '../utils/pricing';
+
+const CurrencyContext = createContext(null);
+
+// The shopper's choice is remembered in the browser
+const STORAGE_KEY = 'currency';
+
+const FALLBACK_CURRENCY = { code: 'USD', name: '', rate: 1 };
+
+// Minor units, e.g. 2 for EUR and 0 for JPY
+const fractionDigits = (code) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+
+// Prices are entered in the store's base currency and shown in the one the
+// shopper picks, formatted for their locale. Amounts worked out by the
+// server for a currency (cart summary, shipping quote) are only formatted;
+// base amounts are converted at the exchange rate first.
+export const CurrencyProvider = ({ children }) => {
+    const [baseCurrency, setBaseCurrency] = useState(FALLBACK_CURRENCY.code);
+    const [currencies, setCurrencies] = useState([]);
+    const [selectedCode, setSelectedCode] = useState(() => localStorage.getItem(STORAGE_KEY));
+
+    const refreshCurrencies = useCallback(() =>
+        currencyService.getCurrencies()
+            .then((data) => {
+                setBaseCurrency(data.base);
+                setCurrencies(data.currencies);
+            })
+            .catch((err) => console.error('Error fetching currencies:', err)),
+    []);
+
+    useEffect(() => {
+        refreshCurrencies();
+    }, [refreshCurrencies]);
+
+    // A remembered currency that is no longer offered falls back to the base one
+    const selected = currencies.find((currency) => currency.code === selectedCode) ||
+        currencies[0] ||
+        FALLBACK_CURRENCY;
+
+    const setCurrency = (code) => {
+        localStorage.setItem(STORAGE_KEY, code);
+        setSelectedCode(code);
+    };
+
+    const convert = useCallback((amount) => {
+        if (amount == null || selected.rate === 1) return amount;
+        const factor = 10 ** fractionDigits(selected.code);
+        return Math.round(amount * selected.rate * factor) / factor;
+    }, [selected.code, selected.rate]);
+
+    // An amount already in the selected currency
+    const formatMoney = useCallback((amount) =>
+        new Intl.NumberFormat(undefined, { style: 'currency', currency: selected.code }).format(amount),
+    [selected.code]);
+
+    // An amount in the base currency
+    const formatPrice = useCallback((amount) => formatMoney(convert(amount)), [formatMoney, convert]);
+
+    // Product or variant pricing in the selected currency. Uses the prices
+    // the server worked out, which honour per-currency price overrides, and
+    // converts at the rate when they are missing.
+    const priceFor = useCallback((product, variant = null) => {
+        const pricing = getPricing(product, variant);
+        if (selected.code === baseCurrency) return pricing;
+
+        const priced = pricing.currencies?.[selected.code];
+        return {
+            ...pricing,
+            price: priced ? priced.price : convert(pricing.price),
+            compareAtPrice: priced ? priced.compareAtPrice : convert(pricing.compareAtPrice),
+        };
+    }, [selected.code, baseCurrency, convert]);
+
+    return (
+        <CurrencyContext.Provider value={{
+            currency: selected.code,
+            currencies,
+            baseCurrency,
+            setCurrency,
+            refreshCurrencies,
+            convert,
+            formatMoney,
+            formatPrice,
+            priceFor,
+        }}>
+            {children}
+        </CurrencyContext.Provider>
+    );
+};
+
+export const useCurrency = () => {
+    const context = useContext(CurrencyContext);
+    if (!context) {
+        throw new Error('useCurrency must be used within a CurrencyProvider');
+    }
+    return context;
+};
@@ -0,0 +1,124 @@
+import React, { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { wishlistService } from '../services/wishlistService';
+
+const WishlistContext = createContext(null);
+
+// Shown for items whose product has since been removed from the store
+const MISSING_PRODUCT = { _id: null, name: 'Product no longer available', images: [] };
+
+const sameItem = (item, productId, variantId) =>
+    item.productId === productId && (item.variantId || null) === (variantId || null);
+
+// Wishlist items flattened into the product fields the pages show.
+// `status` is 'available', 'out_of_stock' or 'unavailable'.
+const toWishlistItems = (items) =>
+    items.map((item) => ({
+        ...(item.product || MISSING_PRODUCT),
+        itemId: item._id,
+        productId: item.productId,
+        variantId: item.variantId,
+        variant: item.variant,
+        price: item.price,
+        stock: item.stock,
+        status: item.status,
+        addedAt: item.addedAt,
+    }));
+
+// Signed-in customers keep their wishlist on the server; guests keep it in
+// the browser until it is merged into their account on login
+export const WishlistProvider = ({ children }) => {
+    const { user } = useAuth();
+    const [wishlistItems, setWishlistItems] = useState([]);
+    const [error, setError] = useState(null);
+    // Only the newest response is applied, as in the cart
+    const latestRequest = useRef(0);
+
+    const applyWishlist = useCallback(async (request) => {
+        const requestId = ++latestRequest.current;
+        try {
+            const data = await request();
+            if (requestId !== latestRequest.current) return true;
+            setWishlistItems(toWishlistItems(data.items));
+            setError(null);
+            return true;
+        } catch (err) {
+            if (requestId === latestRequest.current) {
+                setError(err.response?.data?.message || 'Could not update your wishlist');
+            }
+            console.error('Wishlist error:', err);
+            return false;
+        }
+    }, []);
+
+    const refreshWishlist = useCallback(() => applyWishlist(() => (
+        user ? wishlistService.getWishlist() : wishlistService.previewGuestItems()
+    )), [user, applyWishlist]);
+
+    useEffect(() => {
+        refreshWishlist();
+    }, [refreshWishlist]);
+
+    const findItem = (productId, variantId = null) =>
+        wishlistItems.find((item) => sameItem(item, productId, variantId));
+
+    const isInWishlist = (productId, variantId = null) => Boolean(findItem(productId, variantId));
+
+    const addToWishlist = (product, variant = null) => {
+        if (user) {
+            return applyWishlist(() => wishlistService.addItem(product._id, variant?._id));
+        }
+        return applyWishlist(() => {
+            const items = wishlistService.getGuestItems();
+            if (!items.some((item) => sameItem(item, product._id, variant?._id))) {
+                items.push({
+                    productId: product._id,
+                    variantId: variant?._id || null,
+                    addedAt: new Date().toISOString(),
+                });
+                wishlistService.saveGuestItems(items);
+            }
+            return wishlistService.previewGuestItems();
+        });
+    };
+
+    // `item` is an entry of `wishlistItems`
+    const removeFromWishlist = (item) => {
+        if (user) {
+            return applyWishlist(() => wishlistService.removeItem(item.itemId));
+        }
+        return applyWishlist(() => {
+            wishlistService.saveGuestItems(
+                wishlistService.getGuestItems().filter((entry) => !sameItem(entry, item.productId, item.variantId))
+            );
+            return wishlistService.previewGuestItems();
+        });
+    };
+
+    const toggleWishlist = (product, variant = null) => {
+        const item = findItem(product._id, variant?._id);
+        return item ? removeFromWishlist(item) : addToWishlist(product, variant);
+    };
+
+    return (
+        <WishlistContext.Provider value={{
+            wishlistItems,
+            wishlistError: error,
+            isInWishlist,
+            addToWishlist,
+            removeFromWishlist,
+            toggleWishlist,
+            refreshWishlist,
+        }}>
+            {children}
+        </WishlistContext.Provider>
+    );
+};
+
+export const useWishlist = () => {
+    const context = useContext(WishlistContext);
+    if (!context) {
+        throw new Error('useWishlist must be used within a WishlistProvider');
+    }
+    return context;
+};
@@ -18,37 +18,109 @@ import {
     DialogTitle,
     DialogContent,
     DialogActions,
+    Pagination,
+    Tabs,
+    Tab,
+    Chip,
 } from '@mui/material';
-import { Delete as DeleteIcon, Edit as EditIcon } from '@mui/icons-material';
+import { Archive as ArchiveIcon, History as HistoryIcon } from '@mui/icons-material';
 import { config } from '../services/config';
 import { productService } from '../services/productService';
+import VariantEditor, { normalizeOptions } from '../components/admin/VariantEditor';
+import ImageManager from '../components/admin/ImageManager';
+import CategoryManager from '../components/admin/CategoryManager';
+import ReviewModeration from '../components/admin/ReviewModeration';
+import CatalogImport from '../components/admin/CatalogImport';
+import InventoryManager from '../components/admin/InventoryManager';
+import StockHistory from '../components/admin/StockHistory';
+import PriceHistory from '../components/admin/PriceHistory';
+import AttributeManager from '../components/admin/AttributeManager';
+import CollectionManager from '../components/admin/CollectionManager';
+import HomeLayoutEditor from '../components/admin/HomeLayoutEditor';
+import PromotionManager from '../components/admin/PromotionManager';
+import ShippingManager from '../components/admin/ShippingManager';
+import TaxManager from '../components/admin/TaxManager';
+import CurrencyManager from '../components/admin/CurrencyManager';
+import AbandonedCartStats from '../components/admin/AbandonedCartStats';
+import { toDateTimeInput } from '../utils/dates';
+import AttributeFields, { toAttributeValues, fromAttributeValues } from '../components/admin/AttributeFields';
+import { attributeService } from '../services/attributeService';
+import { taxService } from '../services/taxService';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { categoryService, flattenCategoryTree } from '../services/categoryService';
+import { getPrimaryImage } from '../utils/productImages';
 
 const DEFAULT_IMAGE = 'https://via.placeholder.com/400x600/f5f5f5/666666?text=No+Image';
 
 // Common image dimensions
 const ADMIN_IMAGE_HEIGHT = 300;
 const IMAGE_ASPECT_RATIO = 3/4; // 4:3 aspect ratio
+const ADMIN_PAGE_SIZE = 30;
+const MAX_IMAGES = 8;
+
+const PRODUCT_STATUSES = ['draft', 'active', 'scheduled', 'archived'];
+
+const STATUS_COLORS = {
+    draft: 'default',
+    active: 'success',
+    scheduled: 'info',
+    archived: 'warning',
+};
 
 const Admin = () => {
     const [products, setProducts] = useState([]);
+    const [page, setPage] = useState(1);
+    const [pageCount, setPageCount] = useState(1);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [openDialog, setOpenDialog] = useState(false);
     const [editingProduct, setEditingProduct] = useState(null);
+    const [uploading, setUploading] = useState(false);
+    const [activeTab, setActiveTab] = useState('products');
+    const [categories, setCategories] = useState([]);
+    const [taxClasses, setTaxClasses] = useState(['standard']);
+    const { currencies, baseCurrency } = useCurrency();
+    // Currencies a product can be given its own price in
+    const displayCurrencies = currencies.filter((currency) => currency.code !== baseCurrency);
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [historyProduct, setHistoryProduct] = useState(null);
+    const [attributeDefinitions, setAttributeDefinitions] = useState([]);
 
     const [formData, setFormData] = useState({
+        sku: '',
         name: '',
+        slug: '',
         description: '',
         price: '',
+        compareAtPrice: '',
+        priceOverrides: {},
+        salePrice: '',
+        saleStartsAt: '',
+        saleEndsAt: '',
         category: '',
+        tags: '',
+        attributes: {},
         stock: '',
-        image: null
+        lowStockThreshold: '',
+        weight: '',
+        taxClass: 'standard',
+        images: [],
+        options: [],
+        variants: [],
+        status: 'active',
+        publishAt: '',
+        unpublishAt: ''
     });
 
-    const fetchProducts = async () => {
+    const fetchProducts = async (pageToLoad = page) => {
         try {
-            const data = await productService.getAllProducts();
-            setProducts(data);
+            const data = await productService.getProducts({
+                page: pageToLoad,
+                limit: ADMIN_PAGE_SIZE,
+                status: statusFilter,
+            });
+            setProducts(data.products);
+            setPageCount(Math.max(data.pages, 1));
         } catch (err) {
             setError('Failed to load products');
             console.error('Error fetching products:', err);
@@ -57,10 +129,42 @@ const Admin = () => {
         }
     };
 
+    const fetchCategories = async () => {
+        try {
+            const tree = await categoryService.getCategoryTree();
+            setCategories(flattenCategoryTree(tree));
+        } catch (err) {
+            console.error('Error fetching categories:', err);
+        }
+    };
+
+    const fetchAttributes = async () => {
+        try {
+            setAttributeDefinitions(await attributeService.getAttributes());
+        } catch (err) {
+            console.error('Error fetching attributes:', err);
+        }
+    };
+
+    const fetchTaxClasses = async () => {
+        try {
+            setTaxClasses(await taxService.getClasses());
+        } catch (err) {
+            console.error('Error fetching tax classes:', err);
+        }
+    };
+
     useEffect(() => {
-        fetchProducts();
+        fetchCategories();
+        fetchAttributes();
+        fetchTaxClasses();
     }, []);
 
+    useEffect(() => {
+        fetchProducts(page);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [page, statusFilter]);
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({
@@ -69,82 +173,45 @@ const Admin = () => {
         }));
     };
 
-    const optimizeImage = (file) => {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                let width = img.width;
-                let height = img.height;
-
-                // Maximum dimensions
-                const MAX_WIDTH = 800;
-                const MAX_HEIGHT = 800;
-
-                if (width > height) {
-                    if (width > MAX_WIDTH) {
-                        height *= MAX_WIDTH / width;
-                        width = MAX_WIDTH;
-                    }
-                } else {
-                    if (height > MAX_HEIGHT) {
-                        width *= MAX_HEIGHT / height;
-                        height = MAX_HEIGHT;
-                    }
-                }
-
-                canvas.width = width;
-                canvas.height = height;
-
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
-
-                // Convert to JPEG with 0.8 quality
-                const optimizedDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-                resolve(optimizedDataUrl);
-            };
-            img.onerror = reject;
+    const handleImageChange = async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
 
-            const reader = new FileReader();
-            reader.onload = (e) => img.src = e.target.result;
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
-    };
+        for (const file of files) {
+            // Check file type
+            if (!file.type.startsWith('image/')) {
+                setError('Please select image files only');
+                return;
+            }
 
-    const handleImageChange = async (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            try {
-                // Check file type
-                if (!file.type.startsWith('image/')) {
-                    setError('Please select an image file');
-                    return;
-                }
-
-                // Check file size (limit to 5MB)
-                if (file.size > 5 * 1024 * 1024) {
-                    setError('Image size should be less than 5MB');
-                    return;
-                }
-
-                // Optimize image
-                const optimizedDataUrl = await optimizeImage(file);
-                const base64Data = optimizedDataUrl.split(',')[1];
+            // Check file size (limit to 5MB)
+            if (file.size > 5 * 1024 * 1024) {
+                setError('Each image should be less than 5MB');
+                return;
+            }
+        }
+
+        if (formData.images.length + files.length > MAX_IMAGES) {
+            setError(`A product can have at most ${MAX_IMAGES} images`);
+            return;
+        }
 
+        try {
+            setUploading(true);
+            // Upload the originals; the server generates resized renditions
+            for (const file of files) {
+                const image = await productService.uploadImage(file, formData.name);
                 setFormData(prev => ({
                     ...prev,
-                    image: {
-                        data: base64Data,
-                        contentType: 'image/jpeg', // We're converting all images to JPEG
-                        alt: prev.name || ''
-                    }
+                    images: [...prev.images, { ...image, isPrimary: prev.images.length === 0 }]
                 }));
-                setError(null);
-            } catch (error) {
-                setError('Error processing the image');
-                console.error('Image processing error:', error);
             }
+            setError(null);
+        } catch (error) {
+            setError('Error uploading the image');
+            console.error('Image upload error:', error);
+        } finally {
+            setUploading(false);
         }
     };
 
@@ -157,23 +224,56 @@ const Admin = () => {
             return;
         }
 
-        if (!formData.image?.data) {
-            setError('Please select an image');
+        if (!formData.images.length) {
+            setError('Please add at least one image');
             return;
         }
 
         try {
             const dataToSend = {
+                sku: formData.sku.trim(),
                 name: formData.name,
+                slug: formData.slug.trim(),
                 description: formData.description,
                 price: parseFloat(formData.price) || 0,
+                compareAtPrice: formData.compareAtPrice === '' ? null : parseFloat(formData.compareAtPrice),
+                priceOverrides: Object.fromEntries(
+                    Object.entries(formData.priceOverrides)
+                        .filter(([, amount]) => amount !== '' && amount != null)
+                        .map(([code, amount]) => [code, parseFloat(amount)])
+                ),
+                sale: {
+                    price: formData.salePrice === '' ? null : parseFloat(formData.salePrice),
+                    startsAt: formData.saleStartsAt ? new Date(formData.saleStartsAt).toISOString() : null,
+                    endsAt: formData.saleEndsAt ? new Date(formData.saleEndsAt).toISOString() : null,
+                },
                 category: formData.category,
+                tags: formData.tags.split(',').map((tag) => tag.trim()).filter(Boolean),
+                attributes: fromAttributeValues(formData.attributes),
                 stock: parseInt(formData.stock, 10) || 0,
-                image: {
-                    data: formData.image.data,
-                    contentType: formData.image.contentType,
-                    alt: formData.name
-                }
+                lowStockThreshold: formData.lowStockThreshold === ''
+                    ? null
+                    : parseInt(formData.lowStockThreshold, 10),
+                weight: parseFloat(formData.weight) || 0,
+                taxClass: formData.taxClass,
+                status: formData.status,
+                publishAt: formData.publishAt ? new Date(formData.publishAt).toISOString() : null,
+                unpublishAt: formData.unpublishAt ? new Date(formData.unpublishAt).toISOString() : null,
+                options: normalizeOptions(formData.options),
+                variants: formData.variants.map((variant) => ({
+                    ...variant,
+                    price: variant.price === '' || variant.price == null
+                        ? undefined
+                        : parseFloat(variant.price),
+                    salePrice: variant.salePrice === '' || variant.salePrice == null
+                        ? undefined
+                        : parseFloat(variant.salePrice),
+                    stock: parseInt(variant.stock, 10) || 0
+                })),
+                images: formData.images.map((image) => ({
+                    ...image,
+                    alt: image.alt || formData.name
+                }))
             };
 
             // Validate data before sending
@@ -182,11 +282,21 @@ const Admin = () => {
                 return;
             }
 
+            if (dataToSend.sale.price != null && !(dataToSend.sale.price < dataToSend.price)) {
+                setError('Sale price must be lower than the regular price');
+                return;
+            }
+
             if (isNaN(dataToSend.stock) || dataToSend.stock < 0) {
                 setError('Please enter a valid stock quantity');
                 return;
             }
 
+            if (dataToSend.status === 'scheduled' && !dataToSend.publishAt) {
+                setError('Please choose a publish date for scheduled products');
+                return;
+            }
+
             if (editingProduct) {
                 await productService.updateProduct(editingProduct._id, dataToSend);
             } else {
@@ -194,31 +304,49 @@ const Admin = () => {
             }
 
             setFormData({
+                sku: '',
                 name: '',
+                slug: '',
                 description: '',
                 price: '',
-                category: 'men',
+                compareAtPrice: '',
+                priceOverrides: {},
+                salePrice: '',
+                saleStartsAt: '',
+                saleEndsAt: '',
+                category: '',
+                tags: '',
+                attributes: {},
                 stock: '0',
-                image: null
+                lowStockThreshold: '',
+                weight: '',
+                taxClass: 'standard',
+                images: [],
+                options: [],
+                variants: [],
+                status: 'active',
+                publishAt: '',
+                unpublishAt: ''
             });
             setError(null);
             setEditingProduct(null);
             setOpenDialog(false);
             fetchProducts();
         } catch (err) {
-            setError('Failed to save product');
+            setError(err.response?.data?.message || 'Failed to save product');
             console.error('Error saving product:', err);
         }
     };
 
-    const handleDelete = async (productId) => {
-        if (window.confirm('Are you sure you want to delete this product?')) {
+    // Products are archived rather than deleted so order history keeps them
+    const handleArchive = async (productId) => {
+        if (window.confirm('Archive this product? It will be hidden from the store but kept in order history.')) {
             try {
                 await productService.deleteProduct(productId);
                 fetchProducts();
             } catch (err) {
-                setError('Failed to delete product');
-                console.error('Error deleting product:', err);
+                setError('Failed to archive product');
+                console.error('Error archiving product:', err);
             }
         }
     };
@@ -226,12 +354,33 @@ const Admin = () => {
     const handleEdit = (product) => {
         setEditingProduct(product);
         setFormData({
+            sku: product.sku || '',
             name: product.name,
+            slug: product.slug || '',
             description: product.description,
             price: product.price,
-            category: product.category,
-            stock: product.stock,
-            image: null
+            compareAtPrice: product.compareAtPrice ?? '',
+            priceOverrides: product.priceOverrides || {},
+            salePrice: product.sale?.price ?? '',
+            saleStartsAt: toDateTimeInput(product.sale?.startsAt),
+            saleEndsAt: toDateTimeInput(product.sale?.endsAt),
+            category: product.category?._id || '',
+            tags: (product.tags || []).join(', '),
+            attributes: toAttributeValues(product.attributes),
+            // The API reports stock net of checkout holds; edit what is on the shelf
+            stock: product.stockOnHand ?? product.stock,
+            lowStockThreshold: product.lowStockThreshold ?? '',
+            weight: product.weight || '',
+            taxClass: product.taxClass || 'standard',
+            images: product.images || [],
+            options: product.options || [],
+            variants: (product.variants || []).map((variant) => ({
+                ...variant,
+                stock: variant.stockOnHand ?? variant.stock
+            })),
+            status: product.status || 'active',
+            publishAt: toDateTimeInput(product.publishAt),
+            unpublishAt: toDateTimeInput(product.unpublishAt)
         });
         setOpenDialog(true);
     };
@@ -255,117 +404,249 @@ const Admin = () => {
                             letterSpacing: '0.1em'
                         }}
                     >
-                        PRODUCT MANAGEMENT
+                        STORE MANAGEMENT
                     </Typography>
-                    <Button
-                        variant="contained"
-                        onClick={() => setOpenDialog(true)}
-                        sx={{
-                            minWidth: '250px',
-                            py: 2,
-                            letterSpacing: '0.1em',
-                            fontSize: '0.9rem',
-                            fontWeight: 400
-                        }}
+                    <Tabs
+                        value={activeTab}
+                        onChange={(e, value) => setActiveTab(value)}
+                        variant="scrollable"
+                        scrollButtons="auto"
+                        sx={{ minWidth: 0 }}
                     >
-                        + Add New Product
-                    </Button>
+                        <Tab value="products" label="Products" />
+                        <Tab value="categories" label="Categories" />
+                        <Tab value="attributes" label="Attributes" />
+                        <Tab value="collections" label="Collections" />
+                        <Tab value="home" label="Home Page" />
+                        <Tab value="promotions" label="Promotions" />
+                        <Tab value="shipping" label="Shipping" />
+                        <Tab value="tax" label="Tax" />
+                        <Tab value="currencies" label="Currencies" />
+                        <Tab value="abandoned-carts" label="Abandoned Carts" />
+                        <Tab value="inventory" label="Inventory" />
+                        <Tab value="reviews" label="Reviews" />
+                        <Tab value="catalog" label="Import / Export" />
+                    </Tabs>
+                    {activeTab === 'products' && (
+                        <Button
+                            variant="contained"
+                            onClick={() => setOpenDialog(true)}
+                            sx={{
+                                minWidth: '250px',
+                                py: 2,
+                                letterSpacing: '0.1em',
+                                fontSize: '0.9rem',
+                                fontWeight: 400
+                            }}
+                        >
+                            + Add New Product
+                        </Button>
+                    )}
                 </Box>
 
-                {error && (
-                    <Typography color="error" sx={{ mb: 2 }}>
-                        {error}
-                    </Typography>
+                {activeTab === 'categories' && (
+                    <CategoryManager onChange={fetchCategories} />
                 )}
 
-                <Grid container spacing={4}>
-                    {products.map((product) => (
-                        <Grid item xs={12} sm={6} md={4} key={product._id}>
-                            <Card sx={{ 
-                                height: '100%', 
-                                display: 'flex', 
-                                flexDirection: 'column',
-                                bgcolor: 'transparent',
-                                transition: 'all 0.3s ease'
-                            }}>
-                                <Box sx={{ position: 'relative' }}>
-                                    <CardMedia
-                                        component="img"
-                                        image={product.image?.data ? `data:${product.image.contentType};base64,${product.image.data}` : DEFAULT_IMAGE}
-                                        alt={product.image?.alt || product.name}
-                                        sx={{
-                                            height: ADMIN_IMAGE_HEIGHT,
-                                            aspectRatio: IMAGE_ASPECT_RATIO,
-                                            objectFit: 'cover',
-                                            objectPosition: 'center',
-                                            backgroundColor: '#f5f5f5',
-                                            borderRadius: 1
-                                        }}
-                                    />
-                                    <Box sx={{ 
-                                        position: 'absolute',
-                                        top: 0,
-                                        right: 0,
-                                        p: 1
+                {activeTab === 'attributes' && (
+                    <AttributeManager onChange={fetchAttributes} />
+                )}
+
+                {activeTab === 'collections' && (
+                    <CollectionManager categories={categories} />
+                )}
+
+                {activeTab === 'home' && <HomeLayoutEditor />}
+
+                {activeTab === 'promotions' && (
+                    <PromotionManager categories={categories} />
+                )}
+
+                {activeTab === 'shipping' && <ShippingManager />}
+
+                {activeTab === 'tax' && (
+                    <TaxManager onChange={() => fetchTaxClasses()} />
+                )}
+
+                {activeTab === 'currencies' && <CurrencyManager />}
+
+                {activeTab === 'abandoned-carts' && <AbandonedCartStats />}
+
+                {activeTab === 'inventory' && (
+                    <InventoryManager onChange={() => fetchProducts()} />
+                )}
+
+                {activeTab === 'reviews' && <ReviewModeration />}
+
+                {activeTab === 'catalog' && (
+                    <CatalogImport onImported={() => fetchProducts()} />
+                )}
+
+                {activeTab === 'products' && (
+                    <>
+                        {error && (
+                            <Typography color="error" sx={{ mb: 2 }}>
+                                {error}
+                            </Typography>
+                        )}
+
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 4 }}>
+                            <FormControl size="small" sx={{ minWidth: 200 }}>
+                                <InputLabel>Status</InputLabel>
+                                <Select
+                                    value={statusFilter}
+                                    label="Status"
+                                    onChange={(e) => {
+                                        setStatusFilter(e.target.value);
+                                        setPage(1);
+                                    }}
+                                >
+                                    <MenuItem value="all">All</MenuItem>
+                                    {PRODUCT_STATUSES.map((status) => (
+                                        <MenuItem key={status} value={status}>
+                                            {status.charAt(0).toUpperCase() + status.slice(1)}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                        </Box>
+
+                        <Grid container spacing={4}>
+                            {products.map((product) => (
+                                <Grid item xs={12} sm={6} md={4} key={product._id}>
+                                    <Card sx={{ 
+                                        height: '100%', 
+                                        display: 'flex', 
+                                        flexDirection: 'column',
+                                        bgcolor: 'transparent',
+                                        transition: 'all 0.3s ease'
                                     }}>
-                                        <IconButton
-                                            onClick={(e) => {
-                                                e.stopPropagation();
-                                                handleDelete(product._id);
-                                            }}
-                                            sx={{
-                                                bgcolor: 'rgba(255, 255, 255, 0.9)',
-                                                '&:hover': {
-                                                    bgcolor: 'rgba(255, 255, 255, 1)'
-                                                }
-                                            }}
-                                            size="small"
-                                        >
-                                            <DeleteIcon />
-                                        </IconButton>
-                                    </Box>
-                                </Box>
-                                <CardContent sx={{ pt: 2, pb: 1, px: 0 }}>
-                                    <Box 
-                                        onClick={() => handleEdit(product)}
-                                        sx={{ 
-                                            cursor: 'pointer',
-                                            '&:hover': { opacity: 0.7 }
-                                        }}
-                                    >
-                                        <Typography 
-                                            variant="subtitle1" 
-                                            sx={{ 
-                                                fontWeight: 300,
-                                                letterSpacing: '0.05em',
-                                                mb: 1
-                                            }}
-                                        >
-                                            {product.name}
-                                        </Typography>
-                                        <Typography 
-                                            variant="body2" 
-                                            sx={{ 
-                                                color: 'text.secondary',
-                                                mb: 1
-                                            }}
-                                        >
-                                            {product.category.toUpperCase()}
-                                        </Typography>
-                                        <Typography 
-                                            variant="body2" 
-                                            sx={{ 
-                                                fontWeight: 300
-                                            }}
-                                        >
-                                            ${product.price} · {product.stock} in stock
-                                        </Typography>
-                                    </Box>
-                                </CardContent>
-                            </Card>
+                                        <Box sx={{ position: 'relative' }}>
+                                            <CardMedia
+                                                component="img"
+                                                image={config.imageUrl(getPrimaryImage(product), 'card') || DEFAULT_IMAGE}
+                                                alt={getPrimaryImage(product)?.alt || product.name}
+                                                sx={{
+                                                    height: ADMIN_IMAGE_HEIGHT,
+                                                    aspectRatio: IMAGE_ASPECT_RATIO,
+                                                    objectFit: 'cover',
+                                                    objectPosition: 'center',
+                                                    backgroundColor: '#f5f5f5',
+                                                    borderRadius: 1
+                                                }}
+                                            />
+                                            <Box sx={{ 
+                                                position: 'absolute',
+                                                top: 0,
+                                                right: 0,
+                                                p: 1
+                                            }}>
+                                                <IconButton
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        handleArchive(product._id);
+                                                    }}
+                                                    sx={{
+                                                        bgcolor: 'rgba(255, 255, 255, 0.9)',
+                                                        '&:hover': {
+                                                            bgcolor: 'rgba(255, 255, 255, 1)'
+                                                        }
+                                                    }}
+                                                    size="small"
+                                                    title="Archive"
+                                                    disabled={product.status === 'archived'}
+                                                >
+                                                    <ArchiveIcon />
+                                                </IconButton>
+                                                <IconButton
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        setHistoryProduct(product);
+                                                    }}
+                                                    sx={{
+                                                        ml: 1,
+                                                        bgcolor: 'rgba(255, 255, 255, 0.9)',
+                                                        '&:hover': {
+                                                            bgcolor: 'rgba(255, 255, 255, 1)'
+                                                        }
+                                                    }}
+                                                    size="small"
+                                                    title="Stock history"
+                                                >
+                                                    <HistoryIcon />
+                                                </IconButton>
+                                            </Box>
+                                        </Box>
+                                        <CardContent sx={{ pt: 2, pb: 1, px: 0 }}>
+                                            <Box 
+                                                onClick={() => handleEdit(product)}
+                                                sx={{ 
+                                                    cursor: 'pointer',
+                                                    '&:hover': { opacity: 0.7 }
+                                                }}
+                                            >
+                                                <Typography 
+                                                    variant="subtitle1" 
+                                                    sx={{ 
+                                                        fontWeight: 300,
+                                                        letterSpacing: '0.05em',
+                                                        mb: 1
+                                                    }}
+                                                >
+                                                    {product.name}
+                                                </Typography>
+                                                <Chip
+                                                    label={product.status || 'active'}
+                                                    color={STATUS_COLORS[product.status || 'active']}
+                                                    size="small"
+                                                    sx={{ mb: 1 }}
+                                                />
+                                                <Typography 
+                                                    variant="body2" 
+                                                    sx={{ 
+                                                        color: 'text.secondary',
+                                                        mb: 1
+                                                    }}
+                                                >
+                                                    {product.category?.name?.toUpperCase()}
+                                                </Typography>
+                                                <Typography 
+                                                    variant="body2" 
+                                                    sx={{ 
+                                                        fontWeight: 300
+                                                    }}
+                                                >
+                                                    ${product.price} · {product.stockOnHand ?? product.stock} in stock
+                                                    {product.stockReserved > 0 && ` (${product.stockReserved} reserved)`}
+                                                </Typography>
+                                            </Box>
+                                        </CardContent>
+                                    </Card>
+                                </Grid>
+                            ))}
                         </Grid>
-                    ))}
-                </Grid>
+
+                        {pageCount > 1 && (
+                            <Box sx={{ display: 'flex', justifyContent: 'center', mt: 6 }}>
+                                <Pagination
+                                    count={pageCount}
+                                    page={page}
+                                    onChange={(e, value) => setPage(value)}
+                                />
+                            </Box>
+                        )}
+                    </>
+                )}
+
+                <StockHistory
+                    product={historyProduct}
+                    open={Boolean(historyProduct)}
+                    onClose={() => setHistoryProduct(null)}
+                    onAdjusted={(product) => {
+                        setHistoryProduct(product);
+                        fetchProducts();
+                    }}
+                />
 
                 <Dialog 
                     open={openDialog} 
@@ -380,12 +661,29 @@ const Admin = () => {
                     setOpenDialog(false);
                     setEditingProduct(null);
                     setFormData({
+                        sku: '',
                         name: '',
+                        slug: '',
                         description: '',
                         price: '',
+                        compareAtPrice: '',
+                        priceOverrides: {},
+                        salePrice: '',
+                        saleStartsAt: '',
+                        saleEndsAt: '',
                         category: '',
+                        tags: '',
+                        attributes: {},
                         stock: '',
-                        image: null
+                        lowStockThreshold: '',
+                        weight: '',
+                        taxClass: 'standard',
+                        images: [],
+                        options: [],
+                        variants: [],
+                        status: 'active',
+                        publishAt: '',
+                        unpublishAt: ''
                     });
                 }}>
                     <form onSubmit={handleSubmit}>
@@ -408,6 +706,21 @@ const Admin = () => {
                                     required
                                     fullWidth
                                 />
+                                <TextField
+                                    name="slug"
+                                    label="URL Slug"
+                                    value={formData.slug}
+                                    onChange={handleInputChange}
+                                    fullWidth
+                                    helperText="Leave empty to generate from the name; old URLs keep redirecting"
+                                />
+                                <TextField
+                                    name="sku"
+                                    label="SKU"
+                                    value={formData.sku}
+                                    onChange={handleInputChange}
+                                    fullWidth
+                                />
                                 <TextField
                                     name="description"
                                     label="Description"
@@ -420,13 +733,75 @@ const Admin = () => {
                                 />
                                 <TextField
                                     name="price"
-                                    label="Price"
+                                    label={`Price (${baseCurrency})`}
                                     type="number"
                                     value={formData.price}
                                     onChange={handleInputChange}
                                     required
                                     fullWidth
                                 />
+                                {displayCurrencies.length > 0 && (
+                                    <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                                        {displayCurrencies.map((currency) => (
+                                            <TextField
+                                                key={currency.code}
+                                                label={`Price (${currency.code})`}
+                                                type="number"
+                                                value={formData.priceOverrides[currency.code] ?? ''}
+                                                onChange={(e) => setFormData(prev => ({
+                                                    ...prev,
+                                                    priceOverrides: {
+                                                        ...prev.priceOverrides,
+                                                        [currency.code]: e.target.value
+                                                    }
+                                                }))}
+                                                helperText="Blank converts at the exchange rate"
+                                                inputProps={{ min: 0, step: '0.01' }}
+                                                sx={{ flex: '1 1 150px' }}
+                                            />
+                                        ))}
+                                    </Box>
+                                )}
+                                <Box sx={{ display: 'flex', gap: 2 }}>
+                                    <TextField
+                                        name="compareAtPrice"
+                                        label="Compare-at Price"
+                                        type="number"
+                                        value={formData.compareAtPrice}
+                                        onChange={handleInputChange}
+                                        helperText="Original price shown struck through"
+                                        fullWidth
+                                    />
+                                    <TextField
+                                        name="salePrice"
+                                        label="Sale Price"
+                                        type="number"
+                                        value={formData.salePrice}
+                                        onChange={handleInputChange}
+                                        helperText="Leave blank for no sale"
+                                        fullWidth
+                                    />
+                                </Box>
+                                <Box sx={{ display: 'flex', gap: 2 }}>
+                                    <TextField
+                                        name="saleStartsAt"
+                                        label="Sale Starts"
+                                        type="datetime-local"
+                                        value={formData.saleStartsAt}
+                                        onChange={handleInputChange}
+                                        InputLabelProps={{ shrink: true }}
+                                        fullWidth
+                                    />
+                                    <TextField
+                                        name="saleEndsAt"
+                                        label="Sale Ends"
+                                        type="datetime-local"
+                                        value={formData.saleEndsAt}
+                                        onChange={handleInputChange}
+                                        InputLabelProps={{ shrink: true }}
+                                        fullWidth
+                                    />
+                                </Box>
                                 <FormControl fullWidth required>
                                     <InputLabel>Category</InputLabel>
                                     <Select
@@ -435,10 +810,30 @@ const Admin = () => {
                                         onChange={handleInputChange}
                                         label="Category"
                                     >
-                                        <MenuItem value="men">Men</MenuItem>
-                                        <MenuItem value="women">Women</MenuItem>
+                                        {categories.map((category) => (
+                                            <MenuItem
+                                                key={category._id}
+                                                value={category._id}
+                                                sx={{ pl: 2 + category.depth * 2 }}
+                                            >
+                                                {category.name}
+                                            </MenuItem>
+                                        ))}
                                     </Select>
                                 </FormControl>
+                                <TextField
+                                    name="tags"
+                                    label="Search Tags"
+                                    value={formData.tags}
+                                    onChange={handleInputChange}
+                                    fullWidth
+                                    helperText="Comma separated, e.g. linen, summer"
+                                />
+                                <AttributeFields
+                                    definitions={attributeDefinitions}
+                                    values={formData.attributes}
+                                    onChange={(attributes) => setFormData(prev => ({ ...prev, attributes }))}
+                                />
                                 <TextField
                                     name="stock"
                                     label="Stock"
@@ -447,13 +842,116 @@ const Admin = () => {
                                     onChange={handleInputChange}
                                     required
                                     fullWidth
+                                    disabled={formData.variants.length > 0}
+                                    helperText={formData.variants.length > 0 ? 'Calculated from variant stock' : ''}
+                                />
+                                <TextField
+                                    name="lowStockThreshold"
+                                    label="Low Stock Alert"
+                                    type="number"
+                                    value={formData.lowStockThreshold}
+                                    onChange={handleInputChange}
+                                    fullWidth
+                                    inputProps={{ min: 0 }}
+                                    helperText="Flag for restock at or below this quantity; leave empty for the store default"
+                                />
+                                <TextField
+                                    name="weight"
+                                    label="Weight (kg)"
+                                    type="number"
+                                    value={formData.weight}
+                                    onChange={handleInputChange}
+                                    fullWidth
+                                    inputProps={{ min: 0, step: '0.01' }}
+                                    helperText="Used for weight-based shipping rates"
                                 />
-                                <input
-                                    accept="image/*"
-                                    type="file"
-                                    onChange={handleImageChange}
-                                    style={{ marginTop: '1rem' }}
+                                <FormControl fullWidth>
+                                    <InputLabel>Tax Class</InputLabel>
+                                    <Select
+                                        name="taxClass"
+                                        value={formData.taxClass}
+                                        onChange={handleInputChange}
+                                        label="Tax Class"
+                                    >
+                                        {taxClasses.map((taxClass) => (
+                                            <MenuItem key={taxClass} value={taxClass}>
+                                                {taxClass}
+                                            </MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                <FormControl fullWidth>
+                                    <InputLabel>Status</InputLabel>
+                                    <Select
+                                        name="status"
+                                        value={formData.status}
+                                        onChange={handleInputChange}
+                                        label="Status"
+                                    >
+                                        {PRODUCT_STATUSES.map((status) => (
+                                            <MenuItem key={status} value={status}>
+                                                {status.charAt(0).toUpperCase() + status.slice(1)}
+                                            </MenuItem>
+                                        ))}
+                                    </Select>
+                                </FormControl>
+                                {formData.status !== 'draft' && formData.status !== 'archived' && (
+                                    <Box sx={{ display: 'flex', gap: 2 }}>
+                                        <TextField
+                                            name="publishAt"
+                                            label="Publish At"
+                                            type="datetime-local"
+                                            value={formData.publishAt}
+                                            onChange={handleInputChange}
+                                            required={formData.status === 'scheduled'}
+                                            InputLabelProps={{ shrink: true }}
+                                            fullWidth
+                                        />
+                                        <TextField
+                                            name="unpublishAt"
+                                            label="Unpublish At"
+                                            type="datetime-local"
+                                            value={formData.unpublishAt}
+                                            onChange={handleInputChange}
+                                            InputLabelProps={{ shrink: true }}
+                                            fullWidth
+                                        />
+                                    </Box>
+                                )}
+                                <VariantEditor
+                                    options={formData.options}
+                                    variants={formData.variants}
+                                    onChange={({ options, variants }) => setFormData(prev => ({
+                                        ...prev,
+                                        options,
+                                        variants
+                                    }))}
                                 />
+                                <Box>
+                                    <Typography variant="subtitle2" sx={{ mb: 2 }}>
+                                        Images
+                                    </Typography>
+                                    <ImageManager
+                                        images={formData.images}
+                                        onChange={(images) => setFormData(prev => ({ ...prev, images }))}
+                                    />
+                                    <Button
+                                        component="label"
+                                        size="small"
+                                        disabled={uploading || formData.images.length >= MAX_IMAGES}
+                                        sx={{ mt: 2 }}
+                                    >
+                                        {uploading ? 'Uploading...' : '+ Add Images'}
+                                        <input
+                                            accept="image/*"
+                                            type="file"
+                                            multiple
+                                            hidden
+                                            onChange={handleImageChange}
+                                        />
+                                    </Button>
+                                </Box>
+                                {editingProduct && <PriceHistory product={editingProduct} />}
                             </Box>
                         </DialogContent>
                         <DialogActions sx={{ px: 3, py: 3 }}>
@@ -462,12 +960,29 @@ const Admin = () => {
                                 setOpenDialog(false);
                                 setEditingProduct(null);
                                 setFormData({
+                                    sku: '',
                                     name: '',
+                                    slug: '',
                                     description: '',
                                     price: '',
+                                    compareAtPrice: '',
+                                    priceOverrides: {},
+                                    salePrice: '',
+                                    saleStartsAt: '',
+                                    saleEndsAt: '',
                                     category: '',
+                                    tags: '',
+                                    attributes: {},
                                     stock: '',
-                                    image: null
+                                    lowStockThreshold: '',
+                                    weight: '',
+                                    taxClass: 'standard',
+                                    images: [],
+                                    options: [],
+                                    variants: [],
+                                    status: 'active',
+                                    publishAt: '',
+                                    unpublishAt: ''
                                 });
                             }}>
                                 Cancel
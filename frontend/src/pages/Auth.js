@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import {
     Container,
     Paper,
@@ -18,7 +18,12 @@ const Auth = () => {
     const [activeTab, setActiveTab] = useState(0);
     const [error, setError] = useState('');
     const navigate = useNavigate();
+    const location = useLocation();
     const { login } = useAuth();
+    // The page that sent the shopper here to sign in, if any
+    const returnTo = location.state?.from
+        ? `${location.state.from.pathname}${location.state.from.search || ''}`
+        : null;
 
     const [loginData, setLoginData] = useState({
         email: '',
@@ -44,8 +49,8 @@ const Auth = () => {
                 loginData.email,
                 loginData.password
             );
-            login(token);
-            navigate(role === 'admin' ? '/admin' : '/');
+            await login(token);
+            navigate(returnTo || (role === 'admin' ? '/admin' : '/'));
         } catch (error) {
             setError(error.response?.data?.message || 'Login failed');
         }
@@ -64,8 +69,8 @@ const Auth = () => {
                 registerData.email,
                 registerData.password
             );
-            login(token);
-            navigate('/');
+            await login(token);
+            navigate(returnTo || '/');
         } catch (error) {
             setError(error.response?.data?.message || 'Registration failed');
         }
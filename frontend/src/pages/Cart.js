@@ -1,5 +1,8 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useCart } from '../contexts/CartContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useWishlist } from '../contexts/WishlistContext';
+import { useCurrency } from '../contexts/CurrencyContext';
 import {
     Container,
     Box,
@@ -8,10 +11,16 @@ import {
     Grid,
     IconButton,
     Divider,
+    TextField,
+    Radio,
+    RadioGroup,
+    FormControlLabel,
 } from '@mui/material';
 import { Add as AddIcon, Remove as RemoveIcon, Delete as DeleteIcon } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
 import { config } from '../services/config';
+import { getPrimaryImage } from '../utils/productImages';
+import RecommendationCarousel from '../components/product/RecommendationCarousel';
 
 const DEFAULT_IMAGE = 'https://via.placeholder.com/400x600/f5f5f5/666666?text=No+Image';
 
@@ -19,19 +28,104 @@ const DEFAULT_IMAGE = 'https://via.placeholder.com/400x600/f5f5f5/666666?text=No
 const CART_IMAGE_HEIGHT = 200;
 const IMAGE_ASPECT_RATIO = 3/4; // 4:3 aspect ratio
 
-const getImageUrl = (image) => {
-    if (!image || !image.data || !image.contentType) {
-        return DEFAULT_IMAGE;
+const getImageUrl = (image) => config.imageUrl(image, 'thumbnail') || DEFAULT_IMAGE;
+
+const formatVariantOptions = (variant) =>
+    Object.values(variant.options || {}).join(' / ');
+
+// Why a line cannot be bought as it is, if it cannot
+const stockMessage = (item) => {
+    switch (item.status) {
+        case 'unavailable':
+            return 'No longer available. Please remove it from your cart.';
+        case 'out_of_stock':
+            return 'Out of stock. Please remove it from your cart.';
+        case 'insufficient_stock':
+            return `Only ${item.stock} left. Please lower the quantity.`;
+        default:
+            return null;
     }
-    return `data:${image.contentType};base64,${image.data}`;
 };
 
 const Cart = () => {
-    const { cartItems, removeFromCart, updateQuantity } = useCart();
+    const {
+        cartItems,
+        cartError,
+        hasCartIssues,
+        removeFromCart,
+        updateQuantity,
+        refreshCart,
+        cartSummary,
+        couponCode,
+        applyCoupon,
+        removeCoupon,
+        shippingAddress,
+        setShippingAddress,
+        shippingQuote,
+        shippingError,
+        shippingMethod,
+        setShippingMethodId,
+        reservation,
+        reserveStock,
+        getCartTotal,
+        getCartSubtotal,
+    } = useCart();
+    const { user } = useAuth();
+    const { addToWishlist } = useWishlist();
+    const { priceFor, formatMoney } = useCurrency();
     const navigate = useNavigate();
+    const [reserving, setReserving] = useState(false);
+    const [couponInput, setCouponInput] = useState('');
+    const [destination, setDestination] = useState({
+        country: shippingAddress?.country || '',
+        state: shippingAddress?.state || '',
+        zipCode: shippingAddress?.zipCode || '',
+    });
+
+    // Pick up stock and price changes since the cart was last loaded
+    useEffect(() => {
+        refreshCart();
+    }, [refreshCart]);
+
+    // Starting checkout holds the items so nobody else can buy them
+    // meanwhile. Guests are asked to sign in first and come back to checkout.
+    const handleCheckout = async () => {
+        if (!user) {
+            navigate('/checkout');
+            return;
+        }
+        setReserving(true);
+        const held = await reserveStock();
+        setReserving(false);
+        if (held) {
+            navigate('/checkout');
+        }
+    };
+
+    const handleApplyCoupon = (e) => {
+        e.preventDefault();
+        if (couponInput.trim()) {
+            applyCoupon(couponInput);
+            setCouponInput('');
+        }
+    };
+
+    const handleEstimateShipping = (e) => {
+        e.preventDefault();
+        if (destination.country.trim()) {
+            setShippingAddress({
+                country: destination.country.trim().toUpperCase(),
+                state: destination.state.trim().toUpperCase(),
+                zipCode: destination.zipCode.trim(),
+            });
+        }
+    };
 
-    const calculateTotal = () => {
-        return cartItems.reduce((total, item) => total + (item.price * item.quantity), 0);
+    // Park a line in the wishlist to buy later
+    const moveToWishlist = async (item) => {
+        if (await addToWishlist(item, item.variant)) {
+            await removeFromCart(item.lineId);
+        }
     };
 
     if (!cartItems.length) {
@@ -89,12 +183,12 @@ const Cart = () => {
                 <Grid container spacing={4}>
                     <Grid item xs={12} md={8}>
                         {cartItems.map((item) => (
-                            <Box key={item._id} sx={{ mb: 4 }}>
+                            <Box key={item.lineId} sx={{ mb: 4 }}>
                                 <Grid container spacing={4} alignItems="center">
                                     <Grid item xs={12} sm={3}>
                                         <img
-                                            src={getImageUrl(item.image)}
-                                            alt={item.image?.alt || item.name}
+                                            src={getImageUrl(getPrimaryImage(item))}
+                                            alt={getPrimaryImage(item)?.alt || item.name}
                                             style={{
                                                 width: 'auto',
                                                 height: CART_IMAGE_HEIGHT,
@@ -130,8 +224,14 @@ const Cart = () => {
                                                     color="text.secondary"
                                                     sx={{ mb: 2 }}
                                                 >
-                                                    {item.category}
+                                                    {item.category?.name}
+                                                    {item.variant && ` · ${formatVariantOptions(item.variant)}`}
                                                 </Typography>
+                                                {stockMessage(item) && (
+                                                    <Typography variant="body2" color="error" sx={{ mb: 2 }}>
+                                                        {stockMessage(item)}
+                                                    </Typography>
+                                                )}
                                                 <Box sx={{ 
                                                     display: 'flex',
                                                     alignItems: 'center',
@@ -139,16 +239,16 @@ const Cart = () => {
                                                 }}>
                                                     <IconButton
                                                         size="small"
-                                                        onClick={() => updateQuantity(item._id, item.quantity - 1)}
-                                                        disabled={item.quantity <= 1}
+                                                        onClick={() => updateQuantity(item.lineId, item.quantity - 1)}
+                                                        disabled={item.quantity <= 1 || item.status === 'unavailable'}
                                                     >
                                                         <RemoveIcon />
                                                     </IconButton>
                                                     <Typography>{item.quantity}</Typography>
                                                     <IconButton
                                                         size="small"
-                                                        onClick={() => updateQuantity(item._id, item.quantity + 1)}
-                                                        disabled={item.quantity >= item.stock}
+                                                        onClick={() => updateQuantity(item.lineId, item.quantity + 1)}
+                                                        disabled={item.status !== 'available' || item.quantity >= item.stock}
                                                     >
                                                         <AddIcon />
                                                     </IconButton>
@@ -164,14 +264,25 @@ const Cart = () => {
                                                     variant="h6"
                                                     sx={{ fontWeight: 300 }}
                                                 >
-                                                    ${(item.price * item.quantity).toFixed(2)}
+                                                    {formatMoney(item.status === 'unavailable'
+                                                        ? 0
+                                                        : priceFor(item, item.variant).price * item.quantity)}
                                                 </Typography>
                                                 <IconButton
-                                                    onClick={() => removeFromCart(item._id)}
+                                                    onClick={() => removeFromCart(item.lineId)}
                                                     size="small"
                                                 >
                                                     <DeleteIcon />
                                                 </IconButton>
+                                                {item._id && (
+                                                    <Button
+                                                        size="small"
+                                                        onClick={() => moveToWishlist(item)}
+                                                        sx={{ letterSpacing: '0.05em' }}
+                                                    >
+                                                        Move to wishlist
+                                                    </Button>
+                                                )}
                                             </Box>
                                         </Box>
                                     </Grid>
@@ -205,16 +316,138 @@ const Cart = () => {
                                 mb: 2
                             }}>
                                 <Typography>Subtotal</Typography>
-                                <Typography>${calculateTotal().toFixed(2)}</Typography>
+                                <Typography>{formatMoney(getCartSubtotal())}</Typography>
                             </Box>
+                            {cartSummary?.discounts.filter((discount) => discount.amount > 0).map((discount) => (
+                                <Box
+                                    key={discount.promotion}
+                                    sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}
+                                >
+                                    <Typography color="error">{discount.code || discount.name}</Typography>
+                                    <Typography color="error">-{formatMoney(discount.amount)}</Typography>
+                                </Box>
+                            ))}
                             <Box sx={{ 
                                 display: 'flex',
                                 justifyContent: 'space-between',
-                                mb: 3
+                                mb: 2
                             }}>
                                 <Typography>Shipping</Typography>
-                                <Typography>Free</Typography>
+                                <Typography>
+                                    {!shippingMethod
+                                        ? 'Calculated at checkout'
+                                        : shippingMethod.price > 0 ? formatMoney(shippingMethod.price) : 'Free'}
+                                </Typography>
                             </Box>
+                            <Box component="form" onSubmit={handleEstimateShipping} sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                                <TextField
+                                    size="small"
+                                    label="Country"
+                                    placeholder="US"
+                                    value={destination.country}
+                                    onChange={(e) => setDestination(prev => ({ ...prev, country: e.target.value }))}
+                                    inputProps={{ maxLength: 2, style: { textTransform: 'uppercase' } }}
+                                />
+                                <TextField
+                                    size="small"
+                                    label="State / Region"
+                                    value={destination.state}
+                                    onChange={(e) => setDestination(prev => ({ ...prev, state: e.target.value }))}
+                                    inputProps={{ style: { textTransform: 'uppercase' } }}
+                                />
+                                <TextField
+                                    size="small"
+                                    label="Postal Code"
+                                    value={destination.zipCode}
+                                    onChange={(e) => setDestination(prev => ({ ...prev, zipCode: e.target.value }))}
+                                />
+                                <Button type="submit" variant="outlined" sx={{ letterSpacing: '0.1em' }}>
+                                    ESTIMATE
+                                </Button>
+                            </Box>
+                            {shippingError && (
+                                <Typography variant="body2" color="error" sx={{ mb: 1 }}>
+                                    {shippingError}
+                                </Typography>
+                            )}
+                            {shippingQuote && (
+                                <RadioGroup
+                                    sx={{ mb: 1 }}
+                                    value={shippingMethod?._id || ''}
+                                    onChange={(e) => setShippingMethodId(e.target.value)}
+                                >
+                                    {shippingQuote.methods.map((method) => (
+                                        <FormControlLabel
+                                            key={method._id}
+                                            value={method._id}
+                                            control={<Radio size="small" />}
+                                            label={
+                                                <Typography variant="body2">
+                                                    {method.name}
+                                                    {method.deliveryEstimate && ` (${method.deliveryEstimate})`}
+                                                    {' · '}
+                                                    {method.price > 0 ? formatMoney(method.price) : 'Free'}
+                                                </Typography>
+                                            }
+                                        />
+                                    ))}
+                                </RadioGroup>
+                            )}
+                            <Box sx={{ 
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                mb: 2
+                            }}>
+                                <Typography>Tax</Typography>
+                                <Typography>
+                                    {cartSummary?.taxCalculated
+                                        ? formatMoney(cartSummary.taxTotal)
+                                        : 'Calculated at checkout'}
+                                </Typography>
+                            </Box>
+                            {cartSummary?.taxes.map((tax) => (
+                                <Box
+                                    key={`${tax.name}-${tax.rate}`}
+                                    sx={{ display: 'flex', justifyContent: 'space-between', mb: 1, pl: 2 }}
+                                >
+                                    <Typography variant="body2" color="text.secondary">
+                                        {tax.name} ({tax.rate}%)
+                                    </Typography>
+                                    <Typography variant="body2" color="text.secondary">
+                                        {formatMoney(tax.amount)}
+                                    </Typography>
+                                </Box>
+                            ))}
+                            {couponCode && cartSummary?.coupon?.applied ? (
+                                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+                                    <Typography variant="body2" color="text.secondary">
+                                        Code {couponCode} applied
+                                    </Typography>
+                                    <Button size="small" onClick={removeCoupon}>
+                                        Remove
+                                    </Button>
+                                </Box>
+                            ) : (
+                                <Box component="form" onSubmit={handleApplyCoupon} sx={{ mb: 3 }}>
+                                    <Box sx={{ display: 'flex', gap: 1 }}>
+                                        <TextField
+                                            size="small"
+                                            label="Coupon code"
+                                            value={couponInput}
+                                            onChange={(e) => setCouponInput(e.target.value)}
+                                            fullWidth
+                                        />
+                                        <Button type="submit" variant="outlined" sx={{ letterSpacing: '0.1em' }}>
+                                            APPLY
+                                        </Button>
+                                    </Box>
+                                    {couponCode && cartSummary?.coupon?.message && (
+                                        <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+                                            {cartSummary.coupon.message}
+                                        </Typography>
+                                    )}
+                                </Box>
+                            )}
                             <Divider sx={{ mb: 3 }} />
                             <Box sx={{ 
                                 display: 'flex',
@@ -222,12 +455,28 @@ const Cart = () => {
                                 mb: 4
                             }}>
                                 <Typography variant="h6">Total</Typography>
-                                <Typography variant="h6">${calculateTotal().toFixed(2)}</Typography>
+                                <Typography variant="h6">{formatMoney(getCartTotal())}</Typography>
                             </Box>
+                            {(cartError || hasCartIssues) && (
+                                <Typography variant="body2" color="error" sx={{ mb: 2 }}>
+                                    {cartError || 'Some items in your cart need your attention.'}
+                                </Typography>
+                            )}
+                            {reservation && !cartError && (
+                                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                    Your items are reserved until{' '}
+                                    {new Date(reservation.expiresAt).toLocaleTimeString([], {
+                                        hour: '2-digit',
+                                        minute: '2-digit'
+                                    })}.
+                                </Typography>
+                            )}
                             <Button
                                 fullWidth
                                 variant="contained"
                                 size="large"
+                                onClick={handleCheckout}
+                                disabled={hasCartIssues || reserving}
                                 sx={{
                                     py: 2,
                                     letterSpacing: '0.1em'
@@ -238,6 +487,11 @@ const Cart = () => {
                         </Box>
                     </Grid>
                 </Grid>
+
+                <RecommendationCarousel
+                    productIds={[...new Set(cartItems.map((item) => item._id).filter(Boolean))]}
+                    title="YOU MIGHT ALSO LIKE"
+                />
             </Box>
         </Container>
     );
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Container, Box, Typography, Button, CircularProgress } from '@mui/material';
+import { useCart } from '../contexts/CartContext';
+
+// Where the link in an abandoned cart email lands: puts the items back in
+// the cart and moves on to it. Only reached signed in.
+const CartRestore = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const { restoreCart, cartError } = useCart();
+    const [failed, setFailed] = useState(false);
+    // Restore once, even when the effect runs twice in development
+    const started = useRef(false);
+
+    useEffect(() => {
+        if (started.current) return;
+        started.current = true;
+
+        restoreCart(token).then((restored) => {
+            if (restored) {
+                navigate('/cart', { replace: true });
+            } else {
+                setFailed(true);
+            }
+        });
+    }, [token, restoreCart, navigate]);
+
+    return (
+        <Container maxWidth="xl">
+            <Box sx={{
+                minHeight: 'calc(100vh - 200px)',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                justifyContent: 'center',
+                textAlign: 'center',
+                py: 8
+            }}>
+                {failed ? (
+                    <>
+                        <Typography
+                            variant="h6"
+                            sx={{ mb: 4, fontWeight: 300, color: 'text.secondary' }}
+                        >
+                            {cartError || 'We could not restore your cart.'}
+                        </Typography>
+                        <Button
+                            variant="contained"
+                            onClick={() => navigate('/cart')}
+                            sx={{ px: 4, py: 1.5, letterSpacing: '0.1em' }}
+                        >
+                            GO TO CART
+                        </Button>
+                    </>
+                ) : (
+                    <CircularProgress />
+                )}
+            </Box>
+        </Container>
+    );
+};
+
+export default CartRestore;
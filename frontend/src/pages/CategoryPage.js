@@ -1,78 +1,314 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { Container, Box, Typography, CircularProgress } from '@mui/material';
+import { useParams, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+    Container,
+    Box,
+    Typography,
+    CircularProgress,
+    Button,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    FormControlLabel,
+    Switch,
+    Breadcrumbs,
+    Link,
+    Chip,
+} from '@mui/material';
 import ProductList from '../components/product/ProductList';
+import FacetFilters, { ATTRIBUTE_PARAM_PREFIX, attributeParams } from '../components/product/FacetFilters';
 import { productService } from '../services/productService';
+import { categoryService } from '../services/categoryService';
+import { config } from '../services/config';
+import NotFound from './NotFound';
+import PageMeta from '../components/layout/PageMeta';
+
+const PAGE_SIZE = 24;
+
+const SORT_OPTIONS = [
+    { value: 'newest', label: 'Newest' },
+    { value: 'price_asc', label: 'Price: Low to High' },
+    { value: 'price_desc', label: 'Price: High to Low' },
+    { value: 'name_asc', label: 'Name: A to Z' },
+];
 
 const CategoryPage = () => {
-    const { category } = useParams();
+    const { slug } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [category, setCategory] = useState(null);
+    const [notFound, setNotFound] = useState(false);
     const [products, setProducts] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [nextPage, setNextPage] = useState(null);
+    const [facets, setFacets] = useState([]);
+    const [sort, setSort] = useState('newest');
+    const [inStock, setInStock] = useState(false);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [error, setError] = useState(null);
 
+    useEffect(() => {
+        const fetchCategory = async () => {
+            try {
+                setNotFound(false);
+                setError(null);
+                setCategory(null);
+                setCategory(await categoryService.getCategory(slug));
+            } catch (err) {
+                if (err.response?.status === 404) {
+                    setNotFound(true);
+                } else {
+                    setError('Failed to load category');
+                    console.error('Error fetching category:', err);
+                }
+            }
+        };
+
+        fetchCategory();
+    }, [slug]);
+
+    // Attribute filters selected in the sidebar, kept in the URL so
+    // filtered listings can be shared and survive a reload
+    const filterQuery = new URLSearchParams(attributeParams(searchParams)).toString();
+
     useEffect(() => {
         const fetchProducts = async () => {
             try {
                 setLoading(true);
-                const data = await productService.getProductsByCategory(category);
-                setProducts(data);
+                const data = await productService.getProductsByCategory(slug, {
+                    ...Object.fromEntries(new URLSearchParams(filterQuery)),
+                    sort,
+                    inStock: inStock || undefined,
+                    limit: PAGE_SIZE,
+                    facets: true,
+                });
+                setProducts(data.products);
+                setTotal(data.total);
+                setNextPage(data.nextPage);
+                setFacets(data.facets || []);
             } catch (err) {
-                setError('Failed to load products');
-                console.error('Error fetching products:', err);
+                if (err.response?.status !== 404) {
+                    setError('Failed to load products');
+                    console.error('Error fetching products:', err);
+                }
             } finally {
                 setLoading(false);
             }
         };
 
         fetchProducts();
-    }, [category]);
+    }, [slug, sort, inStock, filterQuery]);
+
+    const handleLoadMore = async () => {
+        try {
+            setLoadingMore(true);
+            const data = await productService.getProductsByCategory(slug, {
+                ...Object.fromEntries(new URLSearchParams(filterQuery)),
+                sort,
+                inStock: inStock || undefined,
+                limit: PAGE_SIZE,
+                page: nextPage,
+            });
+            setProducts(prev => [...prev, ...data.products]);
+            setTotal(data.total);
+            setNextPage(data.nextPage);
+        } catch (err) {
+            setError('Failed to load products');
+            console.error('Error fetching products:', err);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    const handleFacetChange = (code, value) => {
+        setSearchParams((prev) => {
+            const next = new URLSearchParams(prev);
+            if (value) {
+                next.set(ATTRIBUTE_PARAM_PREFIX + code, value);
+            } else {
+                next.delete(ATTRIBUTE_PARAM_PREFIX + code);
+            }
+            return next;
+        });
+    };
 
-    const categoryTitle = category.charAt(0).toUpperCase() + category.slice(1);
+    const handleClearFilters = () => {
+        setSearchParams((prev) => {
+            const next = new URLSearchParams(prev);
+            Object.keys(attributeParams(prev)).forEach((key) => next.delete(key));
+            return next;
+        });
+    };
 
-    if (loading) {
+    if (notFound) {
+        return <NotFound message="We couldn't find that category." />;
+    }
+
+    if (error) {
         return (
             <Container>
                 <Box sx={{ py: 4, textAlign: 'center' }}>
-                    <CircularProgress />
+                    <Typography color="error">{error}</Typography>
                 </Box>
             </Container>
         );
     }
 
-    if (error) {
+    if (loading || !category) {
         return (
             <Container>
                 <Box sx={{ py: 4, textAlign: 'center' }}>
-                    <Typography color="error">{error}</Typography>
+                    <CircularProgress />
                 </Box>
             </Container>
         );
     }
 
+    const bannerUrl = config.imageUrl(category.bannerImage, 'detail');
+
     return (
         <Box>
+            <PageMeta
+                title={category.name}
+                description={category.description || `Shop ${category.name} at TAUTY.`}
+                path={`/category/${category.slug}`}
+                image={bannerUrl}
+            />
+
             {/* Category Header */}
             <Box
                 sx={{
                     bgcolor: 'primary.main',
                     color: 'white',
                     py: 6,
-                    mb: 4,
+                    mb: 2,
                     textAlign: 'center',
+                    ...(bannerUrl && {
+                        backgroundImage: `linear-gradient(rgba(0, 0, 0, 0.4), rgba(0, 0, 0, 0.4)), url(${bannerUrl})`,
+                        backgroundSize: 'cover',
+                        backgroundPosition: 'center',
+                        py: 10,
+                    }),
                 }}
             >
                 <Container>
                     <Typography variant="h2" component="h1" gutterBottom>
-                        {categoryTitle}'s Collection
-                    </Typography>
-                    <Typography variant="h5">
-                        Discover our latest {category.toLowerCase()} fashion trends
+                        {category.name}
                     </Typography>
+                    {category.description && (
+                        <Typography variant="h5">
+                            {category.description}
+                        </Typography>
+                    )}
                 </Container>
             </Box>
 
-            {/* Products */}
-            <ProductList products={products} />
+            {/* Breadcrumbs and Subcategories */}
+            <Container maxWidth="xl" sx={{ mb: 2 }}>
+                <Breadcrumbs sx={{ mb: 2 }}>
+                    <Link component={RouterLink} to="/" underline="hover" color="inherit">
+                        Home
+                    </Link>
+                    {category.ancestors.map((ancestor) => (
+                        <Link
+                            key={ancestor._id}
+                            component={RouterLink}
+                            to={`/category/${ancestor.slug}`}
+                            underline="hover"
+                            color="inherit"
+                        >
+                            {ancestor.name}
+                        </Link>
+                    ))}
+                    <Typography color="text.primary">{category.name}</Typography>
+                </Breadcrumbs>
+                {category.children.length > 0 && (
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                        {category.children.map((child) => (
+                            <Chip
+                                key={child._id}
+                                label={child.name}
+                                component={RouterLink}
+                                to={`/category/${child.slug}`}
+                                clickable
+                                variant="outlined"
+                            />
+                        ))}
+                    </Box>
+                )}
+            </Container>
+
+            {/* Sort and Filter Controls */}
+            <Container maxWidth="xl">
+                <Box sx={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    flexWrap: 'wrap',
+                    gap: 2
+                }}>
+                    <Typography variant="body2" color="text.secondary">
+                        {total} {total === 1 ? 'product' : 'products'}
+                    </Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                        <FormControlLabel
+                            control={
+                                <Switch
+                                    checked={inStock}
+                                    onChange={(e) => setInStock(e.target.checked)}
+                                />
+                            }
+                            label="In stock only"
+                        />
+                        <FormControl size="small" sx={{ minWidth: 200 }}>
+                            <InputLabel>Sort by</InputLabel>
+                            <Select
+                                value={sort}
+                                label="Sort by"
+                                onChange={(e) => setSort(e.target.value)}
+                            >
+                                {SORT_OPTIONS.map((option) => (
+                                    <MenuItem key={option.value} value={option.value}>
+                                        {option.label}
+                                    </MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                    </Box>
+                </Box>
+            </Container>
+
+            {/* Filters and Products */}
+            <Container maxWidth="xl">
+                <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+                    {facets.length > 0 && (
+                        <Box sx={{ width: { md: 240 }, flexShrink: 0, pt: 4 }}>
+                            <FacetFilters
+                                facets={facets}
+                                onChange={handleFacetChange}
+                                onClear={handleClearFilters}
+                            />
+                        </Box>
+                    )}
+                    <Box sx={{ flex: 1, minWidth: 0 }}>
+                        <ProductList products={products} columns={facets.length > 0 ? 3 : 4} />
+                    </Box>
+                </Box>
+            </Container>
+
+            {nextPage && (
+                <Box sx={{ pb: 6, textAlign: 'center' }}>
+                    <Button
+                        variant="outlined"
+                        onClick={handleLoadMore}
+                        disabled={loadingMore}
+                        sx={{ minWidth: 200 }}
+                    >
+                        {loadingMore ? 'Loading...' : 'Load More'}
+                    </Button>
+                </Box>
+            )}
         </Box>
     );
 };
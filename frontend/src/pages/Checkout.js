@@ -0,0 +1,435 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    Container,
+    Box,
+    Typography,
+    Button,
+    Grid,
+    Divider,
+    TextField,
+    Radio,
+    RadioGroup,
+    FormControlLabel,
+    Stepper,
+    Step,
+    StepLabel,
+} from '@mui/material';
+import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { PAYMENT_METHODS, paymentMethodLabel } from '../utils/payment';
+
+const STEPS = ['SHIPPING ADDRESS', 'DELIVERY', 'PAYMENT', 'REVIEW'];
+
+const ADDRESS_FIELDS = [
+    { name: 'street', label: 'Street Address', required: true },
+    { name: 'city', label: 'City', required: true },
+    { name: 'state', label: 'State / Region' },
+    { name: 'zipCode', label: 'Postal Code', required: true },
+    { name: 'country', label: 'Country', required: true, placeholder: 'US' },
+];
+
+const formatVariantOptions = (variant) =>
+    Object.values(variant.options || {}).join(' / ');
+
+const SummaryRow = ({ label, value, color }) => (
+    <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
+        <Typography color={color}>{label}</Typography>
+        <Typography color={color}>{value}</Typography>
+    </Box>
+);
+
+// Checkout in four steps: where the order goes, how it gets there, how it
+// is paid for and a last look before placing it. Stock stays held for the
+// shopper throughout; when the order cannot be placed the reason is shown
+// with the way back to the cart.
+const Checkout = () => {
+    const {
+        cartItems,
+        cartError,
+        hasCartIssues,
+        cartSummary,
+        shippingAddress,
+        setShippingAddress,
+        shippingQuote,
+        shippingError,
+        shippingMethod,
+        setShippingMethodId,
+        reservation,
+        reserveStock,
+        placeOrder,
+        getCartTotal,
+        getCartSubtotal,
+    } = useCart();
+    const { priceFor, formatMoney } = useCurrency();
+    const navigate = useNavigate();
+    const [activeStep, setActiveStep] = useState(0);
+    const [address, setAddress] = useState(() => ADDRESS_FIELDS.reduce((fields, field) => ({
+        ...fields,
+        [field.name]: shippingAddress?.[field.name] || '',
+    }), {}));
+    const [addressErrors, setAddressErrors] = useState({});
+    const [paymentMethod, setPaymentMethod] = useState(PAYMENT_METHODS[0].value);
+    const [placing, setPlacing] = useState(false);
+    // Hold the stock once, for shoppers who came here without going
+    // through the cart (e.g. straight after signing in)
+    const reserved = useRef(false);
+
+    const items = cartItems.filter((item) => item.status === 'available');
+
+    useEffect(() => {
+        if (reserved.current || reservation || !cartItems.length || hasCartIssues) return;
+        reserved.current = true;
+
+        reserveStock().then((held) => {
+            if (!held) navigate('/cart');
+        });
+    }, [cartItems, hasCartIssues, reservation, reserveStock, navigate]);
+
+    const handleAddressChange = (e) => {
+        const { name, value } = e.target;
+        setAddress(prev => ({ ...prev, [name]: value }));
+        setAddressErrors(prev => ({ ...prev, [name]: null }));
+    };
+
+    const handleAddressSubmit = (e) => {
+        e.preventDefault();
+        const trimmed = Object.fromEntries(
+            Object.entries(address).map(([name, value]) => [name, value.trim()])
+        );
+        const errors = {};
+        ADDRESS_FIELDS.forEach((field) => {
+            if (field.required && !trimmed[field.name]) errors[field.name] = 'Required';
+        });
+        if (trimmed.country && trimmed.country.length !== 2) {
+            errors.country = 'Use the two-letter country code';
+        }
+        if (Object.keys(errors).length) {
+            setAddressErrors(errors);
+            return;
+        }
+
+        const normalized = {
+            ...trimmed,
+            state: trimmed.state.toUpperCase(),
+            country: trimmed.country.toUpperCase(),
+        };
+        setAddress(normalized);
+        setShippingAddress(normalized);
+        setActiveStep(1);
+    };
+
+    const handlePlaceOrder = async () => {
+        setPlacing(true);
+        const order = await placeOrder({ shippingAddress, paymentMethod });
+        if (order) {
+            navigate(`/orders/${order._id}`, { replace: true });
+        } else {
+            setPlacing(false);
+        }
+    };
+
+    if (!cartItems.length && !placing) {
+        return (
+            <Container maxWidth="xl">
+                <Box sx={{
+                    minHeight: 'calc(100vh - 200px)',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    py: 8
+                }}>
+                    <Typography variant="h5" sx={{ mb: 3, fontWeight: 300, letterSpacing: '0.1em' }}>
+                        YOUR SHOPPING CART IS EMPTY
+                    </Typography>
+                    <Button
+                        variant="contained"
+                        onClick={() => navigate('/')}
+                        sx={{ py: 2, px: 4, letterSpacing: '0.1em' }}
+                    >
+                        CONTINUE SHOPPING
+                    </Button>
+                </Box>
+            </Container>
+        );
+    }
+
+    const stepActions = (nextLabel, onNext, disabled = false) => (
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 4 }}>
+            <Button
+                onClick={() => (activeStep === 0 ? navigate('/cart') : setActiveStep(activeStep - 1))}
+                sx={{ letterSpacing: '0.1em' }}
+            >
+                {activeStep === 0 ? 'BACK TO CART' : 'BACK'}
+            </Button>
+            <Button
+                variant="contained"
+                type={onNext ? 'button' : 'submit'}
+                onClick={onNext}
+                disabled={disabled}
+                sx={{ px: 4, letterSpacing: '0.1em' }}
+            >
+                {nextLabel}
+            </Button>
+        </Box>
+    );
+
+    return (
+        <Container maxWidth="xl">
+            <Box sx={{ py: 8 }}>
+                <Typography
+                    variant="h4"
+                    sx={{
+                        mb: 6,
+                        fontWeight: 300,
+                        letterSpacing: '0.1em',
+                        textAlign: 'center'
+                    }}
+                >
+                    CHECKOUT
+                </Typography>
+
+                <Stepper activeStep={activeStep} alternativeLabel sx={{ mb: 6 }}>
+                    {STEPS.map((label) => (
+                        <Step key={label}>
+                            <StepLabel>{label}</StepLabel>
+                        </Step>
+                    ))}
+                </Stepper>
+
+                <Grid container spacing={4}>
+                    <Grid item xs={12} md={8}>
+                        {activeStep === 0 && (
+                            <Box component="form" onSubmit={handleAddressSubmit} noValidate>
+                                <Grid container spacing={2}>
+                                    {ADDRESS_FIELDS.map((field) => (
+                                        <Grid item xs={12} sm={field.name === 'street' ? 12 : 6} key={field.name}>
+                                            <TextField
+                                                fullWidth
+                                                name={field.name}
+                                                label={field.label}
+                                                placeholder={field.placeholder}
+                                                required={field.required}
+                                                value={address[field.name]}
+                                                onChange={handleAddressChange}
+                                                error={Boolean(addressErrors[field.name])}
+                                                helperText={addressErrors[field.name]}
+                                                inputProps={field.name === 'country'
+                                                    ? { maxLength: 2, style: { textTransform: 'uppercase' } }
+                                                    : undefined}
+                                            />
+                                        </Grid>
+                                    ))}
+                                </Grid>
+                                {stepActions('CONTINUE')}
+                            </Box>
+                        )}
+
+                        {activeStep === 1 && (
+                            <Box>
+                                <Typography variant="h6" sx={{ mb: 2, fontWeight: 300, letterSpacing: '0.05em' }}>
+                                    DELIVERY METHOD
+                                </Typography>
+                                {shippingError && (
+                                    <Typography color="error" sx={{ mb: 2 }}>
+                                        {shippingError}
+                                    </Typography>
+                                )}
+                                {shippingQuote && !shippingQuote.methods.length && (
+                                    <Typography color="error" sx={{ mb: 2 }}>
+                                        We do not ship to this address yet.
+                                    </Typography>
+                                )}
+                                {shippingQuote && (
+                                    <RadioGroup
+                                        value={shippingMethod?._id || ''}
+                                        onChange={(e) => setShippingMethodId(e.target.value)}
+                                    >
+                                        {shippingQuote.methods.map((method) => (
+                                            <FormControlLabel
+                                                key={method._id}
+                                                value={method._id}
+                                                control={<Radio />}
+                                                label={
+                                                    <Typography>
+                                                        {method.name}
+                                                        {method.deliveryEstimate && ` (${method.deliveryEstimate})`}
+                                                        {' · '}
+                                                        {method.price > 0 ? formatMoney(method.price) : 'Free'}
+                                                    </Typography>
+                                                }
+                                            />
+                                        ))}
+                                    </RadioGroup>
+                                )}
+                                {stepActions('CONTINUE', () => setActiveStep(2), !shippingMethod)}
+                            </Box>
+                        )}
+
+                        {activeStep === 2 && (
+                            <Box>
+                                <Typography variant="h6" sx={{ mb: 2, fontWeight: 300, letterSpacing: '0.05em' }}>
+                                    PAYMENT
+                                </Typography>
+                                <RadioGroup value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+                                    {PAYMENT_METHODS.map((method) => (
+                                        <FormControlLabel
+                                            key={method.value}
+                                            value={method.value}
+                                            control={<Radio />}
+                                            sx={{ alignItems: 'flex-start', mb: 1 }}
+                                            label={
+                                                <Box sx={{ pt: 1 }}>
+                                                    <Typography>{method.label}</Typography>
+                                                    <Typography variant="body2" color="text.secondary">
+                                                        {method.description}
+                                                    </Typography>
+                                                </Box>
+                                            }
+                                        />
+                                    ))}
+                                </RadioGroup>
+                                {stepActions('REVIEW ORDER', () => setActiveStep(3))}
+                            </Box>
+                        )}
+
+                        {activeStep === 3 && (
+                            <Box>
+                                <Typography variant="h6" sx={{ mb: 2, fontWeight: 300, letterSpacing: '0.05em' }}>
+                                    REVIEW YOUR ORDER
+                                </Typography>
+                                {items.map((item) => (
+                                    <Box
+                                        key={item.lineId}
+                                        sx={{ display: 'flex', justifyContent: 'space-between', py: 2 }}
+                                    >
+                                        <Box>
+                                            <Typography>{item.name}</Typography>
+                                            <Typography variant="body2" color="text.secondary">
+                                                {item.variant && `${formatVariantOptions(item.variant)} · `}
+                                                Qty {item.quantity}
+                                            </Typography>
+                                        </Box>
+                                        <Typography>
+                                            {formatMoney(priceFor(item, item.variant).price * item.quantity)}
+                                        </Typography>
+                                    </Box>
+                                ))}
+                                <Divider sx={{ my: 3 }} />
+                                <Grid container spacing={4}>
+                                    <Grid item xs={12} sm={4}>
+                                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                                            SHIPPING TO
+                                        </Typography>
+                                        <Typography>{shippingAddress?.street}</Typography>
+                                        <Typography>
+                                            {[shippingAddress?.city, shippingAddress?.state, shippingAddress?.zipCode]
+                                                .filter(Boolean).join(', ')}
+                                        </Typography>
+                                        <Typography>{shippingAddress?.country}</Typography>
+                                        <Button size="small" onClick={() => setActiveStep(0)} sx={{ mt: 1, px: 0 }}>
+                                            Change
+                                        </Button>
+                                    </Grid>
+                                    <Grid item xs={12} sm={4}>
+                                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                                            DELIVERY
+                                        </Typography>
+                                        <Typography>{shippingMethod?.name}</Typography>
+                                        {shippingMethod?.deliveryEstimate && (
+                                            <Typography>{shippingMethod.deliveryEstimate}</Typography>
+                                        )}
+                                        <Button size="small" onClick={() => setActiveStep(1)} sx={{ mt: 1, px: 0 }}>
+                                            Change
+                                        </Button>
+                                    </Grid>
+                                    <Grid item xs={12} sm={4}>
+                                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                                            PAYMENT
+                                        </Typography>
+                                        <Typography>{paymentMethodLabel(paymentMethod)}</Typography>
+                                        <Button size="small" onClick={() => setActiveStep(2)} sx={{ mt: 1, px: 0 }}>
+                                            Change
+                                        </Button>
+                                    </Grid>
+                                </Grid>
+                                {(cartError || hasCartIssues) && (
+                                    <Box sx={{ mt: 4 }}>
+                                        <Typography color="error" sx={{ mb: 2 }}>
+                                            {cartError || 'Some items in your cart need your attention.'}
+                                        </Typography>
+                                        <Button
+                                            variant="outlined"
+                                            onClick={() => navigate('/cart')}
+                                            sx={{ letterSpacing: '0.1em' }}
+                                        >
+                                            REVIEW CART
+                                        </Button>
+                                    </Box>
+                                )}
+                                {stepActions(
+                                    placing ? 'PLACING ORDER...' : 'PLACE ORDER',
+                                    handlePlaceOrder,
+                                    placing || hasCartIssues || !items.length || !shippingMethod
+                                )}
+                            </Box>
+                        )}
+                    </Grid>
+
+                    <Grid item xs={12} md={4}>
+                        <Box sx={{
+                            position: 'sticky',
+                            top: 100,
+                            bgcolor: 'background.paper',
+                            p: 4,
+                            border: '1px solid',
+                            borderColor: 'divider'
+                        }}>
+                            <Typography variant="h6" sx={{ mb: 3, fontWeight: 300, letterSpacing: '0.05em' }}>
+                                ORDER SUMMARY
+                            </Typography>
+                            <SummaryRow label="Subtotal" value={formatMoney(getCartSubtotal())} />
+                            {cartSummary?.discounts.filter((discount) => discount.amount > 0).map((discount) => (
+                                <SummaryRow
+                                    key={discount.promotion}
+                                    label={discount.code || discount.name}
+                                    value={`-${formatMoney(discount.amount)}`}
+                                    color="error"
+                                />
+                            ))}
+                            <SummaryRow
+                                label="Shipping"
+                                value={!shippingMethod
+                                    ? 'Calculated in the next step'
+                                    : shippingMethod.price > 0 ? formatMoney(shippingMethod.price) : 'Free'}
+                            />
+                            <SummaryRow
+                                label="Tax"
+                                value={cartSummary?.taxCalculated
+                                    ? formatMoney(cartSummary.taxTotal)
+                                    : 'Calculated once we know the address'}
+                            />
+                            <Divider sx={{ mb: 3 }} />
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                                <Typography variant="h6">Total</Typography>
+                                <Typography variant="h6">{formatMoney(getCartTotal())}</Typography>
+                            </Box>
+                            {reservation && (
+                                <Typography variant="body2" color="text.secondary" sx={{ mt: 3 }}>
+                                    Your items are reserved until{' '}
+                                    {new Date(reservation.expiresAt).toLocaleTimeString([], {
+                                        hour: '2-digit',
+                                        minute: '2-digit'
+                                    })}.
+                                </Typography>
+                            )}
+                        </Box>
+                    </Grid>
+                </Grid>
+            </Box>
+        </Container>
+    );
+};
+
+export default Checkout;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+    Container,
+    Box,
+    Typography,
+    CircularProgress,
+} from '@mui/material';
+import ProductList from '../components/product/ProductList';
+import { collectionService } from '../services/collectionService';
+import NotFound from './NotFound';
+import PageMeta from '../components/layout/PageMeta';
+
+const CollectionPage = () => {
+    const { slug } = useParams();
+    const [collection, setCollection] = useState(null);
+    const [notFound, setNotFound] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchCollection = async () => {
+            try {
+                setLoading(true);
+                setNotFound(false);
+                setError(null);
+                setCollection(await collectionService.getCollection(slug));
+            } catch (err) {
+                if (err.response?.status === 404) {
+                    setNotFound(true);
+                } else {
+                    setError('Failed to load collection');
+                    console.error('Error fetching collection:', err);
+                }
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchCollection();
+    }, [slug]);
+
+    if (notFound) {
+        return <NotFound message="We couldn't find that collection." />;
+    }
+
+    if (loading) {
+        return (
+            <Container>
+                <Box sx={{ py: 4, textAlign: 'center' }}>
+                    <CircularProgress />
+                </Box>
+            </Container>
+        );
+    }
+
+    if (error) {
+        return (
+            <Container>
+                <Box sx={{ py: 4, textAlign: 'center' }}>
+                    <Typography color="error">{error}</Typography>
+                </Box>
+            </Container>
+        );
+    }
+
+    return (
+        <Box>
+            <PageMeta
+                title={collection.name}
+                description={collection.description || `Shop ${collection.name} at TAUTY.`}
+                path={`/collection/${collection.slug}`}
+            />
+
+            <Container maxWidth="xl" sx={{ pt: 6 }}>
+                <Typography
+                    variant="h4"
+                    component="h1"
+                    sx={{ fontWeight: 300, letterSpacing: '0.1em', mb: 1 }}
+                >
+                    {collection.name.toUpperCase()}
+                </Typography>
+                {collection.description && (
+                    <Typography variant="body1" color="text.secondary">
+                        {collection.description}
+                    </Typography>
+                )}
+                {collection.products.length === 0 && (
+                    <Typography color="text.secondary" sx={{ py: 4 }}>
+                        There are no products in this collection right now.
+                    </Typography>
+                )}
+            </Container>
+
+            <ProductList products={collection.products} />
+        </Box>
+    );
+};
+
+export default CollectionPage;
@@ -1,37 +1,29 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Box, Typography } from '@mui/material';
-import ProductList from '../components/product/ProductList';
-import { productService } from '../services/productService';
-
-// Fisher-Yates shuffle algorithm
-const shuffleArray = (array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-};
+import HomeSection from '../components/home/HomeSection';
+import { collectionService } from '../services/collectionService';
+import PageMeta from '../components/layout/PageMeta';
 
+// Sections (hero, collection rows, banners) are arranged in the admin
 const Home = () => {
-    const [products, setProducts] = useState([]);
+    const [sections, setSections] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
     useEffect(() => {
-        const fetchProducts = async () => {
+        const fetchHomePage = async () => {
             try {
-                const data = await productService.getAllProducts();
-                setProducts(shuffleArray(data));
+                const data = await collectionService.getHomePage();
+                setSections(data.sections);
             } catch (err) {
-                setError('Failed to load products');
-                console.error('Error fetching products:', err);
+                setError('Failed to load the home page');
+                console.error('Error fetching home page:', err);
             } finally {
                 setLoading(false);
             }
         };
 
-        fetchProducts();
+        fetchHomePage();
     }, []);
 
     if (loading) {
@@ -56,28 +48,15 @@ const Home = () => {
 
     return (
         <Box>
-            {/* Hero Section */}
-            <Box
-                sx={{
-                    bgcolor: 'primary.main',
-                    color: 'white',
-                    py: 8,
-                    mb: 4,
-                    textAlign: 'center',
-                }}
-            >
-                <Container>
-                    <Typography variant="h2" component="h1" gutterBottom>
-                        Welcome to TAUTY
-                    </Typography>
-                    <Typography variant="h5">
-                        Discover the latest fashion trends
-                    </Typography>
-                </Container>
-            </Box>
+            <PageMeta path="/" />
 
-            {/* Featured Products */}
-            <ProductList title="Our Products" products={products} />
+            {sections.map((section, index) => (
+                <HomeSection
+                    key={section._id || index}
+                    section={section}
+                    isFirst={index === 0}
+                />
+            ))}
         </Box>
     );
 };
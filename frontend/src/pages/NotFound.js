@@ -0,0 +1,44 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Container, Box, Typography, Button } from '@mui/material';
+
+const NotFound = ({ message = "The page you're looking for doesn't exist." }) => {
+    const navigate = useNavigate();
+
+    return (
+        <Container maxWidth="xl">
+            <Box sx={{
+                minHeight: 'calc(100vh - 200px)',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                justifyContent: 'center',
+                textAlign: 'center',
+                py: 8
+            }}>
+                <Typography
+                    variant="h2"
+                    component="h1"
+                    sx={{ mb: 2, fontWeight: 300, letterSpacing: '0.1em' }}
+                >
+                    404
+                </Typography>
+                <Typography
+                    variant="h6"
+                    sx={{ mb: 4, fontWeight: 300, color: 'text.secondary' }}
+                >
+                    {message}
+                </Typography>
+                <Button
+                    variant="contained"
+                    onClick={() => navigate('/')}
+                    sx={{ py: 2, px: 4, letterSpacing: '0.1em' }}
+                >
+                    CONTINUE SHOPPING
+                </Button>
+            </Box>
+        </Container>
+    );
+};
+
+export default NotFound;
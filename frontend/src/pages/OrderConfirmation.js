@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Container, Box, Typography, Button, Divider, Grid, CircularProgress } from '@mui/material';
+import { orderService } from '../services/orderService';
+import { paymentMethodLabel } from '../utils/payment';
+import NotFound from './NotFound';
+
+// Orders are priced in the currency they were placed in, whatever the
+// shopper has picked since
+const formatOrderMoney = (amount, currency) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+
+const SummaryRow = ({ label, value, color }) => (
+    <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
+        <Typography color={color}>{label}</Typography>
+        <Typography color={color}>{value}</Typography>
+    </Box>
+);
+
+// Where checkout lands once the order is placed
+const OrderConfirmation = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const [order, setOrder] = useState(null);
+    const [notFound, setNotFound] = useState(false);
+
+    useEffect(() => {
+        orderService.getOrder(id)
+            .then(setOrder)
+            .catch((err) => {
+                console.error('Error fetching order:', err);
+                setNotFound(true);
+            });
+    }, [id]);
+
+    if (notFound) {
+        return <NotFound message="We could not find this order." />;
+    }
+
+    if (!order) {
+        return (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 16 }}>
+                <CircularProgress />
+            </Box>
+        );
+    }
+
+    const money = (amount) => formatOrderMoney(amount, order.currency);
+    const address = order.shippingAddress || {};
+
+    return (
+        <Container maxWidth="md">
+            <Box sx={{ py: 8 }}>
+                <Typography
+                    variant="h4"
+                    sx={{ mb: 2, fontWeight: 300, letterSpacing: '0.1em', textAlign: 'center' }}
+                >
+                    THANK YOU FOR YOUR ORDER
+                </Typography>
+                <Typography color="text.secondary" sx={{ mb: 6, textAlign: 'center' }}>
+                    Order {order._id.slice(-8).toUpperCase()} placed on{' '}
+                    {new Date(order.createdAt).toLocaleDateString()}
+                </Typography>
+
+                {order.items.map((item) => (
+                    <Box key={item._id} sx={{ display: 'flex', justifyContent: 'space-between', py: 2 }}>
+                        <Box>
+                            <Typography>{item.product?.name || 'Product no longer available'}</Typography>
+                            <Typography variant="body2" color="text.secondary">
+                                {item.options && `${Object.values(item.options).join(' / ')} · `}
+                                Qty {item.quantity}
+                            </Typography>
+                        </Box>
+                        <Typography>{money(item.price * item.quantity)}</Typography>
+                    </Box>
+                ))}
+                <Divider sx={{ my: 3 }} />
+
+                <SummaryRow label="Subtotal" value={money(order.subtotal)} />
+                {order.discounts.filter((discount) => discount.amount > 0).map((discount) => (
+                    <SummaryRow
+                        key={discount.promotion}
+                        label={discount.code || discount.name}
+                        value={`-${money(discount.amount)}`}
+                        color="error"
+                    />
+                ))}
+                <SummaryRow
+                    label={`Shipping (${order.shippingMethod?.name})`}
+                    value={order.shippingCost > 0 ? money(order.shippingCost) : 'Free'}
+                />
+                <SummaryRow label="Tax" value={money(order.taxTotal)} />
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 6 }}>
+                    <Typography variant="h6">Total</Typography>
+                    <Typography variant="h6">{money(order.totalAmount)}</Typography>
+                </Box>
+
+                <Grid container spacing={4} sx={{ mb: 6 }}>
+                    <Grid item xs={12} sm={6}>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                            SHIPPING TO
+                        </Typography>
+                        <Typography>{address.street}</Typography>
+                        <Typography>
+                            {[address.city, address.state, address.zipCode].filter(Boolean).join(', ')}
+                        </Typography>
+                        <Typography>{address.country}</Typography>
+                        {order.shippingMethod?.deliveryEstimate && (
+                            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                Delivery in {order.shippingMethod.deliveryEstimate}
+                            </Typography>
+                        )}
+                    </Grid>
+                    <Grid item xs={12} sm={6}>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                            PAYMENT
+                        </Typography>
+                        <Typography>{paymentMethodLabel(order.paymentMethod)}</Typography>
+                    </Grid>
+                </Grid>
+
+                <Box sx={{ textAlign: 'center' }}>
+                    <Button
+                        variant="contained"
+                        onClick={() => navigate('/')}
+                        sx={{ py: 2, px: 4, letterSpacing: '0.1em' }}
+                    >
+                        CONTINUE SHOPPING
+                    </Button>
+                </Box>
+            </Box>
+        </Container>
+    );
+};
+
+export default OrderConfirmation;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
 import { 
     Container, 
     Box, 
@@ -10,52 +10,113 @@ import {
     Paper,
     Chip,
     Divider,
-    Rating
+    Rating,
+    ToggleButton,
+    ToggleButtonGroup,
+    IconButton
 } from '@mui/material';
 import { 
     AddShoppingCart as AddToCartIcon,
     LocalShipping as ShippingIcon,
     Loop as ReturnIcon,
-    Verified as AuthenticIcon
+    Verified as AuthenticIcon,
+    Favorite as FavoriteIcon,
+    FavoriteBorder as FavoriteBorderIcon
 } from '@mui/icons-material';
 import { productService } from '../services/productService';
+import { shippingService } from '../services/shippingService';
 import { useCart } from '../contexts/CartContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { useWishlist } from '../contexts/WishlistContext';
+import ReviewSection from '../components/product/ReviewSection';
+import RecommendationCarousel from '../components/product/RecommendationCarousel';
+import { config } from '../services/config';
+import { productPath } from '../utils/productPath';
+import PageMeta from '../components/layout/PageMeta';
+import { getPrimaryImage } from '../utils/productImages';
+import NotFound from './NotFound';
 
 const DEFAULT_IMAGE = 'https://via.placeholder.com/500x600/f5f5f5/666666?text=No+Image';
 
 // Common image dimensions
 const DETAIL_IMAGE_HEIGHT = 450;
 const IMAGE_ASPECT_RATIO = 4/5; // Product image ratio
+const THUMBNAIL_SIZE = 80;
 
-const getImageUrl = (image) => {
-    if (!image || !image.data || !image.contentType) {
-        return DEFAULT_IMAGE;
+const getImageUrl = (image) => config.imageUrl(image, 'detail') || DEFAULT_IMAGE;
+
+// Find the variant whose option values all match the current selection
+const findVariant = (product, selectedOptions) =>
+    product.variants.find((variant) =>
+        product.options.every((option) =>
+            variant.options?.[option.name] === selectedOptions[option.name]
+        )
+    );
+
+// The shipping panel line, from the store's shipping rates. `formatPrice`
+// shows base currency amounts in the shopper's currency.
+const shippingLabel = (summary, formatPrice) => {
+    if (summary?.freeAbove != null) {
+        return summary.freeAbove > 0 ? `Free Shipping over ${formatPrice(summary.freeAbove)}` : 'Free Shipping';
     }
-    return `data:${image.contentType};base64,${image.data}`;
+    if (summary?.lowestPrice === 0) return 'Free Shipping';
+    if (summary?.lowestPrice != null) return `Shipping from ${formatPrice(summary.lowestPrice)}`;
+    return 'Shipping at Checkout';
 };
 
 const ProductDetail = () => {
-    const { id } = useParams();
-    const { addToCart } = useCart();
+    // The URL may hold the product id, its slug or a previous slug
+    const { slug } = useParams();
+    const navigate = useNavigate();
+    const { addToCart, cartError } = useCart();
+    const { priceFor, formatMoney, formatPrice } = useCurrency();
+    const [cartStatus, setCartStatus] = useState(null);
+    const { isInWishlist, toggleWishlist } = useWishlist();
+    const [shippingSummary, setShippingSummary] = useState(null);
     const [product, setProduct] = useState(null);
+    const [selectedOptions, setSelectedOptions] = useState({});
+    const [selectedImageIndex, setSelectedImageIndex] = useState(0);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
+    // The add-to-cart message belongs to the product and options it was for
+    useEffect(() => {
+        setCartStatus(null);
+    }, [slug, selectedOptions]);
+
     useEffect(() => {
         const fetchProduct = async () => {
             try {
-                const data = await productService.getProduct(id);
+                const data = await productService.getProduct(slug);
+                // Old ids and slugs redirect to the current URL
+                if (data.slug && data.slug !== slug) {
+                    navigate(productPath(data), { replace: true });
+                }
                 setProduct(data);
+                setSelectedOptions({});
+                // Open the gallery on the primary image
+                setSelectedImageIndex(Math.max(data.images?.findIndex((image) => image.isPrimary) ?? 0, 0));
             } catch (err) {
-                setError('Failed to load product details');
-                console.error('Error fetching product:', err);
+                if (err.response?.status === 404) {
+                    setProduct(null);
+                } else {
+                    setError('Failed to load product details');
+                    console.error('Error fetching product:', err);
+                }
             } finally {
                 setLoading(false);
             }
         };
 
         fetchProduct();
-    }, [id]);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [slug]);
+
+    useEffect(() => {
+        shippingService.getSummary()
+            .then(setShippingSummary)
+            .catch((err) => console.error('Error fetching shipping summary:', err));
+    }, []);
 
     if (loading) {
         return (
@@ -90,19 +151,44 @@ const ProductDetail = () => {
     }
 
     if (!product) {
-        return (
-            <Container>
-                <Box sx={{ py: 4, textAlign: 'center' }}>
-                    <Typography variant="h6">
-                        Product not found
-                    </Typography>
-                </Box>
-            </Container>
-        );
+        return <NotFound message="We couldn't find that product." />;
     }
 
+    const images = product.images || [];
+    const selectedImage = images[selectedImageIndex] || images[0];
+    const hasVariants = product.variants?.length > 0;
+    const selectedVariant = hasVariants ? findVariant(product, selectedOptions) : null;
+    const pricing = priceFor(product, selectedVariant);
+    const availableStock = hasVariants ? selectedVariant?.stock ?? 0 : product.stock;
+    const needsSelection = hasVariants && !selectedVariant;
+    // The heart saves the chosen variant once one is picked
+    const wishlisted = isInWishlist(product._id, selectedVariant?._id);
+
+    // A value is selectable if some in-stock variant has it alongside the other picks
+    const isValueAvailable = (optionName, value) =>
+        product.variants.some((variant) =>
+            variant.stock > 0 &&
+            variant.options?.[optionName] === value &&
+            product.options.every((option) =>
+                option.name === optionName ||
+                !selectedOptions[option.name] ||
+                variant.options?.[option.name] === selectedOptions[option.name]
+            )
+        );
+
+    const handleOptionChange = (optionName, value) => {
+        setSelectedOptions((prev) => ({ ...prev, [optionName]: value || undefined }));
+    };
+
     return (
         <Container maxWidth="lg" sx={{ py: 4 }}>
+            <PageMeta
+                title={product.name}
+                description={product.description}
+                path={productPath(product)}
+                image={config.imageUrl(getPrimaryImage(product), 'detail')}
+                type="product"
+            />
             <Paper elevation={0} sx={{ 
                 p: { xs: 2, md: 4 }, 
                 bgcolor: 'background.default',
@@ -110,13 +196,12 @@ const ProductDetail = () => {
                 alignItems: 'center'
             }}>
                 <Grid container spacing={4}>
-                    {/* Image Section */}
+                    {/* Image Gallery */}
                     <Grid item xs={12} md={5}>
                         <Box
                             sx={{
                                 position: 'relative',
                                 width: '100%',
-                                height: '100%',
                                 display: 'flex',
                                 justifyContent: 'center',
                                 alignItems: 'center',
@@ -125,8 +210,8 @@ const ProductDetail = () => {
                         >
                             <Box
                                 component="img"
-                                src={getImageUrl(product.image)}
-                                alt={product.image?.alt || product.name}
+                                src={getImageUrl(selectedImage)}
+                                alt={selectedImage?.alt || product.name}
                                 sx={{
                                     width: '100%',
                                     height: DETAIL_IMAGE_HEIGHT,
@@ -137,18 +222,47 @@ const ProductDetail = () => {
                                 }}
                             />
                         </Box>
+                        {images.length > 1 && (
+                            <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap' }}>
+                                {images.map((image, index) => (
+                                    <Box
+                                        key={image._id || image.url}
+                                        component="img"
+                                        src={config.imageUrl(image, 'thumbnail')}
+                                        alt={image.alt || product.name}
+                                        onClick={() => setSelectedImageIndex(index)}
+                                        sx={{
+                                            width: THUMBNAIL_SIZE * IMAGE_ASPECT_RATIO,
+                                            height: THUMBNAIL_SIZE,
+                                            objectFit: 'cover',
+                                            cursor: 'pointer',
+                                            bgcolor: '#f5f5f5',
+                                            border: '2px solid',
+                                            borderColor: index === selectedImageIndex ? 'primary.main' : 'transparent',
+                                            opacity: index === selectedImageIndex ? 1 : 0.7,
+                                            '&:hover': { opacity: 1 }
+                                        }}
+                                    />
+                                ))}
+                            </Box>
+                        )}
                     </Grid>
 
                     {/* Product Info Section */}
                     <Grid item xs={12} md={7}>
                         <Box sx={{ p: { xs: 2, md: 4 } }}>
                             {/* Category Tag */}
-                            <Chip 
-                                label={product.category}
-                                color="primary"
-                                size="small"
-                                sx={{ mb: 2 }}
-                            />
+                            {product.category && (
+                                <Chip 
+                                    label={product.category.name}
+                                    component={RouterLink}
+                                    to={`/category/${product.category.slug}`}
+                                    clickable
+                                    color="primary"
+                                    size="small"
+                                    sx={{ mb: 2 }}
+                                />
+                            )}
 
                             {/* Product Title and Price */}
                             <Typography 
@@ -166,18 +280,46 @@ const ProductDetail = () => {
                             </Typography>
                             
                             <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+                                {pricing.onSale && (
+                                    <Chip label="SALE" color="error" size="small" sx={{ mr: 2 }} />
+                                )}
                                 <Typography 
                                     variant="h5" 
-                                    color="primary" 
                                     sx={{ 
                                         fontWeight: 600,
+                                        color: pricing.onSale ? 'error.main' : 'primary.main',
                                         mr: 2
                                     }}
                                 >
-                                    ${product.price.toFixed(2)}
+                                    {formatMoney(pricing.price)}
                                 </Typography>
-                                <Rating value={4.5} readOnly precision={0.5} size="small" />
+                                {pricing.onSale && (
+                                    <Typography
+                                        variant="h6"
+                                        color="text.secondary"
+                                        sx={{ textDecoration: 'line-through', fontWeight: 300, mr: 2 }}
+                                    >
+                                        {formatMoney(pricing.compareAtPrice)}
+                                    </Typography>
+                                )}
+                                {product.ratingCount > 0 ? (
+                                    <>
+                                        <Rating value={product.ratingAverage} readOnly precision={0.5} size="small" />
+                                        <Typography variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                                            ({product.ratingCount})
+                                        </Typography>
+                                    </>
+                                ) : (
+                                    <Typography variant="body2" color="text.secondary">
+                                        No reviews yet
+                                    </Typography>
+                                )}
                             </Box>
+                            {pricing.saleEndsAt && (
+                                <Typography variant="body2" color="error" sx={{ mt: -2, mb: 3 }}>
+                                    Sale ends {new Date(pricing.saleEndsAt).toLocaleDateString()}
+                                </Typography>
+                            )}
 
                             <Divider sx={{ my: 3 }} />
 
@@ -193,38 +335,93 @@ const ProductDetail = () => {
                                 {product.description}
                             </Typography>
 
+                            {/* Variant Pickers */}
+                            {hasVariants && product.options.map((option) => (
+                                <Box key={option.name} sx={{ mb: 3 }}>
+                                    <Typography variant="subtitle2" sx={{ mb: 1 }}>
+                                        {option.name}
+                                        {selectedOptions[option.name] && `: ${selectedOptions[option.name]}`}
+                                    </Typography>
+                                    <ToggleButtonGroup
+                                        exclusive
+                                        size="small"
+                                        value={selectedOptions[option.name] || null}
+                                        onChange={(e, value) => handleOptionChange(option.name, value)}
+                                        sx={{ flexWrap: 'wrap' }}
+                                    >
+                                        {option.values.map((value) => (
+                                            <ToggleButton
+                                                key={value}
+                                                value={value}
+                                                disabled={!isValueAvailable(option.name, value)}
+                                                sx={{ borderRadius: 0, minWidth: 48 }}
+                                            >
+                                                {value}
+                                            </ToggleButton>
+                                        ))}
+                                    </ToggleButtonGroup>
+                                </Box>
+                            ))}
+
                             {/* Stock Status */}
                             <Box sx={{ mb: 3 }}>
-                                <Typography 
-                                    variant="subtitle1" 
+                                {needsSelection ? (
+                                    <Typography variant="subtitle1" color="text.secondary">
+                                        Select {product.options.map((option) => option.name.toLowerCase()).join(' and ')}
+                                    </Typography>
+                                ) : (
+                                    <Typography 
+                                        variant="subtitle1" 
+                                        sx={{ 
+                                            color: availableStock > 0 ? 'success.main' : 'error.main',
+                                            fontWeight: 500 
+                                        }}
+                                    >
+                                        {availableStock > 0 
+                                            ? `In Stock (${availableStock} units)` 
+                                            : 'Out of Stock'}
+                                    </Typography>
+                                )}
+                            </Box>
+
+                            {/* Add to Cart and Wishlist Buttons */}
+                            <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
+                                <Button
+                                    variant="contained"
+                                    color="primary"
+                                    size="large"
+                                    fullWidth
+                                    startIcon={<AddToCartIcon />}
+                                    onClick={async () => {
+                                        setCartStatus(await addToCart(product, selectedVariant) ? 'added' : 'failed');
+                                    }}
+                                    disabled={needsSelection || availableStock <= 0}
                                     sx={{ 
-                                        color: product.stock > 0 ? 'success.main' : 'error.main',
-                                        fontWeight: 500 
+                                        py: 2,
+                                        fontSize: '1.1rem'
                                     }}
                                 >
-                                    {product.stock > 0 
-                                        ? `In Stock (${product.stock} units)` 
-                                        : 'Out of Stock'}
-                                </Typography>
+                                    {needsSelection
+                                        ? 'Select Options'
+                                        : availableStock > 0 ? 'Add to Cart' : 'Out of Stock'}
+                                </Button>
+                                <IconButton
+                                    aria-label={wishlisted ? 'Remove from wishlist' : 'Add to wishlist'}
+                                    onClick={() => toggleWishlist(product, selectedVariant)}
+                                    sx={{ border: 1, borderColor: 'divider', borderRadius: 0, px: 2 }}
+                                >
+                                    {wishlisted ? <FavoriteIcon color="error" /> : <FavoriteBorderIcon />}
+                                </IconButton>
                             </Box>
-
-                            {/* Add to Cart Button */}
-                            <Button
-                                variant="contained"
-                                color="primary"
-                                size="large"
-                                fullWidth
-                                startIcon={<AddToCartIcon />}
-                                onClick={() => addToCart(product)}
-                                disabled={product.stock <= 0}
-                                sx={{ 
-                                    py: 2,
-                                    mb: 3,
-                                    fontSize: '1.1rem'
-                                }}
-                            >
-                                {product.stock > 0 ? 'Add to Cart' : 'Out of Stock'}
-                            </Button>
+                            {cartStatus && (
+                                <Typography
+                                    variant="body2"
+                                    color={cartStatus === 'added' ? 'success.main' : 'error'}
+                                    sx={{ mt: -2, mb: 3 }}
+                                >
+                                    {cartStatus === 'added' ? 'Added to your cart' : cartError}
+                                </Typography>
+                            )}
 
                             {/* Features */}
                             <Grid container spacing={2} sx={{ mt: 3 }}>
@@ -238,7 +435,7 @@ const ProductDetail = () => {
                                     }}>
                                         <ShippingIcon sx={{ fontSize: 40, color: 'primary.main', mb: 1 }} />
                                         <Typography variant="subtitle2">
-                                            Free Shipping
+                                            {shippingLabel(shippingSummary, formatPrice)}
                                         </Typography>
                                     </Box>
                                 </Grid>
@@ -275,6 +472,12 @@ const ProductDetail = () => {
                     </Grid>
                 </Grid>
             </Paper>
+
+            {/* Cross-selling */}
+            <RecommendationCarousel productIds={[product._id]} />
+
+            {/* Reviews */}
+            <ReviewSection product={product} />
         </Container>
     );
 };
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import {
+    Container,
+    Box,
+    Typography,
+    CircularProgress,
+    Button,
+} from '@mui/material';
+import ProductList from '../components/product/ProductList';
+import { productService } from '../services/productService';
+import PageMeta from '../components/layout/PageMeta';
+
+const PAGE_SIZE = 24;
+
+const SearchResults = () => {
+    const [searchParams] = useSearchParams();
+    const q = (searchParams.get('q') || '').trim();
+    const [products, setProducts] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [nextPage, setNextPage] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchResults = async () => {
+            if (!q) {
+                setProducts([]);
+                setTotal(0);
+                setNextPage(null);
+                setLoading(false);
+                return;
+            }
+
+            try {
+                setLoading(true);
+                setError(null);
+                const data = await productService.searchProducts(q, { limit: PAGE_SIZE });
+                setProducts(data.products);
+                setTotal(data.total);
+                setNextPage(data.nextPage);
+            } catch (err) {
+                setError('Failed to search products');
+                console.error('Error searching products:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchResults();
+    }, [q]);
+
+    const handleLoadMore = async () => {
+        try {
+            setLoadingMore(true);
+            const data = await productService.searchProducts(q, {
+                limit: PAGE_SIZE,
+                page: nextPage,
+            });
+            setProducts(prev => [...prev, ...data.products]);
+            setTotal(data.total);
+            setNextPage(data.nextPage);
+        } catch (err) {
+            setError('Failed to search products');
+            console.error('Error searching products:', err);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    if (loading) {
+        return (
+            <Container>
+                <Box sx={{ py: 4, textAlign: 'center' }}>
+                    <CircularProgress />
+                </Box>
+            </Container>
+        );
+    }
+
+    return (
+        <Box>
+            <PageMeta title={q ? `Search: ${q}` : 'Search'} />
+
+            <Container maxWidth="xl" sx={{ pt: 6 }}>
+                <Typography
+                    variant="h4"
+                    component="h1"
+                    sx={{ fontWeight: 300, letterSpacing: '0.1em', mb: 1 }}
+                >
+                    {q ? `SEARCH: "${q}"` : 'SEARCH'}
+                </Typography>
+                {error ? (
+                    <Typography color="error">{error}</Typography>
+                ) : (
+                    <Typography variant="body2" color="text.secondary">
+                        {q
+                            ? `${total} ${total === 1 ? 'product' : 'products'} found`
+                            : 'Type in the search box to find products.'}
+                    </Typography>
+                )}
+            </Container>
+
+            {q && !error && total === 0 && (
+                <Container maxWidth="xl" sx={{ py: 4 }}>
+                    <Typography color="text.secondary">
+                        No products match your search. Check the spelling or try a broader term.
+                    </Typography>
+                </Container>
+            )}
+
+            <ProductList products={products} />
+
+            {nextPage && (
+                <Box sx={{ pb: 6, textAlign: 'center' }}>
+                    <Button
+                        variant="outlined"
+                        onClick={handleLoadMore}
+                        disabled={loadingMore}
+                        sx={{ minWidth: 200 }}
+                    >
+                        {loadingMore ? 'Loading...' : 'Load More'}
+                    </Button>
+                </Box>
+            )}
+        </Box>
+    );
+};
+
+export default SearchResults;
@@ -0,0 +1,233 @@
+import React, { useEffect, useState } from 'react';
+import {
+    Container,
+    Box,
+    Typography,
+    Button,
+    Grid,
+    IconButton,
+    Divider,
+} from '@mui/material';
+import { Delete as DeleteIcon } from '@mui/icons-material';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
+import { useCart } from '../contexts/CartContext';
+import { useWishlist } from '../contexts/WishlistContext';
+import { useCurrency } from '../contexts/CurrencyContext';
+import { config } from '../services/config';
+import { getPrimaryImage } from '../utils/productImages';
+import { productPath } from '../utils/productPath';
+
+const DEFAULT_IMAGE = 'https://via.placeholder.com/400x600/f5f5f5/666666?text=No+Image';
+
+// Common image dimensions
+const WISHLIST_IMAGE_HEIGHT = 200;
+const IMAGE_ASPECT_RATIO = 3/4; // 4:3 aspect ratio
+
+const getImageUrl = (image) => config.imageUrl(image, 'thumbnail') || DEFAULT_IMAGE;
+
+const formatVariantOptions = (variant) =>
+    Object.values(variant.options || {}).join(' / ');
+
+const itemKey = (item) => item.itemId || `${item.productId}:${item.variantId || ''}`;
+
+// Why an item cannot be bought right now, if it cannot
+const stockMessage = (item) => {
+    switch (item.status) {
+        case 'unavailable':
+            return 'No longer available.';
+        case 'out_of_stock':
+            return 'Out of stock.';
+        default:
+            return null;
+    }
+};
+
+const Wishlist = () => {
+    const { wishlistItems, wishlistError, removeFromWishlist, refreshWishlist } = useWishlist();
+    const { addToCart, cartError } = useCart();
+    const { priceFor, formatMoney } = useCurrency();
+    const navigate = useNavigate();
+    // Key of the item that could not be moved to the cart
+    const [failedMove, setFailedMove] = useState(null);
+
+    // Pick up stock and price changes since the wishlist was last loaded
+    useEffect(() => {
+        refreshWishlist();
+    }, [refreshWishlist]);
+
+    // Products with variants need a size/colour before they can go in the cart
+    const needsOptions = (item) => item.variants?.length > 0 && !item.variant;
+
+    const moveToCart = async (item) => {
+        if (needsOptions(item)) {
+            navigate(productPath(item));
+            return;
+        }
+        if (await addToCart(item, item.variant)) {
+            setFailedMove(null);
+            await removeFromWishlist(item);
+        } else {
+            setFailedMove(itemKey(item));
+        }
+    };
+
+    if (!wishlistItems.length) {
+        return (
+            <Container maxWidth="xl">
+                <Box sx={{
+                    minHeight: 'calc(100vh - 200px)',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    py: 8
+                }}>
+                    <Typography
+                        variant="h5"
+                        sx={{
+                            mb: 3,
+                            fontWeight: 300,
+                            letterSpacing: '0.1em'
+                        }}
+                    >
+                        YOUR WISHLIST IS EMPTY
+                    </Typography>
+                    <Button
+                        variant="contained"
+                        onClick={() => navigate('/')}
+                        sx={{
+                            py: 2,
+                            px: 4,
+                            letterSpacing: '0.1em'
+                        }}
+                    >
+                        CONTINUE SHOPPING
+                    </Button>
+                </Box>
+            </Container>
+        );
+    }
+
+    return (
+        <Container maxWidth="lg">
+            <Box sx={{ py: 8 }}>
+                <Typography
+                    variant="h4"
+                    sx={{
+                        mb: 6,
+                        fontWeight: 300,
+                        letterSpacing: '0.1em',
+                        textAlign: 'center'
+                    }}
+                >
+                    WISHLIST
+                </Typography>
+
+                {wishlistError && (
+                    <Typography color="error" sx={{ mb: 4, textAlign: 'center' }}>
+                        {wishlistError}
+                    </Typography>
+                )}
+
+                {wishlistItems.map((item) => (
+                    <Box key={itemKey(item)} sx={{ mb: 4 }}>
+                        <Grid container spacing={4} alignItems="center">
+                            <Grid item xs={12} sm={3}>
+                                <img
+                                    src={getImageUrl(getPrimaryImage(item))}
+                                    alt={getPrimaryImage(item)?.alt || item.name}
+                                    style={{
+                                        width: 'auto',
+                                        height: WISHLIST_IMAGE_HEIGHT,
+                                        aspectRatio: IMAGE_ASPECT_RATIO,
+                                        objectFit: 'cover',
+                                        objectPosition: 'center',
+                                        borderRadius: '8px',
+                                        backgroundColor: '#f5f5f5',
+                                        display: 'block',
+                                        margin: '0 auto'
+                                    }}
+                                />
+                            </Grid>
+                            <Grid item xs={12} sm={9}>
+                                <Box sx={{
+                                    display: 'flex',
+                                    justifyContent: 'space-between',
+                                    alignItems: 'flex-start'
+                                }}>
+                                    <Box>
+                                        <Typography
+                                            variant="h6"
+                                            component={item._id ? RouterLink : 'h6'}
+                                            to={item._id ? productPath(item) : undefined}
+                                            sx={{
+                                                fontWeight: 300,
+                                                letterSpacing: '0.05em',
+                                                mb: 1,
+                                                display: 'block',
+                                                color: 'inherit',
+                                                textDecoration: 'none'
+                                            }}
+                                        >
+                                            {item.name}
+                                        </Typography>
+                                        <Typography
+                                            variant="body2"
+                                            color="text.secondary"
+                                            sx={{ mb: 2 }}
+                                        >
+                                            {item.category?.name}
+                                            {item.variant && ` · ${formatVariantOptions(item.variant)}`}
+                                        </Typography>
+                                        {stockMessage(item) && (
+                                            <Typography variant="body2" color="error" sx={{ mb: 2 }}>
+                                                {stockMessage(item)}
+                                            </Typography>
+                                        )}
+                                        {failedMove === itemKey(item) && cartError && (
+                                            <Typography variant="body2" color="error" sx={{ mb: 2 }}>
+                                                {cartError}
+                                            </Typography>
+                                        )}
+                                        <Button
+                                            variant="outlined"
+                                            onClick={() => moveToCart(item)}
+                                            disabled={item.status !== 'available'}
+                                            sx={{ letterSpacing: '0.1em' }}
+                                        >
+                                            {needsOptions(item) ? 'SELECT OPTIONS' : 'MOVE TO CART'}
+                                        </Button>
+                                    </Box>
+                                    <Box sx={{
+                                        display: 'flex',
+                                        flexDirection: 'column',
+                                        alignItems: 'flex-end',
+                                        gap: 2
+                                    }}>
+                                        {item.status !== 'unavailable' && (
+                                            <Typography
+                                                variant="h6"
+                                                sx={{ fontWeight: 300 }}
+                                            >
+                                                {formatMoney(priceFor(item, item.variant).price)}
+                                            </Typography>
+                                        )}
+                                        <IconButton
+                                            onClick={() => removeFromWishlist(item)}
+                                            size="small"
+                                        >
+                                            <DeleteIcon />
+                                        </IconButton>
+                                    </Box>
+                                </Box>
+                            </Grid>
+                        </Grid>
+                        <Divider sx={{ mt: 4 }} />
+                    </Box>
+                ))}
+            </Box>
+        </Container>
+    );
+};
+
+export default Wishlist;
@@ -0,0 +1,25 @@
+import axios from 'axios';
+import { config } from './config';
+
+// Admin functions
+export const abandonedCartService = {
+    // Carts abandoned now and reminder results over the last `days` days
+    async getStats(days = 30) {
+        const response = await axios.get(config.endpoints.abandonedCarts.stats, {
+            params: { days },
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    // Send the reminders that are due without waiting for the schedule.
+    // Resolves to { checked, sent, failed }.
+    async sendReminders() {
+        const response = await axios.post(
+            config.endpoints.abandonedCarts.run,
+            {},
+            { headers: config.getAuthHeader() }
+        );
+        return response.data;
+    },
+};
@@ -0,0 +1,49 @@
+import axios from 'axios';
+import { config } from './config';
+
+export const attributeService = {
+    // Attribute definitions in display order
+    async getAttributes() {
+        const response = await axios.get(config.endpoints.attributes.all);
+        return response.data;
+    },
+
+    // Admin functions
+    async createAttribute(attributeData) {
+        const response = await axios.post(
+            config.endpoints.attributes.all,
+            attributeData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updateAttribute(id, attributeData) {
+        const response = await axios.put(
+            config.endpoints.attributes.single(id),
+            attributeData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deleteAttribute(id) {
+        const response = await axios.delete(
+            config.endpoints.attributes.single(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+};
@@ -0,0 +1,126 @@
+import axios from 'axios';
+import { config } from './config';
+
+// Guests are given a token naming their cart on the server
+const GUEST_TOKEN_KEY = 'cartToken';
+
+const cartHeaders = () => {
+    const token = localStorage.getItem(GUEST_TOKEN_KEY);
+    return {
+        ...config.getAuthHeader(),
+        ...(token && { 'X-Cart-Token': token }),
+    };
+};
+
+// Cart responses are { token?, items, total, count }; `token` is only
+// present for guest carts
+const rememberToken = (data) => {
+    if (data.token) {
+        localStorage.setItem(GUEST_TOKEN_KEY, data.token);
+    }
+    return data;
+};
+
+export const cartService = {
+    async getCart() {
+        const response = await axios.get(config.endpoints.cart.current, {
+            headers: cartHeaders(),
+        });
+        return rememberToken(response.data);
+    },
+
+    async addItem(productId, variantId, quantity = 1) {
+        const response = await axios.post(
+            config.endpoints.cart.items,
+            { productId, variantId, quantity },
+            { headers: cartHeaders() }
+        );
+        return rememberToken(response.data);
+    },
+
+    async updateItem(itemId, quantity) {
+        const response = await axios.patch(
+            config.endpoints.cart.item(itemId),
+            { quantity },
+            { headers: cartHeaders() }
+        );
+        return rememberToken(response.data);
+    },
+
+    async removeItem(itemId) {
+        const response = await axios.delete(config.endpoints.cart.item(itemId), {
+            headers: cartHeaders(),
+        });
+        return rememberToken(response.data);
+    },
+
+    async clearCart() {
+        const response = await axios.delete(config.endpoints.cart.current, {
+            headers: cartHeaders(),
+        });
+        return rememberToken(response.data);
+    },
+
+    // Move the guest cart into the signed-in user's cart. Needs the new
+    // auth token to be stored already.
+    async mergeGuestCart() {
+        const token = localStorage.getItem(GUEST_TOKEN_KEY);
+        if (!token) return null;
+
+        const response = await axios.post(
+            config.endpoints.cart.merge,
+            { token },
+            { headers: config.getAuthHeader() }
+        );
+        localStorage.removeItem(GUEST_TOKEN_KEY);
+        return response.data;
+    },
+
+    // Put the items from a reminder email's link back into the signed-in
+    // user's cart
+    async restoreCart(token) {
+        const response = await axios.post(
+            config.endpoints.cart.restore,
+            { token },
+            { headers: config.getAuthHeader() }
+        );
+        return response.data;
+    },
+
+    // Current prices and the promotions that apply to a list of
+    // { productId, variantId, quantity }, with tax once the address
+    // ({ country, state, zipCode }) is known, all in `currency`. Resolves to
+    // { currency, items, subtotal, discounts, discountTotal, freeShipping,
+    // total, coupon, taxCalculated, shippingTax, taxTotal, taxes }.
+    async validateCart(items, couponCode, { currency, address, shippingMethodId } = {}) {
+        const response = await axios.post(
+            config.endpoints.cart.validate,
+            {
+                items,
+                couponCode: couponCode || undefined,
+                currency,
+                address: address || undefined,
+                shippingMethodId: shippingMethodId || undefined,
+            },
+            { headers: config.getAuthHeader() }
+        );
+        return response.data;
+    },
+
+    // Hold the stock of everything in the signed-in user's cart while they
+    // check out. Resolves to { _id, expiresAt, items }.
+    async reserveStock() {
+        const response = await axios.post(
+            config.endpoints.reservations.create,
+            {},
+            { headers: config.getAuthHeader() }
+        );
+        return response.data;
+    },
+
+    async releaseReservation(reservationId) {
+        await axios.delete(config.endpoints.reservations.single(reservationId), {
+            headers: config.getAuthHeader(),
+        });
+    },
+};
@@ -0,0 +1,62 @@
+import axios from 'axios';
+import { config } from './config';
+
+export const categoryService = {
+    // Nested tree of root categories, each with a `children` array
+    async getCategoryTree() {
+        const response = await axios.get(config.endpoints.categories.all);
+        return response.data;
+    },
+
+    // Category by slug, including `ancestors` (for breadcrumbs) and `children`
+    async getCategory(slug) {
+        const response = await axios.get(config.endpoints.categories.single(slug));
+        return response.data;
+    },
+
+    // Admin functions
+    async createCategory(categoryData) {
+        const response = await axios.post(
+            config.endpoints.categories.all,
+            categoryData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updateCategory(id, categoryData) {
+        const response = await axios.put(
+            config.endpoints.categories.single(id),
+            categoryData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deleteCategory(id) {
+        const response = await axios.delete(
+            config.endpoints.categories.single(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+};
+
+// Flatten a category tree into [{ ...category, depth }] in display order
+export const flattenCategoryTree = (nodes, depth = 0) =>
+    nodes.flatMap((node) => [
+        { ...node, depth },
+        ...flattenCategoryTree(node.children || [], depth + 1),
+    ]);
@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { config } from './config';
+
+export const collectionService = {
+    // Collection by slug with its visible products in display order
+    async getCollection(slug) {
+        const response = await axios.get(config.endpoints.collections.single(slug));
+        return response.data;
+    },
+
+    // Home page sections; collection rows include their `products`
+    async getHomePage() {
+        const response = await axios.get(config.endpoints.home.page);
+        return response.data;
+    },
+
+    // Admin functions
+    async getCollections() {
+        const response = await axios.get(config.endpoints.collections.all, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async createCollection(collectionData) {
+        const response = await axios.post(
+            config.endpoints.collections.all,
+            collectionData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updateCollection(id, collectionData) {
+        const response = await axios.put(
+            config.endpoints.collections.single(id),
+            collectionData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deleteCollection(id) {
+        const response = await axios.delete(
+            config.endpoints.collections.single(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+
+    // Stored Home page layout, resolves to { sections }
+    async getHomeLayout() {
+        const response = await axios.get(config.endpoints.home.layout, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async updateHomeLayout(sections) {
+        const response = await axios.put(
+            config.endpoints.home.layout,
+            { sections },
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+};
@@ -4,9 +4,12 @@ const API_URL = `${BASE_URL}/api`;
 export const config = {
     baseUrl: BASE_URL,
     apiUrl: API_URL,
-    imageUrl: (path) => {
-        if (!path?.url) return null;
-        return path.url;
+    // Resolve a product image to an absolute URL, preferring the requested
+    // rendition ('thumbnail', 'card' or 'detail') over the original upload
+    imageUrl: (image, rendition) => {
+        const path = image?.renditions?.[rendition] || image?.url;
+        if (!path) return null;
+        return path.startsWith('http') ? path : `${BASE_URL}${path}`;
     },
     endpoints: {
         auth: {
@@ -15,15 +18,94 @@ export const config = {
         },
         products: {
             all: `${API_URL}/products`,
-            byCategory: (category) => `${API_URL}/products/category/${category}`,
+            images: `${API_URL}/products/images`,
+            search: `${API_URL}/products/search`,
+            suggestions: `${API_URL}/products/suggestions`,
+            recommendations: `${API_URL}/products/recommendations`,
+            byCategory: (slug) => `${API_URL}/products/category/${slug}`,
             single: (id) => `${API_URL}/products/${id}`,
+            priceHistory: (id) => `${API_URL}/products/${id}/price-history`,
+        },
+        attributes: {
+            all: `${API_URL}/attributes`,
+            single: (id) => `${API_URL}/attributes/${id}`,
+        },
+        collections: {
+            all: `${API_URL}/collections`,
+            single: (slugOrId) => `${API_URL}/collections/${slugOrId}`,
+        },
+        home: {
+            page: `${API_URL}/home`,
+            layout: `${API_URL}/home/layout`,
+        },
+        catalog: {
+            export: `${API_URL}/catalog/export`,
+            import: `${API_URL}/catalog/import`,
+        },
+        inventory: {
+            lowStock: `${API_URL}/inventory/low-stock`,
+            movements: (productId) => `${API_URL}/inventory/products/${productId}/movements`,
+            adjustments: (productId) => `${API_URL}/inventory/products/${productId}/adjustments`,
+        },
+        categories: {
+            all: `${API_URL}/categories`,
+            single: (slugOrId) => `${API_URL}/categories/${slugOrId}`,
+        },
+        reviews: {
+            all: `${API_URL}/reviews`,
+            byProduct: (productId) => `${API_URL}/reviews/product/${productId}`,
+            mine: (productId) => `${API_URL}/reviews/product/${productId}/mine`,
+            single: (id) => `${API_URL}/reviews/${id}`,
+            status: (id) => `${API_URL}/reviews/${id}/status`,
         },
         cart: {
+            current: `${API_URL}/cart`,
+            items: `${API_URL}/cart/items`,
+            item: (itemId) => `${API_URL}/cart/items/${itemId}`,
+            merge: `${API_URL}/cart/merge`,
             validate: `${API_URL}/cart/validate`,
+            restore: `${API_URL}/cart/restore`,
+        },
+        abandonedCarts: {
+            stats: `${API_URL}/abandoned-carts/stats`,
+            run: `${API_URL}/abandoned-carts/run`,
+        },
+        promotions: {
+            all: `${API_URL}/promotions`,
+            single: (id) => `${API_URL}/promotions/${id}`,
+        },
+        shipping: {
+            quote: `${API_URL}/shipping/quote`,
+            summary: `${API_URL}/shipping/summary`,
+            zones: `${API_URL}/shipping/zones`,
+            zone: (id) => `${API_URL}/shipping/zones/${id}`,
+        },
+        currencies: {
+            list: `${API_URL}/currencies`,
+            all: `${API_URL}/currencies/all`,
+            single: (id) => `${API_URL}/currencies/${id}`,
+        },
+        tax: {
+            classes: `${API_URL}/tax/classes`,
+            rates: `${API_URL}/tax/rates`,
+            rate: (id) => `${API_URL}/tax/rates/${id}`,
+        },
+        wishlist: {
+            current: `${API_URL}/wishlist`,
+            items: `${API_URL}/wishlist/items`,
+            item: (itemId) => `${API_URL}/wishlist/items/${itemId}`,
+            preview: `${API_URL}/wishlist/preview`,
+            merge: `${API_URL}/wishlist/merge`,
+        },
+        reservations: {
+            create: `${API_URL}/reservations`,
+            current: `${API_URL}/reservations/current`,
+            single: (id) => `${API_URL}/reservations/${id}`,
         },
         orders: {
             create: `${API_URL}/orders`,
             myOrders: `${API_URL}/orders/my-orders`,
+            single: (id) => `${API_URL}/orders/${id}`,
         },
     },
     getAuthHeader: () => {
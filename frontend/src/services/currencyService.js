@@ -0,0 +1,57 @@
+import axios from 'axios';
+import { config } from './config';
+
+export const currencyService = {
+    // Currencies shoppers can choose. Resolves to { base, currencies:
+    // [{ code, name, rate }] } with the base currency first.
+    async getCurrencies() {
+        const response = await axios.get(config.endpoints.currencies.list);
+        return response.data;
+    },
+
+    // Admin functions
+    async getAllCurrencies() {
+        const response = await axios.get(config.endpoints.currencies.all, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async createCurrency(currencyData) {
+        const response = await axios.post(
+            config.endpoints.currencies.list,
+            currencyData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updateCurrency(id, currencyData) {
+        const response = await axios.put(
+            config.endpoints.currencies.single(id),
+            currencyData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deleteCurrency(id) {
+        const response = await axios.delete(
+            config.endpoints.currencies.single(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+};
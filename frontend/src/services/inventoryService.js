@@ -0,0 +1,37 @@
+import axios from 'axios';
+import { config } from './config';
+
+// Admin only
+export const inventoryService = {
+    // Resolves to [{ product, threshold, lowVariants }]
+    async getLowStock() {
+        const response = await axios.get(config.endpoints.inventory.lowStock, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    // Resolves to { movements, total, page, pages, hasNextPage, nextPage }
+    async getMovements(productId, params = {}) {
+        const response = await axios.get(config.endpoints.inventory.movements(productId), {
+            params,
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    // adjustment: { change, reason, variantId?, note?, orderId? }
+    async adjustStock(productId, adjustment) {
+        const response = await axios.post(
+            config.endpoints.inventory.adjustments(productId),
+            adjustment,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+};
@@ -0,0 +1,35 @@
+import axios from 'axios';
+import { config } from './config';
+
+export const orderService = {
+    // Place an order for the signed-in user. `orderData` is { items,
+    // shippingAddress, shippingMethodId, paymentMethod, reservationId?,
+    // couponCode?, currency }. Resolves to the order.
+    async createOrder(orderData) {
+        const response = await axios.post(
+            config.endpoints.orders.create,
+            orderData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async getOrder(id) {
+        const response = await axios.get(config.endpoints.orders.single(id), {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async getMyOrders() {
+        const response = await axios.get(config.endpoints.orders.myOrders, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+};
@@ -2,22 +2,71 @@ import axios from 'axios';
 import { config } from './config';
 
 export const productService = {
-    async getAllProducts() {
-        const response = await axios.get(config.endpoints.products.all);
+    // Listing calls resolve to { products, total, page, limit, pages, hasNextPage, nextPage }.
+    // Supported params: q, category, minPrice, maxPrice, inStock, sort, page, limit,
+    // attr_<code> attribute filters and facets (true adds `facets` to the result)
+    // Admins may also pass status ('all' or a lifecycle status) to include unpublished products
+    async getProducts(params = {}) {
+        const response = await axios.get(config.endpoints.products.all, {
+            params,
+            headers: config.getAuthHeader(),
+        });
         return response.data;
     },
 
-    async getProductsByCategory(category) {
-        const response = await axios.get(config.endpoints.products.byCategory(category));
+    async getProductsByCategory(category, params = {}) {
+        const response = await axios.get(config.endpoints.products.byCategory(category), { params });
         return response.data;
     },
 
+    // Ranked search, resolves to { products, total, page, pages, hasNextPage, nextPage }
+    async searchProducts(q, params = {}) {
+        const response = await axios.get(config.endpoints.products.search, {
+            params: { ...params, q },
+        });
+        return response.data;
+    },
+
+    // Type-ahead suggestions, resolves to { products, categories }
+    async getSuggestions(q, options = {}) {
+        const response = await axios.get(config.endpoints.products.suggestions, {
+            params: { q },
+            signal: options.signal,
+        });
+        return response.data;
+    },
+
+    // "Customers also bought" products for one or more product ids
+    async getRecommendations(productIds, params = {}) {
+        const response = await axios.get(config.endpoints.products.recommendations, {
+            params: { ...params, ids: productIds.join(',') },
+        });
+        return response.data;
+    },
+
+    // Sends the auth header so admins can preview unpublished products
     async getProduct(id) {
-        const response = await axios.get(config.endpoints.products.single(id));
+        const response = await axios.get(config.endpoints.products.single(id), {
+            headers: config.getAuthHeader(),
+        });
         return response.data;
     },
 
     // Admin functions
+    async uploadImage(file, alt = '') {
+        const formData = new FormData();
+        formData.append('image', file);
+        formData.append('alt', alt);
+        const response = await axios.post(
+            config.endpoints.products.images,
+            formData,
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+
     async createProduct(productData) {
         const response = await axios.post(
             config.endpoints.products.all,
@@ -46,6 +95,38 @@ export const productService = {
         return response.data;
     },
 
+    // Resolves to the catalog CSV as a Blob
+    async exportCatalog() {
+        const response = await axios.get(config.endpoints.catalog.export, {
+            headers: config.getAuthHeader(),
+            responseType: 'blob',
+        });
+        return response.data;
+    },
+
+    // Resolves to { dryRun, summary, rows } with per-row actions and errors
+    async importCatalog(file, { dryRun = false } = {}) {
+        const formData = new FormData();
+        formData.append('file', file);
+        const response = await axios.post(
+            config.endpoints.catalog.import,
+            formData,
+            {
+                params: { dryRun },
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+
+    async getPriceHistory(id) {
+        const response = await axios.get(config.endpoints.products.priceHistory(id), {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    // Archives the product; it stays in order history but leaves the store
     async deleteProduct(id) {
         const response = await axios.delete(
             config.endpoints.products.single(id),
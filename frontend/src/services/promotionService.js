@@ -0,0 +1,50 @@
+import axios from 'axios';
+import { config } from './config';
+
+// Admin management of promotions; customers apply codes through the cart
+export const promotionService = {
+    async getPromotions() {
+        const response = await axios.get(config.endpoints.promotions.all, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async createPromotion(promotionData) {
+        const response = await axios.post(
+            config.endpoints.promotions.all,
+            promotionData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updatePromotion(id, promotionData) {
+        const response = await axios.put(
+            config.endpoints.promotions.single(id),
+            promotionData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deletePromotion(id) {
+        const response = await axios.delete(
+            config.endpoints.promotions.single(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+};
@@ -0,0 +1,79 @@
+import axios from 'axios';
+import { config } from './config';
+
+export const reviewService = {
+    // Approved reviews, resolves to { reviews, total, page, pages, hasNextPage, nextPage }
+    async getProductReviews(productId, params = {}) {
+        const response = await axios.get(config.endpoints.reviews.byProduct(productId), { params });
+        return response.data;
+    },
+
+    // Resolves to { canReview, review } for the logged in user
+    async getMyReview(productId) {
+        const response = await axios.get(config.endpoints.reviews.mine(productId), {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async createReview(productId, reviewData) {
+        const response = await axios.post(
+            config.endpoints.reviews.byProduct(productId),
+            reviewData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updateReview(id, reviewData) {
+        const response = await axios.put(
+            config.endpoints.reviews.single(id),
+            reviewData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deleteReview(id) {
+        const response = await axios.delete(
+            config.endpoints.reviews.single(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+
+    // Admin functions
+    async getAllReviews(params = {}) {
+        const response = await axios.get(config.endpoints.reviews.all, {
+            params,
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async updateReviewStatus(id, status) {
+        const response = await axios.patch(
+            config.endpoints.reviews.status(id),
+            { status },
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+};
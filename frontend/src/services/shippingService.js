@@ -0,0 +1,68 @@
+import axios from 'axios';
+import { config } from './config';
+
+export const shippingService = {
+    // Shipping methods and prices in `currency` for { productId, variantId,
+    // quantity } items going to { country, state }. Resolves to { currency,
+    // zone, weight, methods }.
+    async getQuote(items, address, couponCode, currency) {
+        const response = await axios.post(
+            config.endpoints.shipping.quote,
+            { items, address, couponCode: couponCode || undefined, currency },
+            { headers: config.getAuthHeader() }
+        );
+        return response.data;
+    },
+
+    // { lowestPrice, freeAbove } across every zone, either may be null
+    async getSummary() {
+        const response = await axios.get(config.endpoints.shipping.summary);
+        return response.data;
+    },
+
+    // Admin functions
+    async getZones() {
+        const response = await axios.get(config.endpoints.shipping.zones, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async createZone(zoneData) {
+        const response = await axios.post(
+            config.endpoints.shipping.zones,
+            zoneData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updateZone(id, zoneData) {
+        const response = await axios.put(
+            config.endpoints.shipping.zone(id),
+            zoneData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deleteZone(id) {
+        const response = await axios.delete(
+            config.endpoints.shipping.zone(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+};
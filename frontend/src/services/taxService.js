@@ -0,0 +1,58 @@
+import axios from 'axios';
+import { config } from './config';
+
+// Admin functions
+export const taxService = {
+    // Tax class names in use, 'standard' first
+    async getClasses() {
+        const response = await axios.get(config.endpoints.tax.classes, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async getRates() {
+        const response = await axios.get(config.endpoints.tax.rates, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async createRate(rateData) {
+        const response = await axios.post(
+            config.endpoints.tax.rates,
+            rateData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async updateRate(id, rateData) {
+        const response = await axios.put(
+            config.endpoints.tax.rate(id),
+            rateData,
+            {
+                headers: {
+                    ...config.getAuthHeader(),
+                    'Content-Type': 'application/json',
+                },
+            }
+        );
+        return response.data;
+    },
+
+    async deleteRate(id) {
+        const response = await axios.delete(
+            config.endpoints.tax.rate(id),
+            {
+                headers: config.getAuthHeader(),
+            }
+        );
+        return response.data;
+    },
+};
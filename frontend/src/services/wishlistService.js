@@ -0,0 +1,73 @@
+import axios from 'axios';
+import { config } from './config';
+
+// Guests keep their wishlist in the browser until they sign in
+const GUEST_WISHLIST_KEY = 'wishlist';
+
+const readGuestItems = () => {
+    try {
+        const items = JSON.parse(localStorage.getItem(GUEST_WISHLIST_KEY));
+        return Array.isArray(items) ? items : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+// Wishlist responses are { items: [{ _id?, productId, variantId, product,
+// variant, addedAt, price, stock, status }] }; guest items have no _id
+export const wishlistService = {
+    async getWishlist() {
+        const response = await axios.get(config.endpoints.wishlist.current, {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    async addItem(productId, variantId) {
+        const response = await axios.post(
+            config.endpoints.wishlist.items,
+            { productId, variantId },
+            { headers: config.getAuthHeader() }
+        );
+        return response.data;
+    },
+
+    async removeItem(itemId) {
+        const response = await axios.delete(config.endpoints.wishlist.item(itemId), {
+            headers: config.getAuthHeader(),
+        });
+        return response.data;
+    },
+
+    // The guest wishlist: [{ productId, variantId, addedAt }]
+    getGuestItems() {
+        return readGuestItems();
+    },
+
+    saveGuestItems(items) {
+        localStorage.setItem(GUEST_WISHLIST_KEY, JSON.stringify(items));
+    },
+
+    // Product details of the guest wishlist
+    async previewGuestItems() {
+        const response = await axios.post(config.endpoints.wishlist.preview, {
+            items: readGuestItems(),
+        });
+        return response.data;
+    },
+
+    // Move the guest wishlist into the signed-in user's. Needs the new
+    // auth token to be stored already.
+    async mergeGuestWishlist() {
+        const items = readGuestItems();
+        if (!items.length) return null;
+
+        const response = await axios.post(
+            config.endpoints.wishlist.merge,
+            { items },
+            { headers: config.getAuthHeader() }
+        );
+        localStorage.removeItem(GUEST_WISHLIST_KEY);
+        return response.data;
+    },
+};
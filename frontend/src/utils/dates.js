@@ -0,0 +1,6 @@
+// datetime-local inputs expect local time without seconds or a timezone
+export const toDateTimeInput = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
@@ -0,0 +1,16 @@
+// The ways to pay the server accepts, see Order.paymentMethod
+export const PAYMENT_METHODS = [
+    {
+        value: 'cash_on_delivery',
+        label: 'Cash on delivery',
+        description: 'Pay the courier when your order arrives.',
+    },
+    {
+        value: 'bank_transfer',
+        label: 'Bank transfer',
+        description: 'Our bank details come with your order confirmation. We ship once the payment arrives.',
+    },
+];
+
+export const paymentMethodLabel = (value) =>
+    PAYMENT_METHODS.find((method) => method.value === value)?.label || value;
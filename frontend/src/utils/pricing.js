@@ -0,0 +1,14 @@
+// Effective prices are worked out by the server and sent as `pricing` on
+// products and variants; fall back to the stored price for older responses.
+// Variants on cart and wishlist lines come without pricing, so the
+// product's own copy of the variant is used when there is one.
+export const getPricing = (product, variant = null) => {
+    const priced = (variant && product.variants?.find((each) => each._id === variant._id)) || variant;
+    return priced?.pricing ||
+        (!priced && product.pricing) || {
+            price: priced?.price ?? product.price,
+            compareAtPrice: null,
+            onSale: false,
+            saleEndsAt: null,
+        };
+};
@@ -0,0 +1,10 @@
+// Helpers for the ordered `images` gallery on a product
+
+export const getPrimaryImage = (product) =>
+    product?.images?.find((image) => image.isPrimary) || product?.images?.[0] || null;
+
+// First image after the primary one, shown when a product card is hovered
+export const getSecondaryImage = (product) => {
+    const primary = getPrimaryImage(product);
+    return product?.images?.find((image) => image !== primary) || null;
+};
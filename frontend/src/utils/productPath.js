@@ -0,0 +1,2 @@
+// Storefront URL of a product, preferring its slug over the raw id
+export const productPath = (product) => `/product/${product.slug || product._id}`;